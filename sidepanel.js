@@ -1,6 +1,18 @@
 import { ChatManager } from './src/chat.js';
-import { SettingsManager } from './src/settings.js';
-import { autoResizeTextarea, extractPageContent, markdownToHtml } from './src/utils.js';
+import { BackendRegistry } from './src/backends/registry.js';
+import { SettingsManager, GENERATION_PARAMS, REASONING_EFFORTS } from './src/settings.js';
+import { MODEL_CAPABILITIES, resolveCapabilities } from './src/capabilities.js';
+import { PRICING_FIELDS, UsageStore, formatCost, getMonthKey } from './src/usage.js';
+import { CONTEXT_STRATEGIES, DEFAULT_CONTEXT_STRATEGY } from './src/context.js';
+import { SCHEMA_PRESETS, parseSchema, parseJsonResponse, getSchemaName } from './src/json-schema.js';
+import { McpServers } from './src/tools/mcp.js';
+import { getCitationMarkers } from './src/citations.js';
+import { ConversationStore, MAX_CONVERSATIONS, groupConversationsByDate } from './src/conversations.js';
+import { exportToJSON, exportToMarkdown, exportToHTML, getExportFilename } from './src/export.js';
+import { autoResizeTextarea, extractPageContent, markdownToHtml, markdownToHtmlWithInserts, escapeHtml, debounce, downloadFile, formatTokenCount, generateId, getMediaName, getMediaSource } from './src/utils.js';
+
+// Budget suggested when switching a model to a thinking budget
+const DEFAULT_THINKING_BUDGET = 8192;
 
 /**
  * Side Panel Application
@@ -12,6 +24,11 @@ class SidePanelApp {
         this.currentPageInfo = null;
         this.pendingImages = []; // Store images to be sent with message
         this.userAtBottom = true; // Track if user is at bottom for smart auto-scroll
+        this.historyRenderId = 0; // Ignore stale history search results
+        this.regenerateMenu = null;
+        this.regenerateMenuCloser = null;
+        this.modelSettingsDraft = null; // Per-model settings being edited in the settings modal
+        this.modelSettingsProfiles = [];
     }
 
     /**
@@ -19,11 +36,26 @@ class SidePanelApp {
      */
     async init() {
         this.cacheElements();
+        this.renderProfileTypeOptions();
+        this.renderGenerationFields();
+        this.renderPricingFields();
+        this.renderContextStrategyOptions();
+        this.renderReasoningOptions();
+        this.renderSchemaPresets();
         this.bindEvents();
 
         const settings = await this.chatManager.init();
         this.updateUIFromSettings(settings);
 
+        // Restore the conversation that was open when the panel was closed
+        await this.chatManager.restoreLastConversation();
+        if (this.chatManager.messages.length > 0) {
+            this.renderConversation(this.chatManager.messages);
+        } else {
+            this.updateUsageSummary();
+            this.updateContextMeter();
+        }
+
         // Update page info on init and tab changes
         this.updatePageInfo();
         chrome.tabs.onActivated?.addListener(() => this.updatePageInfo());
@@ -73,6 +105,17 @@ class SidePanelApp {
             modelSelect: document.getElementById('model-select'),
             newChatButton: document.getElementById('new-chat-button'),
             settingsButton: document.getElementById('settings-button'),
+            historyButton: document.getElementById('history-button'),
+            exportButton: document.getElementById('export-button'),
+            exportMenu: document.getElementById('export-menu'),
+
+            // History drawer
+            historyDrawer: document.getElementById('history-drawer'),
+            historySearch: document.getElementById('history-search'),
+            historyList: document.getElementById('history-list'),
+            closeHistory: document.getElementById('close-history'),
+            importButton: document.getElementById('import-button'),
+            importFileInput: document.getElementById('import-file-input'),
 
             // Chat
             chatMessages: document.getElementById('chat-messages'),
@@ -88,29 +131,46 @@ class SidePanelApp {
             settingsError: document.getElementById('settings-error'),
 
             // Backend settings
-            backendRadios: document.querySelectorAll('input[name="backend-type"]'),
-            geminiSettings: document.getElementById('gemini-settings'),
-            openaiSettings: document.getElementById('openai-settings'),
-
-            // Gemini
-            geminiApiUrl: document.getElementById('gemini-api-url'),
-            geminiApiKey: document.getElementById('gemini-api-key'),
-            geminiModels: document.getElementById('gemini-models'),
-            geminiNewModel: document.getElementById('gemini-new-model'),
-            geminiAddModel: document.getElementById('gemini-add-model'),
-
-            // OpenAI
-            openaiApiUrl: document.getElementById('openai-api-url'),
-            openaiApiKey: document.getElementById('openai-api-key'),
-            openaiModels: document.getElementById('openai-models'),
-            openaiNewModel: document.getElementById('openai-new-model'),
-            openaiAddModel: document.getElementById('openai-add-model'),
+            backendTypeOptions: document.getElementById('backend-type-options'),
+            backendSettingsContainer: document.getElementById('backend-settings-container'),
+            newProfileType: document.getElementById('new-profile-type'),
+            addProfileButton: document.getElementById('add-profile'),
+
+            // Per-model settings
+            modelSettingsModel: document.getElementById('model-settings-model'),
+            capabilityList: document.getElementById('capability-list'),
+            capabilityContextWindow: document.getElementById('capability-context-window'),
+            pricingFields: document.getElementById('pricing-fields'),
+            contextStrategy: document.getElementById('context-strategy'),
+            fallbackList: document.getElementById('fallback-list'),
+            fallbackAddModel: document.getElementById('fallback-add-model'),
+            addFallbackButton: document.getElementById('add-fallback'),
 
             // Other settings
             systemPrompt: document.getElementById('system-prompt'),
             enableSearch: document.getElementById('enable-search'),
             includeThinking: document.getElementById('include-thinking'),
+            enableSearchNote: document.getElementById('enable-search-note'),
+            enableTools: document.getElementById('enable-tools'),
+            approvedSites: document.getElementById('approved-sites'),
+            mcpServerList: document.getElementById('mcp-server-list'),
+            mcpServerName: document.getElementById('mcp-server-name'),
+            mcpServerUrl: document.getElementById('mcp-server-url'),
+            mcpServerHeaders: document.getElementById('mcp-server-headers'),
+            addMcpServerButton: document.getElementById('add-mcp-server'),
+            enableToolsNote: document.getElementById('enable-tools-note'),
+            enableCodeExecution: document.getElementById('enable-code-execution'),
+            enableCodeExecutionNote: document.getElementById('enable-code-execution-note'),
+            enableUrlContext: document.getElementById('enable-url-context'),
+            enableUrlContextNote: document.getElementById('enable-url-context-note'),
+            enableImageGeneration: document.getElementById('enable-image-generation'),
+            enableImageGenerationNote: document.getElementById('enable-image-generation-note'),
+            includeThinkingNote: document.getElementById('include-thinking-note'),
             autoIncludePage: document.getElementById('auto-include-page'),
+            usageHistory: document.getElementById('usage-history'),
+            clearUsageButton: document.getElementById('clear-usage'),
+            usageSummary: document.getElementById('usage-summary'),
+            contextMeter: document.getElementById('context-meter'),
 
             // Theme
             themeRadios: document.querySelectorAll('input[name="theme"]'),
@@ -125,6 +185,26 @@ class SidePanelApp {
             imageFileInput: document.getElementById('image-file-input'),
             imagePreviewArea: document.getElementById('image-preview-area'),
 
+            // Generation parameters
+            generationButton: document.getElementById('generation-button'),
+            reasoningSelect: document.getElementById('reasoning-select'),
+            reasoningBudget: document.getElementById('reasoning-budget'),
+            generationPopover: document.getElementById('generation-popover'),
+            generationFields: document.getElementById('generation-fields'),
+            generationModelName: document.getElementById('generation-model-name'),
+            generationHint: document.getElementById('generation-hint'),
+            generationReset: document.getElementById('generation-reset'),
+            generationScopeRadios: document.querySelectorAll('input[name="generation-scope"]'),
+
+            // Structured output
+            schemaButton: document.getElementById('schema-button'),
+            schemaPopover: document.getElementById('schema-popover'),
+            schemaEnabled: document.getElementById('schema-enabled'),
+            schemaPreset: document.getElementById('schema-preset'),
+            schemaInput: document.getElementById('schema-input'),
+            schemaHint: document.getElementById('schema-hint'),
+            schemaApply: document.getElementById('schema-apply'),
+
             // Scroll to bottom
             scrollToBottomBtn: document.getElementById('scroll-to-bottom')
         };
@@ -151,10 +231,91 @@ class SidePanelApp {
         this.elements.sendButton.addEventListener('click', () => this.sendMessage());
         this.elements.newChatButton.addEventListener('click', () => this.newChat());
 
+        // History drawer
+        this.elements.historyButton.addEventListener('click', () => this.toggleHistory());
+        this.elements.closeHistory.addEventListener('click', () => this.closeHistory());
+        this.elements.historySearch.addEventListener('input', debounce(() => this.renderHistory(), 200));
+        this.elements.historySearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeHistory();
+        });
+
+        // Import
+        this.elements.importButton.addEventListener('click', () => this.elements.importFileInput.click());
+        this.elements.importFileInput.addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = ''; // Allow re-importing the same file
+            if (file) this.importFile(file);
+        });
+
+        // Export menu
+        this.elements.exportButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleExportMenu();
+        });
+        this.elements.exportMenu.querySelectorAll('[data-format]').forEach(item => {
+            item.addEventListener('click', () => {
+                this.closeExportMenu();
+                this.exportConversation(item.dataset.format);
+            });
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.elements.exportMenu.contains(e.target)) this.closeExportMenu();
+        });
+
         // Model select
         this.elements.modelSelect.addEventListener('change', async (e) => {
-            const settings = { ...this.chatManager.settings, currentModel: e.target.value };
+            const { profileId, model } = SettingsManager.parseModelKey(e.target.value);
+            const settings = SettingsManager.selectModel(this.chatManager.settings, profileId, model);
             await this.chatManager.updateSettings(settings);
+            this.updateGenerationButton(settings);
+            this.updateCapabilityControls(settings);
+            this.updateReasoningControl(settings);
+            this.updateContextMeter();
+        });
+
+        // Reasoning effort of the selected model
+        this.elements.reasoningSelect.addEventListener('change', () => {
+            const budget = this.elements.reasoningBudget;
+            if (this.elements.reasoningSelect.value === 'budget' && budget.value === '') {
+                budget.value = DEFAULT_THINKING_BUDGET;
+            }
+            this.saveReasoning();
+        });
+        this.elements.reasoningBudget.addEventListener('change', () => this.saveReasoning());
+
+        // Generation parameters popover
+        this.elements.generationButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleGenerationPopover();
+        });
+        this.elements.generationScopeRadios.forEach(radio => {
+            radio.addEventListener('change', () => this.renderGenerationPopover());
+        });
+        this.elements.generationReset.addEventListener('click', () => {
+            this.elements.generationFields.querySelectorAll('input, textarea').forEach(input => {
+                input.value = '';
+            });
+            this.saveGenerationParams();
+        });
+        document.addEventListener('click', (e) => {
+            if (!this.elements.generationPopover.contains(e.target)) this.closeGenerationPopover();
+        });
+
+        // Structured output popover
+        this.elements.schemaButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSchemaPopover();
+        });
+        this.elements.schemaPreset.addEventListener('change', () => {
+            const preset = SCHEMA_PRESETS.find(item => item.id === this.elements.schemaPreset.value);
+            if (!preset) return;
+            this.elements.schemaInput.value = JSON.stringify(preset.schema, null, 2);
+            this.elements.schemaEnabled.checked = true;
+            this.elements.schemaPreset.value = '';
+        });
+        this.elements.schemaApply.addEventListener('click', () => this.saveResponseSchema());
+        document.addEventListener('click', (e) => {
+            if (!this.elements.schemaPopover.contains(e.target)) this.closeSchemaPopover();
         });
 
         // Settings modal
@@ -162,6 +323,23 @@ class SidePanelApp {
         this.elements.closeSettings.addEventListener('click', () => this.closeSettings());
         this.elements.cancelSettings.addEventListener('click', () => this.closeSettings());
         this.elements.saveSettings.addEventListener('click', () => this.saveSettings());
+        this.elements.addProfileButton.addEventListener('click', () => this.addProfile());
+        this.elements.modelSettingsModel.addEventListener('change', () => this.renderSelectedModelSettings());
+        this.elements.capabilityContextWindow.addEventListener('change', () => {
+            this.setModelCapability('contextWindow', this.readNumberInput(this.elements.capabilityContextWindow));
+        });
+        this.elements.contextStrategy.addEventListener('change', () => {
+            this.setModelContextStrategy(this.elements.contextStrategy.value);
+        });
+        this.elements.addFallbackButton.addEventListener('click', () => this.addFallback());
+        this.elements.addMcpServerButton.addEventListener('click', () => this.addMcpServer());
+
+        this.elements.clearUsageButton.addEventListener('click', async () => {
+            if (!confirm('Clear the monthly usage totals?')) return;
+            await UsageStore.clear();
+            this.renderUsageHistory();
+            this.updateUsageSummary();
+        });
 
         // Reset to default button
         document.getElementById('reset-settings')?.addEventListener('click', () => this.resetSettings());
@@ -173,27 +351,6 @@ class SidePanelApp {
             });
         });
 
-        // Backend type switching
-        this.elements.backendRadios.forEach(radio => {
-            radio.addEventListener('change', (e) => this.switchBackendUI(e.target.value));
-        });
-
-        // Add model buttons
-        this.elements.geminiAddModel.addEventListener('click', () => {
-            this.addModel('gemini', this.elements.geminiNewModel);
-        });
-        this.elements.openaiAddModel.addEventListener('click', () => {
-            this.addModel('openai', this.elements.openaiNewModel);
-        });
-
-        // Enter to add model
-        this.elements.geminiNewModel.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') this.addModel('gemini', this.elements.geminiNewModel);
-        });
-        this.elements.openaiNewModel.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') this.addModel('openai', this.elements.openaiNewModel);
-        });
-
         // Close modal on backdrop click
         this.elements.settingsModal.addEventListener('click', (e) => {
             if (e.target === this.elements.settingsModal) this.closeSettings();
@@ -341,284 +498,1390 @@ class SidePanelApp {
         if (themeRadio) themeRadio.checked = true;
 
         // Settings form
-        this.elements.geminiApiUrl.value = settings.gemini.apiUrl;
-        this.elements.geminiApiKey.value = settings.gemini.apiKey;
-        this.elements.openaiApiUrl.value = settings.openai.apiUrl;
-        this.elements.openaiApiKey.value = settings.openai.apiKey;
+        this.renderBackendSettings(settings);
+        this.renderModelSettings(settings);
         this.elements.systemPrompt.value = settings.systemPrompt;
         this.elements.enableSearch.checked = settings.enableSearch;
+        this.elements.enableTools.checked = settings.enableTools;
+        this.elements.enableCodeExecution.checked = settings.enableCodeExecution;
+        this.elements.enableUrlContext.checked = settings.enableUrlContext;
+        this.elements.enableImageGeneration.checked = settings.enableImageGeneration;
+        this.approvedSitesDraft = [...(settings.approvedSites || [])];
+        this.renderApprovedSites();
+        this.mcpServersDraft = JSON.parse(JSON.stringify(settings.mcpServers || []));
+        this.renderMcpServers();
         this.elements.includeThinking.checked = settings.includeThinking;
         this.elements.autoIncludePage.checked = settings.autoIncludePage;
 
-        // Backend type
-        const backendRadio = document.querySelector(`input[name="backend-type"][value="${settings.backendType}"]`);
+        // Active profile
+        const activeId = SettingsManager.getProfile(settings)?.id;
+        const backendRadio = document.querySelector(`input[name="backend-type"][value="${activeId}"]`);
         if (backendRadio) backendRadio.checked = true;
-        this.switchBackendUI(settings.backendType);
-
-        // Model lists
-        this.renderModelList('gemini', settings.gemini.models);
-        this.renderModelList('openai', settings.openai.models);
+        this.switchBackendUI(activeId);
     }
 
     /**
      * Update model select dropdown
      */
     updateModelSelect(settings) {
-        const backendConfig = SettingsManager.getBackendConfig(settings);
+        const activeId = SettingsManager.getProfile(settings)?.id;
+        this.renderModelOptions(this.elements.modelSelect, settings);
+        this.elements.modelSelect.value = SettingsManager.getModelKey(activeId, settings.currentModel);
+        this.updateGenerationButton(settings);
+        this.updateCapabilityControls(settings);
+        this.updateReasoningControl(settings);
+        this.updateContextMeter();
+    }
 
-        this.elements.modelSelect.innerHTML = '';
-        for (const model of backendConfig.models) {
+    /**
+     * Offer the reasoning effort levels in the input bar
+     */
+    renderReasoningOptions() {
+        const options = [
+            { id: '', label: 'Auto' },
+            ...REASONING_EFFORTS,
+            { id: 'budget', label: 'Budget' }
+        ];
+        for (const { id, label } of options) {
             const option = document.createElement('option');
-            option.value = model;
-            option.textContent = model;
-            option.selected = model === settings.currentModel;
-            this.elements.modelSelect.appendChild(option);
+            option.value = id;
+            option.textContent = `🧠 ${label}`;
+            this.elements.reasoningSelect.appendChild(option);
         }
     }
 
     /**
-     * Switch backend settings UI
+     * Show the reasoning setting of the selected model
+     * Hidden for models that can't think; budgets only where the backend takes them.
      */
-    switchBackendUI(backendType) {
-        if (backendType === 'gemini') {
-            this.elements.geminiSettings.classList.remove('hidden');
-            this.elements.openaiSettings.classList.add('hidden');
-        } else {
-            this.elements.geminiSettings.classList.add('hidden');
-            this.elements.openaiSettings.classList.remove('hidden');
+    updateReasoningControl(settings) {
+        const profile = SettingsManager.getProfile(settings);
+        const model = settings.currentModel;
+        const { thinking } = SettingsManager.getModelCapabilities(settings, profile?.id, model);
+        const takesBudget = Boolean(BackendRegistry.get(profile?.type)?.capabilities.thinkingBudget);
+        const reasoning = SettingsManager.getModelSettings(settings, profile?.id, model).reasoning || {};
+        const select = this.elements.reasoningSelect;
+        const budget = this.elements.reasoningBudget;
+
+        select.classList.toggle('hidden', !thinking);
+        select.querySelector('option[value="budget"]').hidden = !takesBudget;
+        select.value = reasoning.budget !== undefined && takesBudget ? 'budget' : reasoning.effort || '';
+        budget.value = reasoning.budget ?? '';
+        budget.classList.toggle('hidden', !thinking || select.value !== 'budget');
+    }
+
+    /**
+     * Store the reasoning setting chosen in the input bar for the selected model
+     */
+    async saveReasoning() {
+        const settings = this.chatManager.settings;
+        const profileId = SettingsManager.getProfile(settings).id;
+        const choice = this.elements.reasoningSelect.value;
+
+        let reasoning = null;
+        if (choice === 'budget') {
+            const budget = this.readNumberInput(this.elements.reasoningBudget);
+            reasoning = budget === null ? null : { budget: Math.max(0, Math.round(budget)) };
+        } else if (choice) {
+            reasoning = { effort: choice };
         }
+
+        const updated = SettingsManager.updateModelSettings(settings, profileId, settings.currentModel, { reasoning });
+        await this.chatManager.updateSettings(updated);
+        this.updateReasoningControl(updated);
     }
 
     /**
-     * Render model list with drag-and-drop reordering
+     * Disable the controls the current model can't use
      */
-    renderModelList(backend, models) {
-        const container = this.elements[`${backend}Models`];
-        container.innerHTML = '';
+    updateCapabilityControls(settings) {
+        const profileId = SettingsManager.getProfile(settings)?.id;
+        const model = settings.currentModel;
+        const capabilities = SettingsManager.getModelCapabilities(settings, profileId, model);
+
+        this.elements.addImageButton.disabled = !capabilities.vision;
+        this.elements.addImageButton.title = capabilities.vision ? 'Add image' : `${model} doesn't accept images`;
+
+        this.elements.schemaButton.disabled = !capabilities.jsonMode;
+        this.elements.schemaButton.title = capabilities.jsonMode
+            ? 'Structured output (JSON)'
+            : `${model} doesn't support structured output`;
+        this.elements.schemaButton.classList.toggle('active', capabilities.jsonMode && Boolean(SettingsManager.getResponseSchema(settings)));
+
+        const toggles = [
+            [this.elements.enableSearch, this.elements.enableSearchNote, capabilities.search],
+            [this.elements.enableTools, this.elements.enableToolsNote, capabilities.tools],
+            [this.elements.enableCodeExecution, this.elements.enableCodeExecutionNote, capabilities.codeExecution],
+            [this.elements.enableUrlContext, this.elements.enableUrlContextNote, capabilities.urlContext],
+            [this.elements.enableImageGeneration, this.elements.enableImageGenerationNote, capabilities.imageGeneration],
+            [this.elements.includeThinking, this.elements.includeThinkingNote, capabilities.thinking]
+        ];
+        for (const [checkbox, note, supported] of toggles) {
+            checkbox.disabled = !supported;
+            note.textContent = supported ? '' : `Not available for ${model}`;
+        }
+    }
 
-        models.forEach((model, index) => {
-            const item = document.createElement('div');
-            item.className = 'model-item';
-            item.draggable = true;
-            item.dataset.index = index;
-            item.dataset.backend = backend;
-            item.innerHTML = `
-                <span class="model-item-drag">⋮⋮</span>
-                <span class="model-item-name">${model}</span>
-                <button class="delete-btn" title="Remove">×</button>
-            `;
+    /**
+     * Fill a select with every offered model, grouped by profile
+     * Option values are model keys (`${profileId}:${model}`).
+     */
+    renderModelOptions(select, settings) {
+        const profiles = SettingsManager.getProfiles(settings)
+            .filter(profile => SettingsManager.isProfileInUse(settings, profile));
+
+        select.innerHTML = '';
+        for (const profile of profiles) {
+            // A single profile needs no group heading
+            let parent = select;
+            if (profiles.length > 1) {
+                parent = document.createElement('optgroup');
+                parent.label = profile.name;
+                select.appendChild(parent);
+            }
 
-            // Drag events
-            item.addEventListener('dragstart', (e) => {
-                e.dataTransfer.effectAllowed = 'move';
-                e.dataTransfer.setData('text/plain', index.toString());
-                item.classList.add('dragging');
-            });
+            for (const model of profile.models) {
+                const option = document.createElement('option');
+                option.value = SettingsManager.getModelKey(profile.id, model);
+                option.textContent = model;
+                parent.appendChild(option);
+            }
+        }
+    }
 
-            item.addEventListener('dragend', () => {
-                item.classList.remove('dragging');
-            });
+    /**
+     * Show the per-model settings editor for the current model
+     * Edits are kept in a draft until the settings are saved.
+     */
+    renderModelSettings(settings) {
+        this.modelSettingsDraft = { modelSettings: JSON.parse(JSON.stringify(settings.modelSettings || {})) };
+        this.modelSettingsProfiles = SettingsManager.getProfiles(settings);
+
+        const activeId = SettingsManager.getProfile(settings)?.id;
+        this.renderModelOptions(this.elements.modelSettingsModel, settings);
+        this.renderModelOptions(this.elements.fallbackAddModel, settings);
+        this.elements.modelSettingsModel.value = SettingsManager.getModelKey(activeId, settings.currentModel);
+        this.renderSelectedModelSettings();
+    }
 
-            item.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                e.dataTransfer.dropEffect = 'move';
-                const dragging = container.querySelector('.dragging');
-                if (dragging && dragging !== item) {
-                    const rect = item.getBoundingClientRect();
-                    const midY = rect.top + rect.height / 2;
-                    if (e.clientY < midY) {
-                        container.insertBefore(dragging, item);
-                    } else {
-                        container.insertBefore(dragging, item.nextSibling);
-                    }
-                }
-            });
+    /**
+     * Render the editors for the model chosen in the per-model settings
+     */
+    renderSelectedModelSettings() {
+        this.renderCapabilityEditor();
+        this.renderPricingEditor();
+        this.renderContextStrategy();
+        this.renderFallbackList();
+    }
 
-            item.addEventListener('drop', (e) => {
-                e.preventDefault();
-                // Reorder based on current DOM order
-                const newOrder = Array.from(container.children).map(
-                    child => models[parseInt(child.dataset.index)]
-                );
-                const settings = { ...this.chatManager.settings };
-                settings[backend].models = newOrder;
-                this.renderModelList(backend, newOrder);
-            });
+    /**
+     * Offer the context strategies in the model settings
+     */
+    renderContextStrategyOptions() {
+        for (const strategy of CONTEXT_STRATEGIES) {
+            const option = document.createElement('option');
+            option.value = strategy.id;
+            option.textContent = strategy.label;
+            this.elements.contextStrategy.appendChild(option);
+        }
+    }
 
-            item.querySelector('.delete-btn').addEventListener('click', () => {
-                this.removeModel(backend, model);
-            });
+    /**
+     * Show the context strategy of the model chosen in the editor
+     */
+    renderContextStrategy() {
+        const { profileId, model } = this.getEditedModel();
+        this.elements.contextStrategy.value = SettingsManager.getContextStrategy(this.modelSettingsDraft, profileId, model);
+    }
 
-            container.appendChild(item);
+    /**
+     * Set the context strategy of the model chosen in the editor
+     * The default isn't stored, so it can change for untouched models.
+     */
+    setModelContextStrategy(strategy) {
+        const { profileId, model } = this.getEditedModel();
+        this.modelSettingsDraft = SettingsManager.updateModelSettings(this.modelSettingsDraft, profileId, model, {
+            contextStrategy: strategy === DEFAULT_CONTEXT_STRATEGY ? null : strategy
         });
     }
 
     /**
-     * Add model to list
+     * Show how much of the context window the next request would fill
+     * 100% is where the context strategy starts leaving things out.
      */
-    addModel(backend, inputElement) {
-        const modelName = inputElement.value.trim();
-        if (!modelName) return;
+    updateContextMeter() {
+        const meter = this.elements.contextMeter;
+        if (!this.chatManager.currentBackend || this.chatManager.messages.length === 0) {
+            meter.classList.add('hidden');
+            return;
+        }
 
-        const settings = { ...this.chatManager.settings };
-        if (!settings[backend].models.includes(modelName)) {
-            settings[backend].models.push(modelName);
-            this.renderModelList(backend, settings[backend].models);
+        const { tokens, contextWindow, budget, strategy } = this.chatManager.getContextUsage();
+        const label = meter.querySelector('.context-meter-label');
+        const fill = meter.querySelector('.context-meter-fill');
+        const strategyLabel = CONTEXT_STRATEGIES.find(s => s.id === strategy)?.label;
+
+        meter.classList.remove('hidden');
+        if (!budget) {
+            label.textContent = `≈${formatTokenCount(tokens)}`;
+            fill.style.width = '0';
+            meter.className = 'context-meter';
+            meter.title = `About ${tokens.toLocaleString()} tokens of context. Set the context window under Model Settings to keep it in check.`;
+            return;
         }
 
-        inputElement.value = '';
+        const percent = Math.round((tokens / budget) * 100);
+        label.textContent = `${percent}%`;
+        fill.style.width = `${Math.min(percent, 100)}%`;
+        meter.className = `context-meter${percent > 100 ? ' over' : percent >= 80 ? ' warning' : ''}`;
+        meter.title = [
+            `About ${tokens.toLocaleString()} of ${budget.toLocaleString()} tokens`
+                + ` (${formatTokenCount(contextWindow)} context window, less room for the reply)`,
+            `When full: ${strategyLabel}`
+        ].join('\n');
     }
 
     /**
-     * Remove model from list
+     * Create the price inputs from PRICING_FIELDS
      */
-    removeModel(backend, modelName) {
-        const settings = { ...this.chatManager.settings };
-        settings[backend].models = settings[backend].models.filter(m => m !== modelName);
-        this.renderModelList(backend, settings[backend].models);
+    renderPricingFields() {
+        for (const field of PRICING_FIELDS) {
+            const item = document.createElement('label');
+            item.className = 'generation-field';
+            item.innerHTML = `<span>${escapeHtml(field.label)}</span>`;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `pricing-${field.key}`;
+            input.className = 'setting-input';
+            input.min = field.min;
+            input.step = field.step;
+            input.addEventListener('change', () => this.setModelPricing());
+            item.appendChild(input);
+
+            this.elements.pricingFields.appendChild(item);
+        }
     }
 
     /**
-     * Open settings modal
+     * Show the prices of the model chosen in the editor
      */
-    openSettings() {
-        this.updateUIFromSettings(this.chatManager.settings);
-        this.elements.settingsError.classList.add('hidden');
-        this.elements.settingsModal.classList.remove('hidden');
+    renderPricingEditor() {
+        const { profileId, model } = this.getEditedModel();
+        const pricing = SettingsManager.getModelSettings(this.modelSettingsDraft, profileId, model).pricing || {};
+        for (const field of PRICING_FIELDS) {
+            document.getElementById(`pricing-${field.key}`).value = pricing[field.key] ?? '';
+        }
     }
 
     /**
-     * Close settings modal
+     * Store the prices entered for the model chosen in the editor
      */
-    closeSettings() {
-        this.elements.settingsModal.classList.add('hidden');
-        // Restore theme to saved value when canceling
-        this.applyTheme(this.chatManager.settings.theme || 'auto');
+    setModelPricing() {
+        const { profileId, model } = this.getEditedModel();
+        const pricing = {};
+        for (const field of PRICING_FIELDS) {
+            const value = this.readNumberInput(document.getElementById(`pricing-${field.key}`));
+            if (value !== null) pricing[field.key] = value;
+        }
+        this.modelSettingsDraft = SettingsManager.updateModelSettings(this.modelSettingsDraft, profileId, model, { pricing });
     }
 
     /**
-     * Reset settings to defaults
+     * List the stored monthly usage totals, newest first
      */
-    async resetSettings() {
-        if (!confirm('Reset all settings to default values?')) return;
+    async renderUsageHistory() {
+        const totals = await UsageStore.load();
+        const months = Object.keys(totals).sort().reverse();
+        const list = this.elements.usageHistory;
+
+        list.innerHTML = '';
+        if (months.length === 0) {
+            list.innerHTML = '<small class="setting-hint">No usage recorded yet</small>';
+        }
+        for (const month of months) {
+            const item = document.createElement('div');
+            item.className = 'usage-history-item';
+            item.innerHTML = '<span class="usage-history-month"></span><span class="usage-history-total"></span>';
+            item.querySelector('.usage-history-month').textContent = month;
+            item.querySelector('.usage-history-total').textContent = this.formatUsageTotals(totals[month]);
+            list.appendChild(item);
+        }
+        this.elements.clearUsageButton.disabled = months.length === 0;
+    }
 
-        const defaults = SettingsManager.getDefaults();
-        await this.chatManager.updateSettings(defaults);
-        this.updateUIFromSettings(defaults);
-        this.closeSettings();
+    /**
+     * List the sites where tools run without asking, each with a remove button
+     */
+    renderApprovedSites() {
+        const list = this.elements.approvedSites;
+        list.innerHTML = '';
+        if (this.approvedSitesDraft.length === 0) {
+            list.innerHTML = '<small class="setting-hint">Tools ask before every call. Sites you always allow are listed here.</small>';
+        }
+        for (const site of this.approvedSitesDraft) {
+            const item = document.createElement('div');
+            item.className = 'model-item';
+            item.innerHTML = '<span class="model-item-name"></span><button class="delete-btn" title="Remove">×</button>';
+            item.querySelector('.model-item-name').textContent = site;
+            item.querySelector('.delete-btn').addEventListener('click', () => {
+                this.approvedSitesDraft = this.approvedSitesDraft.filter(entry => entry !== site);
+                this.renderApprovedSites();
+            });
+            list.appendChild(item);
+        }
     }
 
     /**
-     * Save settings
+     * List the MCP servers with their connection status, a checkbox per tool
+     * and what else they offer
+     * Servers are connected as they are listed; tools are registered on save.
      */
-    async saveSettings() {
-        const backendType = document.querySelector('input[name="backend-type"]:checked').value;
+    renderMcpServers() {
+        const list = this.elements.mcpServerList;
+        list.innerHTML = '';
 
-        // Collect model lists from DOM (only get model names, not drag handles)
-        const geminiModels = Array.from(this.elements.geminiModels.querySelectorAll('.model-item-name'))
-            .map(span => span.textContent);
-        const openaiModels = Array.from(this.elements.openaiModels.querySelectorAll('.model-item-name'))
-            .map(span => span.textContent);
+        for (const server of this.mcpServersDraft) {
+            const status = McpServers.getStatus(server.id);
+            const item = document.createElement('div');
+            item.className = 'mcp-server';
+            item.innerHTML = `
+                <div class="mcp-server-header">
+                    <label class="checkbox-label" title="Offer this server's tools">
+                        <input type="checkbox" class="mcp-server-enabled">
+                        <span class="mcp-server-name"></span>
+                    </label>
+                    <button class="button button-secondary mcp-server-reconnect">Reconnect</button>
+                    <button class="delete-btn" title="Remove">×</button>
+                </div>
+                <small class="mcp-server-url"></small>
+                <small class="mcp-server-status"></small>
+                <div class="mcp-tool-list"></div>
+            `;
+            item.querySelector('.mcp-server-name').textContent = server.name;
+            item.querySelector('.mcp-server-url').textContent = server.url;
+
+            const enabled = item.querySelector('.mcp-server-enabled');
+            enabled.checked = server.enabled !== false;
+            enabled.addEventListener('change', () => {
+                server.enabled = enabled.checked;
+                this.renderMcpServers();
+            });
+            item.querySelector('.mcp-server-reconnect').addEventListener('click', () => this.connectMcpServer(server, true));
+            item.querySelector('.delete-btn').addEventListener('click', () => {
+                this.mcpServersDraft = this.mcpServersDraft.filter(entry => entry !== server);
+                this.renderMcpServers();
+            });
 
-        const theme = document.querySelector('input[name="theme"]:checked')?.value || 'auto';
+            const statusText = item.querySelector('.mcp-server-status');
+            if (!status) {
+                statusText.textContent = server.enabled === false ? 'Off' : 'Connecting...';
+                if (server.enabled !== false) this.connectMcpServer(server);
+            } else if (status.error) {
+                statusText.textContent = `⚠ ${status.error}`;
+                statusText.classList.add('error');
+            } else {
+                const name = status.serverInfo?.name || server.name;
+                statusText.textContent = `Connected to ${name} · ${status.tools.length} tools · `
+                    + `${status.resources.length} resources · ${status.prompts.length} prompts`;
+                this.renderMcpServerDetails(item, server, status);
+            }
+            list.appendChild(item);
+        }
 
-        const newSettings = {
-            backendType,
-            theme,
-            gemini: {
-                apiUrl: this.elements.geminiApiUrl.value.trim(),
-                apiKey: this.elements.geminiApiKey.value,
-                models: geminiModels.length > 0 ? geminiModels : this.chatManager.settings.gemini.models
-            },
-            openai: {
-                apiUrl: this.elements.openaiApiUrl.value.trim(),
-                apiKey: this.elements.openaiApiKey.value,
-                models: openaiModels.length > 0 ? openaiModels : this.chatManager.settings.openai.models
-            },
-            currentModel: this.chatManager.settings.currentModel,
-            systemPrompt: this.elements.systemPrompt.value,
-            enableSearch: this.elements.enableSearch.checked,
-            includeThinking: this.elements.includeThinking.checked,
-            autoIncludePage: this.elements.autoIncludePage.checked
-        };
+        if (this.mcpServersDraft.length === 0) {
+            list.innerHTML = '<small class="setting-hint">No servers added</small>';
+        }
+    }
+
+    /**
+     * Add a checkbox per tool and lists of the resources and prompts of a server
+     */
+    renderMcpServerDetails(item, server, status) {
+        const toolList = item.querySelector('.mcp-tool-list');
+        for (const tool of status.tools) {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            label.innerHTML = '<input type="checkbox"><span class="mcp-tool-name"></span>';
+            label.title = tool.description || '';
+            label.querySelector('.mcp-tool-name').textContent = tool.name;
+            const checkbox = label.querySelector('input');
+            checkbox.checked = !(server.disabledTools || []).includes(tool.name);
+            checkbox.addEventListener('change', () => {
+                const disabled = (server.disabledTools || []).filter(name => name !== tool.name);
+                server.disabledTools = checkbox.checked ? disabled : [...disabled, tool.name];
+            });
+            toolList.appendChild(label);
+        }
 
-        // Ensure current model is valid for current backend
-        const currentModels = newSettings[backendType].models;
-        if (!currentModels.includes(newSettings.currentModel)) {
-            newSettings.currentModel = currentModels[0] || '';
+        const extras = [
+            ['Resources', status.resources.map(resource => ({ name: resource.name || resource.uri, title: resource.uri }))],
+            ['Prompts', status.prompts.map(prompt => ({ name: prompt.name, title: prompt.description || '' }))]
+        ];
+        for (const [label, entries] of extras) {
+            if (entries.length === 0) continue;
+            const details = document.createElement('details');
+            details.className = 'mcp-server-extras';
+            details.innerHTML = `<summary>${label}</summary><ul></ul>`;
+            for (const entry of entries) {
+                const li = document.createElement('li');
+                li.textContent = entry.name;
+                li.title = entry.title;
+                details.querySelector('ul').appendChild(li);
+            }
+            item.appendChild(details);
         }
+    }
 
-        // Validate
-        const validation = SettingsManager.validate(newSettings);
-        if (!validation.valid) {
-            this.elements.settingsError.textContent = validation.errors.join('\n');
-            this.elements.settingsError.classList.remove('hidden');
+    /**
+     * Connect to a listed server and show the result
+     */
+    async connectMcpServer(server, refresh = false) {
+        const ready = McpServers.connect(server, refresh);
+        if (refresh) this.renderMcpServers();
+        await ready;
+        this.renderMcpServers();
+    }
+
+    /**
+     * Add an MCP server from the form to the list (applied on save)
+     */
+    addMcpServer() {
+        const url = this.elements.mcpServerUrl.value.trim();
+        const urlValidation = SettingsManager.validateApiUrl(url);
+        if (!urlValidation.valid) {
+            this.showSettingsError(`MCP server URL: ${urlValidation.error}`);
             return;
         }
 
+        let headers;
         try {
-            await this.chatManager.updateSettings(newSettings);
-            this.updateModelSelect(newSettings);
-            this.applyTheme(theme);
-            this.closeSettings();
+            headers = SettingsManager.parseHeaders(this.elements.mcpServerHeaders.value);
         } catch (error) {
-            this.elements.settingsError.textContent = error.message;
-            this.elements.settingsError.classList.remove('hidden');
+            this.showSettingsError(`MCP server headers: ${error.message}`);
+            return;
         }
+
+        this.elements.settingsError.classList.add('hidden');
+        this.mcpServersDraft.push({
+            id: `mcp-${generateId()}`,
+            name: this.elements.mcpServerName.value.trim() || new URL(url).host,
+            url,
+            headers,
+            enabled: true,
+            disabledTools: []
+        });
+        this.elements.mcpServerName.value = '';
+        this.elements.mcpServerUrl.value = '';
+        this.elements.mcpServerHeaders.value = '';
+        this.renderMcpServers();
     }
 
     /**
-     * Send message
+     * Summarize usage totals, e.g. "12K tokens · 8 replies · $0.04"
      */
-    async sendMessage() {
-        const text = this.elements.messageInput.value.trim();
-        if (!text || this.chatManager.isStreaming) return;
+    formatUsageTotals(totals) {
+        const parts = [
+            `${formatTokenCount(totals.inputTokens + totals.outputTokens)} tokens`,
+            `${totals.responses} ${totals.responses === 1 ? 'reply' : 'replies'}`
+        ];
+        if (totals.cost !== null) parts.push(formatCost(totals.cost));
+        return parts.join(' · ');
+    }
 
-        // Clear input
-        this.elements.messageInput.value = '';
-        autoResizeTextarea(this.elements.messageInput);
+    /**
+     * Show the token usage of the conversation and of this month
+     */
+    async updateUsageSummary() {
+        const conversation = this.chatManager.getConversationUsage();
+        const month = (await UsageStore.load())[getMonthKey()];
+        const summary = this.elements.usageSummary;
 
-        // Switch to stop button
-        this.showStopButton();
+        const parts = [];
+        if (conversation.responses > 0) parts.push(`This chat: ${this.formatUsageTotals(conversation)}`);
+        if (month) parts.push(`This month: ${this.formatUsageTotals(month)}`);
 
-        // Remove welcome message
-        const welcome = this.elements.chatMessages.querySelector('.welcome-message');
-        if (welcome) welcome.remove();
+        summary.textContent = parts.join('  |  ');
+        summary.classList.toggle('hidden', parts.length === 0);
+    }
 
-        // Add user message
-        this.addMessageToUI('user', text);
+    /**
+     * Model and backend chosen in the per-model settings editor
+     */
+    getEditedModel() {
+        const { profileId, model } = SettingsManager.parseModelKey(this.elements.modelSettingsModel.value);
+        const profile = this.modelSettingsProfiles.find(p => p.id === profileId);
+        return { profileId, model, BackendClass: BackendRegistry.get(profile?.type) };
+    }
 
-        // Get page content if enabled
-        let pageContent = null;
-        if (this.elements.includePage.checked) {
-            pageContent = await extractPageContent();
+    /**
+     * Show the resolved capabilities of the model chosen in the editor
+     * Features its backend doesn't implement can't be switched on.
+     */
+    renderCapabilityEditor() {
+        const { profileId, model, BackendClass } = this.getEditedModel();
+        const overrides = SettingsManager.getModelSettings(this.modelSettingsDraft, profileId, model).capabilities;
+        const capabilities = resolveCapabilities(BackendClass, model, overrides);
+
+        this.elements.capabilityList.innerHTML = '';
+        for (const { key, label, backend } of MODEL_CAPABILITIES) {
+            const supported = !backend || BackendClass?.capabilities[backend];
+            const item = document.createElement('label');
+            item.className = 'checkbox-label';
+            item.innerHTML = '<input type="checkbox"><span></span>';
+            item.querySelector('span').textContent = label;
+            if (!supported) item.title = `Not supported by ${BackendClass?.displayName || 'this backend'}`;
+
+            const checkbox = item.querySelector('input');
+            checkbox.checked = capabilities[key];
+            checkbox.disabled = !supported;
+            checkbox.addEventListener('change', () => this.setModelCapability(key, checkbox.checked));
+            this.elements.capabilityList.appendChild(item);
         }
 
-        // Collect images to send
-        const images = [...this.pendingImages];
-        this.pendingImages = [];
-        this.renderImagePreviews();
-
-        // Create assistant message container
-        const assistantContainer = this.createAssistantMessageContainer();
+        this.elements.capabilityContextWindow.value = capabilities.contextWindow ?? '';
+    }
 
-        try {
-            let thinkingContent = '';
-            let responseContent = '';
-            let hasThinking = false;
+    /**
+     * Set a capability of the model chosen in the editor
+     * Only values that differ from the detected ones are stored.
+     */
+    setModelCapability(key, value) {
+        const { profileId, model, BackendClass } = this.getEditedModel();
+        const overrides = { ...SettingsManager.getModelSettings(this.modelSettingsDraft, profileId, model).capabilities };
+        delete overrides[key];
+        if (value !== null && value !== resolveCapabilities(BackendClass, model, overrides)[key]) {
+            overrides[key] = value;
+        }
 
-            for await (const chunk of this.chatManager.sendMessage(text, { pageContent, images })) {
-                if (chunk.thought && chunk.text) {
-                    hasThinking = true;
-                    thinkingContent += chunk.text;
-                    this.updateThinkingSection(assistantContainer, thinkingContent);
-                } else if (chunk.text) {
-                    responseContent += chunk.text;
-                    this.updateResponseContent(assistantContainer, responseContent);
-                }
+        this.modelSettingsDraft = SettingsManager.updateModelSettings(this.modelSettingsDraft, profileId, model, { capabilities: overrides });
+        this.renderCapabilityEditor();
+    }
 
-                if (chunk.searchResults) {
-                    this.addSearchResults(assistantContainer, chunk.searchResults);
+    /**
+     * Remember what model discovery reported about newly added models
+     * Capabilities already stored for a model are kept.
+     */
+    storeDiscoveredCapabilities(profileId, models) {
+        for (const { id, contextLength, capabilities } of models) {
+            const discovered = { ...capabilities };
+            if (contextLength) discovered.contextWindow = contextLength;
+            if (Object.keys(discovered).length === 0) continue;
+
+            const stored = SettingsManager.getModelSettings(this.modelSettingsDraft, profileId, id).capabilities;
+            this.modelSettingsDraft = SettingsManager.updateModelSettings(this.modelSettingsDraft, profileId, id, {
+                capabilities: { ...discovered, ...stored }
+            });
+        }
+    }
+
+    /**
+     * Render the fallback chain of the model chosen in the editor
+     */
+    renderFallbackList() {
+        const list = this.elements.fallbackList;
+        const { profileId, model } = SettingsManager.parseModelKey(this.elements.modelSettingsModel.value);
+        const fallbacks = SettingsManager.getModelSettings(this.modelSettingsDraft, profileId, model).fallbacks || [];
+
+        list.innerHTML = '';
+        fallbacks.forEach((key, index) => {
+            const ref = SettingsManager.parseModelKey(key);
+            const profile = this.modelSettingsProfiles.find(p => p.id === ref.profileId);
+
+            const item = document.createElement('div');
+            item.className = 'model-item';
+            item.innerHTML = `
+                <span class="model-item-name"></span>
+                <button class="move-up-btn" title="Try earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="delete-btn" title="Remove">×</button>
+            `;
+            item.querySelector('.model-item-name').textContent = profile ? `${ref.model} · ${profile.name}` : `${ref.model} (removed)`;
+            item.querySelector('.move-up-btn').addEventListener('click', () => {
+                const reordered = [...fallbacks];
+                [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+                this.setFallbacks(reordered);
+            });
+            item.querySelector('.delete-btn').addEventListener('click', () => {
+                this.setFallbacks(fallbacks.filter(k => k !== key));
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Append the model picked in the editor to the fallback chain
+     */
+    addFallback() {
+        const primary = this.elements.modelSettingsModel.value;
+        const key = this.elements.fallbackAddModel.value;
+        const { profileId, model } = SettingsManager.parseModelKey(primary);
+        const fallbacks = SettingsManager.getModelSettings(this.modelSettingsDraft, profileId, model).fallbacks || [];
+
+        if (!key || key === primary || fallbacks.includes(key)) return;
+        this.setFallbacks([...fallbacks, key]);
+    }
+
+    /**
+     * Replace the fallback chain of the model chosen in the editor
+     */
+    setFallbacks(fallbacks) {
+        const { profileId, model } = SettingsManager.parseModelKey(this.elements.modelSettingsModel.value);
+        this.modelSettingsDraft = SettingsManager.updateModelSettings(this.modelSettingsDraft, profileId, model, { fallbacks });
+        this.renderFallbackList();
+    }
+
+    /**
+     * Fill the backend choices for new profiles from the registry
+     */
+    renderProfileTypeOptions() {
+        for (const BackendClass of BackendRegistry.getAll()) {
+            const option = document.createElement('option');
+            option.value = BackendClass.id;
+            option.textContent = BackendClass.displayName;
+            this.elements.newProfileType.appendChild(option);
+        }
+    }
+
+    /**
+     * Generate profile options and per-profile settings from the registry
+     */
+    renderBackendSettings(settings) {
+        this.elements.backendTypeOptions.innerHTML = '';
+        this.elements.backendSettingsContainer.innerHTML = '';
+
+        for (const profile of SettingsManager.getProfiles(settings)) {
+            this.addProfileSection(profile);
+        }
+    }
+
+    /**
+     * Add the option and settings section of one provider profile
+     * Element ids follow `${profileId}-${field}` (e.g. gemini-api-url).
+     */
+    addProfileSection(profile) {
+        const BackendClass = BackendRegistry.get(profile.type);
+        // Profiles of backends that are no longer registered are kept but not editable
+        if (!BackendClass) return;
+
+        const id = profile.id;
+
+        const option = document.createElement('label');
+        option.className = 'radio-label';
+        option.innerHTML = `
+            <input type="radio" name="backend-type" value="${id}">
+            <span class="profile-name"></span>
+        `;
+        option.querySelector('.profile-name').textContent = profile.name;
+        option.querySelector('input').addEventListener('change', (e) => this.switchBackendUI(e.target.value));
+        this.elements.backendTypeOptions.appendChild(option);
+
+        const section = document.createElement('div');
+        section.id = `${id}-settings`;
+        section.className = 'backend-settings hidden';
+        section.dataset.profile = id;
+        section.dataset.type = profile.type;
+
+        if (!profile.builtIn) {
+            section.appendChild(this.createProfileHeader(profile, option));
+        }
+
+        for (const field of BackendRegistry.getSettingsSchema(BackendClass)) {
+            section.appendChild(this.createSettingField(id, field, profile[field.key]));
+        }
+
+        section.appendChild(this.createModelSettings(id, BackendClass));
+        this.elements.backendSettingsContainer.appendChild(section);
+        this.renderModelList(id, profile.models);
+    }
+
+    /**
+     * Create the name field and delete button of a named profile
+     */
+    createProfileHeader(profile, option) {
+        const BackendClass = BackendRegistry.get(profile.type);
+        const inputId = this.getFieldId(profile.id, 'name');
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        group.innerHTML = `
+            <label class="setting-label" for="${inputId}">Profile Name (${escapeHtml(BackendClass.displayName)})</label>
+            <div class="add-model">
+                <input type="text" id="${inputId}" class="setting-input">
+                <button class="button button-secondary">Delete</button>
+            </div>
+        `;
+
+        const input = group.querySelector('input');
+        input.value = profile.name;
+        input.addEventListener('input', () => {
+            option.querySelector('.profile-name').textContent = input.value;
+        });
+        group.querySelector('button').addEventListener('click', () => this.deleteProfile(profile.id));
+
+        return group;
+    }
+
+    /**
+     * Add a named profile of the selected backend type to the form
+     */
+    addProfile() {
+        const type = this.elements.newProfileType.value;
+        const BackendClass = BackendRegistry.get(type);
+        const count = this.elements.backendSettingsContainer
+            .querySelectorAll(`.backend-settings[data-type="${type}"]`).length;
+        const profile = SettingsManager.createProfile(type, `${BackendClass.displayName} ${count + 1}`);
+
+        this.addProfileSection(profile);
+        document.querySelector(`input[name="backend-type"][value="${profile.id}"]`).checked = true;
+        this.switchBackendUI(profile.id);
+        this.getFieldInput(profile.id, 'name').select();
+    }
+
+    /**
+     * Remove a named profile from the form (applied on save)
+     */
+    deleteProfile(profileId) {
+        const section = document.getElementById(`${profileId}-settings`);
+        const radio = document.querySelector(`input[name="backend-type"][value="${profileId}"]`);
+
+        if (radio.checked) {
+            const builtIn = document.querySelector(`input[name="backend-type"][value="${section.dataset.type}"]`);
+            builtIn.checked = true;
+            this.switchBackendUI(builtIn.value);
+        }
+
+        radio.closest('.radio-label').remove();
+        section.remove();
+    }
+
+    /**
+     * Create the input for one settings schema field
+     */
+    createSettingField(profileId, field, value) {
+        const inputId = this.getFieldId(profileId, field.key);
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+
+        const placeholder = escapeHtml(field.placeholder ?? (field.default != null ? String(field.default) : ''));
+        let control;
+        if (field.type === 'headers') {
+            control = `<textarea id="${inputId}" class="setting-textarea" rows="2" placeholder="${placeholder}"></textarea>`;
+        } else {
+            const type = field.type === 'url' ? 'text' : field.type;
+            const attributes = ['min', 'max', 'step']
+                .filter(name => field[name] !== undefined)
+                .map(name => `${name}="${field[name]}"`)
+                .join(' ');
+            control = `<input type="${type}" id="${inputId}" class="setting-input" ${attributes} placeholder="${placeholder}">`;
+        }
+
+        group.innerHTML = `
+            <label class="setting-label" for="${inputId}">${escapeHtml(field.label)}</label>
+            ${control}
+            ${field.hint ? `<small class="setting-hint">${escapeHtml(field.hint)}</small>` : ''}
+        `;
+
+        group.querySelector(`#${inputId}`).value = field.type === 'headers'
+            ? SettingsManager.formatHeaders(value)
+            : value ?? '';
+
+        return group;
+    }
+
+    /**
+     * Create the model list editor for a profile
+     * Backends that can list or download models get extra buttons.
+     */
+    createModelSettings(id, BackendClass) {
+        const { listModels, pullModel } = BackendClass.capabilities;
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        group.innerHTML = `
+            <label class="setting-label">Models</label>
+            <div id="${id}-models" class="model-list"></div>
+            <div class="add-model">
+                <input type="text" id="${id}-new-model" class="setting-input"
+                    placeholder="${pullModel ? 'Add or pull model name' : 'Add model name'}">
+                <button id="${id}-add-model" class="add-button">+</button>
+                ${pullModel ? `<button id="${id}-pull-model" class="add-button" title="Download model">⤓</button>` : ''}
+            </div>
+            ${listModels ? `<button id="${id}-fetch-models" class="button button-secondary setting-inline-button">Fetch models</button>` : ''}
+            ${listModels || pullModel ? `<small id="${id}-model-status" class="setting-hint"></small>` : ''}
+            ${listModels ? `<div id="${id}-model-picker" class="model-picker hidden"></div>` : ''}
+        `;
+
+        const input = group.querySelector(`#${id}-new-model`);
+        group.querySelector(`#${id}-add-model`).addEventListener('click', () => this.addModel(id, input));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addModel(id, input);
+        });
+        group.querySelector(`#${id}-fetch-models`)?.addEventListener('click', () => this.fetchModels(id));
+        group.querySelector(`#${id}-pull-model`)?.addEventListener('click', () => this.pullModel(id));
+
+        return group;
+    }
+
+    /**
+     * Element id of a profile settings field
+     */
+    getFieldId(profileId, key) {
+        return `${profileId}-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    }
+
+    /**
+     * Input element of a profile settings field
+     */
+    getFieldInput(profileId, key) {
+        return document.getElementById(this.getFieldId(profileId, key));
+    }
+
+    /**
+     * Read a profile's settings fields from the form
+     * Throws if the extra headers can't be parsed.
+     */
+    readProfileForm(profileId, BackendClass) {
+        const values = {};
+        for (const field of BackendRegistry.getSettingsSchema(BackendClass)) {
+            const input = this.getFieldInput(profileId, field.key);
+            if (field.type === 'number') {
+                values[field.key] = this.readNumberInput(input);
+            } else if (field.type === 'url') {
+                values[field.key] = input.value.trim().replace(/\/+$/, '');
+            } else if (field.type === 'password') {
+                values[field.key] = input.value;
+            } else if (field.type === 'headers') {
+                values[field.key] = SettingsManager.parseHeaders(input.value);
+            } else {
+                values[field.key] = input.value.trim();
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Model names currently listed in a profile's settings
+     */
+    getFormModels(profileId) {
+        return Array.from(document.querySelectorAll(`#${profileId}-models .model-item-name`))
+            .map(span => span.textContent);
+    }
+
+    /**
+     * Show the settings section of one profile
+     */
+    switchBackendUI(profileId) {
+        for (const section of this.elements.backendSettingsContainer.querySelectorAll('.backend-settings')) {
+            section.classList.toggle('hidden', section.dataset.profile !== profileId);
+        }
+    }
+
+    /**
+     * Render model list with drag-and-drop reordering
+     */
+    renderModelList(profileId, models) {
+        const container = document.getElementById(`${profileId}-models`);
+        container.innerHTML = '';
+
+        models.forEach((model, index) => {
+            const item = document.createElement('div');
+            item.className = 'model-item';
+            item.draggable = true;
+            item.dataset.index = index;
+            item.dataset.backend = profileId;
+            item.innerHTML = `
+                <span class="model-item-drag">⋮⋮</span>
+                <span class="model-item-name">${model}</span>
+                <button class="delete-btn" title="Remove">×</button>
+            `;
+
+            // Drag events
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', index.toString());
+                item.classList.add('dragging');
+            });
+
+            item.addEventListener('dragend', () => {
+                item.classList.remove('dragging');
+            });
+
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                const dragging = container.querySelector('.dragging');
+                if (dragging && dragging !== item) {
+                    const rect = item.getBoundingClientRect();
+                    const midY = rect.top + rect.height / 2;
+                    if (e.clientY < midY) {
+                        container.insertBefore(dragging, item);
+                    } else {
+                        container.insertBefore(dragging, item.nextSibling);
+                    }
+                }
+            });
+
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                // Reorder based on current DOM order
+                const newOrder = Array.from(container.children).map(
+                    child => models[parseInt(child.dataset.index)]
+                );
+                this.renderModelList(profileId, newOrder);
+            });
+
+            item.querySelector('.delete-btn').addEventListener('click', () => {
+                this.removeModel(profileId, model);
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Add model to list
+     */
+    addModel(profileId, inputElement) {
+        const modelName = inputElement.value.trim();
+        if (!modelName) return;
+
+        const models = this.getFormModels(profileId);
+        if (!models.includes(modelName)) {
+            this.renderModelList(profileId, [...models, modelName]);
+        }
+
+        inputElement.value = '';
+    }
+
+    /**
+     * Remove model from list
+     */
+    removeModel(profileId, modelName) {
+        this.renderModelList(profileId, this.getFormModels(profileId).filter(m => m !== modelName));
+    }
+
+    /**
+     * Read an optional number field (empty means unset)
+     */
+    readNumberInput(input) {
+        const value = input.value.trim();
+        return value === '' ? null : Number(value);
+    }
+
+    /**
+     * Build a backend from the profile values currently in the form
+     */
+    getFormBackend(profileId) {
+        const type = document.getElementById(`${profileId}-settings`).dataset.type;
+        return BackendRegistry.create(type, this.readProfileForm(profileId, BackendRegistry.get(type)));
+    }
+
+    /**
+     * Fetch the models a profile's provider offers and show them as a checklist
+     */
+    async fetchModels(profileId) {
+        const status = document.getElementById(`${profileId}-model-status`);
+        const button = document.getElementById(`${profileId}-fetch-models`);
+        status.textContent = 'Fetching models...';
+        button.disabled = true;
+
+        try {
+            const models = await this.getFormBackend(profileId).listModels();
+            if (models.length === 0) {
+                status.textContent = 'The provider reported no models.';
+                return;
+            }
+            status.textContent = `Found ${models.length} model(s). Select the ones to add.`;
+            this.renderModelPicker(profileId, models);
+        } catch (error) {
+            status.textContent = `Failed to fetch models: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Render the checklist of fetched models
+     * Models already in the list are shown checked and can't be unchecked here.
+     */
+    renderModelPicker(profileId, models) {
+        const picker = document.getElementById(`${profileId}-model-picker`);
+        const listed = this.getFormModels(profileId);
+
+        picker.innerHTML = `
+            <input type="text" class="setting-input model-picker-filter" placeholder="Filter models">
+            <div class="model-picker-list"></div>
+            <div class="model-picker-actions">
+                <button class="button button-secondary model-picker-cancel">Cancel</button>
+                <button class="button button-primary model-picker-add">Add selected</button>
+            </div>
+        `;
+
+        const list = picker.querySelector('.model-picker-list');
+        for (const model of models) {
+            const item = document.createElement('label');
+            item.className = 'model-picker-item';
+            item.innerHTML = `
+                <input type="checkbox">
+                <span class="model-picker-name"></span>
+                ${model.contextLength ? `<span class="model-picker-context">${formatTokenCount(model.contextLength)} ctx</span>` : ''}
+            `;
+            item.querySelector('.model-picker-name').textContent = model.id;
+            const checkbox = item.querySelector('input');
+            checkbox.value = model.id;
+            checkbox.checked = listed.includes(model.id);
+            checkbox.disabled = checkbox.checked;
+            list.appendChild(item);
+        }
+
+        picker.querySelector('.model-picker-filter').addEventListener('input', (e) => {
+            const query = e.target.value.trim().toLowerCase();
+            for (const item of list.children) {
+                item.classList.toggle('hidden', !item.textContent.toLowerCase().includes(query));
+            }
+        });
+
+        picker.querySelector('.model-picker-cancel').addEventListener('click', () => this.closeModelPicker(profileId));
+        picker.querySelector('.model-picker-add').addEventListener('click', () => {
+            const selected = Array.from(list.querySelectorAll('input:checked:not(:disabled)')).map(input => input.value);
+            this.storeDiscoveredCapabilities(profileId, models.filter(model => selected.includes(model.id)));
+            this.renderCapabilityEditor();
+            this.renderModelList(profileId, [...this.getFormModels(profileId), ...selected]);
+            this.closeModelPicker(profileId);
+            document.getElementById(`${profileId}-model-status`).textContent = `Added ${selected.length} model(s).`;
+        });
+
+        picker.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the fetched models checklist
+     */
+    closeModelPicker(profileId) {
+        const picker = document.getElementById(`${profileId}-model-picker`);
+        picker.classList.add('hidden');
+        picker.innerHTML = '';
+    }
+
+    /**
+     * Download the model named in the input and show its progress
+     */
+    async pullModel(profileId) {
+        const input = document.getElementById(`${profileId}-new-model`);
+        const button = document.getElementById(`${profileId}-pull-model`);
+        const name = input.value.trim();
+        if (!name) return;
+
+        const status = document.getElementById(`${profileId}-model-status`);
+        button.disabled = true;
+
+        try {
+            for await (const progress of this.getFormBackend(profileId).pullModel(name)) {
+                status.textContent = progress.percent !== undefined
+                    ? `${name}: ${progress.status} (${progress.percent}%)`
+                    : `${name}: ${progress.status}`;
+            }
+            this.addModel(profileId, input);
+            status.textContent = `${name} is ready.`;
+        } catch (error) {
+            status.textContent = `Failed to pull ${name}: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Open settings modal
+     */
+    openSettings() {
+        this.updateUIFromSettings(this.chatManager.settings);
+        // Sites approved from a tool prompt while the modal is open are kept on save
+        this.approvedSitesOnOpen = [...(this.chatManager.settings.approvedSites || [])];
+        this.renderUsageHistory();
+        this.elements.settingsError.classList.add('hidden');
+        this.elements.settingsModal.classList.remove('hidden');
+    }
+
+    /**
+     * Close settings modal
+     */
+    closeSettings() {
+        this.elements.settingsModal.classList.add('hidden');
+        // Restore theme to saved value when canceling
+        this.applyTheme(this.chatManager.settings.theme || 'auto');
+    }
+
+    /**
+     * Reset settings to defaults
+     */
+    async resetSettings() {
+        if (!confirm('Reset all settings to default values?')) return;
+
+        const defaults = SettingsManager.getDefaults();
+        await this.chatManager.updateSettings(defaults);
+        this.updateUIFromSettings(defaults);
+        this.closeSettings();
+    }
+
+    /**
+     * Show an error in the settings modal
+     */
+    showSettingsError(message) {
+        this.elements.settingsError.textContent = message;
+        this.elements.settingsError.classList.remove('hidden');
+    }
+
+    /**
+     * Read every profile in the form
+     * @returns {Object} { builtIn: settings by backend id, profiles: named profiles }
+     */
+    readProfilesForm() {
+        const saved = SettingsManager.getProfiles(this.chatManager.settings);
+        const builtIn = {};
+        const profiles = [];
+
+        for (const section of this.elements.backendSettingsContainer.querySelectorAll('.backend-settings')) {
+            const id = section.dataset.profile;
+            const BackendClass = BackendRegistry.get(section.dataset.type);
+            const models = this.getFormModels(id);
+            const values = {
+                ...this.readProfileForm(id, BackendClass),
+                models: models.length > 0
+                    ? models
+                    : saved.find(p => p.id === id)?.models || [...BackendClass.defaultModels]
+            };
+
+            if (BackendRegistry.get(id)) {
+                builtIn[id] = values;
+            } else {
+                profiles.push({
+                    id,
+                    name: this.getFieldInput(id, 'name').value.trim(),
+                    type: BackendClass.id,
+                    ...values
+                });
+            }
+        }
+
+        // Keep profiles whose backend isn't registered (they have no section)
+        for (const profile of this.chatManager.settings.profiles || []) {
+            if (!BackendRegistry.get(profile.type)) profiles.push(profile);
+        }
+
+        return { builtIn, profiles };
+    }
+
+    /**
+     * Save settings
+     */
+    async saveSettings() {
+        const currentProfile = document.querySelector('input[name="backend-type"]:checked').value;
+
+        const theme = document.querySelector('input[name="theme"]:checked')?.value || 'auto';
+
+        let form;
+        try {
+            form = this.readProfilesForm();
+        } catch (error) {
+            this.showSettingsError(error.message);
+            return;
+        }
+
+        const approvedSince = (this.chatManager.settings.approvedSites || [])
+            .filter(site => !this.approvedSitesOnOpen.includes(site) && !this.approvedSitesDraft.includes(site));
+        const newSettings = {
+            backendType: this.chatManager.settings.backendType,
+            theme,
+            ...form.builtIn,
+            profiles: form.profiles,
+            currentProfile,
+            modelSettings: this.modelSettingsDraft.modelSettings,
+            // Edited from the input bar popovers, not the modal
+            generation: this.chatManager.settings.generation,
+            structuredOutput: this.chatManager.settings.structuredOutput,
+            currentModel: this.chatManager.settings.currentModel,
+            systemPrompt: this.elements.systemPrompt.value,
+            enableSearch: this.elements.enableSearch.checked,
+            enableTools: this.elements.enableTools.checked,
+            enableCodeExecution: this.elements.enableCodeExecution.checked,
+            enableUrlContext: this.elements.enableUrlContext.checked,
+            enableImageGeneration: this.elements.enableImageGeneration.checked,
+            approvedSites: [...this.approvedSitesDraft, ...approvedSince],
+            mcpServers: this.mcpServersDraft,
+            includeThinking: this.elements.includeThinking.checked,
+            autoIncludePage: this.elements.autoIncludePage.checked
+        };
+
+        // Keep backendType in step with the selected profile, and ensure
+        // the current model is valid for it
+        const profile = SettingsManager.getProfile(newSettings);
+        newSettings.backendType = profile.type;
+        if (!profile.models.includes(newSettings.currentModel)) {
+            newSettings.currentModel = profile.models[0] || '';
+        }
+
+        // Validate
+        const validation = SettingsManager.validate(newSettings);
+        if (!validation.valid) {
+            this.showSettingsError(validation.errors.join('\n'));
+            return;
+        }
+
+        try {
+            await this.chatManager.updateSettings(newSettings);
+            this.updateModelSelect(newSettings);
+            this.applyTheme(theme);
+            this.closeSettings();
+        } catch (error) {
+            this.showSettingsError(error.message);
+        }
+    }
+
+    /**
+     * Send message
+     */
+    async sendMessage() {
+        const text = this.elements.messageInput.value.trim();
+        if (!text || this.chatManager.isStreaming) return;
+
+        // Images can still be pasted or dropped for a text-only model
+        const settings = this.chatManager.settings;
+        if (this.pendingImages.length > 0) {
+            const profileId = SettingsManager.getProfile(settings).id;
+            const { vision } = SettingsManager.getModelCapabilities(settings, profileId, settings.currentModel);
+            if (!vision && !confirm(`${settings.currentModel} may not accept images. Send anyway?`)) return;
+        }
+
+        // Clear input
+        this.elements.messageInput.value = '';
+        autoResizeTextarea(this.elements.messageInput);
+
+        // Switch to stop button
+        this.showStopButton();
+
+        // Remove welcome message
+        const welcome = this.elements.chatMessages.querySelector('.welcome-message');
+        if (welcome) welcome.remove();
+
+        // Add user message
+        const userElement = this.addMessageToUI('user', text);
+
+        // Get page content if enabled
+        let pageContent = null;
+        if (this.elements.includePage.checked) {
+            pageContent = await extractPageContent();
+        }
+
+        // Collect images to send
+        const images = [...this.pendingImages];
+        this.pendingImages = [];
+        this.renderImagePreviews();
+
+        await this.streamResponse(this.chatManager.sendMessage(text, { pageContent, images }), userElement);
+    }
+
+    /**
+     * Edit a previous user message and regenerate from there
+     * The old continuation stays available as a sibling branch.
+     */
+    async editMessage(messageId, newText) {
+        if (!newText || this.chatManager.isStreaming) return;
+
+        const path = this.chatManager.messages;
+        const index = path.findIndex(message => message.id === messageId);
+        if (index === -1) return;
+
+        this.showStopButton();
+
+        // Drop the edited message and everything after it from the view
+        this.renderConversation(path.slice(0, index));
+        const userElement = this.addMessageToUI('user', newText);
+
+        await this.streamResponse(this.chatManager.editMessage(messageId, newText), userElement);
+    }
+
+    /**
+     * Stream a response from the chat manager into a new assistant bubble
+     * @param {AsyncGenerator} stream - Chunk generator from ChatManager
+     * @param {HTMLElement} userElement - Bubble of the user message being answered
+     */
+    async streamResponse(stream, userElement = null) {
+        // Create assistant message container
+        const assistantContainer = this.createAssistantMessageContainer();
+
+        try {
+            let thinkingContent = '';
+            let responseContent = '';
+            let hasThinking = false;
+            let codeRuns = [];
+            let media = [];
+            const getInserts = () => [...this.getCodeRunInserts(codeRuns), ...this.getMediaInserts(media)];
+
+            for await (const chunk of stream) {
+                if (chunk.retry) {
+                    this.showRetryNotice(assistantContainer, chunk.retry);
+                    continue;
+                }
+                if (chunk.fallback) {
+                    this.showFallbackNotice(assistantContainer, chunk.fallback);
+                    continue;
+                }
+                if (chunk.context) {
+                    if (chunk.context.summarizing) {
+                        this.createStreamNotice(assistantContainer).textContent = '🗜️ Summarizing earlier messages...';
+                    }
+                    continue;
+                }
+                this.clearStreamNotice(assistantContainer);
+
+                // The text so far moves into the step; the answer starts over
+                if (chunk.toolStep) {
+                    this.addToolStep(assistantContainer, chunk.toolStep);
+                    responseContent = '';
+                    codeRuns = [];
+                    media = [];
+                    this.updateResponseContent(assistantContainer, '');
+                    continue;
+                }
+                if (chunk.toolResult) {
+                    this.updateToolCall(assistantContainer, chunk.toolResult);
+                    continue;
+                }
+                if (chunk.toolApproval) {
+                    this.showToolApproval(assistantContainer, chunk.toolApproval);
+                    continue;
+                }
+
+                if (chunk.thought && chunk.text) {
+                    if (!hasThinking) this.startThinkingTimer(assistantContainer);
+                    hasThinking = true;
+                    thinkingContent += chunk.text;
+                    this.updateThinkingSection(assistantContainer, thinkingContent);
+                } else if (chunk.text) {
+                    this.stopThinkingTimer(assistantContainer);
+                    responseContent += chunk.text;
+                    this.updateResponseContent(assistantContainer, responseContent, getInserts());
+                }
+
+                if (chunk.searchResults) {
+                    this.addSearchResults(assistantContainer, chunk.searchResults);
+                }
+
+                // Code runs show up in the answer where the model ran them
+                if (chunk.executableCode) {
+                    this.stopThinkingTimer(assistantContainer);
+                    codeRuns.push({ ...chunk.executableCode, offset: responseContent.length });
+                    this.updateResponseContent(assistantContainer, responseContent, getInserts());
+                }
+                if (chunk.codeExecutionResult && codeRuns.length > 0) {
+                    Object.assign(codeRuns[codeRuns.length - 1], chunk.codeExecutionResult);
+                    this.updateResponseContent(assistantContainer, responseContent, getInserts());
+                }
+                if (chunk.urlContext) {
+                    this.addUrlContext(assistantContainer, chunk.urlContext);
+                }
+                if (chunk.media) {
+                    this.stopThinkingTimer(assistantContainer);
+                    media.push({ name: getMediaName(chunk.media, media.length), ...chunk.media, offset: responseContent.length });
+                    this.updateResponseContent(assistantContainer, responseContent, getInserts());
                 }
             }
 
@@ -639,27 +1902,339 @@ class SidePanelApp {
                 }
             } else {
                 console.error('Error sending message:', error);
-
-                let errorMessage = `Error: ${error.message}`;
-                if (error.message.includes('unregistered callers') || error.message.includes('API key')) {
-                    errorMessage += '\n\n💡 Tip: Please check your API Key in settings.';
-                }
-
-                this.updateResponseContent(assistantContainer, errorMessage);
+                this.updateResponseContent(assistantContainer, this.formatErrorMessage(error.message));
             }
         }
 
-        // Remove loading indicator
+        // Remove loading indicator and approvals a stopped reply left open
+        this.stopThinkingTimer(assistantContainer);
+        this.clearStreamNotice(assistantContainer);
+        assistantContainer.querySelectorAll('.tool-approval').forEach(prompt => prompt.remove());
         const loading = assistantContainer.querySelector('.loading-indicator');
         if (loading) loading.remove();
 
+        // Link the new bubbles to their messages for edit and branch actions
+        const path = this.chatManager.messages;
+        const assistantMessage = path[path.length - 1];
+        if (assistantMessage?.role === 'assistant') {
+            if (assistantMessage.thinkingTime !== undefined) {
+                this.setThinkingLabel(assistantContainer, assistantMessage.thinkingTime);
+            }
+            if (assistantMessage.structuredOutput) {
+                this.renderStructuredOutput(assistantContainer, assistantMessage);
+            }
+            this.renderAnswer(assistantContainer, assistantMessage);
+            this.bindMessageElement(assistantContainer, assistantMessage);
+            if (userElement && path.length > 1) {
+                this.bindMessageElement(userElement, path[path.length - 2]);
+            }
+        }
+
         // Switch back to send button
         this.showSendButton();
+        this.updateUsageSummary();
+        this.updateContextMeter();
 
         // Scroll to bottom
         this.scrollToBottom();
     }
 
+    /**
+     * Show a countdown while a failed request waits to be retried
+     * @param {Object} retry - { attempt, maxRetries, delayMs, message } from the backend
+     */
+    showRetryNotice(container, retry) {
+        const notice = this.createStreamNotice(container);
+        const deadline = Date.now() + retry.delayMs;
+        const update = () => {
+            const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+            notice.textContent = `⏳ ${retry.message} · retrying in ${seconds}s (attempt ${retry.attempt} of ${retry.maxRetries})`;
+        };
+        update();
+        container.retryTimer = setInterval(update, 1000);
+    }
+
+    /**
+     * Show that the reply moved on to the next model in the fallback chain
+     * @param {Object} fallback - { from, to, reason } from the chat manager
+     */
+    showFallbackNotice(container, fallback) {
+        const notice = this.createStreamNotice(container);
+        notice.textContent = `↪ ${fallback.from} is unavailable (${fallback.reason}) · trying ${fallback.to}`;
+        container.querySelector('.message-model').textContent = fallback.to;
+    }
+
+    /**
+     * Replace any status notice in a streaming bubble with a new one
+     */
+    createStreamNotice(container) {
+        this.clearStreamNotice(container);
+
+        const notice = document.createElement('div');
+        notice.className = 'stream-notice';
+        container.querySelector('.loading-indicator').before(notice);
+        return notice;
+    }
+
+    /**
+     * Remove the status notice once the reply starts or fails
+     */
+    clearStreamNotice(container) {
+        clearInterval(container.retryTimer);
+        container.querySelector('.stream-notice')?.remove();
+    }
+
+    /**
+     * Format an API error for display
+     */
+    formatErrorMessage(message) {
+        let errorMessage = `Error: ${message}`;
+        if (message.includes('unregistered callers') || message.includes('API key')) {
+            errorMessage += '\n\n💡 Tip: Please check your API Key in settings.';
+        }
+        return errorMessage;
+    }
+
+    /**
+     * Regenerate an assistant response as a new attempt
+     * @param {string} messageId - Assistant message to regenerate
+     * @param {string} model - Optional model for this attempt only
+     */
+    async regenerateMessage(messageId, model = null) {
+        if (this.chatManager.isStreaming) return;
+
+        const path = this.chatManager.messages;
+        const index = path.findIndex(message => message.id === messageId);
+        if (index === -1) return;
+
+        this.showStopButton();
+
+        // Drop the old attempt (and anything after it) from the view
+        this.renderConversation(path.slice(0, index));
+
+        await this.streamResponse(this.chatManager.regenerate(messageId, { model }));
+    }
+
+    /**
+     * Show the model picker for regenerating a response
+     */
+    showRegenerateMenu(container) {
+        this.closeRegenerateMenu();
+
+        const { models, model: currentModel } = SettingsManager.getBackendConfig(this.chatManager.settings);
+        const menu = document.createElement('div');
+        menu.className = 'regenerate-menu';
+        menu.innerHTML = `<div class="regenerate-menu-title">Regenerate with</div>`;
+
+        for (const model of models) {
+            const item = document.createElement('button');
+            item.className = 'regenerate-menu-item';
+            item.textContent = model;
+            if (model === currentModel) item.classList.add('current');
+            item.addEventListener('click', () => {
+                this.closeRegenerateMenu();
+                this.regenerateMessage(container.dataset.id, model);
+            });
+            menu.appendChild(item);
+        }
+
+        container.querySelector('.message-actions').appendChild(menu);
+        this.regenerateMenu = menu;
+
+        // Close when clicking anywhere else
+        this.regenerateMenuCloser = (e) => {
+            if (!menu.contains(e.target)) this.closeRegenerateMenu();
+        };
+        document.addEventListener('click', this.regenerateMenuCloser);
+    }
+
+    /**
+     * Close the regenerate model picker
+     */
+    closeRegenerateMenu() {
+        this.regenerateMenu?.remove();
+        this.regenerateMenu = null;
+        if (this.regenerateMenuCloser) {
+            document.removeEventListener('click', this.regenerateMenuCloser);
+            this.regenerateMenuCloser = null;
+        }
+    }
+
+    /**
+     * Attach a message id to its bubble and render branch navigation
+     */
+    bindMessageElement(element, message) {
+        element.dataset.id = message.id;
+
+        // Label answers with the model that produced them
+        const modelLabel = element.querySelector('.message-model');
+        if (modelLabel) {
+            modelLabel.textContent = message.fallbackFrom ? `${message.model} (fallback)` : message.model || '';
+            modelLabel.title = message.fallbackFrom ? `Answered by ${message.model} because ${message.fallbackFrom} was unavailable` : '';
+        }
+
+        const usageLabel = element.querySelector('.message-usage');
+        if (usageLabel && message.usage) {
+            const { inputTokens, outputTokens, thinkingTokens, cachedTokens } = message.usage;
+            const hasCost = message.cost !== null && message.cost !== undefined;
+            usageLabel.textContent = `${formatTokenCount(inputTokens)} in · ${formatTokenCount(outputTokens)} out`
+                + (hasCost ? ` · ${formatCost(message.cost)}` : '');
+            usageLabel.title = [
+                `Prompt: ${inputTokens.toLocaleString()} tokens${cachedTokens ? ` (${cachedTokens.toLocaleString()} cached)` : ''}`,
+                `Output: ${outputTokens.toLocaleString()} tokens${thinkingTokens ? ` (${thinkingTokens.toLocaleString()} thinking)` : ''}`,
+                ...(hasCost ? [`Estimated cost: ${formatCost(message.cost)}`] : [])
+            ].join('\n');
+        }
+
+        const contextLabel = element.querySelector('.message-context');
+        if (contextLabel && message.context) {
+            const { droppedMessages, droppedPages, summarizedMessages } = message.context;
+            const notes = [];
+            if (summarizedMessages) notes.push(`${summarizedMessages} earlier messages summarized`);
+            if (droppedMessages) notes.push(`${droppedMessages} earlier messages left out`);
+            if (droppedPages) notes.push(`${droppedPages} older page contexts left out`);
+            contextLabel.textContent = '✂️';
+            contextLabel.title = `To fit the context window: ${notes.join(', ')}`;
+        }
+
+        element.querySelector('.branch-nav')?.remove();
+        const { index, count } = this.chatManager.tree.getBranchInfo(message.id);
+        if (count < 2) return;
+
+        const nav = document.createElement('div');
+        nav.className = 'branch-nav';
+        nav.innerHTML = `
+            <button class="branch-prev" title="Previous version" ${index === 0 ? 'disabled' : ''}>‹</button>
+            <span class="branch-count">${index + 1}/${count}</span>
+            <button class="branch-next" title="Next version" ${index === count - 1 ? 'disabled' : ''}>›</button>
+        `;
+        nav.querySelector('.branch-prev').addEventListener('click', () => this.switchBranch(message.id, -1));
+        nav.querySelector('.branch-next').addEventListener('click', () => this.switchBranch(message.id, 1));
+
+        element.querySelector('.message-actions').prepend(nav);
+    }
+
+    /**
+     * Show another version of a message
+     */
+    async switchBranch(messageId, offset) {
+        if (!await this.chatManager.switchBranch(messageId, offset)) return;
+
+        // Keep the reader's place instead of jumping to the bottom
+        const scrollTop = this.elements.chatMessages.scrollTop;
+        this.renderConversation(this.chatManager.messages);
+        this.elements.chatMessages.scrollTop = scrollTop;
+        this.updateUserAtBottom();
+    }
+
+    /**
+     * Turn a user bubble into an inline editor
+     */
+    startEditing(element) {
+        const message = this.chatManager.tree.get(element.dataset.id);
+        if (!message || this.chatManager.isStreaming || element.classList.contains('editing')) return;
+
+        element.classList.add('editing');
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.innerHTML = `
+            <textarea class="message-edit-input"></textarea>
+            <div class="message-edit-actions">
+                <button class="button button-secondary edit-cancel">Cancel</button>
+                <button class="button button-primary edit-save">Send</button>
+            </div>
+        `;
+
+        const input = editor.querySelector('.message-edit-input');
+        input.value = message.content;
+
+        const finish = () => {
+            editor.remove();
+            element.classList.remove('editing');
+        };
+        const save = () => {
+            const text = input.value.trim();
+            if (!text) return;
+            finish();
+            this.editMessage(message.id, text);
+        };
+
+        editor.querySelector('.edit-cancel').addEventListener('click', finish);
+        editor.querySelector('.edit-save').addEventListener('click', save);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+                e.preventDefault();
+                save();
+            } else if (e.key === 'Escape') {
+                finish();
+            }
+        });
+
+        element.insertBefore(editor, element.querySelector('.message-actions'));
+        autoResizeTextarea(input);
+        input.addEventListener('input', () => autoResizeTextarea(input));
+        input.focus();
+    }
+
+    /**
+     * Render a stored conversation into the chat area
+     */
+    renderConversation(messages) {
+        this.elements.chatMessages.innerHTML = '';
+
+        for (const message of messages) {
+            const element = message.role === 'user'
+                ? this.addMessageToUI('user', message.content)
+                : this.renderAssistantMessage(message);
+            this.bindMessageElement(element, message);
+        }
+
+        this.updateUsageSummary();
+        this.updateContextMeter();
+        this.scrollToBottom(true);
+    }
+
+    /**
+     * Render a completed assistant message
+     */
+    renderAssistantMessage(message) {
+        const container = this.createAssistantMessageContainer();
+
+        if (message.thinking) {
+            this.updateThinkingSection(container, message.thinking);
+            this.setThinkingLabel(container, message.thinkingTime);
+        } else {
+            container.querySelector('.thinking-section')?.remove();
+        }
+
+        if (message.searchResults) {
+            this.addSearchResults(container, message.searchResults);
+        }
+        if (message.urlContext) {
+            this.addUrlContext(container, message.urlContext);
+        }
+
+        for (const step of message.steps || []) {
+            this.addToolStep(container, step);
+            step.toolCalls.forEach(call => this.updateToolCall(container, call));
+        }
+
+        if (message.error) {
+            this.updateResponseContent(container, this.formatErrorMessage(message.error));
+        } else if (message.stopped && !message.content) {
+            container.querySelector('.response-content').innerHTML = '<em style="color: var(--text-muted)">⏹️ Generation stopped</em>';
+        } else {
+            this.updateResponseContent(container, message.content);
+            if (message.structuredOutput) {
+                this.renderStructuredOutput(container, message);
+            }
+            this.renderAnswer(container, message);
+        }
+        container.querySelector('.loading-indicator')?.remove();
+
+        return container;
+    }
+
     /**
      * Add message to UI
      */
@@ -676,6 +2251,13 @@ class SidePanelApp {
                         <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
                     </svg>
                 </button>
+                ${role === 'user' ? `
+                <button class="copy-button edit-button" title="Edit message">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9"/>
+                        <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z"/>
+                    </svg>
+                </button>` : ''}
             </div>
         `;
 
@@ -683,8 +2265,14 @@ class SidePanelApp {
             this.copyMessage(e.currentTarget, content);
         });
 
+        message.querySelector('.edit-button')?.addEventListener('click', () => {
+            this.startEditing(message);
+        });
+
         this.elements.chatMessages.appendChild(message);
         this.scrollToBottom(true); // Force scroll when user sends a message
+
+        return message;
     }
 
     /**
@@ -733,6 +2321,20 @@ class SidePanelApp {
                         <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
                     </svg>
                 </button>
+                <button class="copy-button regenerate-button" title="Regenerate response">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 12a9 9 0 1 1-3-6.7L21 8"/>
+                        <path d="M21 3v5h-5"/>
+                    </svg>
+                </button>
+                <button class="copy-button regenerate-model-button" title="Regenerate with another model">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="6 9 12 15 18 9"/>
+                    </svg>
+                </button>
+                <span class="message-model"></span>
+                <span class="message-usage"></span>
+                <span class="message-context"></span>
             </div>
             <div class="loading-indicator">
                 <div class="dot"></div>
@@ -749,6 +2351,24 @@ class SidePanelApp {
             this.copyMessage(e.currentTarget, content);
         });
 
+        // Attach a generated image to the next message
+        container.querySelector('.response-content').addEventListener('click', (e) => {
+            const item = e.target.closest('.media-send')?.closest('.media-item');
+            if (!item) return;
+            this.pendingImages.push({ name: item.dataset.name, type: item.dataset.type, data: item.querySelector('img').src });
+            this.renderImagePreviews();
+            this.elements.messageInput.focus();
+        });
+
+        // Regenerate with the current model, or pick another one
+        container.querySelector('.regenerate-button').addEventListener('click', () => {
+            if (container.dataset.id) this.regenerateMessage(container.dataset.id);
+        });
+        container.querySelector('.regenerate-model-button').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (container.dataset.id) this.showRegenerateMenu(container);
+        });
+
         // Toggle thinking visibility
         const toggle = container.querySelector('.thinking-toggle');
         const thinkingContent = container.querySelector('.thinking-content');
@@ -764,10 +2384,51 @@ class SidePanelApp {
             }
         });
 
-        this.elements.chatMessages.appendChild(container);
-        this.scrollToBottom(true); // Force scroll when creating new response container
+        this.elements.chatMessages.appendChild(container);
+        this.scrollToBottom(true); // Force scroll when creating new response container
+
+        return container;
+    }
+
+    /**
+     * Count the thinking time up in a streaming bubble
+     */
+    startThinkingTimer(container) {
+        const startedAt = Date.now();
+        const label = container.querySelector('.thinking-label');
+        const update = () => {
+            label.textContent = `Thinking... ${Math.floor((Date.now() - startedAt) / 1000)}s`;
+        };
+        update();
+        container.thinkingTimer = setInterval(update, 1000);
+        container.thinkingStartedAt = startedAt;
+    }
+
+    /**
+     * Stop the thinking clock once the answer starts
+     */
+    stopThinkingTimer(container) {
+        if (!container.thinkingTimer) return;
+        clearInterval(container.thinkingTimer);
+        container.thinkingTimer = null;
+        this.setThinkingLabel(container, Date.now() - container.thinkingStartedAt);
+    }
 
-        return container;
+    /**
+     * Label a finished thinking section with how long it took
+     * @param {number|undefined} ms - Thinking time; unknown for older messages
+     */
+    setThinkingLabel(container, ms) {
+        const label = container.querySelector('.thinking-label');
+        if (!label) return;
+        if (ms === undefined) {
+            label.textContent = 'Thoughts';
+            return;
+        }
+        const seconds = Math.max(1, Math.round(ms / 1000));
+        label.textContent = seconds < 60
+            ? `Thought for ${seconds}s`
+            : `Thought for ${Math.floor(seconds / 60)}m ${seconds % 60}s`;
     }
 
     /**
@@ -794,13 +2455,118 @@ class SidePanelApp {
         this.scrollToBottom();
     }
 
+    /**
+     * Show a structured reply as a collapsible JSON tree
+     * The badge tells whether the reply matched its schema; replies that
+     * aren't JSON keep their text.
+     */
+    renderStructuredOutput(container, message) {
+        const { schema, errors } = message.structuredOutput;
+        const responseContent = container.querySelector('.response-content');
+
+        let value;
+        let parsed = false;
+        try {
+            value = parseJsonResponse(message.content);
+            parsed = true;
+        } catch {
+            // Not JSON: the text stays as rendered
+        }
+
+        const output = document.createElement('div');
+        output.className = 'json-output';
+
+        const header = document.createElement('div');
+        header.className = 'json-output-header';
+        const badge = document.createElement('span');
+        badge.className = `json-badge ${errors.length === 0 ? 'valid' : 'invalid'}`;
+        badge.textContent = errors.length === 0
+            ? '✓ Matches schema'
+            : `⚠ ${errors.length} schema ${errors.length === 1 ? 'problem' : 'problems'}`;
+        badge.title = errors.join('\n');
+        header.appendChild(badge);
+
+        if (parsed) {
+            const json = JSON.stringify(value, null, 2);
+            const copyButton = document.createElement('button');
+            copyButton.className = 'header-menu-item json-action';
+            copyButton.textContent = 'Copy JSON';
+            copyButton.addEventListener('click', (e) => this.copyMessage(e.currentTarget, json));
+            const downloadButton = document.createElement('button');
+            downloadButton.className = 'header-menu-item json-action';
+            downloadButton.textContent = 'Download .json';
+            downloadButton.addEventListener('click', () => {
+                downloadFile(`${getSchemaName(schema)}.json`, json, 'application/json');
+            });
+            header.append(copyButton, downloadButton);
+        }
+        output.appendChild(header);
+
+        if (parsed) {
+            const tree = document.createElement('div');
+            tree.className = 'json-tree';
+            tree.appendChild(this.createJsonNode(value, null, 0));
+            output.appendChild(tree);
+            responseContent.innerHTML = '';
+            responseContent.dataset.markdown = JSON.stringify(value, null, 2);
+        }
+        responseContent.prepend(output);
+    }
+
+    /**
+     * Build one node of a JSON tree; objects and arrays collapse
+     * The first two levels start expanded.
+     * @param {*} value - JSON value
+     * @param {string|number|null} key - Property name or index, null for the root
+     * @param {number} depth - Nesting level
+     */
+    createJsonNode(value, key, depth) {
+        const keyLabel = () => {
+            const label = document.createElement('span');
+            label.className = 'json-key';
+            label.textContent = typeof key === 'number' ? `${key}` : `"${key}"`;
+            return label;
+        };
+
+        if (value === null || typeof value !== 'object') {
+            const leaf = document.createElement('div');
+            leaf.className = 'json-leaf';
+            if (key !== null) leaf.append(keyLabel(), ': ');
+            const text = document.createElement('span');
+            text.className = `json-value json-${value === null ? 'null' : typeof value}`;
+            text.textContent = JSON.stringify(value);
+            leaf.appendChild(text);
+            return leaf;
+        }
+
+        const entries = Array.isArray(value) ? value.map((item, i) => [i, item]) : Object.entries(value);
+        const node = document.createElement('details');
+        node.className = 'json-node';
+        node.open = depth < 2;
+        const summary = document.createElement('summary');
+        if (key !== null) summary.append(keyLabel(), ': ');
+        const size = document.createElement('span');
+        size.className = 'json-size';
+        size.textContent = Array.isArray(value)
+            ? `[${entries.length} ${entries.length === 1 ? 'item' : 'items'}]`
+            : `{${entries.length} ${entries.length === 1 ? 'key' : 'keys'}}`;
+        summary.appendChild(size);
+        node.appendChild(summary);
+
+        for (const [childKey, child] of entries) {
+            node.appendChild(this.createJsonNode(child, childKey, depth + 1));
+        }
+        return node;
+    }
+
     /**
      * Update response content
+     * @param {Array<Object>} inserts - HTML to place in the text, see markdownToHtmlWithInserts()
      */
-    updateResponseContent(container, content) {
+    updateResponseContent(container, content, inserts = []) {
         const responseContent = container.querySelector('.response-content');
         if (responseContent) {
-            responseContent.innerHTML = markdownToHtml(content);
+            responseContent.innerHTML = markdownToHtmlWithInserts(content, inserts);
             responseContent.dataset.markdown = content; // Store original markdown for copying
         }
 
@@ -813,6 +2579,128 @@ class SidePanelApp {
         this.scrollToBottom();
     }
 
+    /**
+     * Render a finished answer with its code runs, media and citations
+     * Citation markers link to their source and preview it with the cited
+     * text on hover; the sources are listed below the answer.
+     */
+    renderAnswer(container, message) {
+        if (message.error) return;
+
+        const sources = message.sources || [];
+        const inserts = [
+            ...this.getCodeRunInserts(message.codeRuns || []),
+            ...this.getMediaInserts(message.media || []),
+            ...getCitationMarkers(message.citations, sources)
+        ];
+        if (inserts.length > 0) {
+            this.updateResponseContent(container, message.content, inserts);
+        }
+
+        container.querySelector('.citation-sources')?.remove();
+        if (sources.length === 0) return;
+
+        const list = document.createElement('div');
+        list.className = 'citation-sources';
+        list.innerHTML = '<div class="citation-sources-title">📚 Sources</div><ol></ol>';
+        for (const source of sources) {
+            const item = document.createElement('li');
+            item.innerHTML = '<a target="_blank" rel="noopener"></a> <span class="citation-domain"></span>';
+            const link = item.querySelector('a');
+            link.href = source.uri;
+            link.textContent = source.title;
+            item.querySelector('.citation-domain').textContent = source.domain !== source.title ? source.domain : '';
+            list.querySelector('ol').appendChild(item);
+        }
+        container.querySelector('.response-content').after(list);
+    }
+
+    /**
+     * Blocks for code the model ran, with its output, at the point of the
+     * answer where it ran
+     * @param {Array<Object>} codeRuns - { language, code, outcome, output, offset }
+     */
+    getCodeRunInserts(codeRuns) {
+        return codeRuns.map(run => {
+            let result = '<div class="code-run-status">Running...</div>';
+            if (run.outcome) {
+                const ok = run.outcome === 'ok';
+                result = `<div class="code-run-status ${ok ? 'ok' : 'failed'}">${ok ? '✓ Output' : `⚠ ${escapeHtml(run.outcome.replace(/_/g, ' '))}`}</div>`
+                    + (run.output ? `<pre class="code-run-output">${escapeHtml(run.output)}</pre>` : '');
+            }
+            return {
+                offset: run.offset,
+                block: true,
+                html: '<div class="code-run">'
+                    + `<div class="code-run-header">▶ Ran ${escapeHtml(run.language || 'code')}</div>`
+                    + `<pre><code>${escapeHtml(run.code)}</code></pre>`
+                    + result
+                    + '</div>'
+            };
+        });
+    }
+
+    /**
+     * Blocks for generated images and other media, where they came in the
+     * answer, with download and "use as input" actions
+     * Media whose data was pruned from storage only keep their name.
+     * @param {Array<Object>} media - { name, type, data, uri, offset }
+     */
+    getMediaInserts(media) {
+        return media.map(item => {
+            const src = getMediaSource(item);
+            const name = escapeHtml(item.name);
+            const type = item.type?.match(/^[\w.+-]+\/[\w.+-]+/)?.[0] || '';
+            let preview = `<div class="media-missing">🖼️ ${name} is no longer stored</div>`;
+            if (src && type.startsWith('image/')) {
+                preview = `<img src="${src}" alt="${name}">`;
+            } else if (src && (type.startsWith('audio/') || type.startsWith('video/'))) {
+                const tag = type.startsWith('audio/') ? 'audio' : 'video';
+                preview = `<${tag} controls src="${src}"></${tag}>`;
+            } else if (src) {
+                preview = `<div class="media-file">📎 ${name}</div>`;
+            }
+
+            const actions = src
+                ? '<div class="media-actions">'
+                    + `<a class="media-action" href="${src}" download="${name}" target="_blank" rel="noopener">⬇ Download</a>`
+                    + (item.data && type.startsWith('image/') ? '<button class="media-action media-send">↩ Use as input</button>' : '')
+                    + '</div>'
+                : '';
+            return {
+                offset: item.offset || 0,
+                block: true,
+                html: `<div class="media-item" data-name="${name}" data-type="${escapeHtml(type)}">${preview}${actions}</div>`
+            };
+        });
+    }
+
+    /**
+     * List the URLs the model read, above the answer
+     * @param {Array<Object>} urls - { url, status }
+     */
+    addUrlContext(container, urls) {
+        container.querySelector('.url-context')?.remove();
+        if (urls.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'url-context';
+        section.innerHTML = '<div class="url-context-title">🔗 Pages read</div><ul></ul>';
+        for (const { url, status } of urls) {
+            const ok = status === 'success';
+            const item = document.createElement('li');
+            item.classList.toggle('failed', !ok);
+            item.innerHTML = '<span class="url-context-status"></span> <a target="_blank" rel="noopener"></a>';
+            item.querySelector('.url-context-status').textContent = ok ? '✓' : '⚠';
+            item.title = ok ? 'Read' : `Not read: ${status.replace(/_/g, ' ')}`;
+            const link = item.querySelector('a');
+            link.href = url;
+            link.textContent = url;
+            section.querySelector('ul').appendChild(item);
+        }
+        container.insertBefore(section, container.querySelector('.response-content'));
+    }
+
     /**
      * Add search results
      */
@@ -831,6 +2719,546 @@ class SidePanelApp {
         container.insertBefore(searchResults, responseContent);
     }
 
+    /**
+     * Show a round of tool calls above the answer
+     * Each call is a collapsed step with its arguments, filled in with the
+     * result by updateToolCall().
+     * @param {Object} step - { text, toolCalls } written before the calls
+     */
+    addToolStep(container, step) {
+        let steps = container.querySelector('.tool-steps');
+        if (!steps) {
+            steps = document.createElement('div');
+            steps.className = 'tool-steps';
+            container.insertBefore(steps, container.querySelector('.response-content'));
+            container.toolCallElements = new Map();
+        }
+
+        if (step.text) {
+            const text = document.createElement('div');
+            text.className = 'tool-step-text message-content';
+            text.innerHTML = markdownToHtml(step.text);
+            steps.appendChild(text);
+        }
+
+        for (const call of step.toolCalls) {
+            const element = document.createElement('details');
+            element.className = 'tool-call running';
+            element.innerHTML = `
+                <summary><span class="tool-call-name"></span><span class="tool-call-status">Running...</span></summary>
+                <div class="tool-call-label">Arguments</div>
+                <pre class="tool-call-arguments"></pre>
+                <div class="tool-call-label">Result</div>
+                <pre class="tool-call-result"></pre>
+            `;
+            element.querySelector('.tool-call-name').textContent = `🔧 ${call.name}`;
+            element.querySelector('.tool-call-arguments').textContent = JSON.stringify(call.arguments, null, 2);
+            steps.appendChild(element);
+            container.toolCallElements.set(call, element);
+        }
+    }
+
+    /**
+     * Ask whether a tool call may run, below its step
+     * The reply waits until a button resolves the approval.
+     * @param {Object} approval - { call, summary, site, resolve } from ChatManager
+     */
+    showToolApproval(container, approval) {
+        const element = container.toolCallElements?.get(approval.call);
+        if (!element) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'tool-approval';
+        prompt.innerHTML = `
+            <div class="tool-approval-summary"></div>
+            <div class="tool-approval-actions">
+                <button class="button button-primary" data-choice="once">Allow once</button>
+                <button class="button button-secondary" data-choice="site">Always allow on this site</button>
+                <button class="button button-secondary" data-choice="deny">Deny</button>
+            </div>
+        `;
+        prompt.querySelector('.tool-approval-summary').textContent = approval.summary;
+        const siteButton = prompt.querySelector('[data-choice="site"]');
+        if (approval.site) {
+            siteButton.textContent = `Always allow on ${new URL(approval.site).host}`;
+            siteButton.title = approval.site;
+        } else {
+            siteButton.remove();
+        }
+
+        prompt.addEventListener('click', (e) => {
+            const choice = e.target.closest('button')?.dataset.choice;
+            if (!choice) return;
+            prompt.remove();
+            element.querySelector('.tool-call-status').textContent = 'Running...';
+            approval.resolve(choice);
+        });
+
+        element.querySelector('.tool-call-status').textContent = 'Needs approval';
+        element.after(prompt);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Show how a tool call ended
+     */
+    updateToolCall(container, call) {
+        const element = container.toolCallElements?.get(call);
+        if (!element) return;
+
+        const failed = Boolean(call.error);
+        const result = failed ? call.error : call.result;
+        element.classList.remove('running');
+        element.classList.toggle('failed', failed);
+        element.querySelector('.tool-call-status').textContent = failed ? '⚠ Failed' : '✓ Done';
+        element.querySelector('.tool-call-result').textContent = typeof result === 'string'
+            ? result
+            : JSON.stringify(result ?? null, null, 2);
+    }
+
+    /**
+     * Toggle history drawer
+     */
+    toggleHistory() {
+        if (this.elements.historyDrawer.classList.contains('hidden')) {
+            this.openHistory();
+        } else {
+            this.closeHistory();
+        }
+    }
+
+    /**
+     * Open history drawer
+     */
+    openHistory() {
+        this.elements.historyDrawer.classList.remove('hidden');
+        this.elements.historyButton.classList.add('active');
+        this.renderHistory();
+        this.elements.historySearch.focus();
+    }
+
+    /**
+     * Close history drawer
+     */
+    closeHistory() {
+        this.elements.historyDrawer.classList.add('hidden');
+        this.elements.historyButton.classList.remove('active');
+    }
+
+    /**
+     * Render conversation history grouped by date
+     * Uses full-text search when the search box has a query.
+     */
+    async renderHistory() {
+        const renderId = ++this.historyRenderId;
+        const query = this.elements.historySearch.value.trim();
+
+        let entries;
+        try {
+            entries = query
+                ? await ConversationStore.search(query)
+                : await ConversationStore.list();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            entries = [];
+        }
+
+        // A newer search started while this one was loading
+        if (renderId !== this.historyRenderId) return;
+
+        const list = this.elements.historyList;
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            list.innerHTML = `<div class="history-empty">${query ? 'No matching conversations' : 'No conversations yet'}</div>`;
+            return;
+        }
+
+        for (const group of groupConversationsByDate(entries)) {
+            const groupElement = document.createElement('div');
+            groupElement.className = 'history-group';
+            groupElement.innerHTML = `<div class="history-group-label">${escapeHtml(group.label)}</div>`;
+
+            for (const entry of group.conversations) {
+                groupElement.appendChild(this.createHistoryItem(entry));
+            }
+
+            list.appendChild(groupElement);
+        }
+    }
+
+    /**
+     * Create a history list item
+     */
+    createHistoryItem(entry) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        if (entry.id === this.chatManager.conversation?.id) {
+            item.classList.add('active');
+        }
+        item.innerHTML = `
+            <div class="history-item-text">
+                <div class="history-item-title">${escapeHtml(entry.title)}</div>
+                ${entry.snippet ? `<div class="history-item-snippet">${escapeHtml(entry.snippet)}</div>` : ''}
+            </div>
+            <div class="history-item-actions">
+                <button class="history-rename" title="Rename">✎</button>
+                <button class="history-delete" title="Delete">×</button>
+            </div>
+        `;
+        item.title = new Date(entry.updatedAt).toLocaleString();
+
+        item.addEventListener('click', () => this.openConversation(entry.id));
+
+        item.querySelector('.history-rename').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const title = prompt('Rename conversation', entry.title);
+            if (title === null) return;
+            await this.chatManager.renameConversation(entry.id, title);
+            this.renderHistory();
+        });
+
+        item.querySelector('.history-delete').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (!confirm(`Delete "${entry.title}"?`)) return;
+            const wasActive = entry.id === this.chatManager.conversation?.id;
+            try {
+                await this.chatManager.deleteConversation(entry.id);
+                if (wasActive) this.newChat();
+            } catch (error) {
+                console.error('Failed to delete conversation:', error);
+            }
+            this.renderHistory();
+        });
+
+        return item;
+    }
+
+    /**
+     * Reopen a conversation from history
+     */
+    async openConversation(id) {
+        if (this.chatManager.isStreaming) return;
+
+        try {
+            const conversation = await this.chatManager.openConversation(id);
+            if (!conversation) return;
+
+            this.renderConversation(this.chatManager.messages);
+            this.closeHistory();
+        } catch (error) {
+            console.error('Failed to open conversation:', error);
+        }
+    }
+
+    /**
+     * Import conversations from a JSON file and open the first one
+     */
+    async importFile(file) {
+        if (this.chatManager.isStreaming) return;
+
+        try {
+            const { saved, skipped } = await this.chatManager.importConversations(await file.text());
+            this.renderConversation(this.chatManager.messages);
+            this.renderHistory();
+            if (skipped > 0) {
+                alert(`Imported ${saved.length} of ${saved.length + skipped} conversations. `
+                    + `The other ${skipped} didn't fit: history keeps up to ${MAX_CONVERSATIONS} conversations.`);
+            } else if (saved.length > 1) {
+                alert(`Imported ${saved.length} conversations.`);
+            }
+        } catch (error) {
+            console.error('Failed to import conversations:', error);
+            alert(`Import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Toggle the export format menu
+     */
+    toggleExportMenu() {
+        const hidden = this.elements.exportMenu.classList.toggle('hidden');
+        this.elements.exportButton.classList.toggle('active', !hidden);
+
+        // Nothing to export in an empty chat
+        const empty = this.chatManager.messages.length === 0;
+        this.elements.exportMenu.querySelectorAll('[data-format]').forEach(item => {
+            item.disabled = empty;
+        });
+    }
+
+    /**
+     * Close the export format menu
+     */
+    closeExportMenu() {
+        this.elements.exportMenu.classList.add('hidden');
+        this.elements.exportButton.classList.remove('active');
+    }
+
+    /**
+     * Create the generation parameter inputs from GENERATION_PARAMS
+     */
+    renderGenerationFields() {
+        for (const param of GENERATION_PARAMS) {
+            const field = document.createElement('label');
+            field.className = 'generation-field';
+            field.dataset.param = param.key;
+
+            const label = document.createElement('span');
+            label.textContent = param.label;
+            field.appendChild(label);
+
+            let input;
+            if (param.type === 'list') {
+                input = document.createElement('textarea');
+                input.rows = 2;
+                input.title = param.hint;
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                if (param.min !== undefined) input.min = param.min;
+                if (param.max !== undefined) input.max = param.max;
+                if (param.step !== undefined) input.step = param.step;
+            }
+            input.id = `generation-${param.key}`;
+            input.className = 'setting-input';
+            input.addEventListener('change', () => this.saveGenerationParams());
+            field.appendChild(input);
+
+            this.elements.generationFields.appendChild(field);
+        }
+    }
+
+    /**
+     * Toggle the generation parameters popover
+     */
+    toggleGenerationPopover() {
+        const hidden = this.elements.generationPopover.classList.toggle('hidden');
+        if (!hidden) this.renderGenerationPopover();
+    }
+
+    /**
+     * Close the generation parameters popover
+     */
+    closeGenerationPopover() {
+        this.elements.generationPopover.classList.add('hidden');
+    }
+
+    /**
+     * Scope the popover edits: 'global' (all models) or 'model' (the selected one)
+     */
+    getGenerationScope() {
+        return document.querySelector('input[name="generation-scope"]:checked')?.value || 'global';
+    }
+
+    /**
+     * Fill the popover with the parameters of the chosen scope
+     * In the model scope the global values show as placeholders, and
+     * parameters the current backend ignores are disabled.
+     */
+    renderGenerationPopover() {
+        const settings = this.chatManager.settings;
+        const { id: profileId, type } = SettingsManager.getProfile(settings);
+        const BackendClass = BackendRegistry.get(type);
+        const scope = this.getGenerationScope();
+        const global = settings.generation || {};
+        const values = scope === 'model'
+            ? SettingsManager.getModelSettings(settings, profileId, settings.currentModel).generation || {}
+            : global;
+
+        const format = value => (Array.isArray(value) ? value.join('\n') : String(value));
+
+        this.elements.generationModelName.textContent = settings.currentModel || 'This model';
+        for (const param of GENERATION_PARAMS) {
+            const input = document.getElementById(`generation-${param.key}`);
+            const supported = BackendClass?.generationParams.includes(param.key);
+
+            input.value = values[param.key] !== undefined ? format(values[param.key]) : '';
+            input.placeholder = scope === 'model' && global[param.key] !== undefined
+                ? format(global[param.key])
+                : 'Default';
+            input.disabled = !supported;
+            input.closest('.generation-field').title = supported ? '' : `Not supported by ${BackendClass?.displayName || type}`;
+        }
+
+        this.showGenerationHint(scope === 'model'
+            ? 'Empty fields use the All models value'
+            : 'Empty fields use the provider default');
+    }
+
+    /**
+     * Show a hint or error below the generation parameters
+     */
+    showGenerationHint(message, isError = false) {
+        this.elements.generationHint.textContent = message;
+        this.elements.generationHint.classList.toggle('error', isError);
+    }
+
+    /**
+     * Read the popover inputs; empty ones are left out
+     */
+    readGenerationFields() {
+        const values = {};
+        for (const param of GENERATION_PARAMS) {
+            const input = document.getElementById(`generation-${param.key}`);
+            if (param.type === 'list') {
+                const items = input.value.split('\n').filter(item => item !== '');
+                if (items.length > 0) values[param.key] = items;
+            } else {
+                const value = this.readNumberInput(input);
+                if (value !== null) values[param.key] = value;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Validate and store the popover values for the chosen scope
+     */
+    async saveGenerationParams() {
+        const values = this.readGenerationFields();
+        const errors = SettingsManager.validateFields(GENERATION_PARAMS, values, 'Generation');
+        if (errors.length > 0) {
+            this.showGenerationHint(errors[0], true);
+            return;
+        }
+
+        let settings = this.chatManager.settings;
+        if (this.getGenerationScope() === 'model') {
+            const profileId = SettingsManager.getProfile(settings).id;
+            settings = SettingsManager.updateModelSettings(settings, profileId, settings.currentModel, { generation: values });
+        } else {
+            settings = { ...settings, generation: values };
+        }
+
+        await this.chatManager.updateSettings(settings);
+        this.updateGenerationButton(settings);
+        this.renderGenerationPopover();
+    }
+
+    /**
+     * Highlight the generation button when the current model has parameters set
+     */
+    updateGenerationButton(settings) {
+        const profileId = SettingsManager.getProfile(settings)?.id;
+        const params = SettingsManager.getGenerationParams(settings, profileId, settings.currentModel);
+        this.elements.generationButton.classList.toggle('active', Object.keys(params).length > 0);
+    }
+
+    /**
+     * Offer the ready-made schemas in the structured output popover
+     */
+    renderSchemaPresets() {
+        for (const preset of SCHEMA_PRESETS) {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            this.elements.schemaPreset.appendChild(option);
+        }
+    }
+
+    /**
+     * Toggle the structured output popover
+     */
+    toggleSchemaPopover() {
+        const hidden = this.elements.schemaPopover.classList.toggle('hidden');
+        if (!hidden) this.renderSchemaPopover();
+    }
+
+    /**
+     * Close the structured output popover
+     */
+    closeSchemaPopover() {
+        this.elements.schemaPopover.classList.add('hidden');
+    }
+
+    /**
+     * Fill the popover with the stored schema
+     */
+    renderSchemaPopover() {
+        const { enabled, schema } = this.chatManager.settings.structuredOutput || {};
+        this.elements.schemaEnabled.checked = Boolean(enabled);
+        this.elements.schemaInput.value = schema || '';
+        this.showSchemaHint('Paste a JSON Schema the reply must follow');
+    }
+
+    /**
+     * Show a hint or error below the schema
+     */
+    showSchemaHint(message, isError = false) {
+        this.elements.schemaHint.textContent = message;
+        this.elements.schemaHint.classList.toggle('error', isError);
+    }
+
+    /**
+     * Validate and store the schema; an enabled schema must parse
+     */
+    async saveResponseSchema() {
+        const enabled = this.elements.schemaEnabled.checked;
+        const text = this.elements.schemaInput.value.trim();
+        let schema = text;
+        if (text) {
+            try {
+                schema = JSON.stringify(parseSchema(text), null, 2);
+            } catch (error) {
+                if (enabled) {
+                    this.showSchemaHint(error.message, true);
+                    return;
+                }
+            }
+        }
+
+        const settings = { ...this.chatManager.settings, structuredOutput: { enabled: enabled && Boolean(text), schema } };
+        await this.chatManager.updateSettings(settings);
+        this.updateCapabilityControls(settings);
+        this.renderSchemaPopover();
+        this.showSchemaHint(settings.structuredOutput.enabled ? 'Replies follow this schema' : 'Structured output is off');
+    }
+
+    /**
+     * Download the current conversation
+     * @param {string} format - 'markdown', 'json' or 'html'
+     */
+    async exportConversation(format) {
+        const conversation = this.chatManager.conversation;
+        if (!conversation || this.chatManager.messages.length === 0) return;
+
+        try {
+            if (format === 'json') {
+                const { messages, activeChildren } = this.chatManager.tree.toJSON();
+                downloadFile(getExportFilename(conversation, 'json'),
+                    exportToJSON(conversation, messages, activeChildren), 'application/json');
+            } else if (format === 'html') {
+                const html = exportToHTML(conversation, this.chatManager.messages, {
+                    styles: await this.getExportStyles(),
+                    theme: this.chatManager.settings.theme
+                });
+                downloadFile(getExportFilename(conversation, 'html'), html, 'text/html');
+            } else {
+                downloadFile(getExportFilename(conversation, 'md'),
+                    exportToMarkdown(conversation, this.chatManager.messages), 'text/markdown');
+            }
+        } catch (error) {
+            console.error('Failed to export conversation:', error);
+        }
+    }
+
+    /**
+     * Load the side panel stylesheets for inlining into HTML exports
+     */
+    async getExportStyles() {
+        const sheets = await Promise.all(['sidepanel.css', 'lib/github.css'].map(async (path) => {
+            try {
+                const response = await fetch(chrome.runtime.getURL(path));
+                return response.ok ? await response.text() : '';
+            } catch (error) {
+                console.error(`Failed to load ${path}:`, error);
+                return '';
+            }
+        }));
+        return sheets.join('\n');
+    }
+
     /**
      * New chat
      */
@@ -856,6 +3284,8 @@ class SidePanelApp {
                 this.sendMessage();
             });
         });
+        this.updateUsageSummary();
+        this.updateContextMeter();
     }
 
     /**
@@ -0,0 +1,350 @@
+import { AIBackend } from './base.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 8192;
+const DEFAULT_THINKING_BUDGET = 4096;
+
+// The API rejects budgets below this
+const MIN_THINKING_BUDGET = 1024;
+
+// Thinking budgets of the effort levels
+const THINKING_BUDGETS = { low: 2048, medium: 8192, high: 24576 };
+
+// Generation parameters the Messages API takes; max_tokens is set separately
+const GENERATION_FIELDS = {
+    temperature: 'temperature',
+    topP: 'top_p',
+    topK: 'top_k',
+    stopSequences: 'stop_sequences'
+};
+
+// Lowest top_p the API accepts while thinking
+const MIN_THINKING_TOP_P = 0.95;
+
+/**
+ * tool_use id of a call, which may come from another backend
+ * The API only accepts letters, digits, _ and -.
+ */
+function toToolUseId(id) {
+    return String(id || 'call').replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Anthropic Messages API Backend
+ */
+export class AnthropicBackend extends AIBackend {
+    static id = 'anthropic';
+    static displayName = 'Anthropic';
+    static settingsSchema = [
+        {
+            key: 'apiUrl',
+            label: 'API URL',
+            type: 'url',
+            default: 'https://api.anthropic.com/v1',
+            required: true
+        },
+        {
+            key: 'apiKey',
+            label: 'API Key',
+            type: 'password',
+            default: '',
+            required: true,
+            placeholder: 'Enter your Anthropic API key'
+        },
+        {
+            key: 'thinkingBudget',
+            label: 'Thinking Budget (tokens)',
+            type: 'number',
+            default: DEFAULT_THINKING_BUDGET,
+            min: MIN_THINKING_BUDGET,
+            step: 1024,
+            hint: 'Used when "Include Thinking in Response" is enabled and reasoning is on Auto'
+        }
+    ];
+    static defaultModels = ['claude-sonnet-4-5', 'claude-opus-4-5', 'claude-haiku-4-5'];
+    static generationParams = [...Object.keys(GENERATION_FIELDS), 'maxOutputTokens'];
+    static capabilities = {
+        ...AIBackend.capabilities,
+        thinking: true,
+        thinkingBudget: true,
+        images: true,
+        tools: true,
+        listModels: true
+    };
+
+    constructor(config) {
+        super(config);
+        this.maxTokens = config.maxTokens || DEFAULT_MAX_TOKENS;
+        this.thinkingBudget = config.thinkingBudget || DEFAULT_THINKING_BUDGET;
+    }
+
+    /**
+     * Longest reply the request allows; max_tokens is required here
+     */
+    getMaxOutputTokens() {
+        return this.generation.maxOutputTokens ?? this.maxTokens;
+    }
+
+    /**
+     * Convert messages to Anthropic format
+     * Tool calls become tool_use blocks, after the thinking blocks the API
+     * requires back, and the results of one turn's calls share a user turn
+     * of tool_result blocks.
+     */
+    convertMessages(messages) {
+        const result = [];
+        for (const msg of messages) {
+            if (msg.role === 'tool') {
+                const block = {
+                    type: 'tool_result',
+                    tool_use_id: toToolUseId(msg.toolCallId),
+                    content: msg.content ?? '',
+                    ...(msg.result?.error && { is_error: true })
+                };
+                const last = result[result.length - 1];
+                if (last?.content[0]?.type === 'tool_result') {
+                    last.content.push(block);
+                } else {
+                    result.push({ role: 'user', content: [block] });
+                }
+                continue;
+            }
+
+            if (msg.role === 'assistant' && msg.toolCalls?.length) {
+                const content = [...(msg.toolCalls[0].thinkingBlocks || [])];
+                if (msg.content) content.push({ type: 'text', text: msg.content });
+                for (const call of msg.toolCalls) {
+                    content.push({ type: 'tool_use', id: toToolUseId(call.id), name: call.name, input: call.arguments || {} });
+                }
+                result.push({ role: 'assistant', content });
+                continue;
+            }
+
+            result.push({
+                role: msg.role === 'assistant' ? 'assistant' : 'user',
+                content: msg.content
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Build request body
+     */
+    buildRequestBody(messages, options) {
+        const converted = this.convertMessages(messages);
+
+        // Add images to the last user message if present (tool turns may follow it)
+        if (options.images && options.images.length > 0 && converted.length > 0) {
+            const lastMsg = converted.findLast(msg => typeof msg.content === 'string');
+            if (lastMsg?.role === 'user') {
+                const content = options.images.map(img => ({
+                    type: 'image',
+                    source: {
+                        type: 'base64',
+                        media_type: img.type || 'image/jpeg',
+                        data: img.data.split(',')[1]
+                    }
+                }));
+                // Images first, as recommended by the API docs
+                content.push({ type: 'text', text: lastMsg.content });
+                lastMsg.content = content;
+            }
+        }
+
+        const body = {
+            model: this.model,
+            max_tokens: this.getMaxOutputTokens(),
+            messages: converted,
+            stream: true,
+            ...this.mapGenerationParams(GENERATION_FIELDS)
+        };
+
+        if (options.systemPrompt) {
+            body.system = options.systemPrompt;
+        }
+
+        if (options.tools?.length) {
+            body.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters || { type: 'object', properties: {} }
+            }));
+        }
+
+        // Extended thinking; max_tokens must leave room for the answer
+        const budget = this.getThinkingBudget(options);
+        if (budget !== null) {
+            body.thinking = { type: 'enabled', budget_tokens: budget };
+            if (body.max_tokens <= budget) {
+                body.max_tokens = budget + DEFAULT_MAX_TOKENS;
+            }
+            // Thinking doesn't allow changing temperature or top_k, or a low top_p
+            delete body.temperature;
+            delete body.top_k;
+            if (body.top_p < MIN_THINKING_TOP_P) {
+                delete body.top_p;
+            }
+        }
+
+        // Note: Web search is not supported here, so enableSearch is ignored
+
+        return body;
+    }
+
+    /**
+     * Thinking budget of a request
+     * Without a reasoning setting the model thinks with the profile's budget
+     * when thinking is shown.
+     * @returns {number|null} Budget in tokens, or null to not think
+     */
+    getThinkingBudget(options) {
+        const { effort, budget } = this.reasoning || {};
+        let tokens;
+        if (budget !== undefined) {
+            tokens = budget;
+        } else if (effort) {
+            tokens = THINKING_BUDGETS[effort] ?? null;
+        } else {
+            tokens = options.includeThinking ? this.thinkingBudget : null;
+        }
+        return tokens ? Math.max(MIN_THINKING_BUDGET, tokens) : null;
+    }
+
+    /**
+     * Request headers
+     */
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            // Required for requests carrying a browser (extension) origin
+            'anthropic-dangerous-direct-browser-access': 'true',
+            ...this.extraHeaders
+        };
+    }
+
+    /**
+     * Stream chat completion
+     */
+    async *streamChat(messages, options = {}) {
+        const url = `${this.apiUrl}/messages`;
+
+        const body = this.buildRequestBody(messages, options);
+
+        const response = yield* this.fetchWithRetry(url, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
+        }
+
+        // input_tokens leaves out cache reads and writes; thinking isn't broken out
+        const usage = { inputTokens: 0, outputTokens: 0, thinkingTokens: 0, cachedTokens: 0 };
+        // Thinking blocks before the first tool call, sent back with the calls
+        let thinkingBlocks = [];
+
+        for await (const line of this.readSSEStream(response)) {
+            // `event:` lines are skipped; every data payload carries its type
+            const data = this.parseSSELine(line);
+            if (!data) continue;
+
+            switch (data.type) {
+                case 'message_start': {
+                    const start = data.message?.usage || {};
+                    usage.cachedTokens = start.cache_read_input_tokens || 0;
+                    usage.inputTokens = (start.input_tokens || 0) + usage.cachedTokens
+                        + (start.cache_creation_input_tokens || 0);
+                    usage.outputTokens = start.output_tokens || 0;
+                    break;
+                }
+
+                case 'content_block_start':
+                    if (data.content_block?.type === 'thinking') {
+                        thinkingBlocks.push({ type: 'thinking', thinking: '', signature: '' });
+                    } else if (data.content_block?.type === 'redacted_thinking') {
+                        thinkingBlocks.push({ type: 'redacted_thinking', data: data.content_block.data });
+                    } else if (data.content_block?.type === 'tool_use') {
+                        yield {
+                            toolCall: {
+                                id: data.content_block.id,
+                                name: data.content_block.name,
+                                arguments: '',
+                                ...(thinkingBlocks.length > 0 && { thinkingBlocks })
+                            }
+                        };
+                        thinkingBlocks = [];
+                    }
+                    break;
+
+                case 'content_block_delta':
+                    if (data.delta?.type === 'text_delta') {
+                        yield { text: data.delta.text, thought: false };
+                    } else if (data.delta?.type === 'thinking_delta') {
+                        if (thinkingBlocks.length > 0) thinkingBlocks[thinkingBlocks.length - 1].thinking += data.delta.thinking;
+                        if (options.includeThinking) yield { text: data.delta.thinking, thought: true };
+                    } else if (data.delta?.type === 'signature_delta') {
+                        if (thinkingBlocks.length > 0) thinkingBlocks[thinkingBlocks.length - 1].signature += data.delta.signature;
+                    } else if (data.delta?.type === 'input_json_delta') {
+                        yield { toolCall: { arguments: data.delta.partial_json } };
+                    }
+                    break;
+
+                case 'message_delta':
+                    if (data.usage?.output_tokens !== undefined) {
+                        usage.outputTokens = data.usage.output_tokens;
+                    }
+                    yield {
+                        usage: { ...usage },
+                        stopReason: data.delta?.stop_reason || null
+                    };
+                    break;
+
+                case 'error':
+                    // Overload can also arrive mid-stream; report it like the HTTP 529
+                    throw this.createApiError(
+                        data.error?.message || 'Anthropic stream error',
+                        data.error?.type === 'overloaded_error' ? 529 : null
+                    );
+
+                // content_block_stop, message_stop and ping carry nothing to show
+                default:
+                    break;
+            }
+        }
+    }
+
+    /**
+     * List models, following pagination
+     * The API doesn't report context windows.
+     * @returns {Array<Object>} Models as { id, contextLength }
+     */
+    async listModels() {
+        const models = [];
+        let afterId = '';
+
+        do {
+            const url = `${this.apiUrl}/models?limit=1000${afterId ? `&after_id=${encodeURIComponent(afterId)}` : ''}`;
+            const response = await fetch(url, { headers: this.getHeaders() });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
+            }
+
+            const data = await response.json();
+            for (const model of data.data || []) {
+                models.push({ id: model.id, contextLength: null });
+            }
+            afterId = data.has_more ? data.last_id : '';
+        } while (afterId);
+
+        return models;
+    }
+}
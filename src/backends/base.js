@@ -1,23 +1,289 @@
+import { readLines } from '../utils.js';
+
+// Transient failures worth retrying (529 is Anthropic's "overloaded")
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504, 529]);
+const STATUS_MESSAGES = {
+    429: 'Rate limited',
+    500: 'Server error',
+    502: 'Bad gateway',
+    503: 'Service unavailable',
+    504: 'Gateway timeout',
+    529: 'Overloaded'
+};
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_BACKOFF_MS = 30000;
+
+// Longer waits than this (e.g. an exhausted daily quota) are reported instead
+const RETRY_MAX_DELAY_MS = 60000;
+
+/**
+ * Wait for a delay, rejecting with an AbortError if the signal fires
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', abort);
+            resolve();
+        }, ms);
+
+        if (signal?.aborted) {
+            abort();
+        } else {
+            signal?.addEventListener('abort', abort, { once: true });
+        }
+    });
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return parseFloat(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 /**
  * Base class for AI backends
+ *
+ * Subclasses describe themselves through static metadata, which the
+ * backend registry uses to build default settings, the settings form,
+ * validation and backend instances:
+ * - id: settings key and backend type, e.g. 'gemini'
+ * - displayName: label in the settings modal
+ * - shortName: optional shorter name used in validation messages
+ * - settingsSchema: fields stored next to `models`, each
+ *   { key, label, type: 'url'|'password'|'text'|'number', default, required,
+ *     placeholder, hint, min, max, step }; the registry appends the common
+ *   `headers` field (extra request headers) to every schema
+ * - defaultModels: initial model list
+ * - capabilities: features the backend supports
+ * - generationParams: generation parameters it sends (keys of
+ *   GENERATION_PARAMS in settings.js); the others are ignored
  */
 export class AIBackend {
+    static id = null;
+    static displayName = '';
+    static shortName = '';
+    static settingsSchema = [];
+    static defaultModels = [];
+    static generationParams = [];
+    static capabilities = {
+        search: false,
+        thinking: false,
+        images: false,
+        tools: false,
+        listModels: false,
+        pullModel: false,
+        // Takes a thinking budget in tokens, not just an effort level
+        thinkingBudget: false,
+        // Constrains replies to a JSON Schema (options.responseSchema)
+        structuredOutput: false,
+        // Built-in tools: runs code the model writes, reads URLs from the prompt
+        codeExecution: false,
+        urlContext: false,
+        // Replies with generated images (options.imageGeneration)
+        imageGeneration: false
+    };
+
     constructor(config) {
         this.apiUrl = config.apiUrl;
         this.apiKey = config.apiKey;
         this.model = config.model;
+        // Provider profile the backend was built for
+        this.profileId = config.profileId || null;
+        // Extra headers from the provider profile, sent with every request
+        this.extraHeaders = config.headers || {};
+        this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+        // Resolved generation parameters (temperature, topP, ...); unset ones are absent
+        this.generation = config.generation || {};
+        // What the model can do (vision, thinking, search, ...); null when unknown
+        this.modelCapabilities = config.capabilities || null;
+        // Reasoning the user chose: { effort } or { budget }; null for the provider default
+        this.reasoning = config.reasoning || null;
+    }
+
+    /**
+     * Generation parameters renamed to the provider's request fields
+     * @param {Object} fields - Request field name by parameter key
+     * @returns {Object} Request fields of the parameters that are set
+     */
+    mapGenerationParams(fields) {
+        const mapped = {};
+        for (const [key, field] of Object.entries(fields)) {
+            if (this.generation[key] !== undefined) {
+                mapped[field] = this.generation[key];
+            }
+        }
+        return mapped;
+    }
+
+    /**
+     * Tokens the model accepts per request, prompt and reply together
+     * @returns {number|null} Context window, or null when unknown
+     */
+    getContextWindow() {
+        return this.modelCapabilities?.contextWindow ?? null;
+    }
+
+    /**
+     * Longest reply the request allows
+     * @returns {number|null} Max output tokens, or null for the provider default
+     */
+    getMaxOutputTokens() {
+        return this.generation.maxOutputTokens ?? null;
     }
 
     /**
      * Stream chat completion
      * @param {Array} messages - Array of message objects
-     * @param {Object} options - Additional options
-     * @yields {Object} Response chunks with { text, thought, searchResults }
+     * @param {Object} options - Additional options; `prompt` is the user's text
+     *   without page context
+     * @yields {Object} Response chunks with { text, thought, searchResults }, and
+     *   { usage, stopReason } with the token counts described in usage.js;
+     *   built-in tools add { executableCode: { language, code } },
+     *   { codeExecutionResult: { outcome, output } } and { urlContext: [{ url, status }] };
+     *   images and other media come as { media: { type, data } } with a data URL,
+     *   or { media: { type, uri } } for files the provider hosts
      */
     async *streamChat(messages, options = {}) {
         throw new Error('streamChat must be implemented by subclass');
     }
 
+    /**
+     * List the models the provider offers
+     * Backends declaring capabilities.listModels implement this.
+     * @returns {Array<Object>} Models as { id, contextLength } (contextLength is null when not
+     *   reported), plus partial `capabilities` (see capabilities.js) when the provider describes them
+     */
+    async listModels() {
+        throw new Error('listModels is not supported by this backend');
+    }
+
+    /**
+     * Fetch, retrying transient failures before the response arrives
+     * Retries 429/5xx responses and network errors with exponential
+     * backoff, honoring Retry-After and Gemini RetryInfo. Stops waiting
+     * when `init.signal` aborts. Use with `yield*` inside streamChat so
+     * the retry notices reach the UI.
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch() options
+     * @yields {Object} { retry: { attempt, maxRetries, delayMs, status, message } } before each wait
+     * @returns {Response} The first non-retryable response (which may not be OK)
+     */
+    async *fetchWithRetry(url, init = {}) {
+        for (let attempt = 1; ; attempt++) {
+            let response = null;
+            let networkError = null;
+
+            try {
+                response = await fetch(url, init);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                networkError = error;
+            }
+
+            if (response && (response.ok || !RETRY_STATUSES.has(response.status))) {
+                return response;
+            }
+            if (attempt > this.maxRetries) {
+                if (networkError) {
+                    networkError.network = true;
+                    throw networkError;
+                }
+                return response;
+            }
+
+            let delayMs = this.getBackoffDelay(attempt);
+            let message = networkError ? 'Network error' : STATUS_MESSAGES[response.status];
+
+            if (response) {
+                // Read the server's hint from a clone so the body stays usable
+                const hint = await this.getRetryHint(response.clone());
+                if (hint.delayMs !== null) {
+                    // Waiting that long isn't worth it; let the caller report the error
+                    if (hint.delayMs > RETRY_MAX_DELAY_MS) return response;
+                    delayMs = hint.delayMs;
+                }
+                message = hint.message || message;
+            }
+
+            yield {
+                retry: {
+                    attempt,
+                    maxRetries: this.maxRetries,
+                    delayMs,
+                    status: response?.status ?? null,
+                    message
+                }
+            };
+
+            await sleep(delayMs, init.signal);
+        }
+    }
+
+    /**
+     * Create an error for a failed request, keeping the HTTP status
+     */
+    createApiError(message, status = null) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Whether an error means the model is unavailable right now (rate
+     * limit, overload, server or network failure) rather than a problem
+     * with the request, so another model may succeed
+     */
+    static isTransientError(error) {
+        if (error.name === 'AbortError') return false;
+        if (error.network) return true;
+        return RETRY_STATUSES.has(error.status);
+    }
+
+    /**
+     * Exponential backoff with jitter for a retry attempt (1-based)
+     */
+    getBackoffDelay(attempt) {
+        const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.random() * RETRY_BASE_DELAY_MS;
+        return Math.round(Math.min(backoff, RETRY_MAX_BACKOFF_MS));
+    }
+
+    /**
+     * Read how long the server asks us to wait, and its error message
+     * Checks the Retry-After header, then a google.rpc.RetryInfo detail
+     * in the error body (sent by Gemini on 429s).
+     * @returns {Object} { delayMs: number|null, message: string|null }
+     */
+    async getRetryHint(response) {
+        let delayMs = parseRetryAfter(response.headers.get('Retry-After'));
+
+        const body = await response.json().catch(() => null);
+        const error = Array.isArray(body) ? body[0]?.error : body?.error;
+
+        if (delayMs === null) {
+            const retryInfo = (error?.details || []).find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+            if (retryInfo?.retryDelay) {
+                delayMs = parseFloat(retryInfo.retryDelay) * 1000;
+            }
+        }
+
+        return {
+            delayMs: Number.isNaN(delayMs) ? null : delayMs,
+            message: (typeof error === 'string' ? error : error?.message) || null
+        };
+    }
+
     /**
      * Parse SSE data line
      * @param {string} line - SSE data line
@@ -41,32 +307,33 @@ export class AIBackend {
      * @yields {string} SSE lines
      */
     async *readSSEStream(response) {
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.trim()) {
-                        yield line;
-                    }
-                }
-            }
+        yield* this.readLines(response);
+    }
 
-            // Process remaining buffer
-            if (buffer.trim()) {
-                yield buffer;
+    /**
+     * Read a newline-delimited JSON stream (used by Ollama's native API)
+     * @param {Response} response - Fetch response
+     * @yields {Object} Parsed JSON objects, one per line
+     */
+    async *readNDJSONStream(response) {
+        for await (const line of this.readLines(response)) {
+            let data;
+            try {
+                data = JSON.parse(line);
+            } catch (e) {
+                console.error('Failed to parse NDJSON line:', line);
+                continue;
             }
-        } finally {
-            reader.releaseLock();
+            yield data;
         }
     }
+
+    /**
+     * Split a streaming response body into non-empty lines
+     * @param {Response} response - Fetch response
+     * @yields {string} Lines without the trailing newline
+     */
+    async *readLines(response) {
+        yield* readLines(response);
+    }
 }
@@ -1,21 +1,107 @@
 import { AIBackend } from './base.js';
+import { toGeminiSchema } from '../json-schema.js';
+
+// generationConfig uses the parameter names as they are
+const GENERATION_FIELDS = {
+    temperature: 'temperature',
+    topP: 'topP',
+    topK: 'topK',
+    maxOutputTokens: 'maxOutputTokens',
+    stopSequences: 'stopSequences',
+    seed: 'seed',
+    presencePenalty: 'presencePenalty',
+    frequencyPenalty: 'frequencyPenalty'
+};
+
+// Thinking budgets of the effort levels on models that take a budget (Gemini 2.5)
+const THINKING_BUDGETS = { off: 0, low: 1024, medium: 8192, high: 24576 };
+// Lowest budget of the Pro models, which can't turn thinking off
+const MIN_PRO_THINKING_BUDGET = 128;
+
+// Gemini 3 takes a thinking level instead; Pro only knows low and high
+const THINKING_LEVELS = { off: 'minimal', low: 'low', medium: 'medium', high: 'high' };
+const PRO_THINKING_LEVELS = { off: 'low', low: 'low', medium: 'high', high: 'high' };
 
 /**
  * Gemini API Backend
  */
 export class GeminiBackend extends AIBackend {
+    static id = 'gemini';
+    static displayName = 'Gemini API';
+    static shortName = 'Gemini';
+    static settingsSchema = [
+        {
+            key: 'apiUrl',
+            label: 'API URL',
+            type: 'url',
+            default: 'https://generativelanguage.googleapis.com/v1beta',
+            required: true
+        },
+        {
+            key: 'apiKey',
+            label: 'API Key',
+            type: 'password',
+            default: '',
+            required: true,
+            placeholder: 'Enter your Gemini API key'
+        }
+    ];
+    static defaultModels = ['gemini-3-pro-preview', 'gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+    static generationParams = Object.keys(GENERATION_FIELDS);
+    static capabilities = {
+        ...AIBackend.capabilities,
+        search: true,
+        thinking: true,
+        thinkingBudget: true,
+        images: true,
+        tools: true,
+        listModels: true,
+        structuredOutput: true,
+        codeExecution: true,
+        urlContext: true,
+        imageGeneration: true
+    };
+
     constructor(config) {
         super(config);
     }
 
     /**
      * Convert messages to Gemini format
+     * Tool calls become functionCall parts (with the thought signature Gemini
+     * requires back), and the results of one turn's calls share a user turn
+     * of functionResponse parts.
      */
     convertMessages(messages) {
-        return messages.map(msg => ({
-            role: msg.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: msg.content }]
-        }));
+        const contents = [];
+        for (const msg of messages) {
+            if (msg.role === 'tool') {
+                const result = msg.result;
+                const part = {
+                    functionResponse: {
+                        name: msg.name,
+                        response: result && typeof result === 'object' && !Array.isArray(result) ? result : { result }
+                    }
+                };
+                const last = contents[contents.length - 1];
+                if (last?.parts[0]?.functionResponse) {
+                    last.parts.push(part);
+                } else {
+                    contents.push({ role: 'user', parts: [part] });
+                }
+                continue;
+            }
+
+            const parts = msg.content || !msg.toolCalls?.length ? [{ text: msg.content }] : [];
+            for (const call of msg.toolCalls || []) {
+                parts.push({
+                    functionCall: { name: call.name, args: call.arguments },
+                    ...(call.signature && { thoughtSignature: call.signature })
+                });
+            }
+            contents.push({ role: msg.role === 'assistant' ? 'model' : 'user', parts });
+        }
+        return contents;
     }
 
     /**
@@ -24,10 +110,10 @@ export class GeminiBackend extends AIBackend {
     buildRequestBody(messages, options) {
         const contents = this.convertMessages(messages);
 
-        // Add images to the last user message if present
+        // Add images to the last user message if present (tool turns may follow it)
         if (options.images && options.images.length > 0 && contents.length > 0) {
-            const lastContent = contents[contents.length - 1];
-            if (lastContent.role === 'user') {
+            const lastContent = contents.findLast(content => !content.parts.some(part => part.functionCall || part.functionResponse));
+            if (lastContent?.role === 'user') {
                 // Add image parts
                 for (const img of options.images) {
                     // Extract base64 data from data URL
@@ -53,73 +139,237 @@ export class GeminiBackend extends AIBackend {
             };
         }
 
-        // Tools (Search Grounding)
-        if (options.enableSearch) {
-            body.tools = [{ googleSearch: {} }];
+        // Tools: the built-in ones (search grounding, code execution, URL
+        // context), or the functions the model can call, as Gemini doesn't
+        // combine built-in tools with function calling
+        const builtInTools = [
+            options.enableSearch && { googleSearch: {} },
+            options.enableCodeExecution && { codeExecution: {} },
+            options.enableUrlContext && { urlContext: {} }
+        ].filter(Boolean);
+        if (builtInTools.length > 0) {
+            body.tools = builtInTools;
+        } else if (options.tools?.length) {
+            body.tools = [{
+                // Gemini rejects OBJECT schemas without properties, so tools
+                // taking no arguments declare no parameters
+                functionDeclarations: options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    ...(Object.keys(tool.parameters?.properties || {}).length > 0 && { parameters: toGeminiSchema(tool.parameters) })
+                }))
+            }];
         }
 
-        // Generation config with thinking
-        if (options.includeThinking) {
-            body.generationConfig = {
-                thinkingConfig: {
-                    includeThoughts: true
-                }
-            };
+        // Generation config: sampling parameters, structured output, images and thinking
+        const generationConfig = this.mapGenerationParams(GENERATION_FIELDS);
+        if (options.responseSchema) {
+            generationConfig.responseMimeType = 'application/json';
+            generationConfig.responseSchema = toGeminiSchema(options.responseSchema);
+        }
+        if (options.imageGeneration) {
+            generationConfig.responseModalities = ['TEXT', 'IMAGE'];
+        }
+        const thinkingConfig = this.buildThinkingConfig(options);
+        if (Object.keys(thinkingConfig).length > 0) {
+            generationConfig.thinkingConfig = thinkingConfig;
+        }
+        if (Object.keys(generationConfig).length > 0) {
+            body.generationConfig = generationConfig;
         }
 
         return body;
     }
 
     /**
-     * Stream chat completion
+     * Thinking config: whether to return thoughts and how much to think
+     * Budgets apply to every thinking model; effort levels become a budget
+     * on Gemini 2.5 and a thinking level on Gemini 3.
      */
-    async *streamChat(messages, options = {}) {
-        const url = `${this.apiUrl}/models/${this.model}:streamGenerateContent?alt=sse`;
+    buildThinkingConfig(options) {
+        const config = {};
+        if (options.includeThinking) {
+            config.includeThoughts = true;
+        }
 
-        const headers = {
+        const { effort, budget } = this.reasoning || {};
+        const pro = /-pro/.test(this.model);
+        if (budget !== undefined) {
+            config.thinkingBudget = pro ? Math.max(MIN_PRO_THINKING_BUDGET, budget) : budget;
+        } else if (effort && /^gemini-3/.test(this.model)) {
+            config.thinkingLevel = (pro ? PRO_THINKING_LEVELS : THINKING_LEVELS)[effort];
+        } else if (effort) {
+            config.thinkingBudget = pro ? Math.max(MIN_PRO_THINKING_BUDGET, THINKING_BUDGETS[effort]) : THINKING_BUDGETS[effort];
+        }
+        return config;
+    }
+
+    /**
+     * Request headers
+     */
+    getHeaders() {
+        return {
             'Content-Type': 'application/json',
-            'x-goog-api-key': this.apiKey
+            'x-goog-api-key': this.apiKey,
+            ...this.extraHeaders
         };
+    }
+
+    /**
+     * Stream chat completion
+     */
+    async *streamChat(messages, options = {}) {
+        const url = `${this.apiUrl}/models/${this.model}:streamGenerateContent?alt=sse`;
 
         const body = this.buildRequestBody(messages, options);
 
-        const response = await fetch(url, {
+        const response = yield* this.fetchWithRetry(url, {
             method: 'POST',
-            headers,
+            headers: this.getHeaders(),
             body: JSON.stringify(body),
             signal: options.signal
         });
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `API error: ${response.status}`);
+            throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
         }
 
+        let toolCallCount = 0;
         for await (const line of this.readSSEStream(response)) {
             const data = this.parseSSELine(line);
             if (!data) continue;
 
+            // Usage is cumulative and repeated on every chunk; the last one is complete
+            if (data.usageMetadata) {
+                yield {
+                    usage: this.readUsage(data.usageMetadata),
+                    stopReason: data.candidates?.[0]?.finishReason || null
+                };
+            }
+
             // Handle candidates
             const candidate = data.candidates?.[0];
-            if (!candidate?.content?.parts) continue;
 
-            for (const part of candidate.content.parts) {
+            for (const part of candidate?.content?.parts || []) {
                 if (part.text) {
                     yield {
                         text: part.text,
                         thought: part.thought || false
                     };
                 }
+                // Generated images and other media; thought images are drafts
+                if (part.inlineData && !part.thought) {
+                    const { mimeType, data } = part.inlineData;
+                    yield { media: { type: mimeType, data: `data:${mimeType};base64,${data}` } };
+                }
+                if (part.fileData) {
+                    yield { media: { type: part.fileData.mimeType, uri: part.fileData.fileUri } };
+                }
+                // Code the model ran with the codeExecution tool, and its outcome
+                if (part.executableCode) {
+                    yield {
+                        executableCode: {
+                            language: (part.executableCode.language || '').toLowerCase(),
+                            code: part.executableCode.code || ''
+                        }
+                    };
+                }
+                if (part.codeExecutionResult) {
+                    yield {
+                        codeExecutionResult: {
+                            outcome: (part.codeExecutionResult.outcome || '').replace(/^OUTCOME_/, '').toLowerCase(),
+                            output: part.codeExecutionResult.output || ''
+                        }
+                    };
+                }
+                // Function calls arrive whole; index tells parallel calls apart
+                if (part.functionCall) {
+                    yield {
+                        toolCall: {
+                            index: toolCallCount++,
+                            id: part.functionCall.id,
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {}),
+                            signature: part.thoughtSignature
+                        }
+                    };
+                }
+            }
+
+            // URLs read with the urlContext tool, e.g. status 'success' or 'paywall'
+            const urlMetadata = candidate?.urlContextMetadata?.urlMetadata;
+            if (urlMetadata?.length) {
+                yield {
+                    urlContext: urlMetadata.map(entry => ({
+                        url: entry.retrievedUrl,
+                        status: (entry.urlRetrievalStatus || '').replace(/^URL_RETRIEVAL_STATUS_/, '').toLowerCase()
+                    }))
+                };
             }
 
-            // Handle grounding metadata (search results)
-            const grounding = candidate.groundingMetadata;
-            if (grounding?.searchEntryPoint?.renderedContent) {
+            // Handle grounding metadata: the search suggestions, the sources
+            // and which segments of the text each source supports
+            const grounding = candidate?.groundingMetadata;
+            if (grounding?.searchEntryPoint?.renderedContent || grounding?.groundingChunks) {
                 yield {
-                    searchResults: grounding.searchEntryPoint.renderedContent,
-                    groundingChunks: grounding.groundingChunks
+                    searchResults: grounding.searchEntryPoint?.renderedContent || null,
+                    groundingChunks: grounding.groundingChunks || [],
+                    groundingSupports: grounding.groundingSupports || []
                 };
             }
         }
     }
+
+    /**
+     * Normalize usageMetadata (candidate tokens exclude thoughts)
+     */
+    readUsage(metadata) {
+        const thinkingTokens = metadata.thoughtsTokenCount || 0;
+        return {
+            inputTokens: metadata.promptTokenCount || 0,
+            outputTokens: (metadata.candidatesTokenCount || 0) + thinkingTokens,
+            thinkingTokens,
+            cachedTokens: metadata.cachedContentTokenCount || 0
+        };
+    }
+
+    /**
+     * List models that can chat, following pagination
+     * models.list reports streaming as `generateContent` for most models,
+     * so either method counts.
+     * @returns {Array<Object>} Models as { id, contextLength }
+     */
+    async listModels() {
+        const models = [];
+        let pageToken = '';
+
+        do {
+            const url = `${this.apiUrl}/models?pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+            const response = await fetch(url, { headers: this.getHeaders() });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
+            }
+
+            const data = await response.json();
+            for (const model of data.models || []) {
+                const methods = model.supportedGenerationMethods || [];
+                if (!methods.includes('streamGenerateContent') && !methods.includes('generateContent')) continue;
+
+                const entry = {
+                    id: model.name.replace(/^models\//, ''),
+                    contextLength: model.inputTokenLimit || null
+                };
+                if (typeof model.thinking === 'boolean') {
+                    entry.capabilities = { thinking: model.thinking };
+                }
+                models.push(entry);
+            }
+            pageToken = data.nextPageToken || '';
+        } while (pageToken);
+
+        return models;
+    }
 }
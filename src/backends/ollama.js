@@ -0,0 +1,279 @@
+import { AIBackend } from './base.js';
+
+// Context length Ollama loads models with when num_ctx isn't set
+const DEFAULT_NUM_CTX = 4096;
+
+// Generation parameters as Ollama runtime options
+const GENERATION_FIELDS = {
+    temperature: 'temperature',
+    topP: 'top_p',
+    topK: 'top_k',
+    maxOutputTokens: 'num_predict',
+    stopSequences: 'stop',
+    seed: 'seed',
+    presencePenalty: 'presence_penalty',
+    frequencyPenalty: 'frequency_penalty'
+};
+
+/**
+ * Ollama native API Backend
+ * Uses /api/chat instead of the OpenAI shim to get keep_alive, runtime
+ * options, native image arrays and thinking output.
+ */
+export class OllamaBackend extends AIBackend {
+    static id = 'ollama';
+    static displayName = 'Ollama';
+    static settingsSchema = [
+        {
+            key: 'apiUrl',
+            label: 'API URL',
+            type: 'url',
+            default: 'http://localhost:11434',
+            required: true,
+            hint: 'Native Ollama API (without /v1)'
+        },
+        {
+            key: 'apiKey',
+            label: 'API Key (optional)',
+            type: 'password',
+            default: '',
+            placeholder: 'Only needed behind an authenticating proxy'
+        },
+        { key: 'keepAlive', label: 'Keep Alive', type: 'text', default: '5m', placeholder: '5m' },
+        { key: 'numCtx', label: 'Context Length', type: 'number', default: null, min: 1, placeholder: 'Model default' },
+        { key: 'temperature', label: 'Temperature', type: 'number', default: null, min: 0, max: 2, step: 0.1, placeholder: 'Model default' },
+        { key: 'seed', label: 'Seed', type: 'number', default: null, placeholder: 'Random' }
+    ];
+    static defaultModels = ['llama3.2', 'qwen3'];
+    static generationParams = Object.keys(GENERATION_FIELDS);
+    static capabilities = {
+        ...AIBackend.capabilities,
+        thinking: true,
+        images: true,
+        listModels: true,
+        pullModel: true
+    };
+
+    constructor(config) {
+        super(config);
+        this.keepAlive = config.keepAlive || null;
+        this.numCtx = config.numCtx || null;
+        this.temperature = config.temperature ?? null;
+        this.seed = config.seed ?? null;
+    }
+
+    /**
+     * Tokens per request
+     * Ollama silently truncates prompts to the loaded context length, so
+     * that limit applies whatever the model itself supports.
+     */
+    getContextWindow() {
+        return this.numCtx || DEFAULT_NUM_CTX;
+    }
+
+    /**
+     * Request headers
+     * The API key is optional; it's only needed behind an authenticating proxy.
+     */
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return { ...headers, ...this.extraHeaders };
+    }
+
+    /**
+     * Convert messages to Ollama format
+     */
+    convertMessages(messages, systemPrompt) {
+        const result = [];
+
+        if (systemPrompt) {
+            result.push({ role: 'system', content: systemPrompt });
+        }
+
+        for (const msg of messages) {
+            result.push({ role: msg.role, content: msg.content });
+        }
+
+        return result;
+    }
+
+    /**
+     * Build request body
+     */
+    buildRequestBody(messages, options) {
+        const converted = this.convertMessages(messages, options.systemPrompt);
+
+        // Ollama takes raw base64 images on the message itself
+        if (options.images && options.images.length > 0 && converted.length > 0) {
+            const lastMsg = converted[converted.length - 1];
+            if (lastMsg.role === 'user') {
+                lastMsg.images = options.images.map(img => img.data.split(',')[1]);
+            }
+        }
+
+        const body = {
+            model: this.model,
+            messages: converted,
+            stream: true
+        };
+
+        const think = this.getThink(options);
+        if (think !== null) {
+            body.think = think;
+        }
+
+        if (this.keepAlive) {
+            body.keep_alive = this.keepAlive;
+        }
+
+        // Only send options that were set so model defaults apply otherwise.
+        // The profile's temperature and seed apply unless the generation
+        // parameters set them.
+        const runtimeOptions = this.mapGenerationParams(GENERATION_FIELDS);
+        if (this.numCtx) runtimeOptions.num_ctx = this.numCtx;
+        if (this.temperature !== null) runtimeOptions.temperature ??= this.temperature;
+        if (this.seed !== null) runtimeOptions.seed ??= this.seed;
+        if (Object.keys(runtimeOptions).length > 0) {
+            body.options = runtimeOptions;
+        }
+
+        // Note: Web search is not supported by Ollama, so enableSearch is ignored
+
+        return body;
+    }
+
+    /**
+     * Value of `think` for a request
+     * gpt-oss takes an effort level; other thinking models only on or off.
+     * @returns {boolean|string|null} null to leave it to the model
+     */
+    getThink(options) {
+        const effort = this.reasoning?.effort;
+        if (effort === 'off') return false;
+        if (effort) return /^gpt-oss/.test(this.model) ? effort : true;
+        return options.includeThinking ? true : null;
+    }
+
+    /**
+     * Read an error message from a failed response
+     */
+    async readError(response) {
+        const error = await response.json().catch(() => ({}));
+        return error.error?.message || error.error || `API error: ${response.status}`;
+    }
+
+    /**
+     * Stream chat completion
+     */
+    async *streamChat(messages, options = {}) {
+        const url = `${this.apiUrl}/api/chat`;
+        const body = this.buildRequestBody(messages, options);
+
+        let response = yield* this.fetchWithRetry(url, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify(body),
+            signal: options.signal
+        });
+
+        // Models without thinking support reject `think`; retry without it
+        if (!response.ok && body.think !== undefined) {
+            const message = await this.readError(response);
+            if (!/does not support thinking/i.test(message)) {
+                throw this.createApiError(message, response.status);
+            }
+            delete body.think;
+            response = yield* this.fetchWithRetry(url, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify(body),
+                signal: options.signal
+            });
+        }
+
+        if (!response.ok) {
+            throw this.createApiError(await this.readError(response), response.status);
+        }
+
+        for await (const data of this.readNDJSONStream(response)) {
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            if (data.message?.thinking && options.includeThinking) {
+                yield { text: data.message.thinking, thought: true };
+            }
+            if (data.message?.content) {
+                yield { text: data.message.content, thought: false };
+            }
+
+            if (data.done) {
+                yield {
+                    usage: {
+                        inputTokens: data.prompt_eval_count || 0,
+                        outputTokens: data.eval_count || 0,
+                        thinkingTokens: 0,
+                        cachedTokens: 0
+                    },
+                    stopReason: data.done_reason || null
+                };
+            }
+        }
+    }
+
+    /**
+     * List models installed in Ollama
+     * /api/tags doesn't report context length; that needs /api/show per model.
+     * @returns {Array<Object>} Models as { id, contextLength }
+     */
+    async listModels() {
+        const response = await fetch(`${this.apiUrl}/api/tags`, {
+            headers: this.getHeaders()
+        });
+
+        if (!response.ok) {
+            throw this.createApiError(await this.readError(response), response.status);
+        }
+
+        const data = await response.json();
+        return (data.models || []).map(model => ({ id: model.name, contextLength: null }));
+    }
+
+    /**
+     * Download a model and stream its progress
+     * @param {string} name - Model to pull, e.g. 'llama3.2'
+     * @param {Object} options - { signal }
+     * @yields {Object} { status, completed, total, percent } progress updates
+     */
+    async *pullModel(name, options = {}) {
+        const response = await fetch(`${this.apiUrl}/api/pull`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify({ model: name, stream: true }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw this.createApiError(await this.readError(response), response.status);
+        }
+
+        for await (const data of this.readNDJSONStream(response)) {
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            const progress = { status: data.status };
+            if (data.total) {
+                progress.completed = data.completed || 0;
+                progress.total = data.total;
+                progress.percent = Math.round((progress.completed / data.total) * 100);
+            }
+            yield progress;
+        }
+    }
+}
@@ -1,16 +1,88 @@
 import { AIBackend } from './base.js';
+import { getSchemaName } from '../json-schema.js';
+
+// Generation parameters as top-level request fields; top_k isn't part of
+// the OpenAI API but vLLM, llama.cpp and LM Studio accept it
+const GENERATION_FIELDS = {
+    temperature: 'temperature',
+    topP: 'top_p',
+    topK: 'top_k',
+    maxOutputTokens: 'max_tokens',
+    stopSequences: 'stop',
+    seed: 'seed',
+    presencePenalty: 'presence_penalty',
+    frequencyPenalty: 'frequency_penalty'
+};
+
+// OpenAI's reasoning models reject max_tokens and take max_completion_tokens;
+// model ids may carry a provider prefix, e.g. 'openai/o3' on OpenRouter
+const COMPLETION_TOKENS_MODEL = /^(.*\/)?(o\d|gpt-5)/;
+
+// reasoning_effort values of the effort levels; 'none' needs gpt-5.1 or later
+const REASONING_EFFORTS = { off: 'none', low: 'low', medium: 'medium', high: 'high' };
+
+/**
+ * Media chunk of an image URL, which is usually a data URL
+ */
+function readImageUrl(url) {
+    const type = url.match(/^data:([^;,]+)/)?.[1];
+    return type ? { type, data: url } : { type: 'image/png', uri: url };
+}
 
 /**
  * OpenAI Compatible API Backend
  * Works with OpenAI, Ollama, LM Studio, and other compatible APIs
  */
 export class OpenAIBackend extends AIBackend {
+    static id = 'openai';
+    static displayName = 'OpenAI Compatible';
+    static shortName = 'OpenAI';
+    static settingsSchema = [
+        {
+            key: 'apiUrl',
+            label: 'API URL',
+            type: 'url',
+            default: 'http://localhost:8045/v1',
+            required: true,
+            placeholder: 'http://localhost:11434/v1',
+            hint: 'Supports localhost, Ollama, LM Studio, etc.'
+        },
+        {
+            // Optional for local services like Ollama
+            key: 'apiKey',
+            label: 'API Key (optional)',
+            type: 'password',
+            default: '',
+            placeholder: 'Enter API key (optional for local)'
+        }
+    ];
+    static defaultModels = [
+        'gemini-3-flash',
+        'gemini-3-pro-high',
+        'gemini-3-pro-low',
+        'claude-sonnet-4-5',
+        'claude-sonnet-4-5-thinking',
+        'claude-opus-4-5-thinking'
+    ];
+    static generationParams = Object.keys(GENERATION_FIELDS);
+    static capabilities = {
+        ...AIBackend.capabilities,
+        thinking: true,
+        images: true,
+        tools: true,
+        listModels: true,
+        structuredOutput: true,
+        imageGeneration: true
+    };
+
     constructor(config) {
         super(config);
     }
 
     /**
      * Convert messages to OpenAI format
+     * Assistant turns that called tools carry tool_calls, and each result
+     * follows as a `tool` message.
      */
     convertMessages(messages, systemPrompt) {
         const result = [];
@@ -23,25 +95,53 @@ export class OpenAIBackend extends AIBackend {
         }
 
         for (const msg of messages) {
-            result.push({
-                role: msg.role,
-                content: msg.content
-            });
+            if (msg.role === 'tool') {
+                result.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+            } else if (msg.toolCalls?.length) {
+                result.push({
+                    role: msg.role,
+                    content: msg.content || null,
+                    tool_calls: msg.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                });
+            } else {
+                result.push({
+                    role: msg.role,
+                    content: msg.content
+                });
+            }
         }
 
         return result;
     }
 
+    /**
+     * Whether the reply limit goes in max_completion_tokens
+     * OpenAI itself deprecated max_tokens; other servers mostly only know it.
+     */
+    usesCompletionTokens() {
+        let host = '';
+        try {
+            host = new URL(this.apiUrl).hostname;
+        } catch {
+            // An invalid URL fails the request anyway
+        }
+        return host === 'api.openai.com' || COMPLETION_TOKENS_MODEL.test(this.model);
+    }
+
     /**
      * Build request body
      */
     buildRequestBody(messages, options) {
         const convertedMessages = this.convertMessages(messages, options.systemPrompt);
 
-        // Add images to the last user message if present
+        // Add images to the last user message if present (tool results may follow it)
         if (options.images && options.images.length > 0 && convertedMessages.length > 0) {
-            const lastMsg = convertedMessages[convertedMessages.length - 1];
-            if (lastMsg.role === 'user') {
+            const lastMsg = convertedMessages.findLast(msg => msg.role !== 'tool' && !msg.tool_calls);
+            if (lastMsg?.role === 'user') {
                 // Convert to content array format for vision models
                 const contentArray = [
                     { type: 'text', text: lastMsg.content }
@@ -63,9 +163,39 @@ export class OpenAIBackend extends AIBackend {
         const body = {
             model: this.model,
             messages: convertedMessages,
-            stream: true
+            stream: true,
+            // Ask for a final chunk with token usage
+            stream_options: { include_usage: true },
+            ...this.mapGenerationParams({
+                ...GENERATION_FIELDS,
+                ...(this.usesCompletionTokens() && { maxOutputTokens: 'max_completion_tokens' })
+            })
         };
 
+        // Thinking budgets aren't part of the API; only effort levels are sent
+        if (this.reasoning?.effort) {
+            body.reasoning_effort = REASONING_EFFORTS[this.reasoning.effort];
+        }
+
+        if (options.tools?.length) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
+        }
+
+        // Not strict: strict mode rejects schemas with optional properties
+        if (options.responseSchema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: {
+                    name: getSchemaName(options.responseSchema),
+                    schema: options.responseSchema,
+                    strict: false
+                }
+            };
+        }
+
         // Note: Web search (grounding) is a Gemini-specific feature
         // OpenAI API doesn't have an equivalent, so enableSearch is ignored here
 
@@ -73,11 +203,9 @@ export class OpenAIBackend extends AIBackend {
     }
 
     /**
-     * Stream chat completion
+     * Request headers
      */
-    async *streamChat(messages, options = {}) {
-        const url = `${this.apiUrl}/chat/completions`;
-
+    getHeaders() {
         const headers = {
             'Content-Type': 'application/json'
         };
@@ -87,26 +215,43 @@ export class OpenAIBackend extends AIBackend {
             headers['Authorization'] = `Bearer ${this.apiKey}`;
         }
 
+        // Profile headers last so a gateway can override any of the above
+        return { ...headers, ...this.extraHeaders };
+    }
+
+    /**
+     * Stream chat completion
+     * With options.imageGeneration the request goes to /images/generations instead.
+     */
+    async *streamChat(messages, options = {}) {
+        if (options.imageGeneration) {
+            yield* this.generateImages(messages, options);
+            return;
+        }
+
+        const url = `${this.apiUrl}/chat/completions`;
+
         const body = this.buildRequestBody(messages, options);
 
-        const response = await fetch(url, {
+        const response = yield* this.fetchWithRetry(url, {
             method: 'POST',
-            headers,
+            headers: this.getHeaders(),
             body: JSON.stringify(body),
             signal: options.signal
         });
 
         if (!response.ok) {
             const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `API error: ${response.status}`);
+            throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
         }
 
         for await (const line of this.readSSEStream(response)) {
             const data = this.parseSSELine(line);
             if (!data) continue;
 
-            // Handle Anthropic Claude's extended thinking format
+            // Handle Anthropic Claude's extended thinking format as relayed by some proxies
             // Anthropic sends thinking content via content_block_delta with type 'thinking_delta' or 'text_delta'
+            // (the Anthropic API itself is served by AnthropicBackend)
             if (data.type === 'content_block_delta') {
                 if (data.delta?.type === 'thinking_delta') {
                     yield {
@@ -124,6 +269,14 @@ export class OpenAIBackend extends AIBackend {
                 }
             }
 
+            // Usage arrives on a final chunk with no choices
+            if (data.usage) {
+                yield {
+                    usage: this.readUsage(data.usage),
+                    stopReason: data.choices?.[0]?.finish_reason || null
+                };
+            }
+
             // Handle OpenAI-compatible format (choices array)
             const choice = data.choices?.[0];
             if (!choice?.delta) continue;
@@ -136,11 +289,13 @@ export class OpenAIBackend extends AIBackend {
                 };
             }
 
-            // Tool calls (function calling)
+            // Tool calls (function calling); arguments arrive in fragments,
+            // and only the first fragment of each call has its id
             if (choice.delta.tool_calls) {
                 for (const toolCall of choice.delta.tool_calls) {
                     yield {
                         toolCall: {
+                            index: toolCall.index,
                             id: toolCall.id,
                             name: toolCall.function?.name,
                             arguments: toolCall.function?.arguments
@@ -156,6 +311,119 @@ export class OpenAIBackend extends AIBackend {
                     thought: true
                 };
             }
+
+            // Images from image models behind chat completions (OpenRouter)
+            for (const image of choice.delta.images || []) {
+                yield { media: readImageUrl(image.image_url?.url || '') };
+            }
+        }
+    }
+
+    /**
+     * Generate images with /images/generations
+     * The prompt is options.prompt, the user's text without page context,
+     * or else the last user message. Images come back as base64
+     * (gpt-image-1) or as links (dall-e by default).
+     */
+    async *generateImages(messages, options = {}) {
+        const prompt = options.prompt || messages.findLast(message => message.role === 'user')?.content || '';
+
+        const response = yield* this.fetchWithRetry(`${this.apiUrl}/images/generations`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            body: JSON.stringify({ model: this.model, prompt, n: 1 }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        const type = `image/${data.output_format || 'png'}`;
+        for (const image of data.data || []) {
+            yield {
+                media: image.b64_json
+                    ? { type, data: `data:${type};base64,${image.b64_json}` }
+                    : { type, uri: image.url }
+            };
+        }
+        if (data.usage) {
+            yield {
+                usage: {
+                    inputTokens: data.usage.input_tokens || 0,
+                    outputTokens: data.usage.output_tokens || 0,
+                    thinkingTokens: 0,
+                    cachedTokens: data.usage.input_tokens_details?.cached_tokens || 0
+                },
+                stopReason: null
+            };
+        }
+    }
+
+    /**
+     * Normalize a usage object (completion tokens include reasoning)
+     */
+    readUsage(usage) {
+        return {
+            inputTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0,
+            thinkingTokens: usage.completion_tokens_details?.reasoning_tokens || 0,
+            cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0
+        };
+    }
+
+    /**
+     * List models from the /models endpoint
+     * The context length isn't part of the OpenAI schema; servers that
+     * report it use one of a few field names.
+     * @returns {Array<Object>} Models as { id, contextLength }
+     */
+    async listModels() {
+        const response = await fetch(`${this.apiUrl}/models`, {
+            headers: this.getHeaders()
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw this.createApiError(error.error?.message || `API error: ${response.status}`, response.status);
+        }
+
+        const data = await response.json();
+        return (data.data || [])
+            .map(model => {
+                const entry = {
+                    id: model.id,
+                    // OpenRouter/Together, Mistral, vLLM, LM Studio
+                    contextLength: model.context_length || model.max_context_length
+                        || model.max_model_len || model.loaded_context_length || null
+                };
+                const capabilities = this.readModelCapabilities(model);
+                if (Object.keys(capabilities).length > 0) {
+                    entry.capabilities = capabilities;
+                }
+                return entry;
+            })
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Capabilities described by a /models entry
+     * OpenRouter reports input modalities and the request parameters each model accepts.
+     */
+    readModelCapabilities(model) {
+        const capabilities = {};
+        const modalities = model.architecture?.input_modalities;
+        if (Array.isArray(modalities)) {
+            capabilities.vision = modalities.includes('image');
+        }
+        const parameters = model.supported_parameters;
+        if (Array.isArray(parameters)) {
+            capabilities.tools = parameters.includes('tools');
+            capabilities.thinking = parameters.includes('reasoning');
+            capabilities.jsonMode = parameters.includes('response_format') || parameters.includes('structured_outputs');
         }
+        return capabilities;
     }
 }
@@ -0,0 +1,117 @@
+import { GeminiBackend } from './gemini.js';
+import { OpenAIBackend } from './openai.js';
+import { AnthropicBackend } from './anthropic.js';
+import { OllamaBackend } from './ollama.js';
+
+/**
+ * Registered backend classes by id, in registration order
+ */
+const backends = new Map();
+
+/**
+ * Settings fields every backend gets after its own schema
+ */
+const COMMON_SETTINGS_FIELDS = [
+    {
+        key: 'headers',
+        label: 'Extra Headers',
+        type: 'headers',
+        default: {},
+        placeholder: 'X-Team: research',
+        hint: 'One "Name: value" per line, sent with every request'
+    }
+];
+
+/**
+ * Backend Registry - the single list of available AI backends
+ *
+ * Default settings, the settings modal, validation and backend
+ * construction are all derived from the static metadata each backend
+ * class declares (see AIBackend). Adding a provider means writing its
+ * backend module and registering it below.
+ */
+export class BackendRegistry {
+    /**
+     * Register a backend class
+     * @param {Function} BackendClass - AIBackend subclass with a static id
+     */
+    static register(BackendClass) {
+        if (!BackendClass.id) {
+            throw new Error('Backend must declare a static id');
+        }
+        backends.set(BackendClass.id, BackendClass);
+    }
+
+    /**
+     * Get a backend class by id
+     * @returns {Function|null} Backend class
+     */
+    static get(id) {
+        return backends.get(id) || null;
+    }
+
+    /**
+     * Get every registered backend class
+     */
+    static getAll() {
+        return Array.from(backends.values());
+    }
+
+    /**
+     * Get the ids of every registered backend
+     */
+    static getIds() {
+        return Array.from(backends.keys());
+    }
+
+    /**
+     * Create a backend instance
+     * @param {string} id - Backend id
+     * @param {Object} config - Backend config (apiUrl, apiKey, model and schema fields)
+     */
+    static create(id, config) {
+        const BackendClass = this.get(id);
+        if (!BackendClass) {
+            throw new Error(`Unknown backend: ${id}`);
+        }
+        return new BackendClass(config);
+    }
+
+    /**
+     * Settings fields of a backend: its own schema plus the common fields
+     */
+    static getSettingsSchema(BackendClass) {
+        return [...BackendClass.settingsSchema, ...COMMON_SETTINGS_FIELDS];
+    }
+
+    /**
+     * Default settings for one backend: its schema defaults plus models
+     */
+    static getDefaultSettings(BackendClass) {
+        const defaults = {};
+        for (const field of this.getSettingsSchema(BackendClass)) {
+            const value = field.default ?? null;
+            // Copy object defaults (headers) so profiles never share them
+            defaults[field.key] = value && typeof value === 'object' ? { ...value } : value;
+        }
+        defaults.models = [...BackendClass.defaultModels];
+        return defaults;
+    }
+
+    /**
+     * Default settings for every backend, keyed by id
+     */
+    static getAllDefaultSettings() {
+        const defaults = {};
+        for (const BackendClass of this.getAll()) {
+            defaults[BackendClass.id] = this.getDefaultSettings(BackendClass);
+        }
+        return defaults;
+    }
+}
+
+// Built-in backends, in the order they appear in the settings modal
+BackendRegistry.register(GeminiBackend);
+BackendRegistry.register(OpenAIBackend);
+BackendRegistry.register(AnthropicBackend);
+BackendRegistry.register(OllamaBackend);
@@ -0,0 +1,79 @@
+/**
+ * Model capabilities
+ *
+ * What a model can do is resolved in three layers: the backend's own
+ * capabilities, a table of known model families, and per-model values the
+ * user edited or model discovery reported (modelSettings[key].capabilities).
+ * Features the backend doesn't implement stay off whatever the model says.
+ */
+
+/**
+ * Capability flags, with the backend capability that gates each one
+ */
+export const MODEL_CAPABILITIES = [
+    { key: 'vision', label: 'Vision (images)', backend: 'images' },
+    { key: 'thinking', label: 'Thinking', backend: 'thinking' },
+    { key: 'search', label: 'Search grounding', backend: 'search' },
+    { key: 'tools', label: 'Tool calling', backend: 'tools' },
+    { key: 'jsonMode', label: 'JSON mode', backend: 'structuredOutput' },
+    { key: 'codeExecution', label: 'Code execution', backend: 'codeExecution' },
+    { key: 'urlContext', label: 'URL context', backend: 'urlContext' },
+    // Not assumed for unknown models: OpenAI-compatible image generation
+    // replaces the chat request
+    { key: 'imageGeneration', label: 'Image generation', backend: 'imageGeneration', assumed: false }
+];
+
+const GEMINI = { vision: true, thinking: true, search: true, tools: true, jsonMode: true, codeExecution: true, urlContext: true, contextWindow: 1048576 };
+const CLAUDE = { vision: true, thinking: true, tools: true, jsonMode: false, contextWindow: 200000 };
+
+/**
+ * Known model families, matched against the model name; the first match wins
+ */
+const KNOWN_MODELS = [
+    { pattern: /^gemini-.*-image/, capabilities: { ...GEMINI, thinking: false, search: false, tools: false, codeExecution: false, urlContext: false, imageGeneration: true, contextWindow: 32768 } },
+    { pattern: /^gemini-(1\.5|2\.0)-/, capabilities: { ...GEMINI, thinking: false, urlContext: false } },
+    { pattern: /^gemini-/, capabilities: GEMINI },
+    { pattern: /^claude-3-(5-)?(haiku|sonnet|opus)/, capabilities: { ...CLAUDE, thinking: false } },
+    { pattern: /^claude-/, capabilities: CLAUDE },
+    { pattern: /^gpt-5/, capabilities: { vision: true, thinking: true, tools: true, jsonMode: true, contextWindow: 400000 } },
+    { pattern: /^gpt-4\.1/, capabilities: { vision: true, thinking: false, tools: true, jsonMode: true, contextWindow: 1047576 } },
+    { pattern: /^gpt-4o/, capabilities: { vision: true, thinking: false, tools: true, jsonMode: true, contextWindow: 128000 } },
+    { pattern: /^(gpt-image|dall-e)/, capabilities: { vision: false, thinking: false, tools: false, jsonMode: false, imageGeneration: true } },
+    { pattern: /^o\d/, capabilities: { vision: true, thinking: true, tools: true, jsonMode: true, contextWindow: 200000 } },
+    { pattern: /vision|^llava|^gemma3|^qwen2\.5vl/, capabilities: { vision: true, thinking: false } },
+    { pattern: /^(qwen3|deepseek-r1|gpt-oss|magistral)/, capabilities: { vision: false, thinking: true } },
+    { pattern: /^(llama3|mistral|qwen2\.5|phi[34])/, capabilities: { vision: false, thinking: false, tools: true } }
+];
+
+/**
+ * Capabilities of a known model family
+ * @returns {Object} Partial capabilities, empty for unknown models
+ */
+export function getKnownCapabilities(model) {
+    const match = KNOWN_MODELS.find(entry => entry.pattern.test(model || ''));
+    return match ? { ...match.capabilities } : {};
+}
+
+/**
+ * Resolve what a model can do on a backend
+ * Unknown models are assumed to support what their backend supports, except
+ * for capabilities marked assumed: false.
+ * @param {Function|null} BackendClass - Backend the model runs on
+ * @param {string} model - Model name
+ * @param {Object} overrides - Edited or discovered capabilities
+ * @returns {Object} { vision, thinking, search, tools, jsonMode, codeExecution, urlContext, imageGeneration, contextWindow }
+ */
+export function resolveCapabilities(BackendClass, model, overrides = {}) {
+    const backendCapabilities = BackendClass?.capabilities || {};
+    const known = getKnownCapabilities(model);
+    const resolved = {};
+
+    for (const { key, backend, assumed = true } of MODEL_CAPABILITIES) {
+        const supported = backend ? backendCapabilities[backend] ?? true : true;
+        const value = overrides?.[key] ?? known[key] ?? (backend && assumed ? supported : false);
+        resolved[key] = supported && value;
+    }
+    resolved.contextWindow = overrides?.contextWindow ?? known.contextWindow ?? null;
+
+    return resolved;
+}
@@ -1,18 +1,110 @@
-import { GeminiBackend } from './backends/gemini.js';
-import { OpenAIBackend } from './backends/openai.js';
+import { BackendRegistry } from './backends/registry.js';
+import { AIBackend } from './backends/base.js';
 import { SettingsManager } from './settings.js';
-import { markdownToHtml, extractPageContent, generateId } from './utils.js';
+import { ConversationStore, MAX_CONVERSATIONS } from './conversations.js';
+import { MessageTree } from './message-tree.js';
+import { parseImport } from './import.js';
+import { UsageStore, USAGE_FIELDS, addUsage, createUsageTotals, estimateCost } from './usage.js';
+import { estimateTokens, estimateRequestTokens, fitMessages, getContextBudget } from './context.js';
+import { checkJsonResponse } from './json-schema.js';
+import { readGroundingSources, readGroundingSupports } from './citations.js';
+import { ToolRegistry } from './tools/registry.js';
+import { McpServers } from './tools/mcp.js';
+import { markdownToHtml, extractPageContent, generateId, getMediaName } from './utils.js';
+
+// Minimum interval between saves while a response is streaming
+const STREAM_SAVE_INTERVAL = 1000;
+
+// Tool rounds per reply; the request after the last one offers no tools
+const MAX_TOOL_ROUNDS = 10;
+
+const SUMMARY_PROMPT = 'Summarize the conversation below for your own memory, so it can continue without it. '
+    + 'Keep facts, names, decisions, open questions and anything the user asked you to remember. '
+    + 'Write compact notes in the language of the conversation, with no preamble.';
+
+/**
+ * Whether a stored message belongs in requests
+ * Failed or empty assistant turns are left out.
+ */
+function isSendable(message) {
+    return message.role === 'user' || (message.content && !message.error);
+}
+
+/**
+ * Add a streamed tool call fragment to the calls of a response
+ * Fragments without an id continue the call with their index, or the
+ * latest call.
+ */
+function collectToolCall(calls, { index, id, name, arguments: fragment, signature, thinkingBlocks }) {
+    let call;
+    if (id) {
+        call = calls.find(item => item.id === id);
+    } else {
+        call = index !== undefined ? calls.find(item => item.index === index) : calls[calls.length - 1];
+    }
+    if (!call) {
+        call = { index, id: id || `call_${calls.length}`, name: '', arguments: '' };
+        calls.push(call);
+    }
+    if (name) call.name = name;
+    if (fragment) call.arguments += fragment;
+    if (signature) call.signature = signature;
+    if (thinkingBlocks) call.thinkingBlocks = thinkingBlocks;
+}
+
+/**
+ * What a tool call returned, as sent back to the model
+ */
+function getToolResult(call) {
+    return call.error ? { error: call.error } : call.result ?? null;
+}
+
+/**
+ * Request messages for the tool rounds of an assistant turn
+ * Each round is an assistant message with its calls, then one `tool`
+ * message per result ({ toolCallId, name, result, content }).
+ * @param {Array} steps - Rounds as { text, toolCalls }
+ */
+function getToolTurns(steps = []) {
+    return steps.flatMap(step => [
+        {
+            role: 'assistant',
+            content: step.text,
+            toolCalls: step.toolCalls.map(({ id, name, arguments: args, signature, thinkingBlocks }) => ({ id, name, arguments: args, signature, thinkingBlocks }))
+        },
+        ...step.toolCalls.map(call => {
+            const result = getToolResult(call);
+            return {
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                result,
+                content: typeof result === 'string' ? result : JSON.stringify(result)
+            };
+        })
+    ]);
+}
+
+/**
+ * Add up the usage of two requests
+ */
+function sumUsage(a, b) {
+    return Object.fromEntries(USAGE_FIELDS.map(field => [field, (a[field] || 0) + (b[field] || 0)]));
+}
 
 /**
  * Chat Manager - handles conversation state and messaging
  */
 export class ChatManager {
     constructor() {
-        this.messages = [];
+        this.tree = new MessageTree();
+        this.conversation = null;
         this.currentBackend = null;
         this.settings = null;
         this.isStreaming = false;
         this.abortController = null;
+        this.lastSaveTime = 0;
+        this.mcpReady = Promise.resolve();
     }
 
     /**
@@ -21,6 +113,7 @@ export class ChatManager {
     async init() {
         this.settings = await SettingsManager.load();
         this.createBackend();
+        this.syncMcpServers();
         return this.settings;
     }
 
@@ -28,43 +121,347 @@ export class ChatManager {
      * Create backend based on current settings
      */
     createBackend() {
-        const config = SettingsManager.getBackendConfig(this.settings);
+        this.currentBackend = this.buildBackend();
+    }
 
-        if (this.settings.backendType === 'gemini') {
-            this.currentBackend = new GeminiBackend(config);
-        } else {
-            this.currentBackend = new OpenAIBackend(config);
-        }
+    /**
+     * Build a backend instance for the current settings
+     * @param {string} model - Optional model overriding the selected one
+     * @param {string} profileId - Optional profile to use instead of the current one
+     */
+    buildBackend(model = null, profileId = null) {
+        // Selecting the model resolves its own per-model settings too
+        const settings = model
+            ? SettingsManager.selectModel(this.settings, profileId || SettingsManager.getProfile(this.settings).id, model)
+            : this.settings;
+        const config = SettingsManager.getBackendConfig(settings);
+
+        return BackendRegistry.create(config.type, config);
+    }
+
+    /**
+     * Backends to try for a reply: the selected model, then its fallback chain
+     * @param {string} model - Optional model overriding the selected one
+     * @returns {Array<AIBackend>} Backends in the order to try them
+     */
+    getBackendChain(model = null) {
+        const profileId = SettingsManager.getProfile(this.settings).id;
+        const primary = model ? this.buildBackend(model) : this.currentBackend;
+        const fallbacks = SettingsManager.getFallbackChain(this.settings, profileId, primary.model)
+            .map(ref => this.buildBackend(ref.model, ref.profileId));
+
+        return [primary, ...fallbacks];
     }
 
     /**
      * Update settings and recreate backend
      */
     async updateSettings(newSettings) {
+        const mcpChanged = JSON.stringify(newSettings.mcpServers) !== JSON.stringify(this.settings?.mcpServers);
         this.settings = newSettings;
         await SettingsManager.save(newSettings);
         this.createBackend();
+        if (mcpChanged) this.syncMcpServers();
+    }
+
+    /**
+     * Connect to the configured MCP servers and register their tools
+     * Replies wait for the connections, so the first one is offered the tools.
+     */
+    syncMcpServers() {
+        this.mcpReady = McpServers.sync(this.settings.mcpServers);
+    }
+
+    /**
+     * Token usage and estimated cost of the conversation
+     * Every branch counts, since each reply was paid for.
+     * @returns {Object} Totals as from createUsageTotals()
+     */
+    getConversationUsage() {
+        let totals = createUsageTotals();
+        for (const message of this.tree.toJSON().messages) {
+            if (message.usage) {
+                totals = addUsage(totals, message.usage, message.cost);
+            }
+        }
+        return totals;
+    }
+
+    /**
+     * Estimate how full the context of the next request is
+     * The whole active branch is counted, so more than the budget means the
+     * model's context strategy will leave something out.
+     * @returns {Object} { tokens, contextWindow, budget, strategy }
+     */
+    getContextUsage() {
+        const backend = this.currentBackend;
+        const contextWindow = backend.getContextWindow();
+        return {
+            tokens: estimateRequestTokens(this.getRequestMessages(), this.buildSystemPrompt()),
+            contextWindow,
+            budget: getContextBudget(contextWindow, backend.getMaxOutputTokens()),
+            strategy: SettingsManager.getContextStrategy(this.settings, backend.profileId, backend.model)
+        };
+    }
+
+    /**
+     * Messages on the active branch, in order
+     */
+    get messages() {
+        return this.tree.getPath();
     }
 
     /**
      * Clear conversation
+     * The previous conversation stays in storage; a new one is started.
      */
     clearConversation() {
-        this.messages = [];
+        this.tree = new MessageTree();
+        this.conversation = null;
+        ConversationStore.setActiveId(null).catch(error => {
+            console.error('Failed to reset active conversation:', error);
+        });
+    }
+
+    /**
+     * Restore the last active conversation from storage
+     * @returns {Object|null} Restored conversation
+     */
+    async restoreLastConversation() {
+        try {
+            const id = await ConversationStore.getActiveId();
+            const conversation = await ConversationStore.load(id);
+            if (conversation) {
+                this.loadConversation(conversation);
+            }
+            return conversation;
+        } catch (error) {
+            console.error('Failed to restore conversation:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Open a stored conversation and make it the active one
+     * @returns {Object|null} Opened conversation
+     */
+    async openConversation(id) {
+        if (this.isStreaming) {
+            throw new Error('Cannot switch conversations while streaming');
+        }
+
+        const conversation = await ConversationStore.load(id);
+        if (!conversation) return null;
+
+        this.loadConversation(conversation);
+        await ConversationStore.setActiveId(id);
+        return conversation;
+    }
+
+    /**
+     * Rename a stored conversation
+     */
+    async renameConversation(id, title) {
+        const renamed = await ConversationStore.rename(id, title);
+        // Keep the in-memory copy in sync so the next save doesn't revert the title
+        if (renamed && this.conversation?.id === id) {
+            this.conversation = { ...this.conversation, title: renamed.title };
+        }
+        return renamed;
+    }
+
+    /**
+     * Delete a stored conversation
+     * Deleting the active conversation starts a new one.
+     */
+    async deleteConversation(id) {
+        if (this.conversation?.id === id) {
+            if (this.isStreaming) {
+                throw new Error('Cannot delete a conversation while streaming');
+            }
+            this.clearConversation();
+        }
+        await ConversationStore.remove(id);
     }
 
     /**
-     * Add a message to the conversation
+     * Import conversations from an export file and open the first one
+     * Imported threads continue like any other: the full history on the
+     * active branch is sent to the selected backend. Only what fits in the
+     * history is imported, as saving past MAX_CONVERSATIONS would delete
+     * the oldest conversations.
+     * @param {string} text - File content (see parseImport for formats)
+     * @returns {Object} { saved, skipped }: the saved conversations, and how many didn't fit
+     * @throws {Error} When the history is already full
      */
-    addMessage(role, content) {
+    async importConversations(text) {
+        if (this.isStreaming) {
+            throw new Error('Cannot import while streaming');
+        }
+
+        const { conversations } = parseImport(text);
+
+        // Re-imported extension exports keep their id and replace the saved copy
+        const existing = new Set((await ConversationStore.list()).map(entry => entry.id));
+        let room = MAX_CONVERSATIONS - existing.size;
+        const fitting = conversations.filter(conversation => existing.has(conversation.id) || room-- > 0);
+        if (fitting.length === 0) {
+            throw new Error(`History is full (${MAX_CONVERSATIONS} conversations). Delete some to import more.`);
+        }
+
+        const saved = [];
+        for (const conversation of fitting) {
+            saved.push(await ConversationStore.save(conversation));
+        }
+
+        this.loadConversation(saved[0]);
+        await ConversationStore.setActiveId(saved[0].id);
+        return { saved, skipped: conversations.length - fitting.length };
+    }
+
+    /**
+     * Replace the current state with a stored conversation
+     */
+    loadConversation(conversation) {
+        this.conversation = conversation;
+        this.tree = MessageTree.fromJSON(conversation.messages, conversation.activeChildren);
+    }
+
+    /**
+     * Start a new conversation record if none is active
+     */
+    ensureConversation() {
+        if (!this.conversation) {
+            const now = Date.now();
+            this.conversation = {
+                id: generateId(),
+                title: '',
+                backendType: this.settings.backendType,
+                model: this.currentBackend.model,
+                createdAt: now,
+                updatedAt: now,
+                messages: []
+            };
+        }
+        return this.conversation;
+    }
+
+    /**
+     * Persist the current conversation including all branches
+     */
+    async saveConversation() {
+        if (!this.conversation) return;
+
+        this.conversation = {
+            ...this.conversation,
+            ...this.tree.toJSON(),
+            backendType: this.settings.backendType,
+            model: this.currentBackend.model,
+            updatedAt: Date.now()
+        };
+        this.lastSaveTime = Date.now();
+
+        try {
+            this.conversation = await ConversationStore.save(this.conversation);
+            await ConversationStore.setActiveId(this.conversation.id);
+        } catch (error) {
+            console.error('Failed to save conversation:', error);
+        }
+    }
+
+    /**
+     * Add a message to the end of the active branch
+     * @param {string} role - 'user' or 'assistant'
+     * @param {string} content - Message text
+     * @param {Object} extra - Additional fields (page, images, thinking, model...)
+     */
+    addMessage(role, content, extra = {}) {
         const message = {
             id: generateId(),
             role,
             content,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ...extra
         };
-        this.messages.push(message);
-        return message;
+        return this.tree.add(message, this.tree.getLeaf()?.id ?? null);
+    }
+
+    /**
+     * Format a stored message for the API
+     * Page context is kept separately on user messages and inlined here.
+     */
+    formatMessageContent(message) {
+        if (message.role !== 'user' || !message.page) {
+            return message.content;
+        }
+
+        return `[Current Page Context]
+Title: ${message.page.title}
+URL: ${message.page.url}
+
+Content:
+${message.page.content}
+
+---
+
+User Question: ${message.content}`;
+    }
+
+    /**
+     * Build the message list sent to the backend
+     * Failed or empty assistant turns are left out; answers that called
+     * tools are preceded by their calls and results.
+     * @param {Array} messages - Messages to send (defaults to the active branch)
+     */
+    getRequestMessages(messages = this.messages) {
+        return messages
+            .filter(isSendable)
+            .flatMap(msg => [
+                ...getToolTurns(msg.steps),
+                {
+                    role: msg.role,
+                    content: this.formatMessageContent(msg)
+                }
+            ]);
+    }
+
+    /**
+     * Switch to the previous or next sibling of a message
+     * @param {string} messageId - Message whose branch to switch
+     * @param {number} offset - -1 for previous, 1 for next
+     * @returns {boolean} Whether the branch changed
+     */
+    async switchBranch(messageId, offset) {
+        if (this.isStreaming) return false;
+
+        const siblings = this.tree.getSiblings(messageId);
+        const index = siblings.findIndex(sibling => sibling.id === messageId);
+        const target = siblings[index + offset];
+        if (!target) return false;
+
+        this.tree.select(target.id);
+        await this.saveConversation();
+        return true;
+    }
+
+    /**
+     * Mark the start of a streaming request
+     */
+    beginStreaming() {
+        if (this.isStreaming) {
+            throw new Error('Already streaming a response');
+        }
+
+        this.isStreaming = true;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Mark the end of a streaming request
+     */
+    endStreaming() {
+        this.isStreaming = false;
+        this.abortController = null;
     }
 
     /**
@@ -74,75 +471,544 @@ export class ChatManager {
      * @yields {Object} Response chunks
      */
     async *sendMessage(userMessage, options = {}) {
-        if (this.isStreaming) {
-            throw new Error('Already streaming a response');
+        this.beginStreaming();
+
+        try {
+            // Add user message (page context is inlined when sending)
+            const extra = {};
+            if (options.pageContent) {
+                extra.page = { ...options.pageContent };
+            }
+            if (options.images?.length > 0) {
+                extra.images = options.images;
+            }
+            this.addMessage('user', userMessage, extra);
+
+            yield* this.streamResponse();
+        } finally {
+            this.endStreaming();
         }
+    }
 
-        this.isStreaming = true;
-        this.abortController = new AbortController();
+    /**
+     * Edit a previous user message and stream a new response from there
+     * The original message and its continuation remain as a sibling branch.
+     * @param {string} messageId - User message to edit
+     * @param {string} newContent - Replacement text
+     * @yields {Object} Response chunks
+     */
+    async *editMessage(messageId, newContent) {
+        const original = this.tree.get(messageId);
+        if (!original || original.role !== 'user') {
+            throw new Error('Only user messages can be edited');
+        }
+
+        this.beginStreaming();
 
         try {
-            // Build the message content
-            let content = userMessage;
+            // Keep the page context and images the original was sent with
+            const { id, parentId, timestamp, content, ...extra } = original;
+            this.tree.add({
+                ...extra,
+                id: generateId(),
+                content: newContent,
+                timestamp: Date.now()
+            }, parentId);
 
-            // Include page content if available
-            if (options.pageContent) {
-                content = `[Current Page Context]
-Title: ${options.pageContent.title}
-URL: ${options.pageContent.url}
+            yield* this.streamResponse();
+        } finally {
+            this.endStreaming();
+        }
+    }
 
-Content:
-${options.pageContent.content}
+    /**
+     * Regenerate an assistant reply as a new sibling
+     * Earlier attempts stay browsable through the branch controls.
+     * @param {string} messageId - Assistant message to regenerate
+     * @param {Object} options - { model } to use a different model for this attempt only
+     * @yields {Object} Response chunks
+     */
+    async *regenerate(messageId, options = {}) {
+        const original = this.tree.get(messageId);
+        if (!original || original.role !== 'assistant') {
+            throw new Error('Only assistant messages can be regenerated');
+        }
 
----
+        this.beginStreaming();
 
-User Question: ${userMessage}`;
-            }
+        try {
+            yield* this.streamResponse({ parentId: original.parentId, model: options.model });
+        } finally {
+            this.endStreaming();
+        }
+    }
 
-            // Add user message
-            this.addMessage('user', content);
+    /**
+     * Stream an assistant reply
+     * The reply is added to the tree up front and filled in as chunks arrive,
+     * so a closed panel keeps the partial answer.
+     * @param {Object} options - { parentId } to answer a message other than the
+     *   active leaf, { model } to override the selected model
+     * @yields {Object} Response chunks
+     */
+    async *streamResponse(options = {}) {
+        const parentId = options.parentId ?? this.tree.getLeaf()?.id ?? null;
+        const history = this.tree.getPathTo(parentId).filter(isSendable);
+        const lastUser = history[history.length - 1];
+        const backends = this.getBackendChain(options.model);
 
-            // Build system prompt with context
-            const browserLang = navigator.language || 'en';
-            const systemContext = `[System Context: Current datetime is ${new Date().toISOString()}. User's browser language is ${browserLang}. Always respond in ${browserLang} unless the user explicitly requests another language.]`;
-            const fullSystemPrompt = this.settings.systemPrompt
-                ? `${systemContext}\n\n${this.settings.systemPrompt}`
-                : systemContext;
+        const assistant = this.tree.add({
+            id: generateId(),
+            role: 'assistant',
+            content: '',
+            timestamp: Date.now(),
+            thinking: '',
+            searchResults: null,
+            backendType: backends[0].constructor.id,
+            model: backends[0].model
+        }, parentId);
 
-            // Prepare stream options
+        this.ensureConversation();
+        await this.saveConversation();
+
+        try {
+            if (this.settings.enableTools) {
+                await this.mcpReady;
+            }
+
+            // Prepare stream options (images whose data was pruned from storage are skipped)
             const streamOptions = {
-                systemPrompt: fullSystemPrompt,
                 enableSearch: this.settings.enableSearch,
+                enableCodeExecution: this.settings.enableCodeExecution,
+                enableUrlContext: this.settings.enableUrlContext,
+                imageGeneration: this.settings.enableImageGeneration,
+                // The user's own text, without page context, for image prompts
+                prompt: lastUser?.role === 'user' ? lastUser.content : '',
                 includeThinking: this.settings.includeThinking,
-                images: options.images || [],
+                responseSchema: SettingsManager.getResponseSchema(this.settings),
+                tools: this.settings.enableTools ? ToolRegistry.getDeclarations() : [],
+                images: (lastUser?.images || []).filter(img => img.data),
                 signal: this.abortController.signal
             };
 
-            // Stream the response
-            let fullResponse = '';
-            let fullThinking = '';
+            // Stream the response, moving down the fallback chain while the
+            // model is unavailable and nothing has been received yet
+            for (let i = 0; i < backends.length; i++) {
+                try {
+                    const request = yield* this.prepareRequest(backends[i], history, streamOptions.images.length);
+                    if (request.context.droppedMessages || request.context.droppedPages || request.context.summarizedMessages) {
+                        assistant.context = request.context;
+                    } else {
+                        delete assistant.context;
+                    }
+                    yield { context: request.context, fullResponse: assistant.content, fullThinking: assistant.thinking };
+
+                    const backendOptions = { ...this.getStreamOptions(backends[i], streamOptions), systemPrompt: request.systemPrompt };
+                    yield* this.streamWithTools(backends[i], request.messages, backendOptions, assistant);
+                    if (backendOptions.responseSchema) {
+                        assistant.structuredOutput = {
+                            schema: backendOptions.responseSchema,
+                            errors: checkJsonResponse(assistant.content, backendOptions.responseSchema)
+                        };
+                    }
+                    break;
+                } catch (error) {
+                    const next = backends[i + 1];
+                    const started = assistant.content || assistant.thinking || assistant.steps || assistant.media;
+                    if (!next || started || !AIBackend.isTransientError(error)) {
+                        throw error;
+                    }
+
+                    assistant.fallbackFrom = assistant.fallbackFrom || assistant.model;
+                    assistant.backendType = next.constructor.id;
+                    assistant.model = next.model;
 
-            for await (const chunk of this.currentBackend.streamChat(this.messages, streamOptions)) {
-                if (chunk.thought) {
-                    fullThinking += chunk.text || '';
-                } else if (chunk.text) {
-                    fullResponse += chunk.text;
+                    yield {
+                        fallback: { from: backends[i].model, to: next.model, reason: error.message },
+                        fullResponse: assistant.content,
+                        fullThinking: assistant.thinking
+                    };
                 }
+            }
+        } catch (error) {
+            // Keep the turn in the tree so the conversation mirrors what was shown
+            if (error.name === 'AbortError') {
+                assistant.stopped = true;
+            } else {
+                assistant.error = error.message;
+            }
+            throw error;
+        } finally {
+            assistant.timestamp = Date.now();
+            await this.saveConversation();
+            if (assistant.usage) {
+                await UsageStore.record(assistant.usage, assistant.cost);
+            }
+        }
+    }
+
+    /**
+     * System prompt sent with every request
+     * The user's prompt follows the current time and browser language.
+     */
+    buildSystemPrompt() {
+        const browserLang = navigator.language || 'en';
+        const systemContext = `[System Context: Current datetime is ${new Date().toISOString()}. User's browser language is ${browserLang}. Always respond in ${browserLang} unless the user explicitly requests another language.]`;
+        return this.settings.systemPrompt
+            ? `${systemContext}\n\n${this.settings.systemPrompt}`
+            : systemContext;
+    }
 
-                yield {
-                    ...chunk,
-                    fullResponse,
-                    fullThinking
-                };
+    /**
+     * Fit the history into a backend's context window
+     * What gets left out depends on the model's context strategy (see context.js).
+     * @param {AIBackend} backend - Backend the request goes to
+     * @param {Array} history - Sendable stored messages, oldest first
+     * @param {number} imageCount - Images attached to the last message
+     * @yields {Object} { context: { summarizing: true } } while older turns are summarized
+     * @returns {Object} { messages, systemPrompt, context } for the request
+     */
+    async *prepareRequest(backend, history, imageCount = 0) {
+        const strategy = SettingsManager.getContextStrategy(this.settings, backend.profileId, backend.model);
+        const contextWindow = backend.getContextWindow();
+        const budget = getContextBudget(contextWindow, backend.getMaxOutputTokens());
+        // Tool calls and results count towards the turn that made them
+        const format = message => [...getToolTurns(message.steps), { content: this.formatMessageContent(message) }]
+            .map(turn => turn.content)
+            .join('\n');
+
+        let systemPrompt = this.buildSystemPrompt();
+        let messages = history;
+        let summarizedMessages = 0;
+        if (strategy === 'summarize') {
+            const reserved = estimateRequestTokens([], systemPrompt, imageCount);
+            const result = yield* this.summarizeHistory(backend, history, budget === null ? null : budget - reserved);
+            if (result.summary) {
+                systemPrompt += `\n\n[Summary of the earlier conversation]\n${result.summary}`;
+                messages = result.messages;
+                summarizedMessages = history.length - messages.length;
             }
+        }
 
-            // Add assistant message (without page context prefix)
-            this.addMessage('assistant', fullResponse);
+        const fitted = fitMessages(messages, {
+            budget,
+            reservedTokens: estimateRequestTokens([], systemPrompt, imageCount),
+            strategy: strategy === 'summarize' ? 'window' : strategy,
+            format
+        });
 
-        } finally {
-            this.isStreaming = false;
-            this.abortController = null;
+        return {
+            messages: this.getRequestMessages(fitted.messages),
+            systemPrompt,
+            context: {
+                strategy,
+                contextWindow,
+                budget,
+                tokens: fitted.tokens,
+                droppedMessages: fitted.droppedMessages,
+                droppedPages: fitted.droppedPages,
+                summarizedMessages
+            }
+        };
+    }
+
+    /**
+     * Replace older turns with a summary written by the backend
+     * A summary is stored on the last message it covers, so every branch has
+     * its own and it's reused until the turns after it outgrow the budget.
+     * If summarizing fails the turns are left as they are.
+     * @param {AIBackend} backend - Backend that writes the summary
+     * @param {Array} history - Sendable stored messages, oldest first
+     * @param {number|null} budget - Tokens left for the messages
+     * @yields {Object} { context: { summarizing: true } } before asking the backend
+     * @returns {Object} { messages, summary } with the turns still sent in full
+     */
+    async *summarizeHistory(backend, history, budget) {
+        const cost = message => estimateRequestTokens([{ content: this.formatMessageContent(message) }]);
+        const total = history.reduce((sum, message) => sum + cost(message), 0);
+        if (budget === null || total <= budget) {
+            return { messages: history, summary: null };
+        }
+
+        // Reuse the latest summary while the turns after it fit
+        const covered = history.findLastIndex((message, i) => message.summary && i < history.length - 1);
+        if (covered !== -1) {
+            const rest = history.slice(covered + 1);
+            if (rest.reduce((sum, message) => sum + cost(message), 0) <= budget) {
+                return { messages: rest, summary: history[covered].summary };
+            }
+        }
+
+        // Keep the recent turns that fill half the budget, starting with a user turn
+        let split = history.length - 1;
+        let kept = cost(history[split]);
+        while (split > covered + 1 && kept + cost(history[split - 1]) <= budget / 2) {
+            split--;
+            kept += cost(history[split]);
+        }
+        while (split < history.length - 1 && history[split].role !== 'user') {
+            split++;
         }
+        if (split <= covered + 1) {
+            return { messages: history, summary: null };
+        }
+
+        yield { context: { summarizing: true } };
+
+        const previous = covered !== -1 ? history[covered].summary : null;
+        const turns = history.slice(covered + 1, split);
+        const transcript = turns.map(message => {
+            const speaker = message.role === 'user' ? 'User' : 'Assistant';
+            const page = message.page ? ` (about the page "${message.page.title}")` : '';
+            return `${speaker}${page}: ${message.content}`;
+        });
+        const prompt = () => `${previous ? `Summary so far:\n${previous}\n\n` : ''}Conversation:\n${transcript.join('\n\n')}`;
+        // Too long to summarize in one request; the oldest turns are lost
+        while (transcript.length > 1 && estimateTokens(prompt()) > budget) {
+            transcript.shift();
+        }
+
+        try {
+            let summary = '';
+            // Gemini repeats the running totals on every chunk, so only the last counts
+            let usage = null;
+            const options = { systemPrompt: SUMMARY_PROMPT, signal: this.abortController?.signal };
+            for await (const chunk of backend.streamChat([{ role: 'user', content: prompt() }], options)) {
+                if (chunk.text && !chunk.thought) {
+                    summary += chunk.text;
+                }
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+            }
+            if (usage) {
+                const pricing = SettingsManager.getModelSettings(this.settings, backend.profileId, backend.model).pricing;
+                await UsageStore.record(usage, estimateCost(usage, pricing));
+            }
+            if (!summary.trim()) {
+                return { messages: history, summary: null };
+            }
+
+            history[split - 1].summary = summary.trim();
+            return { messages: history.slice(split), summary: history[split - 1].summary };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Failed to summarize earlier messages:', error);
+            return { messages: history, summary: null };
+        }
+    }
+
+    /**
+     * Adapt the stream options to what a backend's model can do
+     * Search, code execution, URL context, thinking, tools, images and a
+     * response schema are only requested from models that support them.
+     * Built-in and function tools and images are off while a schema applies,
+     * as their replies can't be constrained to JSON on every model.
+     */
+    getStreamOptions(backend, streamOptions) {
+        const capabilities = backend.modelCapabilities;
+        const options = { ...streamOptions };
+        if (capabilities) {
+            options.enableSearch = streamOptions.enableSearch && capabilities.search;
+            options.enableCodeExecution = streamOptions.enableCodeExecution && capabilities.codeExecution;
+            options.enableUrlContext = streamOptions.enableUrlContext && capabilities.urlContext;
+            options.includeThinking = streamOptions.includeThinking && capabilities.thinking;
+        }
+        // Never assumed, as it changes what the request is
+        options.imageGeneration = Boolean(streamOptions.imageGeneration && capabilities?.imageGeneration);
+        if (!(capabilities ? capabilities.tools : backend.constructor.capabilities?.tools)) {
+            options.tools = [];
+        }
+
+        const structured = capabilities ? capabilities.jsonMode : backend.constructor.capabilities?.structuredOutput;
+        if (!structured) {
+            options.responseSchema = null;
+        } else if (options.responseSchema) {
+            options.enableSearch = false;
+            options.enableCodeExecution = false;
+            options.enableUrlContext = false;
+            options.imageGeneration = false;
+            options.tools = [];
+        }
+        return options;
+    }
+
+    /**
+     * Stream a reply, running the tools it calls until the model answers
+     * Each round's text and calls move to assistant.steps, so
+     * assistant.content ends up holding the final answer.
+     * @yields {Object} Response chunks, plus { toolStep } when a round's calls
+     *   start and { toolResult } as each one finishes
+     */
+    async *streamWithTools(backend, requestMessages, streamOptions, assistant) {
+        const messages = [...requestMessages];
+
+        for (let round = 0; ; round++) {
+            const lastRound = round === MAX_TOOL_ROUNDS;
+            const options = lastRound ? { ...streamOptions, tools: [] } : streamOptions;
+            const toolCalls = yield* this.streamFromBackend(backend, messages, options, assistant);
+            // Calls made without tools on offer are ignored
+            if (toolCalls.length === 0 || lastRound) return;
+
+            const step = { text: assistant.content, toolCalls };
+            assistant.steps = [...(assistant.steps || []), step];
+            assistant.content = '';
+            yield { toolStep: step, fullResponse: '', fullThinking: assistant.thinking };
+
+            for (const call of toolCalls) {
+                yield* this.runToolCall(call);
+                yield { toolResult: call, fullResponse: '', fullThinking: assistant.thinking };
+            }
+            await this.saveConversation();
+            messages.push(...getToolTurns([step]));
+        }
+    }
+
+    /**
+     * Run one tool call, storing its result or error on the call
+     * Failures and declined calls are reported to the model rather than
+     * ending the reply.
+     * @yields {Object} { toolApproval } when the user has to approve the call
+     */
+    async *runToolCall(call) {
+        if (call.error) return;
+        try {
+            const tool = ToolRegistry.validate(call.name, call.arguments);
+            const approved = tool.approval ? yield* this.approveToolCall(call, tool) : null;
+            if (tool.approval && !approved) {
+                call.error = 'The user declined this tool call';
+                return;
+            }
+            call.result = await tool.execute(call.arguments, { signal: this.abortController?.signal, approved });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            call.error = error.message;
+        }
+    }
+
+    /**
+     * Ask the user to approve a tool call
+     * Calls on an approved site run right away. Otherwise a { toolApproval }
+     * chunk carries the call's { summary, site } and a resolve(choice)
+     * callback: 'once', 'site' (also approve the site from now on) or 'deny'.
+     * Stopping the reply denies it.
+     * @returns {Object|null} What tool.approval() returned, null when declined
+     */
+    async *approveToolCall(call, tool) {
+        const approval = await tool.approval(call.arguments);
+        const { summary, site } = approval;
+        if (site && (this.settings.approvedSites || []).includes(site)) {
+            call.approval = 'site';
+            return approval;
+        }
+
+        let resolve;
+        const decision = new Promise(done => { resolve = done; });
+        const signal = this.abortController?.signal;
+        const deny = () => resolve('deny');
+        signal?.addEventListener('abort', deny, { once: true });
+
+        yield { toolApproval: { call, summary, site, resolve } };
+        const choice = await decision;
+        signal?.removeEventListener('abort', deny);
+        if (signal?.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        if (choice === 'site' && site) {
+            await this.updateSettings({ ...this.settings, approvedSites: [...(this.settings.approvedSites || []), site] });
+        }
+        call.approval = choice;
+        return choice !== 'deny' ? approval : null;
+    }
+
+    /**
+     * Stream one backend's reply into the assistant message
+     * @yields {Object} Response chunks with the accumulated text
+     * @returns {Array<Object>} Tool calls the reply made, as { id, name, arguments }, with
+     *   the Gemini thought `signature` or Anthropic `thinkingBlocks` the backend needs back,
+     *   and an `error` when the arguments aren't valid JSON
+     */
+    async *streamFromBackend(backend, requestMessages, streamOptions, assistant) {
+        // Thinking time runs from the request until the answer starts
+        const startedAt = Date.now();
+        const toolCalls = [];
+        // Grounding supports, turned into citations once the text is complete
+        const supports = [];
+        // Usage of the earlier tool rounds of this reply
+        const earlierUsage = assistant.steps ? assistant.usage : null;
+        const stopThinkingClock = () => {
+            if (assistant.thinking && assistant.thinkingTime === undefined) {
+                assistant.thinkingTime = Date.now() - startedAt;
+            }
+        };
+
+        for await (const chunk of backend.streamChat(requestMessages, streamOptions)) {
+            if (chunk.thought) {
+                assistant.thinking += chunk.text || '';
+            } else if (chunk.text) {
+                stopThinkingClock();
+                assistant.content += chunk.text;
+            }
+            if (chunk.searchResults) {
+                assistant.searchResults = chunk.searchResults;
+            }
+            if (chunk.usage) {
+                // Usage is cumulative; the last report of the response wins
+                const pricing = SettingsManager.getModelSettings(this.settings, backend.profileId, backend.model).pricing;
+                assistant.usage = earlierUsage ? sumUsage(earlierUsage, chunk.usage) : chunk.usage;
+                assistant.cost = estimateCost(assistant.usage, pricing);
+            }
+            if (chunk.toolCall) {
+                collectToolCall(toolCalls, chunk.toolCall);
+            }
+            if (chunk.groundingChunks?.length) {
+                assistant.sources = readGroundingSources(chunk.groundingChunks);
+            }
+            if (chunk.groundingSupports) {
+                supports.push(...chunk.groundingSupports);
+            }
+            // Code runs are shown where they happened in the text
+            if (chunk.executableCode) {
+                stopThinkingClock();
+                assistant.codeRuns = [...(assistant.codeRuns || []), { ...chunk.executableCode, offset: assistant.content.length }];
+            }
+            if (chunk.codeExecutionResult && assistant.codeRuns?.length) {
+                Object.assign(assistant.codeRuns[assistant.codeRuns.length - 1], chunk.codeExecutionResult);
+            }
+            if (chunk.urlContext) {
+                assistant.urlContext = chunk.urlContext;
+            }
+            // Media, like code runs, are shown where they came in the text
+            if (chunk.media) {
+                stopThinkingClock();
+                const media = assistant.media || [];
+                assistant.media = [...media, { name: getMediaName(chunk.media, media.length), ...chunk.media, offset: assistant.content.length }];
+            }
+
+            // Save progress periodically
+            if (Date.now() - this.lastSaveTime >= STREAM_SAVE_INTERVAL) {
+                await this.saveConversation();
+            }
+
+            yield {
+                ...chunk,
+                fullResponse: assistant.content,
+                fullThinking: assistant.thinking
+            };
+        }
+        stopThinkingClock();
+        if (supports.length > 0) {
+            assistant.citations = readGroundingSupports(assistant.content, supports);
+        }
+
+        return toolCalls.map(({ index, arguments: text, ...call }) => {
+            try {
+                return { ...call, arguments: text ? JSON.parse(text) : {} };
+            } catch {
+                return { ...call, arguments: {}, error: `Arguments are not valid JSON: ${text}` };
+            }
+        });
     }
 
     /**
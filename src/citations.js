@@ -0,0 +1,99 @@
+/**
+ * Inline citations from Gemini search grounding
+ *
+ * groundingChunks are the sources of a grounded reply and groundingSupports
+ * tie segments of its text to them. Stored on the assistant message as
+ * sources ({ title, uri, domain }) and citations ({ start, end, text, sources }).
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Titles of Gemini API web sources are often just the site, e.g. 'wikipedia.org'
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+/**
+ * Host name of a URL without www., empty when it doesn't parse
+ */
+function getHostname(uri) {
+    try {
+        return new URL(uri).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Sources of a grounded reply
+ * Every chunk is kept so citation indices stay valid. Gemini API links go
+ * through a redirect, so the domain comes from the title when it is one.
+ * @param {Array<Object>} chunks - groundingChunks
+ * @returns {Array<Object>} { title, uri, domain }
+ */
+export function readGroundingSources(chunks = []) {
+    return chunks.map(chunk => {
+        const web = chunk.web || chunk.retrievedContext || {};
+        const uri = web.uri || '';
+        const domain = web.domain || (DOMAIN_PATTERN.test(web.title || '') ? web.title : getHostname(uri));
+        return { title: web.title || domain || uri, uri, domain };
+    });
+}
+
+/**
+ * Citations of a grounded reply
+ * Segment offsets count UTF-8 bytes of the reply; they become character
+ * offsets here. Supports of the same segment are merged.
+ * @param {string} text - Reply text
+ * @param {Array<Object>} supports - groundingSupports
+ * @returns {Array<Object>} { start, end, text, sources: [source indices] }, by end
+ */
+export function readGroundingSupports(text, supports = []) {
+    const bytes = new TextEncoder().encode(text);
+    const decoder = new TextDecoder();
+    const toCharOffset = offset => decoder.decode(bytes.slice(0, offset)).length;
+
+    const citations = new Map();
+    for (const { segment, groundingChunkIndices } of supports) {
+        if (segment?.endIndex === undefined || !groundingChunkIndices?.length) continue;
+
+        const start = toCharOffset(segment.startIndex || 0);
+        const end = toCharOffset(segment.endIndex);
+        const key = `${start}:${end}`;
+        const citation = citations.get(key) || { start, end, text: segment.text || text.slice(start, end), sources: [] };
+        for (const index of groundingChunkIndices) {
+            if (!citation.sources.includes(index)) citation.sources.push(index);
+        }
+        citations.set(key, citation);
+    }
+    return [...citations.values()].sort((a, b) => a.end - b.end || a.start - b.start);
+}
+
+/**
+ * Marker of one citation: a link per source, numbered like the sources
+ * list, previewing the source and the cited text on hover
+ */
+function renderMarker(citation, sources) {
+    const links = citation.sources
+        .filter(index => sources[index])
+        .map(index => {
+            const source = sources[index];
+            return `<a class="citation-marker" href="${escapeHtml(source.uri)}" target="_blank" rel="noopener">${index + 1}`
+                + '<span class="citation-preview">'
+                + `<span class="citation-preview-title">${escapeHtml(source.title)}</span>`
+                + (source.domain !== source.title ? `<span class="citation-preview-domain">${escapeHtml(source.domain)}</span>` : '')
+                + `<span class="citation-preview-text">${escapeHtml(citation.text)}</span>`
+                + '</span></a>';
+        });
+    return links.length > 0 ? `<sup class="citation">${links.join('')}</sup>` : '';
+}
+
+/**
+ * Citation markers to insert after the cited segments of a reply
+ * @param {Array<Object>} citations - From readGroundingSupports()
+ * @param {Array<Object>} sources - From readGroundingSources()
+ * @returns {Array<Object>} Inserts for markdownToHtmlWithInserts(), as { offset, html }
+ */
+export function getCitationMarkers(citations = [], sources = []) {
+    return citations
+        .map(citation => ({ offset: citation.end, html: renderMarker(citation, sources) }))
+        .filter(marker => marker.html);
+}
@@ -0,0 +1,108 @@
+/**
+ * Context window management
+ *
+ * Token counts are estimated from the text, since tokenizers differ per
+ * provider; the estimate errs on the high side for non-Latin scripts. When a
+ * request would not fit, the model's strategy decides what to leave out:
+ * - pages: drop the page context of older messages, then old turns
+ * - window: drop the oldest turns
+ * - summarize: replace older turns with a summary written by the model
+ *   (see ChatManager.summarizeHistory), then drop old turns if still needed
+ * - none: send everything
+ */
+
+export const CONTEXT_STRATEGIES = [
+    { id: 'pages', label: 'Drop old page contexts first' },
+    { id: 'window', label: 'Sliding window (drop oldest turns)' },
+    { id: 'summarize', label: 'Summarize older turns' },
+    { id: 'none', label: 'Send everything' }
+];
+
+export const DEFAULT_CONTEXT_STRATEGY = 'pages';
+
+// Rough per-message cost of roles and separators
+const MESSAGE_OVERHEAD = 4;
+// Rough cost of one image; providers charge between ~250 and ~1600
+const IMAGE_TOKENS = 1000;
+// Output room kept free when the model has no max output tokens set
+const DEFAULT_OUTPUT_RESERVE = 4096;
+
+/**
+ * Estimate the token count of a text
+ * About four characters per token for ASCII, one token per other character.
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    let ascii = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text.charCodeAt(i) < 128) ascii++;
+    }
+    return Math.ceil(ascii / 4) + (text.length - ascii);
+}
+
+/**
+ * Estimate the prompt tokens of a request
+ * @param {Array} messages - Request messages as { role, content }
+ * @param {string} systemPrompt - System prompt sent with them
+ * @param {number} imageCount - Images attached to the last message
+ */
+export function estimateRequestTokens(messages, systemPrompt = '', imageCount = 0) {
+    let tokens = estimateTokens(systemPrompt) + imageCount * IMAGE_TOKENS;
+    for (const message of messages) {
+        tokens += estimateTokens(message.content) + MESSAGE_OVERHEAD;
+    }
+    return tokens;
+}
+
+/**
+ * Prompt tokens that fit in a context window, leaving room for the reply
+ * @param {number|null} contextWindow - Model context window
+ * @param {number|null} maxOutputTokens - Reply length limit, if set
+ * @returns {number|null} Budget, or null when the window is unknown
+ */
+export function getContextBudget(contextWindow, maxOutputTokens = null) {
+    if (!contextWindow) return null;
+    const reserve = maxOutputTokens ?? Math.min(DEFAULT_OUTPUT_RESERVE, Math.floor(contextWindow / 4));
+    return Math.max(contextWindow - reserve, Math.floor(contextWindow / 2));
+}
+
+/**
+ * Leave out messages until a conversation fits a token budget
+ * The last message is always kept, and the result starts with a user turn.
+ * @param {Array} messages - Stored messages, oldest first
+ * @param {Object} options
+ * @param {number|null} options.budget - Prompt token budget (null: no limit)
+ * @param {number} options.reservedTokens - Tokens already taken (system prompt, images)
+ * @param {string} options.strategy - 'pages', 'window' or 'none' (see CONTEXT_STRATEGIES)
+ * @param {Function} options.format - Request content of a stored message
+ * @returns {Object} { messages, tokens, droppedMessages, droppedPages }
+ */
+export function fitMessages(messages, { budget, reservedTokens = 0, strategy = DEFAULT_CONTEXT_STRATEGY, format }) {
+    const cost = message => estimateTokens(format(message)) + MESSAGE_OVERHEAD;
+    let kept = [...messages];
+    let tokens = reservedTokens + kept.reduce((sum, message) => sum + cost(message), 0);
+    let droppedPages = 0;
+    let droppedMessages = 0;
+
+    if (budget === null || strategy === 'none' || tokens <= budget) {
+        return { messages: kept, tokens, droppedMessages, droppedPages };
+    }
+
+    // Older page contexts are the bulkiest and least relevant part
+    if (strategy === 'pages') {
+        for (let i = 0; i < kept.length - 1 && tokens > budget; i++) {
+            if (!kept[i].page) continue;
+            const { page, ...withoutPage } = kept[i];
+            tokens += cost(withoutPage) - cost(kept[i]);
+            kept[i] = withoutPage;
+            droppedPages++;
+        }
+    }
+
+    while (kept.length > 1 && (tokens > budget || kept[0].role !== 'user')) {
+        tokens -= cost(kept.shift());
+        droppedMessages++;
+    }
+
+    return { messages: kept, tokens, droppedMessages, droppedPages };
+}
@@ -0,0 +1,319 @@
+/**
+ * Storage keys and limits for persisted conversations
+ */
+const INDEX_KEY = 'conversationIndex';
+const ACTIVE_KEY = 'activeConversationId';
+const CONVERSATION_PREFIX = 'conversation:';
+
+export const MAX_CONVERSATIONS = 200;
+const TITLE_MAX_LENGTH = 60;
+const SNIPPET_CONTEXT = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Promisified chrome.storage.local helpers
+ */
+function storageGet(keys) {
+    return new Promise((resolve) => {
+        chrome.storage.local.get(keys, (result) => resolve(result || {}));
+    });
+}
+
+function storageSet(items) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.set(items, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+function storageRemove(keys) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.remove(keys, () => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Check whether a storage error was caused by running out of quota
+ */
+function isQuotaError(error) {
+    return /quota/i.test(error?.message || '');
+}
+
+/**
+ * Build a short excerpt of text around the first match of a term
+ */
+function buildSnippet(text, term) {
+    const index = text.toLowerCase().indexOf(term);
+    if (index === -1) return '';
+
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + term.length + SNIPPET_CONTEXT);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Group conversation entries into date buckets for display
+ * @param {Array} entries - Index entries sorted newest first
+ * @param {number} now - Reference time (defaults to Date.now())
+ * @returns {Array} Groups of { label, conversations }
+ */
+export function groupConversationsByDate(entries, now = Date.now()) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const startOfToday = today.getTime();
+
+    const groups = [];
+    const byLabel = new Map();
+
+    for (const entry of entries) {
+        let label;
+        if (entry.updatedAt >= startOfToday) {
+            label = 'Today';
+        } else if (entry.updatedAt >= startOfToday - DAY_MS) {
+            label = 'Yesterday';
+        } else if (entry.updatedAt >= startOfToday - 7 * DAY_MS) {
+            label = 'Previous 7 days';
+        } else if (entry.updatedAt >= startOfToday - 30 * DAY_MS) {
+            label = 'Previous 30 days';
+        } else {
+            label = new Date(entry.updatedAt).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+
+        if (!byLabel.has(label)) {
+            const group = { label, conversations: [] };
+            byLabel.set(label, group);
+            groups.push(group);
+        }
+        byLabel.get(label).conversations.push(entry);
+    }
+
+    return groups;
+}
+
+/**
+ * Conversation Store - persists conversations in chrome.storage.local
+ *
+ * Each conversation is stored under its own key so that saving while
+ * streaming only rewrites one conversation. A lightweight index holds the
+ * metadata needed to list conversations without loading their messages.
+ */
+export class ConversationStore {
+    /**
+     * Storage key for a conversation
+     */
+    static key(id) {
+        return `${CONVERSATION_PREFIX}${id}`;
+    }
+
+    /**
+     * Derive a title from the first user message
+     */
+    static deriveTitle(messages) {
+        const first = messages.find(m => m.role === 'user');
+        const text = (first?.content || '').replace(/\s+/g, ' ').trim();
+        if (!text) return 'New chat';
+        return text.length > TITLE_MAX_LENGTH
+            ? text.slice(0, TITLE_MAX_LENGTH - 1) + '…'
+            : text;
+    }
+
+    /**
+     * Build index entry (metadata only) for a conversation
+     */
+    static toIndexEntry(conversation) {
+        return {
+            id: conversation.id,
+            title: conversation.title,
+            backendType: conversation.backendType,
+            model: conversation.model,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            messageCount: conversation.messages.length
+        };
+    }
+
+    /**
+     * List conversation metadata, most recently updated first
+     */
+    static async list() {
+        const result = await storageGet([INDEX_KEY]);
+        const index = result[INDEX_KEY] || [];
+        return [...index].sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Load a full conversation by id
+     */
+    static async load(id) {
+        if (!id) return null;
+        const key = this.key(id);
+        const result = await storageGet([key]);
+        return result[key] || null;
+    }
+
+    /**
+     * Save a conversation and update the index
+     * Prunes the oldest conversations when the storage quota is exceeded.
+     */
+    static async save(conversation) {
+        const saved = {
+            ...conversation,
+            title: conversation.title || this.deriveTitle(conversation.messages),
+            updatedAt: conversation.updatedAt || Date.now()
+        };
+
+        const index = (await this.list()).filter(entry => entry.id !== saved.id);
+        index.unshift(this.toIndexEntry(saved));
+
+        // Enforce the conversation limit before writing
+        const overflow = index.splice(MAX_CONVERSATIONS);
+        if (overflow.length > 0) {
+            await storageRemove(overflow.map(entry => this.key(entry.id)));
+        }
+
+        try {
+            await this.write(saved, index);
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+            await this.writeWithPruning(saved, index);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Write a conversation together with the index
+     */
+    static async write(conversation, index) {
+        await storageSet({
+            [this.key(conversation.id)]: conversation,
+            [INDEX_KEY]: index
+        });
+    }
+
+    /**
+     * Retry a write after freeing space
+     * Removes the oldest conversations one by one; as a last resort the
+     * conversation is stored without inline image data.
+     */
+    static async writeWithPruning(conversation, index) {
+        while (index.length > 1) {
+            const oldest = index.pop();
+            await storageRemove(this.key(oldest.id));
+            try {
+                await this.write(conversation, index);
+                return;
+            } catch (error) {
+                if (!isQuotaError(error)) throw error;
+            }
+        }
+
+        await this.write(this.stripImages(conversation), index);
+    }
+
+    /**
+     * Return a copy of a conversation without inline image data
+     * Attached images keep { name, type }; generated media also keep their offset.
+     */
+    static stripImages(conversation) {
+        return {
+            ...conversation,
+            messages: conversation.messages.map(msg => {
+                const stripped = { ...msg };
+                if (msg.images) {
+                    stripped.images = msg.images.map(img => ({ name: img.name, type: img.type }));
+                }
+                if (msg.media) {
+                    stripped.media = msg.media.map(({ data, ...media }) => media);
+                }
+                return stripped;
+            })
+        };
+    }
+
+    /**
+     * Full-text search across conversation titles and message content
+     * Every whitespace-separated term must appear somewhere in the conversation.
+     * @param {string} query - Search text
+     * @returns {Array} Matching index entries with a `snippet` of the first hit
+     */
+    static async search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const index = await this.list();
+        if (terms.length === 0) return index;
+
+        const stored = await storageGet(index.map(entry => this.key(entry.id)));
+        const results = [];
+
+        for (const entry of index) {
+            const conversation = stored[this.key(entry.id)];
+            if (!conversation) continue;
+
+            const texts = [conversation.title || '', ...conversation.messages.map(m => m.content || '')];
+            const haystack = texts.join('\n').toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) continue;
+
+            // Prefer a snippet from message content over the title
+            let snippet = '';
+            for (const message of conversation.messages) {
+                snippet = buildSnippet(message.content || '', terms[0]);
+                if (snippet) break;
+            }
+
+            results.push({ ...entry, snippet });
+        }
+
+        return results;
+    }
+
+    /**
+     * Rename a conversation
+     */
+    static async rename(id, title) {
+        const conversation = await this.load(id);
+        if (!conversation) return null;
+
+        // Keep updatedAt so renaming does not reorder the history
+        return this.save({ ...conversation, title: title.trim() || this.deriveTitle(conversation.messages) });
+    }
+
+    /**
+     * Delete a conversation
+     */
+    static async remove(id) {
+        const index = (await this.list()).filter(entry => entry.id !== id);
+        await storageRemove(this.key(id));
+        await storageSet({ [INDEX_KEY]: index });
+
+        if (await this.getActiveId() === id) {
+            await this.setActiveId(null);
+        }
+    }
+
+    /**
+     * Get the id of the last active conversation
+     */
+    static async getActiveId() {
+        const result = await storageGet([ACTIVE_KEY]);
+        return result[ACTIVE_KEY] || null;
+    }
+
+    /**
+     * Remember the active conversation so it can be restored later
+     */
+    static async setActiveId(id) {
+        await storageSet({ [ACTIVE_KEY]: id });
+    }
+}
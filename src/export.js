@@ -0,0 +1,433 @@
+import { getCitationMarkers } from './citations.js';
+import { escapeHtml, getMediaSource, markdownToHtml, markdownToHtmlWithInserts } from './utils.js';
+
+/**
+ * Identifier and schema version of the JSON export format
+ * Bump EXPORT_VERSION whenever the shape of exported data changes.
+ */
+export const EXPORT_FORMAT = 'chrome-gemini-conversation';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Format a timestamp for human-readable exports
+ */
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * Format a timestamp for the JSON export
+ */
+function toISO(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+/**
+ * Links of Gemini's search suggestions (the rendered search entry point)
+ * Parsed in a template, so nothing in the markup runs.
+ * @returns {Array<Object>} { text, href }
+ */
+function getSearchLinks(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return Array.from(template.content.querySelectorAll('a[href]'))
+        .map(link => ({ text: link.textContent.trim(), href: link.getAttribute('href') }))
+        .filter(link => link.text);
+}
+
+/**
+ * Markdown code block whose fence outlasts any backticks in the text
+ */
+function fence(text, language = '') {
+    const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const marks = '`'.repeat(Math.max(3, longest + 1));
+    return [`${marks}${language}`, text, marks];
+}
+
+/**
+ * What a tool call returned, or its error, as text
+ */
+function formatToolResult(call) {
+    const result = call.error ?? call.result ?? null;
+    return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+}
+
+/**
+ * Insert Markdown at character offsets of a reply
+ * The Markdown counterpart of markdownToHtmlWithInserts(): block inserts
+ * get a paragraph of their own, inserts at the same offset keep their order.
+ * @param {Array<Object>} inserts - { offset, text, block }
+ */
+function insertIntoMarkdown(text, inserts) {
+    const order = inserts.map((insert, i) => i)
+        .sort((a, b) => inserts[b].offset - inserts[a].offset || b - a);
+
+    let result = text;
+    for (const i of order) {
+        const { offset, text: insert, block } = inserts[i];
+        result = `${result.slice(0, offset)}${block ? `\n\n${insert}\n\n` : insert}${result.slice(offset)}`;
+    }
+    return result;
+}
+
+/**
+ * Citation links after the cited segments, numbered like the sources list
+ */
+function getMarkdownCitations(citations = [], sources = []) {
+    return citations.map(citation => ({
+        offset: citation.end,
+        text: citation.sources
+            .filter(index => sources[index])
+            .map(index => `[[${index + 1}]](${sources[index].uri})`)
+            .join('')
+    })).filter(insert => insert.text);
+}
+
+/**
+ * Code the model ran, with its output, as Markdown blocks
+ * @param {Array<Object>} codeRuns - { language, code, outcome, output, offset }
+ */
+function getMarkdownCodeRuns(codeRuns = []) {
+    return codeRuns.map(run => {
+        const lines = [`**▶ Ran ${run.language || 'code'}**`, '', ...fence(run.code, (run.language || '').toLowerCase())];
+        if (run.outcome) {
+            lines.push('', run.outcome === 'ok' ? '**✓ Output**' : `**⚠ ${run.outcome.replace(/_/g, ' ')}**`);
+            if (run.output) lines.push('', ...fence(run.output.replace(/\n$/, '')));
+        }
+        return { offset: run.offset, text: lines.join('\n'), block: true };
+    });
+}
+
+/**
+ * Code the model ran, with its output, in the side panel's markup
+ * @param {Array<Object>} codeRuns - { language, code, outcome, output, offset }
+ */
+function getHtmlCodeRuns(codeRuns = []) {
+    return codeRuns.map(run => {
+        let result = '';
+        if (run.outcome) {
+            const ok = run.outcome === 'ok';
+            result = `<div class="code-run-status ${ok ? 'ok' : 'failed'}">${ok ? '✓ Output' : `⚠ ${escapeHtml(run.outcome.replace(/_/g, ' '))}`}</div>`
+                + (run.output ? `<pre class="code-run-output">${escapeHtml(run.output)}</pre>` : '');
+        }
+        return {
+            offset: run.offset,
+            block: true,
+            html: '<div class="code-run">'
+                + `<div class="code-run-header">▶ Ran ${escapeHtml(run.language || 'code')}</div>`
+                + `<pre><code>${escapeHtml(run.code)}</code></pre>`
+                + result
+                + '</div>'
+        };
+    });
+}
+
+/**
+ * Generated media as Markdown: images inline, other files as links
+ * @param {Array<Object>} media - { name, type, data, uri, offset }
+ */
+function getMarkdownMedia(media = []) {
+    return media.map(item => {
+        const src = getMediaSource(item);
+        let text = `_🖼️ ${item.name} is no longer stored_`;
+        if (src && item.type?.startsWith('image/')) {
+            text = `![${item.name}](${src})`;
+        } else if (src) {
+            text = `[📎 ${item.name}](${src})`;
+        }
+        return { offset: item.offset || 0, text, block: true };
+    });
+}
+
+/**
+ * Generated media in the side panel's markup, with a download link
+ * @param {Array<Object>} media - { name, type, data, uri, offset }
+ */
+function getHtmlMedia(media = []) {
+    return media.map(item => {
+        const src = getMediaSource(item);
+        const name = escapeHtml(item.name);
+        const type = item.type?.match(/^[\w.+-]+\/[\w.+-]+/)?.[0] || '';
+        let preview = `<div class="media-missing">🖼️ ${name} is no longer stored</div>`;
+        if (src && type.startsWith('image/')) {
+            preview = `<img src="${src}" alt="${name}">`;
+        } else if (src && (type.startsWith('audio/') || type.startsWith('video/'))) {
+            const tag = type.startsWith('audio/') ? 'audio' : 'video';
+            preview = `<${tag} controls src="${src}"></${tag}>`;
+        } else if (src) {
+            preview = `<div class="media-file">📎 ${name}</div>`;
+        }
+
+        const actions = src
+            ? `<div class="media-actions"><a class="media-action" href="${src}" download="${name}">⬇ Download</a></div>`
+            : '';
+        return {
+            offset: item.offset || 0,
+            block: true,
+            html: `<div class="media-item">${preview}${actions}</div>`
+        };
+    });
+}
+
+/**
+ * Build a file name for an exported conversation
+ * @param {Object} conversation - Conversation record
+ * @param {string} extension - File extension without the dot
+ */
+export function getExportFilename(conversation, extension) {
+    const title = (conversation?.title || 'conversation')
+        .replace(/[\\/:*?"<>|]+/g, '')
+        .replace(/\s+/g, '-')
+        .slice(0, 50) || 'conversation';
+    const date = new Date(conversation?.updatedAt || Date.now()).toISOString().slice(0, 10);
+    return `${title}-${date}.${extension}`;
+}
+
+/**
+ * Export a conversation to the versioned JSON format
+ * All branches are included so nothing is lost on re-import.
+ * @param {Object} conversation - Conversation record
+ * @param {Array} messages - Every message of the conversation tree
+ * @param {Object} activeChildren - Selected branch per parent id
+ * @returns {string} JSON text
+ */
+export function exportToJSON(conversation, messages, activeChildren = {}) {
+    const data = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: {
+            id: conversation.id,
+            title: conversation.title,
+            backendType: conversation.backendType,
+            model: conversation.model,
+            createdAt: toISO(conversation.createdAt),
+            updatedAt: toISO(conversation.updatedAt),
+            activeChildren
+        },
+        messages: messages.map(message => ({
+            ...message,
+            parentId: message.parentId ?? null,
+            timestamp: toISO(message.timestamp)
+        }))
+    };
+
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Export the active branch of a conversation to Markdown
+ * @param {Object} conversation - Conversation record
+ * @param {Array} messages - Messages of the active branch
+ * @returns {string} Markdown text
+ */
+export function exportToMarkdown(conversation, messages) {
+    const lines = [`# ${conversation.title || 'Conversation'}`, ''];
+
+    lines.push(`- Exported: ${formatTime(Date.now())}`);
+    if (conversation.model) {
+        lines.push(`- Model: ${conversation.model} (${conversation.backendType})`);
+    }
+    lines.push('', '---', '');
+
+    for (const message of messages) {
+        if (message.role === 'user') {
+            lines.push(`## 🧑 User · ${formatTime(message.timestamp)}`, '');
+            if (message.page?.url) {
+                lines.push(`> 📄 [${message.page.title || message.page.url}](${message.page.url})`, '');
+            }
+            if (message.images?.length > 0) {
+                lines.push(`> 🖼️ ${message.images.length} image(s) attached`, '');
+            }
+            lines.push(message.content, '');
+            continue;
+        }
+
+        const header = ['## 🤖 Assistant', message.model, formatTime(message.timestamp)].filter(Boolean);
+        lines.push(header.join(' · '), '');
+
+        if (message.thinking) {
+            lines.push('<details>', '<summary>Thinking</summary>', '', message.thinking, '', '</details>', '');
+        }
+
+        if (message.searchResults) {
+            const links = getSearchLinks(message.searchResults);
+            if (links.length > 0) {
+                lines.push('**🔍 Search Results:**', '');
+                links.forEach(link => lines.push(`- [${link.text}](${link.href})`));
+                lines.push('');
+            }
+        }
+
+        // Tool rounds: the text before each round, then its calls
+        for (const step of message.steps || []) {
+            if (step.text) lines.push(step.text, '');
+            for (const call of step.toolCalls) {
+                lines.push('<details>', `<summary>🔧 ${call.name}${call.error ? ' · ⚠ Failed' : ''}</summary>`, '');
+                lines.push(...fence(JSON.stringify(call.arguments ?? {}, null, 2), 'json'), '');
+                lines.push(...fence(formatToolResult(call)), '', '</details>', '');
+            }
+        }
+
+        if (message.urlContext?.length > 0) {
+            lines.push('**🔗 Pages read:**', '');
+            for (const { url, status } of message.urlContext) {
+                lines.push(status === 'success' ? `- ✓ ${url}` : `- ⚠ ${url} (not read: ${status.replace(/_/g, ' ')})`);
+            }
+            lines.push('');
+        }
+
+        if (message.error) {
+            lines.push(`> ⚠️ Error: ${message.error}`, '');
+        } else {
+            const inserts = [
+                ...getMarkdownCodeRuns(message.codeRuns),
+                ...getMarkdownMedia(message.media),
+                ...getMarkdownCitations(message.citations, message.sources)
+            ];
+            lines.push(insertIntoMarkdown(message.content, inserts) || '_(no response)_', '');
+        }
+
+        if (message.sources?.length > 0) {
+            lines.push('**Sources:**', '');
+            message.sources.forEach((source, i) => {
+                const domain = source.domain && source.domain !== source.title ? ` · ${source.domain}` : '';
+                lines.push(`${i + 1}. [${source.title}](${source.uri})${domain}`);
+            });
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Render one message as HTML using the side panel's markup
+ */
+function renderMessageHtml(message) {
+    if (message.role === 'user') {
+        const page = message.page?.url
+            ? `<div class="export-page">📄 <a href="${escapeHtml(message.page.url)}">${escapeHtml(message.page.title || message.page.url)}</a></div>`
+            : '';
+        return `
+        <div class="message user">
+            ${page}
+            <div class="message-content">${markdownToHtml(message.content)}</div>
+            <div class="export-meta">${escapeHtml(formatTime(message.timestamp))}</div>
+        </div>`;
+    }
+
+    const thinking = message.thinking
+        ? `<details class="thinking-section">
+                <summary class="thinking-toggle">Thinking</summary>
+                <div class="thinking-content">${markdownToHtml(message.thinking)}</div>
+            </details>`
+        : '';
+    const search = message.searchResults
+        ? `<div class="search-results">
+                <div class="search-results-title">🔍 Search Results</div>
+                <div class="search-results-content">${message.searchResults}</div>
+            </div>`
+        : '';
+    const steps = message.steps?.length > 0
+        ? `<div class="tool-steps">${message.steps.map(step => [
+            step.text ? `<div class="tool-step-text message-content">${markdownToHtml(step.text)}</div>` : '',
+            ...step.toolCalls.map(call => `<details class="tool-call${call.error ? ' failed' : ''}">`
+                + `<summary><span class="tool-call-name">🔧 ${escapeHtml(call.name)}</span>`
+                + `<span class="tool-call-status">${call.error ? '⚠ Failed' : '✓ Done'}</span></summary>`
+                + '<div class="tool-call-label">Arguments</div>'
+                + `<pre class="tool-call-arguments">${escapeHtml(JSON.stringify(call.arguments ?? {}, null, 2))}</pre>`
+                + '<div class="tool-call-label">Result</div>'
+                + `<pre class="tool-call-result">${escapeHtml(formatToolResult(call))}</pre></details>`)
+        ].join('')).join('')}</div>`
+        : '';
+    const pages = message.urlContext?.length > 0
+        ? `<div class="url-context">
+                <div class="url-context-title">🔗 Pages read</div>
+                <ul>${message.urlContext.map(({ url, status }) => status === 'success'
+                    ? `<li title="Read"><span class="url-context-status">✓</span> <a href="${escapeHtml(url)}">${escapeHtml(url)}</a></li>`
+                    : `<li class="failed" title="Not read: ${escapeHtml(status.replace(/_/g, ' '))}"><span class="url-context-status">⚠</span> <a href="${escapeHtml(url)}">${escapeHtml(url)}</a></li>`
+                ).join('')}</ul>
+            </div>`
+        : '';
+    const body = message.error
+        ? `<p>⚠️ Error: ${escapeHtml(message.error)}</p>`
+        : markdownToHtmlWithInserts(message.content, [
+            ...getHtmlCodeRuns(message.codeRuns),
+            ...getHtmlMedia(message.media),
+            ...getCitationMarkers(message.citations, message.sources)
+        ]);
+    const sources = message.sources?.length > 0
+        ? `<div class="citation-sources">
+                <div class="citation-sources-title">📚 Sources</div>
+                <ol>${message.sources.map(source => `<li><a href="${escapeHtml(source.uri)}">${escapeHtml(source.title)}</a>`
+                    + (source.domain && source.domain !== source.title ? ` <span class="citation-domain">${escapeHtml(source.domain)}</span>` : '')
+                    + '</li>').join('')}</ol>
+            </div>`
+        : '';
+    const meta = [message.model, formatTime(message.timestamp)].filter(Boolean).join(' · ');
+
+    return `
+        <div class="message assistant">
+            ${thinking}
+            ${search}
+            ${steps}
+            ${pages}
+            <div class="response-content message-content">${body}</div>
+            ${sources}
+            <div class="export-meta">${escapeHtml(meta)}</div>
+        </div>`;
+}
+
+/**
+ * Export the active branch of a conversation as a standalone HTML page
+ * Markdown is rendered up front and the stylesheets are inlined, so the
+ * file works offline without the extension. Message HTML isn't sanitized
+ * (search results are Google's markup), so the page allows no scripts.
+ * @param {Object} conversation - Conversation record
+ * @param {Array} messages - Messages of the active branch
+ * @param {Object} options - { styles: CSS text to inline, theme: 'light'|'dark'|'auto' }
+ * @returns {string} HTML document
+ */
+export function exportToHTML(conversation, messages, options = {}) {
+    const title = escapeHtml(conversation.title || 'Conversation');
+    const theme = options.theme || 'auto';
+
+    return `<!DOCTYPE html>
+<html lang="en" data-theme="${escapeHtml(theme)}">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="script-src 'none'; object-src 'none'">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+${options.styles || ''}
+
+/* Export overrides */
+body { height: auto; overflow: auto; }
+.container { height: auto; max-width: 800px; margin: 0 auto; }
+.chat-messages { overflow: visible; }
+.export-header { padding: 16px; border-bottom: 1px solid var(--border-color); }
+.export-header h1 { font-size: 20px; margin-bottom: 4px; }
+.export-header p, .export-meta { font-size: 12px; color: var(--text-muted); }
+.export-meta { margin-top: 4px; }
+.export-page { font-size: 12px; margin-bottom: 4px; color: var(--text-secondary); }
+.export-page a { color: var(--accent-primary); }
+.thinking-section summary { list-style: none; }
+.thinking-section[open] .thinking-content { display: block; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="export-header">
+            <h1>${title}</h1>
+            <p>${escapeHtml([conversation.model, `Exported ${formatTime(Date.now())}`].filter(Boolean).join(' · '))}</p>
+        </header>
+        <main class="chat-messages">
+${messages.map(renderMessageHtml).join('\n')}
+        </main>
+    </div>
+</body>
+</html>
+`;
+}
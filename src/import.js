@@ -0,0 +1,275 @@
+import { EXPORT_FORMAT, EXPORT_VERSION } from './export.js';
+import { MessageTree } from './message-tree.js';
+import { generateId } from './utils.js';
+
+/**
+ * Roles kept from imported conversations
+ * System, tool and developer turns have no place in the message tree.
+ */
+const IMPORTED_ROLES = ['user', 'assistant'];
+
+/**
+ * Parse an ISO string or epoch (seconds or milliseconds) into milliseconds
+ */
+function toTimestamp(value, fallback) {
+    if (typeof value === 'number') {
+        // ChatGPT stores seconds, everything else milliseconds
+        return value < 1e12 ? Math.round(value * 1000) : value;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Build a conversation record from a populated message tree
+ */
+function toConversation(tree, fields = {}) {
+    const { messages, activeChildren } = tree.toJSON();
+    const timestamps = messages.map(m => m.timestamp).filter(Boolean);
+    const now = Date.now();
+
+    return {
+        id: fields.id || generateId(),
+        title: fields.title || '',
+        backendType: fields.backendType || null,
+        model: fields.model || null,
+        createdAt: fields.createdAt || (timestamps.length > 0 ? Math.min(...timestamps) : now),
+        updatedAt: fields.updatedAt || (timestamps.length > 0 ? Math.max(...timestamps) : now),
+        messages,
+        activeChildren
+    };
+}
+
+/**
+ * Split OpenAI-style message content into text and images
+ * Content is either a string or an array of typed parts.
+ */
+function parseOpenAIContent(content) {
+    if (typeof content === 'string') {
+        return { text: content, images: [] };
+    }
+    if (!Array.isArray(content)) {
+        return { text: '', images: [] };
+    }
+
+    const text = [];
+    const images = [];
+    for (const part of content) {
+        if (typeof part === 'string') {
+            text.push(part);
+        } else if (part?.type === 'text' || part?.type === 'input_text' || part?.type === 'output_text') {
+            text.push(part.text || '');
+        } else if (part?.type === 'image_url') {
+            const url = part.image_url?.url || part.image_url;
+            if (typeof url === 'string' && url.startsWith('data:')) {
+                const type = url.slice(5, url.indexOf(';'));
+                images.push({ name: `image-${images.length + 1}`, type, data: url });
+            }
+        }
+    }
+    return { text: text.join('\n'), images };
+}
+
+/**
+ * Import a file written by exportToJSON
+ * The conversation keeps its id, so importing it again replaces the copy
+ * saved before instead of adding another.
+ */
+function fromExtensionExport(data) {
+    if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+        throw new Error(`Unsupported export version: ${data.version}`);
+    }
+    if (!Array.isArray(data.messages)) {
+        throw new Error('Export file has no messages');
+    }
+
+    const meta = data.conversation || {};
+    const messages = data.messages
+        .filter(message => message?.id && IMPORTED_ROLES.includes(message.role))
+        .map(message => ({
+            ...message,
+            timestamp: toTimestamp(message.timestamp, Date.now())
+        }));
+    const tree = MessageTree.fromJSON(messages, meta.activeChildren);
+
+    return [toConversation(tree, {
+        id: typeof meta.id === 'string' ? meta.id : null,
+        title: meta.title,
+        backendType: meta.backendType,
+        model: meta.model,
+        createdAt: toTimestamp(meta.createdAt, null),
+        updatedAt: toTimestamp(meta.updatedAt, null)
+    })];
+}
+
+/**
+ * Import an OpenAI-style `messages` array
+ * @param {Array} messages - Chat Completions messages
+ * @param {Object} fields - Optional { title, model } from a wrapping object
+ */
+function fromOpenAIMessages(messages, fields = {}) {
+    const tree = new MessageTree();
+    const now = Date.now();
+
+    messages.forEach((message, i) => {
+        if (!IMPORTED_ROLES.includes(message?.role)) return;
+
+        const { text, images } = parseOpenAIContent(message.content);
+        if (!text && images.length === 0) return;
+
+        const node = {
+            id: generateId(),
+            role: message.role,
+            content: text,
+            timestamp: now + i
+        };
+        if (images.length > 0) {
+            node.images = images;
+        }
+        tree.add(node, tree.getLeaf()?.id ?? null);
+    });
+
+    return toConversation(tree, { title: fields.title, model: fields.model });
+}
+
+/**
+ * Extract the text of a ChatGPT mapping node, or null to skip it
+ */
+function getChatGPTText(message) {
+    if (!message || !IMPORTED_ROLES.includes(message.author?.role)) return null;
+    if (message.metadata?.is_visually_hidden_from_conversation) return null;
+
+    const content = message.content || {};
+    if (content.content_type !== 'text' && content.content_type !== 'multimodal_text') return null;
+
+    // Multimodal parts reference uploaded files that aren't part of the export
+    const text = (content.parts || [])
+        .filter(part => typeof part === 'string')
+        .join('\n')
+        .trim();
+    return text || null;
+}
+
+/**
+ * Import one conversation from ChatGPT's conversations.json
+ * The mapping is a tree with tool calls, hidden system prompts and other
+ * internal nodes; those are skipped and their children reattached to the
+ * closest kept ancestor.
+ */
+function fromChatGPTConversation(conversation) {
+    const mapping = conversation.mapping || {};
+    const tree = new MessageTree();
+    const imported = new Map(); // mapping id -> tree node id (or parent's when skipped)
+    const fallbackTime = toTimestamp(conversation.create_time, Date.now());
+
+    const visit = (nodeId, parentId) => {
+        const node = mapping[nodeId];
+        if (!node) return;
+
+        let keptId = parentId;
+        const text = getChatGPTText(node.message);
+        if (text) {
+            const role = node.message.author.role;
+            const parent = parentId ? tree.get(parentId) : null;
+
+            if (role === 'assistant' && parent?.role === 'assistant') {
+                // Tool use splits one reply into several assistant nodes
+                parent.content += `\n\n${text}`;
+            } else {
+                const message = {
+                    id: generateId(),
+                    role,
+                    content: text,
+                    timestamp: toTimestamp(node.message.create_time, fallbackTime)
+                };
+                if (role === 'assistant' && node.message.metadata?.model_slug) {
+                    message.model = node.message.metadata.model_slug;
+                }
+                keptId = tree.add(message, parentId).id;
+            }
+        }
+
+        imported.set(nodeId, keptId);
+        for (const childId of node.children || []) {
+            visit(childId, keptId);
+        }
+    };
+
+    for (const [id, node] of Object.entries(mapping)) {
+        if (!node.parent || !mapping[node.parent]) {
+            visit(id, null);
+        }
+    }
+
+    // Show the branch that was open in ChatGPT
+    const currentId = imported.get(conversation.current_node);
+    if (currentId) {
+        tree.select(currentId);
+    }
+
+    return toConversation(tree, {
+        title: conversation.title,
+        model: conversation.default_model_slug,
+        createdAt: toTimestamp(conversation.create_time, null),
+        updatedAt: toTimestamp(conversation.update_time, null)
+    });
+}
+
+/**
+ * Check whether a value looks like an OpenAI-style messages array
+ */
+function isMessageArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(m => typeof m?.role === 'string');
+}
+
+/**
+ * Detect the format of parsed import data
+ * @returns {string} 'extension', 'openai' or 'chatgpt'
+ */
+export function detectImportFormat(data) {
+    if (data?.format === EXPORT_FORMAT) return 'extension';
+
+    const items = Array.isArray(data) ? data : [data];
+    if (items.length > 0 && items.every(item => item && typeof item.mapping === 'object')) {
+        return 'chatgpt';
+    }
+    if (isMessageArray(data) || isMessageArray(data?.messages)) return 'openai';
+
+    throw new Error('Unrecognized conversation format');
+}
+
+/**
+ * Parse an import file into conversation records ready for ConversationStore
+ * Supports the extension's own JSON export, OpenAI-style `messages` arrays
+ * (bare or wrapped in an object) and ChatGPT's conversations.json.
+ * @param {string} text - File content
+ * @returns {Object} { format, conversations }
+ */
+export function parseImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Import file is not valid JSON');
+    }
+
+    const format = detectImportFormat(data);
+    let conversations;
+
+    if (format === 'extension') {
+        conversations = fromExtensionExport(data);
+    } else if (format === 'chatgpt') {
+        conversations = (Array.isArray(data) ? data : [data]).map(fromChatGPTConversation);
+    } else {
+        conversations = Array.isArray(data)
+            ? [fromOpenAIMessages(data)]
+            : [fromOpenAIMessages(data.messages, data)];
+    }
+
+    conversations = conversations.filter(conversation => conversation.messages.length > 0);
+    if (conversations.length === 0) {
+        throw new Error('No messages found to import');
+    }
+
+    return { format, conversations };
+}
@@ -0,0 +1,276 @@
+/**
+ * JSON Schema support for structured output
+ *
+ * Covers the part of JSON Schema that providers accept for structured
+ * output: type (or a list of types), properties, required,
+ * additionalProperties, items, enum, const, anyOf/oneOf, string length
+ * and pattern, number ranges and array lengths. $ref is not resolved.
+ */
+
+/**
+ * Ready-made schemas for common extraction tasks
+ */
+export const SCHEMA_PRESETS = [
+    {
+        id: 'summary',
+        name: 'Summary',
+        schema: {
+            title: 'summary',
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                summary: { type: 'string' },
+                keyPoints: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['title', 'summary', 'keyPoints']
+        }
+    },
+    {
+        id: 'entities',
+        name: 'Entities',
+        schema: {
+            title: 'entities',
+            type: 'object',
+            properties: {
+                entities: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            type: { type: 'string', enum: ['person', 'organization', 'place', 'product', 'event', 'other'] },
+                            description: { type: 'string' }
+                        },
+                        required: ['name', 'type']
+                    }
+                }
+            },
+            required: ['entities']
+        }
+    },
+    {
+        id: 'table',
+        name: 'Table',
+        schema: {
+            title: 'table',
+            type: 'object',
+            properties: {
+                columns: { type: 'array', items: { type: 'string' } },
+                rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } }
+            },
+            required: ['columns', 'rows']
+        }
+    }
+];
+
+// Keywords Gemini's responseSchema (an OpenAPI subset) understands
+const GEMINI_SCHEMA_KEYS = new Set([
+    'type', 'format', 'title', 'description', 'nullable', 'enum', 'properties', 'required',
+    'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf', 'propertyOrdering'
+]);
+
+/**
+ * Find a `pattern` anywhere in a schema that isn't a valid regular expression
+ * @returns {string|null} Error message of the first bad pattern
+ */
+function findInvalidPattern(schema) {
+    if (!schema || typeof schema !== 'object') return null;
+    if (typeof schema.pattern === 'string') {
+        try {
+            new RegExp(schema.pattern, 'u');
+        } catch (error) {
+            return error.message;
+        }
+    }
+    for (const value of Object.values(schema)) {
+        const error = findInvalidPattern(value);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Parse a schema the user pasted
+ * Patterns are compiled here, so replies aren't checked against one that
+ * can't be.
+ * @throws {Error} When the text isn't JSON, not a schema object or has an invalid pattern
+ */
+export function parseSchema(text) {
+    let schema;
+    try {
+        schema = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Schema is not valid JSON: ${error.message}`);
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('Schema must be a JSON object');
+    }
+    if (!schema.type && !schema.properties && !schema.anyOf && !schema.oneOf) {
+        throw new Error('Schema needs a type or properties');
+    }
+    const patternError = findInvalidPattern(schema);
+    if (patternError) {
+        throw new Error(`Schema has an invalid pattern: ${patternError}`);
+    }
+    return schema;
+}
+
+/**
+ * Name of a schema as providers want it (letters, digits, _ and -)
+ */
+export function getSchemaName(schema) {
+    const name = String(schema.title || '').replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 64);
+    return name || 'response';
+}
+
+/**
+ * JSON type of a value, telling integers apart
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the value, for messages
+ * @returns {Array<string>} Problems found, e.g. '$.items[0].name: expected string'
+ */
+export function validateJson(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives) {
+        const matches = alternatives.some(option => validateJson(value, option, path).length === 0);
+        return matches ? [] : [`${path}: does not match any allowed schema`];
+    }
+
+    const types = [].concat(schema.type || []);
+    if (schema.nullable && value === null) return [];
+    const actual = typeOf(value);
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path}: must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateJson(item, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJson(item, schema.additionalProperties, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse a structured reply, tolerating a ```json fence around it
+ * @throws {SyntaxError} When the reply isn't JSON
+ */
+export function parseJsonResponse(text) {
+    const fenced = text.trim().match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/);
+    return JSON.parse(fenced ? fenced[1] : text);
+}
+
+/**
+ * Check a structured reply against the schema it was asked for
+ * @returns {Array<string>} Problems found; empty when the reply matches
+ */
+export function checkJsonResponse(text, schema) {
+    let value;
+    try {
+        value = parseJsonResponse(text);
+    } catch (error) {
+        return [`Not valid JSON: ${error.message}`];
+    }
+    return validateJson(value, schema);
+}
+
+/**
+ * Convert a JSON Schema to Gemini's responseSchema
+ * Unsupported keywords are dropped, and a type list with "null" becomes
+ * `nullable`; the reply is still validated against the full schema.
+ */
+export function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'anyOf' || key === 'oneOf') {
+            result.anyOf = value.map(toGeminiSchema);
+        } else if (GEMINI_SCHEMA_KEYS.has(key)) {
+            result[key] = value;
+        }
+    }
+
+    if (Array.isArray(result.type)) {
+        const types = result.type.filter(type => type !== 'null');
+        if (types.length < result.type.length) result.nullable = true;
+        result.type = types[0];
+    }
+    if (typeof result.type === 'string') {
+        result.type = result.type.toUpperCase();
+    }
+    if (result.properties) {
+        result.properties = Object.fromEntries(
+            Object.entries(result.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (result.items) {
+        result.items = toGeminiSchema(result.items);
+    }
+    return result;
+}
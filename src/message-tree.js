@@ -0,0 +1,200 @@
+/**
+ * Parent id used for messages at the top of the conversation
+ */
+const ROOT = 'root';
+
+/**
+ * Message Tree - conversation messages stored as a tree of branches
+ *
+ * Every message points to its parent. Editing a message adds a sibling
+ * instead of overwriting it, so earlier continuations stay available.
+ * `activeChildren` remembers which child is selected under each parent;
+ * following it from the root gives the conversation currently shown.
+ */
+export class MessageTree {
+    constructor() {
+        this.nodes = new Map();
+        this.activeChildren = {};
+    }
+
+    /**
+     * Restore a tree from stored messages
+     * Messages saved before branching existed have no parentId and are
+     * chained in order.
+     * @param {Array} messages - Stored messages
+     * @param {Object} activeChildren - Selected child per parent id
+     */
+    static fromJSON(messages = [], activeChildren = {}) {
+        const tree = new MessageTree();
+        let previousId = null;
+
+        for (const message of messages) {
+            const parentId = message.parentId === undefined ? previousId : message.parentId;
+            tree.nodes.set(message.id, { ...message, parentId });
+            previousId = message.id;
+        }
+
+        tree.activeChildren = { ...activeChildren };
+
+        // Fill in selections missing from old data: latest child wins
+        for (const node of tree.nodes.values()) {
+            const key = node.parentId ?? ROOT;
+            if (!tree.activeChildren[key] || !tree.nodes.has(tree.activeChildren[key])) {
+                tree.activeChildren[key] = node.id;
+            }
+        }
+
+        return tree;
+    }
+
+    /**
+     * Serialize for storage
+     */
+    toJSON() {
+        return {
+            messages: Array.from(this.nodes.values()),
+            activeChildren: { ...this.activeChildren }
+        };
+    }
+
+    /**
+     * Number of messages across all branches
+     */
+    get size() {
+        return this.nodes.size;
+    }
+
+    /**
+     * Get a message by id
+     */
+    get(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    /**
+     * Add a message under a parent and select it
+     * @param {Object} message - Message with an id
+     * @param {string|null} parentId - Parent message id (null for the first message)
+     */
+    add(message, parentId = null) {
+        const node = { ...message, parentId };
+        this.nodes.set(node.id, node);
+        this.activeChildren[parentId ?? ROOT] = node.id;
+        return node;
+    }
+
+    /**
+     * Remove a message and everything below it
+     */
+    remove(id) {
+        const node = this.nodes.get(id);
+        if (!node) return;
+
+        for (const child of this.getChildren(id)) {
+            this.remove(child.id);
+        }
+        this.nodes.delete(id);
+        delete this.activeChildren[id];
+
+        // Fall back to the last remaining sibling
+        const key = node.parentId ?? ROOT;
+        if (this.activeChildren[key] === id) {
+            const siblings = this.getChildren(node.parentId);
+            if (siblings.length > 0) {
+                this.activeChildren[key] = siblings[siblings.length - 1].id;
+            } else {
+                delete this.activeChildren[key];
+            }
+        }
+    }
+
+    /**
+     * Get children of a message in creation order
+     * @param {string|null} parentId - Parent id (null for top-level messages)
+     */
+    getChildren(parentId) {
+        const result = [];
+        for (const node of this.nodes.values()) {
+            if ((node.parentId ?? null) === (parentId ?? null)) {
+                result.push(node);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Get a message and its alternatives (messages sharing its parent)
+     */
+    getSiblings(id) {
+        const node = this.nodes.get(id);
+        if (!node) return [];
+        return this.getChildren(node.parentId);
+    }
+
+    /**
+     * Position of a message among its siblings
+     * @returns {Object} { index, count } with a 0-based index
+     */
+    getBranchInfo(id) {
+        const siblings = this.getSiblings(id);
+        return {
+            index: siblings.findIndex(sibling => sibling.id === id),
+            count: siblings.length
+        };
+    }
+
+    /**
+     * Select a message so the active path runs through it
+     */
+    select(id) {
+        const node = this.nodes.get(id);
+        if (!node) return;
+
+        this.activeChildren[node.parentId ?? ROOT] = id;
+
+        // Make sure every ancestor points at this branch too
+        if (node.parentId) {
+            this.select(node.parentId);
+        }
+    }
+
+    /**
+     * Get the messages from the first one down to a given message
+     * @param {string|null} id - Last message of the path (null for none)
+     */
+    getPathTo(id) {
+        const path = [];
+        let node = id ? this.nodes.get(id) : null;
+
+        while (node) {
+            path.unshift(node);
+            node = node.parentId ? this.nodes.get(node.parentId) : null;
+        }
+
+        return path;
+    }
+
+    /**
+     * Get the active path from the first message to the selected leaf
+     */
+    getPath() {
+        const path = [];
+        let id = this.activeChildren[ROOT];
+
+        while (id && this.nodes.has(id)) {
+            const node = this.nodes.get(id);
+            path.push(node);
+            id = this.activeChildren[node.id];
+        }
+
+        return path;
+    }
+
+    /**
+     * Last message of the active path
+     */
+    getLeaf() {
+        const path = this.getPath();
+        return path[path.length - 1] || null;
+    }
+}
@@ -1,31 +1,80 @@
+import { BackendRegistry } from './backends/registry.js';
+import { resolveCapabilities } from './capabilities.js';
+import { PRICING_FIELDS } from './usage.js';
+import { DEFAULT_CONTEXT_STRATEGY } from './context.js';
+import { parseSchema } from './json-schema.js';
+import { generateId } from './utils.js';
+
+// RFC 7230 token characters
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Generation (sampling) parameters, in the settings schema field format
+ * Each backend maps the ones it supports to its own request fields.
+ */
+export const GENERATION_PARAMS = [
+    { key: 'temperature', label: 'Temperature', type: 'number', min: 0, max: 2, step: 0.1 },
+    { key: 'topP', label: 'Top P', type: 'number', min: 0, max: 1, step: 0.05 },
+    { key: 'topK', label: 'Top K', type: 'number', min: 1, step: 1, integer: true },
+    { key: 'maxOutputTokens', label: 'Max Output Tokens', type: 'number', min: 1, step: 1, integer: true },
+    { key: 'stopSequences', label: 'Stop Sequences', type: 'list', hint: 'One per line' },
+    { key: 'seed', label: 'Seed', type: 'number', step: 1, integer: true },
+    { key: 'presencePenalty', label: 'Presence Penalty', type: 'number', min: -2, max: 2, step: 0.1 },
+    { key: 'frequencyPenalty', label: 'Frequency Penalty', type: 'number', min: -2, max: 2, step: 0.1 }
+];
+
+/**
+ * Reasoning effort levels, from none to the most
+ * Backends with capabilities.thinkingBudget also take a budget in tokens.
+ */
+export const REASONING_EFFORTS = [
+    { id: 'off', label: 'Off' },
+    { id: 'low', label: 'Low' },
+    { id: 'medium', label: 'Medium' },
+    { id: 'high', label: 'High' }
+];
+
+const REASONING_BUDGET_FIELD = { key: 'budget', label: 'Thinking Budget', type: 'number', min: 0, integer: true };
+
 /**
  * Default settings configuration
  */
 export const defaultSettings = {
     backendType: 'gemini',
     theme: 'auto', // 'light', 'dark', 'auto'
-    gemini: {
-        apiUrl: 'https://generativelanguage.googleapis.com/v1beta',
-        apiKey: '',
-        models: ['gemini-3-pro-preview', 'gemini-3-flash-preview', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro']
-    },
-    openai: {
-        apiUrl: 'http://localhost:8045/v1',
-        apiKey: '',
-        models: [
-            'gemini-3-flash',
-            'gemini-3-pro-high',
-            'gemini-3-pro-low',
-            'claude-sonnet-4-5',
-            'claude-sonnet-4-5-thinking',
-            'claude-opus-4-5-thinking'
-        ]
-    },
+    // One settings object per registered backend: { apiUrl, apiKey, models, headers, ... }
+    // These are the built-in profiles; their id is the backend id
+    ...BackendRegistry.getAllDefaultSettings(),
+    // Named profiles: { id, name, type, ...the backend's settings }
+    profiles: [],
+    // Active profile id; empty selects the built-in profile of backendType
+    currentProfile: '',
+    // Generation parameters for every model (see GENERATION_PARAMS); unset ones use the provider default
+    generation: {},
+    // Per-model settings keyed by `${profileId}:${model}`:
+    // { fallbacks: [modelKey, ...], generation: {...}, capabilities: {...}, pricing: { input, cachedInput, output },
+    //   contextStrategy: one of CONTEXT_STRATEGIES in context.js,
+    //   reasoning: { effort } with an id of REASONING_EFFORTS, or { budget } in tokens }
+    modelSettings: {},
     currentModel: '',
     systemPrompt: '',
     enableSearch: true,
+    // Gemini's built-in code execution and URL context tools
+    enableCodeExecution: false,
+    enableUrlContext: false,
+    // Ask image models for images (Gemini responseModalities, OpenAI /images/generations)
+    enableImageGeneration: false,
+    // Offer the registered tools (see tools/registry.js) to models that can call them
+    enableTools: true,
+    // Sites (origins) where tools that need approval run without asking
+    approvedSites: [],
+    // MCP servers whose tools are offered too (see tools/mcp.js):
+    // { id, name, url, headers, enabled, disabledTools: [tool names] }
+    mcpServers: [],
     includeThinking: true,
-    autoIncludePage: true
+    autoIncludePage: true,
+    // Structured output: replies follow this JSON Schema (pasted text) while enabled
+    structuredOutput: { enabled: false, schema: '' }
 };
 
 /**
@@ -65,8 +114,8 @@ export class SettingsManager {
 
                 // Ensure currentModel is set
                 if (!merged.currentModel) {
-                    const backend = merged[merged.backendType];
-                    merged.currentModel = backend?.models?.[0] || '';
+                    const profile = this.getProfile(merged);
+                    merged.currentModel = profile?.models?.[0] || '';
                 }
 
                 resolve(merged);
@@ -89,46 +138,290 @@ export class SettingsManager {
         });
     }
 
+    /**
+     * Get every provider profile: one built-in per backend, then named ones
+     * @returns {Array<Object>} Profiles with { id, name, type, builtIn, ...settings }
+     */
+    static getProfiles(settings) {
+        const builtIn = BackendRegistry.getAll()
+            .filter(BackendClass => settings[BackendClass.id])
+            .map(BackendClass => ({
+                ...settings[BackendClass.id],
+                id: BackendClass.id,
+                name: BackendClass.displayName,
+                type: BackendClass.id,
+                builtIn: true
+            }));
+        return [...builtIn, ...(settings.profiles || [])];
+    }
+
+    /**
+     * Get a profile by id (defaults to the active profile)
+     * Unknown ids fall back to the built-in profile of backendType.
+     */
+    static getProfile(settings, id = settings.currentProfile || settings.backendType) {
+        const profiles = this.getProfiles(settings);
+        return profiles.find(p => p.id === id)
+            || profiles.find(p => p.id === settings.backendType)
+            || null;
+    }
+
+    /**
+     * Create a named profile with the backend's default settings
+     * @param {string} type - Backend id
+     * @param {string} name - Profile name shown in the model menu
+     */
+    static createProfile(type, name) {
+        const BackendClass = BackendRegistry.get(type);
+        if (!BackendClass) {
+            throw new Error(`Unknown backend: ${type}`);
+        }
+        return {
+            id: `profile-${generateId()}`,
+            name,
+            type,
+            ...BackendRegistry.getDefaultSettings(BackendClass)
+        };
+    }
+
+    /**
+     * Apply changes to one profile's settings
+     */
+    static updateProfile(settings, profileId, changes) {
+        if (BackendRegistry.get(profileId)) {
+            return {
+                ...settings,
+                [profileId]: { ...settings[profileId], ...changes }
+            };
+        }
+
+        return {
+            ...settings,
+            profiles: (settings.profiles || []).map(p => (p.id === profileId ? { ...p, ...changes } : p))
+        };
+    }
+
+    /**
+     * Delete a named profile
+     * Deleting the active profile switches back to its backend's built-in profile.
+     */
+    static removeProfile(settings, profileId) {
+        const profile = (settings.profiles || []).find(p => p.id === profileId);
+        if (!profile) return settings;
+
+        const updated = {
+            ...settings,
+            profiles: settings.profiles.filter(p => p.id !== profileId)
+        };
+
+        if (this.getProfile(settings).id === profileId) {
+            updated.backendType = profile.type;
+            updated.currentProfile = profile.type;
+            updated.currentModel = settings[profile.type]?.models?.[0] || '';
+        }
+
+        return updated;
+    }
+
+    /**
+     * Select a profile and one of its models
+     */
+    static selectModel(settings, profileId, model) {
+        const profile = this.getProfile(settings, profileId);
+        return {
+            ...settings,
+            backendType: profile.type,
+            currentProfile: profile.id,
+            currentModel: model
+        };
+    }
+
+    /**
+     * Whether a profile's models belong in the model menu
+     * Named profiles always do; built-in ones once they have been set up,
+     * so unused backends don't crowd the menu with their default models.
+     */
+    static isProfileInUse(settings, profile) {
+        if (!profile.builtIn || profile.id === this.getProfile(settings).id) {
+            return true;
+        }
+
+        const BackendClass = BackendRegistry.get(profile.type);
+        const defaults = BackendRegistry.getDefaultSettings(BackendClass);
+        return Object.keys(defaults).some(key => JSON.stringify(profile[key]) !== JSON.stringify(defaults[key]));
+    }
+
+    /**
+     * Key of a model in modelSettings
+     * Profile ids never contain ':', so model names (e.g. 'llama3.2:latest') may.
+     */
+    static getModelKey(profileId, model) {
+        return `${profileId}:${model}`;
+    }
+
+    /**
+     * Split a model key into its profile id and model name
+     */
+    static parseModelKey(key) {
+        const separator = key.indexOf(':');
+        return { profileId: key.slice(0, separator), model: key.slice(separator + 1) };
+    }
+
+    /**
+     * Get the per-model settings of a model
+     */
+    static getModelSettings(settings, profileId, model) {
+        return settings.modelSettings?.[this.getModelKey(profileId, model)] || {};
+    }
+
+    /**
+     * Apply changes to a model's per-model settings
+     * Entries left without any settings are dropped.
+     */
+    static updateModelSettings(settings, profileId, model, changes) {
+        const key = this.getModelKey(profileId, model);
+        const entry = { ...settings.modelSettings?.[key], ...changes };
+        for (const name of Object.keys(entry)) {
+            const value = entry[name];
+            if (value === undefined || value === null || (typeof value === 'object' && Object.keys(value).length === 0)) {
+                delete entry[name];
+            }
+        }
+
+        const modelSettings = { ...settings.modelSettings };
+        if (Object.keys(entry).length > 0) {
+            modelSettings[key] = entry;
+        } else {
+            delete modelSettings[key];
+        }
+        return { ...settings, modelSettings };
+    }
+
+    /**
+     * Resolve a model's fallback chain
+     * Fallbacks whose profile or model has since been removed are skipped.
+     * @returns {Array<Object>} { profileId, model } in the order to try them
+     */
+    static getFallbackChain(settings, profileId, model) {
+        const profiles = this.getProfiles(settings);
+        const primary = this.getModelKey(profileId, model);
+
+        return (this.getModelSettings(settings, profileId, model).fallbacks || [])
+            .filter(key => key !== primary)
+            .map(key => this.parseModelKey(key))
+            .filter(ref => profiles.some(p => p.id === ref.profileId && p.models.includes(ref.model)));
+    }
+
+    /**
+     * Resolve the generation parameters of a model
+     * Per-model overrides win over the global values. Unset parameters are
+     * left out so the provider's defaults apply.
+     * @returns {Object} Parameters keyed as in GENERATION_PARAMS
+     */
+    static getGenerationParams(settings, profileId, model) {
+        const overrides = this.getModelSettings(settings, profileId, model).generation || {};
+        const params = {};
+        for (const { key } of GENERATION_PARAMS) {
+            const value = overrides[key] ?? settings.generation?.[key];
+            if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+                params[key] = value;
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Resolve what a model can do (see capabilities.js)
+     * @returns {Object} { vision, thinking, search, tools, jsonMode, contextWindow }
+     */
+    static getModelCapabilities(settings, profileId, model) {
+        const profile = this.getProfile(settings, profileId);
+        return resolveCapabilities(
+            BackendRegistry.get(profile?.type),
+            model,
+            this.getModelSettings(settings, profileId, model).capabilities
+        );
+    }
+
+    /**
+     * Resolve the reasoning setting of a model
+     * Models that can't think get none, so backends leave their defaults.
+     * @returns {Object|null} { effort } or { budget }, null for the provider default
+     */
+    static getReasoning(settings, profileId, model) {
+        const reasoning = this.getModelSettings(settings, profileId, model).reasoning;
+        if (!reasoning || !this.getModelCapabilities(settings, profileId, model).thinking) {
+            return null;
+        }
+        return reasoning;
+    }
+
+    /**
+     * How a model's requests are fitted into its context window
+     * @returns {string} Strategy id (see CONTEXT_STRATEGIES in context.js)
+     */
+    static getContextStrategy(settings, profileId, model) {
+        return this.getModelSettings(settings, profileId, model).contextStrategy || DEFAULT_CONTEXT_STRATEGY;
+    }
+
+    /**
+     * JSON Schema replies should follow
+     * @returns {Object|null} Parsed schema, null when off or not valid JSON
+     */
+    static getResponseSchema(settings) {
+        const { enabled, schema } = settings.structuredOutput || {};
+        if (!enabled || !schema?.trim()) return null;
+        try {
+            return parseSchema(schema);
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * Get current backend configuration
      */
     static getBackendConfig(settings) {
-        const backendSettings = settings[settings.backendType];
+        const { id, name, builtIn, ...profileSettings } = this.getProfile(settings);
+        const model = settings.currentModel || profileSettings.models[0];
         return {
-            type: settings.backendType,
-            apiUrl: backendSettings.apiUrl,
-            apiKey: backendSettings.apiKey,
-            model: settings.currentModel || backendSettings.models[0],
-            models: backendSettings.models
+            // Backend-specific fields (e.g. thinkingBudget) are passed through
+            ...profileSettings,
+            type: profileSettings.type,
+            profileId: id,
+            profileName: name,
+            apiUrl: profileSettings.apiUrl,
+            apiKey: profileSettings.apiKey,
+            headers: profileSettings.headers || {},
+            model,
+            models: profileSettings.models,
+            generation: this.getGenerationParams(settings, id, model),
+            capabilities: this.getModelCapabilities(settings, id, model),
+            reasoning: this.getReasoning(settings, id, model)
         };
     }
 
     /**
-     * Add a model to the current backend
+     * Add a model to the current profile
      */
     static addModel(settings, modelName) {
-        const backend = settings.backendType;
-        const models = settings[backend].models;
+        const profile = this.getProfile(settings);
 
-        if (!models.includes(modelName)) {
-            return {
-                ...settings,
-                [backend]: {
-                    ...settings[backend],
-                    models: [...models, modelName]
-                }
-            };
+        if (!profile.models.includes(modelName)) {
+            return this.updateProfile(settings, profile.id, {
+                models: [...profile.models, modelName]
+            });
         }
 
         return settings;
     }
 
     /**
-     * Remove a model from the current backend
+     * Remove a model from the current profile
      */
     static removeModel(settings, modelName) {
-        const backend = settings.backendType;
-        const models = settings[backend].models.filter(m => m !== modelName);
+        const profile = this.getProfile(settings);
+        const models = profile.models.filter(m => m !== modelName);
 
         let currentModel = settings.currentModel;
         if (currentModel === modelName) {
@@ -136,15 +429,37 @@ export class SettingsManager {
         }
 
         return {
-            ...settings,
-            currentModel,
-            [backend]: {
-                ...settings[backend],
-                models
-            }
+            ...this.updateProfile(settings, profile.id, { models }),
+            currentModel
         };
     }
 
+    /**
+     * Parse extra headers written one "Name: value" per line
+     * @returns {Object} Header values by name
+     */
+    static parseHeaders(text) {
+        const headers = {};
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            const separator = line.indexOf(':');
+            if (separator <= 0) {
+                throw new Error(`Invalid header line: "${line.trim()}" (expected "Name: value")`);
+            }
+            headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+        return headers;
+    }
+
+    /**
+     * Format extra headers for editing, one "Name: value" per line
+     */
+    static formatHeaders(headers) {
+        return Object.entries(headers || {})
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\n');
+    }
+
     /**
      * Validate API URL format
      */
@@ -164,28 +479,66 @@ export class SettingsManager {
 
     /**
      * Validate settings before saving
+     * Checks the fields of every profile in use (see isProfileInUse())
+     * against its backend's settings schema, that every named profile has
+     * a name, the generation parameters and their per-model overrides, an
+     * enabled response schema and the MCP servers.
      */
     static validate(settings) {
         const errors = [];
 
-        // Validate Gemini settings
-        if (settings.backendType === 'gemini') {
-            const urlValidation = this.validateApiUrl(settings.gemini.apiUrl);
-            if (!urlValidation.valid) {
-                errors.push(`Gemini API URL: ${urlValidation.error}`);
-            }
-            if (!settings.gemini.apiKey) {
-                errors.push('Gemini API Key is required');
+        for (const profile of settings.profiles || []) {
+            if (!profile.name?.trim()) {
+                errors.push('Profile name is required');
             }
         }
 
-        // Validate OpenAI settings
-        if (settings.backendType === 'openai') {
-            const urlValidation = this.validateApiUrl(settings.openai.apiUrl);
+        const active = this.getProfile(settings);
+        if (!active || !BackendRegistry.get(active.type)) {
+            errors.push(`Unknown backend: ${active?.type || settings.backendType}`);
+            return { valid: false, errors };
+        }
+
+        // Every profile the model menu offers, since any can be picked or be a fallback
+        for (const profile of this.getProfiles(settings)) {
+            if (!this.isProfileInUse(settings, profile)) continue;
+
+            const BackendClass = BackendRegistry.get(profile.type);
+            if (!BackendClass) {
+                errors.push(`${profile.name}: unknown backend ${profile.type}`);
+                continue;
+            }
+            const name = profile.builtIn ? BackendClass.shortName || BackendClass.displayName : profile.name;
+            errors.push(...this.validateProfile(BackendClass, profile, name));
+        }
+        errors.push(...this.validateFields(GENERATION_PARAMS, settings.generation || {}, 'Generation'));
+        for (const [key, entry] of Object.entries(settings.modelSettings || {})) {
+            const { model } = this.parseModelKey(key);
+            if (entry.generation) {
+                errors.push(...this.validateFields(GENERATION_PARAMS, entry.generation, model));
+            }
+            if (entry.pricing) {
+                errors.push(...this.validateFields(PRICING_FIELDS, entry.pricing, `${model} Price:`));
+            }
+            if (entry.reasoning) {
+                errors.push(...this.validateFields([REASONING_BUDGET_FIELD], entry.reasoning, model));
+            }
+        }
+        for (const server of settings.mcpServers || []) {
+            if (!server.name?.trim()) {
+                errors.push('MCP server name is required');
+            }
+            const urlValidation = this.validateApiUrl(server.url);
             if (!urlValidation.valid) {
-                errors.push(`OpenAI API URL: ${urlValidation.error}`);
+                errors.push(`MCP server ${server.name} URL: ${urlValidation.error}`);
+            }
+        }
+        if (settings.structuredOutput?.enabled) {
+            try {
+                parseSchema(settings.structuredOutput.schema || '');
+            } catch (error) {
+                errors.push(`Response Schema: ${error.message}`);
             }
-            // API key is optional for local services like Ollama
         }
 
         return {
@@ -193,4 +546,57 @@ export class SettingsManager {
             errors
         };
     }
+
+    /**
+     * Check one profile's values against its backend's settings schema
+     * @returns {Array<string>} Error messages prefixed with the profile name
+     */
+    static validateProfile(BackendClass, values, name) {
+        return this.validateFields(BackendRegistry.getSettingsSchema(BackendClass), values, name);
+    }
+
+    /**
+     * Check values against settings schema fields
+     * @param {Array<Object>} fields - Schema fields
+     * @param {Object} values - Values keyed by field key
+     * @param {string} name - Prefix for the error messages
+     * @returns {Array<string>} Error messages
+     */
+    static validateFields(fields, values, name) {
+        const errors = [];
+
+        for (const field of fields) {
+            const value = values[field.key];
+            const empty = value === undefined || value === null || value === '';
+
+            if (field.type === 'url') {
+                const urlValidation = this.validateApiUrl(value);
+                if (!urlValidation.valid) {
+                    errors.push(`${name} ${field.label}: ${urlValidation.error}`);
+                }
+            } else if (empty) {
+                if (field.required) {
+                    errors.push(`${name} ${field.label} is required`);
+                }
+            } else if (field.type === 'number') {
+                if (typeof value !== 'number' || Number.isNaN(value)) {
+                    errors.push(`${name} ${field.label} must be a number`);
+                } else if (field.integer && !Number.isInteger(value)) {
+                    errors.push(`${name} ${field.label} must be a whole number`);
+                } else if (field.min !== undefined && value < field.min) {
+                    errors.push(`${name} ${field.label} must be at least ${field.min}`);
+                } else if (field.max !== undefined && value > field.max) {
+                    errors.push(`${name} ${field.label} must be at most ${field.max}`);
+                }
+            } else if (field.type === 'headers') {
+                for (const header of Object.keys(value)) {
+                    if (!HEADER_NAME_PATTERN.test(header)) {
+                        errors.push(`${name} ${field.label}: invalid header name "${header}"`);
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
 }
@@ -0,0 +1,188 @@
+import { isScriptableUrl } from '../utils.js';
+
+// Text read from a tab, in characters
+const MAX_TAB_TEXT = 20000;
+// Elements a selector query returns
+const MAX_QUERY_RESULTS = 50;
+const MAX_ELEMENT_TEXT = 500;
+// How long a highlighted element stays outlined
+const HIGHLIGHT_MS = 3000;
+
+/**
+ * Site of a URL as approvals are stored, e.g. 'https://example.com'
+ * @returns {string|null} Origin, null for URLs without one
+ */
+export function getSite(url) {
+    try {
+        const { origin } = new URL(url);
+        return origin === 'null' ? null : origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Tab the user is looking at
+ * @throws {Error} When there is none
+ */
+async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) {
+        throw new Error('No active tab');
+    }
+    return tab;
+}
+
+/**
+ * Tab a call was approved for, as long as it is still on the approved site
+ * The user may switch tabs or navigate while the prompt is open.
+ * @param {Object} approved - { tabId, site } from the tool's approval()
+ * @throws {Error} When the tab has moved to another site
+ */
+async function getApprovedTab({ tabId, site }) {
+    const tab = await chrome.tabs.get(tabId);
+    if (getSite(tab.url) !== site) {
+        throw new Error('The tab moved to another site after the call was approved');
+    }
+    return tab;
+}
+
+/**
+ * Run a function in a tab and return its result
+ * @throws {Error} For pages extensions can't script (chrome://, the Web Store, ...)
+ */
+async function runInTab(tab, func, args = []) {
+    if (!isScriptableUrl(tab.url)) {
+        throw new Error(`Cannot access ${tab.url || 'this tab'}`);
+    }
+    const [result] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func, args });
+    return result?.result;
+}
+
+/**
+ * Approval prompt of a tool working on the active tab
+ */
+async function activeTabApproval(action) {
+    const tab = await getActiveTab();
+    return { summary: `${action} on ${tab.title || tab.url}`, site: getSite(tab.url), tabId: tab.id };
+}
+
+/**
+ * Tools that read and drive the browser
+ * All of them ask for approval, since the extension can reach every site.
+ * Tools working on a tab run on the one approved, not on the active one.
+ */
+export const BROWSER_TOOLS = [
+    {
+        name: 'list_tabs',
+        description: 'List the open browser tabs with their id, title and URL.',
+        parameters: { type: 'object', properties: {} },
+        approval: async () => ({ summary: 'List your open tabs', site: null }),
+        async execute() {
+            const tabs = await chrome.tabs.query({});
+            return tabs.map(tab => ({ id: tab.id, title: tab.title, url: tab.url, active: Boolean(tab.active) }));
+        }
+    },
+    {
+        name: 'read_tab',
+        description: 'Read the text content of a tab. Use list_tabs to find tab ids.',
+        parameters: {
+            type: 'object',
+            properties: { tabId: { type: 'integer', description: 'Tab id from list_tabs' } },
+            required: ['tabId']
+        },
+        async approval({ tabId }) {
+            const tab = await chrome.tabs.get(tabId);
+            return { summary: `Read ${tab.title || tab.url}`, site: getSite(tab.url), tabId };
+        },
+        async execute(args, { approved }) {
+            return runInTab(await getApprovedTab(approved), (maxLength) => {
+                const text = document.body?.innerText || '';
+                return {
+                    title: document.title,
+                    url: location.href,
+                    text: text.length > maxLength ? `${text.slice(0, maxLength)}...[truncated]` : text
+                };
+            }, [MAX_TAB_TEXT]);
+        }
+    },
+    {
+        name: 'query_page',
+        description: 'Find elements on the active page with a CSS selector and return their tag, text and link.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector, e.g. "h2" or "table tr"' },
+                limit: { type: 'integer', minimum: 1, maximum: MAX_QUERY_RESULTS }
+            },
+            required: ['selector']
+        },
+        approval: ({ selector }) => activeTabApproval(`Query "${selector}"`),
+        async execute({ selector, limit = 20 }, { approved }) {
+            return runInTab(await getApprovedTab(approved), (selector, limit, maxText) => {
+                const elements = Array.from(document.querySelectorAll(selector));
+                return {
+                    count: elements.length,
+                    elements: elements.slice(0, limit).map(element => ({
+                        tag: element.tagName.toLowerCase(),
+                        text: (element.innerText || element.textContent || '').trim().slice(0, maxText),
+                        ...(element.href && { href: element.href }),
+                        ...(element.id && { id: element.id })
+                    }))
+                };
+            }, [selector, limit, MAX_ELEMENT_TEXT]);
+        }
+    },
+    {
+        name: 'get_selection',
+        description: 'Get the text the user has selected on the active page.',
+        parameters: { type: 'object', properties: {} },
+        approval: () => activeTabApproval('Read your selection'),
+        async execute(args, { approved }) {
+            const text = await runInTab(await getApprovedTab(approved), () => window.getSelection()?.toString() || '');
+            return { text };
+        }
+    },
+    {
+        name: 'open_url',
+        description: 'Open a web page in a new background tab.',
+        parameters: {
+            type: 'object',
+            properties: { url: { type: 'string', pattern: '^https?://' } },
+            required: ['url']
+        },
+        approval: async ({ url }) => ({ summary: `Open ${url}`, site: getSite(url) }),
+        async execute({ url }) {
+            const tab = await chrome.tabs.create({ url, active: false });
+            return { tabId: tab.id };
+        }
+    },
+    {
+        name: 'highlight_element',
+        description: 'Scroll an element of the active page into view and outline it briefly.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector of the element' },
+                index: { type: 'integer', minimum: 0, description: 'Which match to use (default 0)' }
+            },
+            required: ['selector']
+        },
+        approval: ({ selector }) => activeTabApproval(`Highlight "${selector}"`),
+        async execute({ selector, index = 0 }, { approved }) {
+            const found = await runInTab(await getApprovedTab(approved), (selector, index, duration) => {
+                const element = document.querySelectorAll(selector)[index];
+                if (!element) return false;
+                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                const { outline } = element.style;
+                element.style.outline = '3px solid #4f46e5';
+                setTimeout(() => { element.style.outline = outline; }, duration);
+                return true;
+            }, [selector, index, HIGHLIGHT_MS]);
+            if (!found) {
+                throw new Error(`No element matches "${selector}" at index ${index}`);
+            }
+            return { highlighted: true };
+        }
+    }
+];
@@ -0,0 +1,457 @@
+import { ToolRegistry } from './registry.js';
+import { readLines } from '../utils.js';
+
+// MCP revision the client asks for; the server answers with the one it speaks
+const PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_NAME = 'chrome-gemini';
+// Time to connect and list a server's tools, resources and prompts
+const CONNECT_TIMEOUT_MS = 10000;
+// Statuses of a POST that servers without Streamable HTTP answer with
+const LEGACY_STATUSES = [400, 404, 405];
+
+/**
+ * Text the model gets for one content block of a tool result
+ */
+function formatContent(block) {
+    switch (block.type) {
+        case 'text':
+            return block.text;
+        case 'resource':
+            return block.resource?.text ?? `[resource ${block.resource?.uri}]`;
+        case 'resource_link':
+            return `[${block.name || block.uri}](${block.uri})`;
+        default:
+            return `[${block.mimeType || block.type} ${block.type}]`;
+    }
+}
+
+/**
+ * Error for a session the server ended; requests open a new one
+ */
+function sessionEnded(message) {
+    const error = new Error(message);
+    error.sessionEnded = true;
+    return error;
+}
+
+/**
+ * Client for one MCP server over the Streamable HTTP transport
+ * Every JSON-RPC message is a POST; the server answers a request with JSON
+ * or with an SSE stream that carries the response. Servers that only
+ * speak the older HTTP+SSE transport are reached through its stream.
+ */
+export class McpClient {
+    /**
+     * @param {Object} server - { url, headers }
+     */
+    constructor({ url, headers = {} }) {
+        this.url = url;
+        this.headers = headers;
+        this.sessionId = null;
+        this.protocolVersion = null;
+        this.serverInfo = null;
+        this.capabilities = {};
+        this.nextId = 1;
+        this.stream = null; // HTTP+SSE: { controller, endpoint, pending, closed }
+    }
+
+    /**
+     * Open a session: initialize, then confirm with notifications/initialized
+     * A server that turns the POST down gets the HTTP+SSE transport instead.
+     * @returns {Object} The server's initialize result
+     */
+    async connect(signal) {
+        this.close();
+        this.sessionId = null;
+        this.protocolVersion = null;
+        const params = {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: { name: CLIENT_NAME, version: chrome.runtime.getManifest?.().version || '0' }
+        };
+
+        let result;
+        try {
+            result = await this.send('initialize', params, signal);
+        } catch (error) {
+            if (!LEGACY_STATUSES.includes(error.status)) throw error;
+            await this.openStream(signal);
+            result = await this.send('initialize', params, signal);
+        }
+
+        this.protocolVersion = result.protocolVersion;
+        this.serverInfo = result.serverInfo || null;
+        this.capabilities = result.capabilities || {};
+        await this.post({ jsonrpc: '2.0', method: 'notifications/initialized' }, signal);
+        return result;
+    }
+
+    /**
+     * Send a request, opening a new session once if the server ended ours
+     * @returns {*} The response result
+     */
+    async request(method, params, signal) {
+        try {
+            return await this.send(method, params, signal);
+        } catch (error) {
+            if (!error.sessionEnded) throw error;
+            await this.connect(signal);
+            return this.send(method, params, signal);
+        }
+    }
+
+    /**
+     * Send a request and wait for its response
+     * @throws {Error} For HTTP and JSON-RPC errors
+     */
+    async send(method, params, signal) {
+        const id = this.nextId++;
+        const request = { jsonrpc: '2.0', id, method, ...(params && { params }) };
+        const message = this.stream
+            ? await this.sendOnStream(request, signal)
+            : await this.readResponse(await this.post(request, signal), id);
+        if (message.error) {
+            throw new Error(`${method}: ${message.error.message}`);
+        }
+        return message.result;
+    }
+
+    /**
+     * POST a JSON-RPC message with the session headers
+     * @returns {Response} Response, with the session id kept
+     */
+    async post(message, signal) {
+        const headers = {
+            'Content-Type': 'application/json',
+            Accept: 'application/json, text/event-stream',
+            ...this.headers
+        };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+        if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+
+        const url = this.stream?.endpoint || this.url;
+        const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(message), signal });
+        if (!response.ok) {
+            const error = new Error(`MCP server error: ${response.status}`);
+            error.status = response.status;
+            error.sessionEnded = response.status === 404 && Boolean(this.sessionId);
+            throw error;
+        }
+        this.sessionId = response.headers.get('Mcp-Session-Id') || this.sessionId;
+        return response;
+    }
+
+    /**
+     * Read the response to a request from a JSON body or an SSE stream
+     * Server requests and notifications on the stream are skipped; the
+     * server closes the stream after the response.
+     */
+    async readResponse(response, id) {
+        if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            return response.json();
+        }
+
+        let found = null;
+        for await (const line of readLines(response)) {
+            if (!line.startsWith('data:')) continue;
+            try {
+                const message = JSON.parse(line.slice(5));
+                if (message.id === id && !message.method) {
+                    found = message;
+                    break;
+                }
+            } catch (e) {
+                console.error('Failed to parse MCP message:', line);
+            }
+        }
+        if (!found) {
+            throw new Error('MCP server closed the stream without a response');
+        }
+        return found;
+    }
+
+    /**
+     * Open the stream of the HTTP+SSE transport (protocol 2024-11-05)
+     * Its first event names the URL to POST messages to; responses come
+     * back as events of the stream, which stays open until close().
+     */
+    async openStream(signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener('abort', abort);
+        try {
+            const response = await fetch(this.url, {
+                headers: { Accept: 'text/event-stream', ...this.headers },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const error = new Error(`MCP server error: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const stream = { controller, endpoint: null, pending: new Map(), closed: false };
+            this.stream = stream;
+            await new Promise((resolve, reject) => {
+                stream.opened = { resolve, reject };
+                this.readStream(response, stream);
+            });
+        } catch (error) {
+            controller.abort();
+            this.stream = null;
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Read the HTTP+SSE stream: the endpoint event, then responses to
+     * requests, until the server or close() ends it
+     */
+    async readStream(response, stream) {
+        let event = 'message';
+        try {
+            for await (const line of readLines(response)) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                    continue;
+                }
+                if (!line.startsWith('data:')) continue;
+
+                const data = line.slice(5).trim();
+                if (event === 'endpoint') {
+                    stream.endpoint = new URL(data, this.url).href;
+                    stream.opened.resolve();
+                } else {
+                    try {
+                        const message = JSON.parse(data);
+                        if (!message.method) stream.pending.get(message.id)?.resolve(message);
+                    } catch (e) {
+                        console.error('Failed to parse MCP message:', data);
+                    }
+                }
+                event = 'message';
+            }
+        } catch {
+            // Aborted by close() or dropped by the network: same as closed
+        }
+
+        stream.closed = true;
+        const error = sessionEnded('MCP server closed the stream');
+        stream.opened.reject(error);
+        stream.pending.forEach(request => request.reject(error));
+    }
+
+    /**
+     * Send a request over the HTTP+SSE transport and wait for its response
+     */
+    async sendOnStream(request, signal) {
+        const stream = this.stream;
+        if (stream.closed) throw sessionEnded('MCP server closed the stream');
+
+        let abort;
+        const response = new Promise((resolve, reject) => {
+            stream.pending.set(request.id, { resolve, reject });
+            abort = () => reject(signal.reason);
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+        response.catch(() => {}); // Rejections are seen below, or not at all if the POST fails
+        try {
+            await this.post(request, signal);
+            return await response;
+        } finally {
+            stream.pending.delete(request.id);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * End the HTTP+SSE stream, if the server uses one
+     */
+    close() {
+        this.stream?.controller.abort();
+        this.stream = null;
+    }
+
+    /**
+     * Collect every page of a list method
+     */
+    async list(method, key, signal) {
+        const items = [];
+        let cursor;
+        do {
+            const result = await this.request(method, cursor ? { cursor } : undefined, signal);
+            items.push(...(result[key] || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return items;
+    }
+
+    /**
+     * @returns {Array<Object>} { name, description, inputSchema }
+     */
+    async listTools(signal) {
+        return this.capabilities.tools ? this.list('tools/list', 'tools', signal) : [];
+    }
+
+    /**
+     * @returns {Array<Object>} { uri, name, description, mimeType }
+     */
+    async listResources(signal) {
+        return this.capabilities.resources ? this.list('resources/list', 'resources', signal) : [];
+    }
+
+    /**
+     * @returns {Array<Object>} { name, description, arguments }
+     */
+    async listPrompts(signal) {
+        return this.capabilities.prompts ? this.list('prompts/list', 'prompts', signal) : [];
+    }
+
+    /**
+     * Call a tool
+     * @returns {*} Its structured content, or the text of its content blocks
+     * @throws {Error} When the tool reports an error
+     */
+    async callTool(name, args, signal) {
+        const result = await this.request('tools/call', { name, arguments: args }, signal);
+        const text = (result.content || []).map(formatContent).join('\n');
+        if (result.isError) {
+            throw new Error(text || `${name} failed`);
+        }
+        return result.structuredContent ?? text;
+    }
+}
+
+/**
+ * Connections by server id: { key, ready, status }
+ * key: the URL and headers the connection was made with
+ * status: { client, serverInfo, tools, resources, prompts, error } once ready resolves
+ */
+const connections = new Map();
+
+// Bumped by every sync; a sync that finishes after a newer one started
+// leaves the registry to it
+let syncGeneration = 0;
+
+/**
+ * Registered name of a server's tool, e.g. 'docs_search'
+ * Names are cut to the 64 characters providers allow; when the name is
+ * taken, a suffix tells the tools apart (e.g. 'docs_search_2').
+ * @param {Set<string>} taken - Names in use, the new one is added
+ */
+export function getToolName(server, tool, taken = new Set()) {
+    let name = `${server.name}_${tool.name}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+    name = (/^[a-zA-Z_]/.test(name) ? name : `_${name}`).slice(0, 64);
+
+    let unique = name;
+    for (let i = 2; taken.has(unique); i++) {
+        const suffix = `_${i}`;
+        unique = name.slice(0, 64 - suffix.length) + suffix;
+    }
+    taken.add(unique);
+    return unique;
+}
+
+/**
+ * MCP servers from the settings, and their tools in the tool registry
+ *
+ * Servers are { id, name, url, headers, enabled, disabledTools } in
+ * settings.mcpServers. Their tools are registered under getToolName() and
+ * marked with mcpServer (the server id). Syncs may overlap; only the
+ * latest one updates the registry.
+ */
+export class McpServers {
+    /**
+     * Connect to a server and list what it offers
+     * The connection is reused while the URL and headers stay the same;
+     * failed ones are retried.
+     * @param {Object} server - Server settings
+     * @param {boolean} refresh - Reconnect even if connected
+     * @returns {Promise<Object>} { client, serverInfo, tools, resources, prompts, error }
+     */
+    static connect(server, refresh = false) {
+        const key = JSON.stringify([server.url, server.headers || {}]);
+        const existing = connections.get(server.id);
+        if (existing?.key === key && !refresh && !existing.status?.error) {
+            return existing.ready;
+        }
+
+        existing?.ready.then(status => status.client.close());
+        const entry = { key, status: null };
+        entry.ready = this.open(server).then(status => {
+            entry.status = status;
+            return status;
+        });
+        connections.set(server.id, entry);
+        return entry.ready;
+    }
+
+    /**
+     * Open a connection; errors are returned with the status, not thrown
+     */
+    static async open(server) {
+        const client = new McpClient(server);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONNECT_TIMEOUT_MS);
+        try {
+            const { signal } = controller;
+            await client.connect(signal);
+            const tools = await client.listTools(signal);
+            const resources = await client.listResources(signal);
+            const prompts = await client.listPrompts(signal);
+            return { client, serverInfo: client.serverInfo, tools, resources, prompts, error: null };
+        } catch (error) {
+            client.close();
+            const message = error.name === 'AbortError' ? 'Connection timed out' : error.message;
+            return { client, serverInfo: null, tools: [], resources: [], prompts: [], error: message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Status of a server's connection
+     * @returns {Object|null} As returned by connect(), null while connecting
+     */
+    static getStatus(id) {
+        return connections.get(id)?.status || null;
+    }
+
+    /**
+     * Register the tools of the enabled servers, except the ones turned
+     * off, and drop the tools and connections of the others
+     * @param {Array<Object>} servers - settings.mcpServers
+     */
+    static async sync(servers = []) {
+        const generation = ++syncGeneration;
+        const enabled = servers.filter(server => server.enabled !== false);
+        const statuses = await Promise.all(enabled.map(server => this.connect(server)));
+        if (generation !== syncGeneration) return;
+
+        for (const [id, entry] of connections) {
+            if (enabled.some(server => server.id === id)) continue;
+            entry.ready.then(status => status.client.close());
+            connections.delete(id);
+        }
+        ToolRegistry.getAll()
+            .filter(tool => tool.mcpServer)
+            .forEach(tool => ToolRegistry.unregister(tool.name));
+
+        const taken = new Set(ToolRegistry.getAll().map(tool => tool.name));
+        enabled.forEach((server, i) => {
+            const { client, tools } = statuses[i];
+            for (const tool of tools) {
+                if (server.disabledTools?.includes(tool.name)) continue;
+                ToolRegistry.register({
+                    name: getToolName(server, tool, taken),
+                    description: tool.description || tool.title || '',
+                    parameters: tool.inputSchema,
+                    mcpServer: server.id,
+                    execute: (args, { signal } = {}) => client.callTool(tool.name, args, signal)
+                });
+            }
+        });
+    }
+}
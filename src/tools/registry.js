@@ -0,0 +1,107 @@
+import { validateJson } from '../json-schema.js';
+import { BROWSER_TOOLS } from './browser.js';
+
+/**
+ * Registered tools by name, in registration order
+ */
+const tools = new Map();
+
+// Function names providers accept
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+
+/**
+ * Tool Registry - functions the model can call
+ *
+ * A tool is { name, description, parameters, execute }:
+ * - parameters: JSON Schema of the arguments object
+ * - execute(args, context): returns a JSON-serializable result (or a
+ *   promise of one); context is { signal, approved }, approved being what
+ *   approval() returned. Thrown errors are reported back to the model as { error }.
+ * - approval(args): optional; tools that need the user's consent return
+ *   { summary, site } (site: origin the call touches, or null) plus what
+ *   execute() needs to act on what was approved (e.g. tabId), and every
+ *   call waits for approval unless the site was allowed before
+ *
+ * Backends receive the declarations (name, description, parameters) in
+ * options.tools and convert them to their provider's format.
+ */
+export class ToolRegistry {
+    /**
+     * Register a tool, replacing one with the same name
+     */
+    static register(tool) {
+        if (!TOOL_NAME_PATTERN.test(tool.name || '')) {
+            throw new Error(`Invalid tool name: ${tool.name}`);
+        }
+        if (typeof tool.execute !== 'function') {
+            throw new Error(`Tool ${tool.name} must have an execute function`);
+        }
+        tools.set(tool.name, tool);
+    }
+
+    /**
+     * Remove a tool
+     */
+    static unregister(name) {
+        tools.delete(name);
+    }
+
+    /**
+     * Get a tool by name
+     * @returns {Object|null} Tool
+     */
+    static get(name) {
+        return tools.get(name) || null;
+    }
+
+    /**
+     * Get every registered tool
+     */
+    static getAll() {
+        return Array.from(tools.values());
+    }
+
+    /**
+     * Declarations of every tool, as sent to backends
+     * @returns {Array<Object>} { name, description, parameters }
+     */
+    static getDeclarations() {
+        return this.getAll().map(({ name, description, parameters }) => ({
+            name,
+            description: description || '',
+            parameters: parameters || { type: 'object', properties: {} }
+        }));
+    }
+
+    /**
+     * Check a call's arguments against the tool's schema
+     * @returns {Object} The tool
+     * @throws {Error} For unknown tools or invalid arguments
+     */
+    static validate(name, args) {
+        const tool = this.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        const errors = validateJson(args, tool.parameters || { type: 'object' });
+        if (errors.length > 0) {
+            throw new Error(`Invalid arguments: ${errors.join('; ')}`);
+        }
+        return tool;
+    }
+
+    /**
+     * Run a tool call after checking its arguments
+     * @param {string} name - Tool name
+     * @param {Object} args - Arguments from the model
+     * @param {Object} context - { signal }
+     * @returns {Promise<*>} Tool result
+     * @throws {Error} For unknown tools, invalid arguments or a failing tool
+     */
+    static async execute(name, args, context = {}) {
+        return this.validate(name, args).execute(args, context);
+    }
+}
+
+// Built-in tools
+BROWSER_TOOLS.forEach(tool => ToolRegistry.register(tool));
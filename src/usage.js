@@ -0,0 +1,138 @@
+/**
+ * Token usage and cost accounting
+ *
+ * Backends yield `{ usage }` chunks with every count filled in:
+ * - inputTokens: prompt tokens, cached ones included
+ * - cachedTokens: the part of the prompt read from the provider's cache
+ * - outputTokens: generated tokens, thinking included
+ * - thinkingTokens: the part of the output spent thinking
+ *
+ * Prices are USD per million tokens, set per model in
+ * modelSettings[key].pricing (see PRICING_FIELDS).
+ */
+
+const USAGE_KEY = 'usageTotals';
+const TOKENS_PER_PRICE = 1000000;
+
+export const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'thinkingTokens', 'cachedTokens'];
+
+/**
+ * Price fields of a model, in the settings schema field format
+ */
+export const PRICING_FIELDS = [
+    { key: 'input', label: 'Input', type: 'number', min: 0, step: 0.01 },
+    { key: 'cachedInput', label: 'Cached Input', type: 'number', min: 0, step: 0.01 },
+    { key: 'output', label: 'Output', type: 'number', min: 0, step: 0.01 }
+];
+
+/**
+ * Usage totals with every count at zero and no cost yet
+ */
+export function createUsageTotals() {
+    return { inputTokens: 0, outputTokens: 0, thinkingTokens: 0, cachedTokens: 0, cost: null, responses: 0 };
+}
+
+/**
+ * Add one response's usage to running totals
+ * The cost stays null until a priced response is added.
+ * @param {Object} totals - Totals from createUsageTotals()
+ * @param {Object} usage - Usage of the response
+ * @param {number|null} cost - Estimated cost of the response
+ * @returns {Object} New totals
+ */
+export function addUsage(totals, usage, cost = null) {
+    const result = { ...totals, responses: totals.responses + 1 };
+    for (const field of USAGE_FIELDS) {
+        result[field] += usage[field] || 0;
+    }
+    if (cost !== null && cost !== undefined) {
+        result.cost = (totals.cost || 0) + cost;
+    }
+    return result;
+}
+
+/**
+ * Estimate what a response cost
+ * Cached prompt tokens use the cached input price when one is set.
+ * @param {Object} usage - Usage of the response
+ * @param {Object} pricing - { input, cachedInput, output } per million tokens
+ * @returns {number|null} Cost in USD, or null without input and output prices
+ */
+export function estimateCost(usage, pricing) {
+    if (pricing?.input === undefined && pricing?.output === undefined) return null;
+
+    const input = pricing.input || 0;
+    const cachedInput = pricing.cachedInput ?? input;
+    const cached = usage.cachedTokens || 0;
+    const total = (usage.inputTokens - cached) * input
+        + cached * cachedInput
+        + usage.outputTokens * (pricing.output || 0);
+    return total / TOKENS_PER_PRICE;
+}
+
+/**
+ * Format a cost in USD, keeping small amounts readable
+ */
+export function formatCost(cost) {
+    if (cost > 0 && cost < 0.01) {
+        return `$${cost.toFixed(4)}`;
+    }
+    return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Month a usage total belongs to, e.g. '2026-10' (local time)
+ */
+export function getMonthKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Usage Store - monthly usage totals in chrome.storage.local
+ */
+export class UsageStore {
+    /**
+     * Load the totals of every month
+     * @returns {Object} Totals keyed by month, e.g. { '2026-10': {...} }
+     */
+    static async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get([USAGE_KEY], (result) => {
+                resolve(result?.[USAGE_KEY] || {});
+            });
+        });
+    }
+
+    /**
+     * Add one response to the totals of its month
+     */
+    static async record(usage, cost = null, date = new Date()) {
+        const totals = await this.load();
+        const month = getMonthKey(date);
+        totals[month] = addUsage({ ...createUsageTotals(), ...totals[month] }, usage, cost);
+        await this.save(totals);
+        return totals[month];
+    }
+
+    /**
+     * Forget every monthly total
+     */
+    static async clear() {
+        await this.save({});
+    }
+
+    /**
+     * Write the monthly totals
+     */
+    static async save(totals) {
+        return new Promise((resolve, reject) => {
+            chrome.storage.local.set({ [USAGE_KEY]: totals }, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
@@ -101,6 +101,46 @@ export function markdownToHtml(text) {
     return html;
 }
 
+// Placeholder for inserted HTML while the text is rendered as markdown
+// (private use characters, which markdown leaves alone)
+const INSERT_START = '\uE000';
+const INSERT_END = '\uE001';
+const INSERT_PATTERN = /(<p>)?\uE000(\d+)\uE001(<\/p>)?/g;
+
+/**
+ * Convert markdown to HTML with HTML inserted at character offsets of the text
+ * Used for what isn't part of the text, such as citation markers. Block
+ * inserts get a paragraph of their own; inserts at the same offset keep
+ * their order.
+ * @param {string} text - Markdown
+ * @param {Array<Object>} inserts - { offset, html, block }
+ */
+export function markdownToHtmlWithInserts(text, inserts = []) {
+    const order = inserts.map((insert, i) => i)
+        .sort((a, b) => inserts[b].offset - inserts[a].offset || b - a);
+
+    let marked = text;
+    for (const i of order) {
+        const { offset, block } = inserts[i];
+        const placeholder = `${INSERT_START}${i}${INSERT_END}`;
+        marked = `${marked.slice(0, offset)}${block ? `\n\n${placeholder}\n\n` : placeholder}${marked.slice(offset)}`;
+    }
+
+    return markdownToHtml(marked).replace(INSERT_PATTERN, (match, open, i, close) => {
+        const { html, block } = inserts[i];
+        return block && open && close ? html : `${open || ''}${html}${close || ''}`;
+    });
+}
+
+/**
+ * Whether the extension may run scripts on a page
+ * chrome:// and extension pages are off limits; other restricted pages
+ * (e.g. the Web Store) only fail when scripted.
+ */
+export function isScriptableUrl(url) {
+    return Boolean(url) && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://');
+}
+
 /**
  * Extract text content from current tab
  */
@@ -110,7 +150,7 @@ export async function extractPageContent() {
         if (!tab?.id) return null;
 
         // Skip chrome:// and other restricted URLs
-        if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('chrome-extension://')) {
+        if (!isScriptableUrl(tab.url)) {
             return null;
         }
 
@@ -193,3 +233,97 @@ export function debounce(func, wait) {
 export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File content
+ * @param {string} mimeType - MIME type used when content is a string
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * File name for generated media, e.g. 'generated-1.png'
+ * @param {Object} media - { type } with a MIME type
+ * @param {number} index - Position among the media of the reply
+ */
+export function getMediaName(media, index) {
+    const extension = (media.type?.match(/^[\w.+-]+\/([\w.-]+)/)?.[1] || 'bin').toLowerCase().replace('jpeg', 'jpg');
+    return `generated-${index + 1}.${extension}`;
+}
+
+/**
+ * URL to show generated media from: its data URL, or the link to a hosted
+ * file, serialized so it can go in an attribute
+ * @returns {string|null} Null when the data was pruned or the link isn't http(s)
+ */
+export function getMediaSource(media) {
+    if (media.data?.startsWith('data:')) return media.data.replace(/"/g, '%22');
+    try {
+        const url = new URL(media.uri);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Format a token count compactly, e.g. 131072 -> "128K", 1500 -> "1.5K"
+ * Powers of two use 1024 as the unit, since providers report them that way.
+ */
+export function formatTokenCount(count) {
+    const unit = count % 1024 === 0 && count > 0 ? 1024 : 1000;
+    if (count >= unit * unit) {
+        return `${Math.round((count / (unit * unit)) * 10) / 10}M`;
+    }
+    if (count >= unit) {
+        const thousands = count / unit;
+        return `${thousands < 10 ? Math.round(thousands * 10) / 10 : Math.round(thousands)}K`;
+    }
+    return String(count);
+}
+
+/**
+ * Split a streaming response body into non-empty lines
+ * @param {Response} response - Fetch response
+ * @yields {string} Lines without the trailing newline
+ */
+export async function* readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (line.trim()) {
+                    yield line;
+                }
+            }
+        }
+
+        // Process remaining buffer
+        if (buffer.trim()) {
+            yield buffer;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
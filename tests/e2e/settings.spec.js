@@ -119,7 +119,7 @@ test.describe('Settings UI', () => {
         await page.click('input[value="openai"]');
 
         // Should show hint about localhost support
-        await expect(page.locator('.setting-hint')).toContainText('localhost');
+        await expect(page.locator('#openai-settings .setting-hint').first()).toContainText('localhost');
     });
 
     test('should save and persist settings', async () => {
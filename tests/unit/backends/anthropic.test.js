@@ -0,0 +1,263 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { AnthropicBackend } from '../../../src/backends/anthropic.js';
+import { createMockSSEResponse, createMockErrorResponse, mockFetch } from '../mocks/fetch.mock.js';
+
+describe('AnthropicBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = new AnthropicBackend({
+            apiUrl: 'https://api.anthropic.com/v1',
+            apiKey: 'sk-ant-test',
+            model: 'claude-sonnet-4-5'
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function collect(generator) {
+        const chunks = [];
+        for await (const chunk of generator) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    describe('constructor', () => {
+        it('should initialize with config and defaults', () => {
+            expect(backend.apiUrl).toBe('https://api.anthropic.com/v1');
+            expect(backend.model).toBe('claude-sonnet-4-5');
+            expect(backend.maxTokens).toBe(8192);
+            expect(backend.thinkingBudget).toBe(4096);
+        });
+    });
+
+    describe('buildRequestBody', () => {
+        it('should send the system prompt as a top-level field', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { systemPrompt: 'Be brief' });
+
+            expect(body.system).toBe('Be brief');
+            expect(body.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+            expect(body.max_tokens).toBe(8192);
+            expect(body.stream).toBe(true);
+        });
+
+        it('should map images to base64 image blocks', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'What is this?' }], {
+                images: [{ type: 'image/png', data: 'data:image/png;base64,AAA' }]
+            });
+
+            expect(body.messages[0].content).toEqual([
+                { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAA' } },
+                { type: 'text', text: 'What is this?' }
+            ]);
+        });
+
+        it('should enable thinking with a budget below max_tokens', () => {
+            backend.thinkingBudget = 16000;
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hi' }], { includeThinking: true });
+
+            expect(body.thinking).toEqual({ type: 'enabled', budget_tokens: 16000 });
+            expect(body.max_tokens).toBeGreaterThan(16000);
+        });
+
+        it('should send generation parameters, using maxOutputTokens as max_tokens', () => {
+            backend.generation = { temperature: 0.3, topK: 10, maxOutputTokens: 1000, stopSequences: ['Human:'], seed: 1 };
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {});
+
+            expect(body).toMatchObject({ max_tokens: 1000, temperature: 0.3, top_k: 10, stop_sequences: ['Human:'] });
+            // The Messages API has no seed
+            expect(body.seed).toBeUndefined();
+        });
+
+        it('should drop sampling parameters thinking does not allow', () => {
+            backend.generation = { temperature: 0.3, topK: 10, topP: 0.5 };
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hi' }], { includeThinking: true });
+
+            expect(body.temperature).toBeUndefined();
+            expect(body.top_k).toBeUndefined();
+            expect(body.top_p).toBeUndefined();
+        });
+
+        it('should not enable thinking by default', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {});
+
+            expect(body.thinking).toBeUndefined();
+        });
+
+        it('should think as much as the reasoning setting says, shown or not', () => {
+            backend.reasoning = { effort: 'high' };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {}).thinking)
+                .toEqual({ type: 'enabled', budget_tokens: 24576 });
+
+            backend.reasoning = { budget: 500 };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {}).thinking.budget_tokens).toBe(1024);
+
+            backend.reasoning = { effort: 'off' };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hi' }], { includeThinking: true }).thinking).toBeUndefined();
+        });
+    });
+
+    describe('tools', () => {
+        it('should declare tools with their input schema', () => {
+            const tools = [
+                { name: 'get_time', description: 'Current time', parameters: { type: 'object', properties: { zone: { type: 'string' } } } },
+                { name: 'list_tabs', description: 'Open tabs' }
+            ];
+
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { tools }).tools).toEqual([
+                { name: 'get_time', description: 'Current time', input_schema: tools[0].parameters },
+                { name: 'list_tabs', description: 'Open tabs', input_schema: { type: 'object', properties: {} } }
+            ]);
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {}).tools).toBeUndefined();
+        });
+
+        it('should send tool calls as tool_use blocks and group the results', () => {
+            const thinkingBlocks = [{ type: 'thinking', thinking: 'Check both', signature: 'sig' }];
+            const body = backend.buildRequestBody([
+                { role: 'user', content: 'Time in UTC and Tokyo?' },
+                {
+                    role: 'assistant',
+                    content: 'Checking.',
+                    toolCalls: [
+                        { id: 'call_0', name: 'get_time', arguments: { zone: 'UTC' }, thinkingBlocks },
+                        { id: 'fc.1', name: 'get_time', arguments: { zone: 'Asia/Tokyo' } }
+                    ]
+                },
+                { role: 'tool', toolCallId: 'call_0', name: 'get_time', result: '12:00', content: '12:00' },
+                { role: 'tool', toolCallId: 'fc.1', name: 'get_time', result: { error: 'Unknown zone' }, content: '{"error":"Unknown zone"}' }
+            ], { images: [{ type: 'image/png', data: 'data:image/png;base64,AAA' }] });
+
+            expect(body.messages[0].content).toEqual([
+                { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAA' } },
+                { type: 'text', text: 'Time in UTC and Tokyo?' }
+            ]);
+            expect(body.messages.slice(1)).toEqual([
+                {
+                    role: 'assistant',
+                    content: [
+                        ...thinkingBlocks,
+                        { type: 'text', text: 'Checking.' },
+                        { type: 'tool_use', id: 'call_0', name: 'get_time', input: { zone: 'UTC' } },
+                        { type: 'tool_use', id: 'fc_1', name: 'get_time', input: { zone: 'Asia/Tokyo' } }
+                    ]
+                },
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'tool_result', tool_use_id: 'call_0', content: '12:00' },
+                        { type: 'tool_result', tool_use_id: 'fc_1', content: '{"error":"Unknown zone"}', is_error: true }
+                    ]
+                }
+            ]);
+        });
+
+        it('should keep the thinking before a tool call to send back', async () => {
+            mockFetch(createMockSSEResponse([
+                { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Need the time' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+                { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_time', input: {} } }
+            ]));
+
+            const chunks = await collect(backend.streamChat([{ role: 'user', content: 'Time?' }]));
+
+            expect(chunks.some(c => c.thought)).toBe(false);
+            expect(chunks.find(c => c.toolCall).toolCall.thinkingBlocks).toEqual([
+                { type: 'thinking', thinking: 'Need the time', signature: 'sig' }
+            ]);
+        });
+    });
+
+    describe('streamChat', () => {
+        it('should call the messages endpoint with Anthropic headers', async () => {
+            mockFetch(createMockSSEResponse([]));
+
+            await collect(backend.streamChat([{ role: 'user', content: 'Hi' }]));
+
+            const [url, init] = fetch.mock.calls[0];
+            expect(url).toBe('https://api.anthropic.com/v1/messages');
+            expect(init.headers['x-api-key']).toBe('sk-ant-test');
+            expect(init.headers['anthropic-version']).toBe('2023-06-01');
+        });
+
+        it('should parse the full event stream', async () => {
+            mockFetch(createMockSSEResponse([
+                { type: 'message_start', message: { usage: { input_tokens: 12, cache_read_input_tokens: 100, output_tokens: 1 } } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Let me think' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+                { type: 'content_block_stop', index: 0 },
+                { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hello' } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: ' there' } },
+                { type: 'content_block_stop', index: 1 },
+                { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 30 } },
+                { type: 'message_stop' }
+            ]));
+
+            const chunks = await collect(backend.streamChat([{ role: 'user', content: 'Hi' }], { includeThinking: true }));
+
+            expect(chunks.filter(c => c.thought).map(c => c.text)).toEqual(['Let me think']);
+            expect(chunks.filter(c => c.thought === false).map(c => c.text).join('')).toBe('Hello there');
+            expect(chunks[chunks.length - 1]).toEqual({
+                usage: { inputTokens: 112, outputTokens: 30, thinkingTokens: 0, cachedTokens: 100 },
+                stopReason: 'end_turn'
+            });
+        });
+
+        it('should stream tool use blocks as tool calls', async () => {
+            mockFetch(createMockSSEResponse([
+                { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'search', input: {} } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"q":' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"x"}' } }
+            ]));
+
+            const chunks = await collect(backend.streamChat([{ role: 'user', content: 'Hi' }]));
+
+            expect(chunks[0].toolCall).toEqual({ id: 'toolu_1', name: 'search', arguments: '' });
+            expect(chunks.slice(1).map(c => c.toolCall.arguments).join('')).toBe('{"q":"x"}');
+        });
+
+        it('should throw on error events', async () => {
+            mockFetch(createMockSSEResponse([
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Partial' } },
+                { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+            ]));
+
+            await expect(collect(backend.streamChat([{ role: 'user', content: 'Hi' }]))).rejects.toThrow('Overloaded');
+        });
+
+        it('should handle API errors', async () => {
+            mockFetch(createMockErrorResponse(401, 'invalid x-api-key'));
+
+            await expect(
+                backend.streamChat([{ role: 'user', content: 'Hi' }]).next()
+            ).rejects.toThrow('invalid x-api-key');
+        });
+    });
+
+    describe('listModels', () => {
+        it('should list models across pages', async () => {
+            let calls = 0;
+            mockFetch(() => new Response(JSON.stringify(++calls === 1
+                ? { data: [{ id: 'claude-sonnet-4-5', type: 'model' }], has_more: true, last_id: 'claude-sonnet-4-5' }
+                : { data: [{ id: 'claude-haiku-4-5', type: 'model' }], has_more: false, last_id: 'claude-haiku-4-5' }
+            ), { status: 200 }));
+
+            const models = await backend.listModels();
+
+            expect(fetch.mock.calls[1][0]).toBe('https://api.anthropic.com/v1/models?limit=1000&after_id=claude-sonnet-4-5');
+            expect(fetch.mock.calls[0][1].headers['x-api-key']).toBe('sk-ant-test');
+            expect(models).toEqual([
+                { id: 'claude-sonnet-4-5', contextLength: null },
+                { id: 'claude-haiku-4-5', contextLength: null }
+            ]);
+        });
+    });
+});
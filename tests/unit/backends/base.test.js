@@ -0,0 +1,145 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { AIBackend } from '../../../src/backends/base.js';
+import { createMockErrorResponse, mockFetch } from '../mocks/fetch.mock.js';
+
+async function drain(generator) {
+    const yielded = [];
+    let result = await generator.next();
+    while (!result.done) {
+        yielded.push(result.value);
+        result = await generator.next();
+    }
+    return { yielded, response: result.value };
+}
+
+function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers });
+}
+
+describe('AIBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = new AIBackend({ apiUrl: 'https://api.example.com', apiKey: 'key', model: 'm' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('fetchWithRetry', () => {
+        it('should retry transient errors and return the successful response', async () => {
+            let calls = 0;
+            mockFetch(() => (++calls === 1
+                ? jsonResponse(503, { error: { message: 'The model is overloaded.' } }, { 'Retry-After': '0' })
+                : jsonResponse(200, { ok: true })));
+
+            const { yielded, response } = await drain(backend.fetchWithRetry('https://api.example.com/x', {}));
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(response.status).toBe(200);
+            expect(yielded).toEqual([{
+                retry: { attempt: 1, maxRetries: 3, delayMs: 0, status: 503, message: 'The model is overloaded.' }
+            }]);
+        });
+
+        it('should honor Gemini RetryInfo details', async () => {
+            let calls = 0;
+            mockFetch(() => (++calls === 1
+                ? jsonResponse(429, {
+                    error: {
+                        code: 429,
+                        message: 'Quota exceeded',
+                        details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '0.01s' }]
+                    }
+                })
+                : jsonResponse(200, {})));
+
+            const { yielded } = await drain(backend.fetchWithRetry('https://api.example.com/x', {}));
+
+            expect(yielded[0].retry.delayMs).toBe(10);
+            expect(yielded[0].retry.message).toBe('Quota exceeded');
+        });
+
+        it('should not retry other errors', async () => {
+            mockFetch(createMockErrorResponse(400, 'Bad request'));
+
+            const { yielded, response } = await drain(backend.fetchWithRetry('https://api.example.com/x', {}));
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(yielded).toEqual([]);
+            expect(response.status).toBe(400);
+        });
+
+        it('should return the last response once retries run out', async () => {
+            backend.maxRetries = 2;
+            mockFetch(() => jsonResponse(502, {}, { 'Retry-After': '0' }));
+
+            const { yielded, response } = await drain(backend.fetchWithRetry('https://api.example.com/x', {}));
+
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(yielded.map(chunk => chunk.retry.attempt)).toEqual([1, 2]);
+            expect(response.status).toBe(502);
+            // The body is still readable for the caller's error message
+            await expect(response.json()).resolves.toEqual({});
+        });
+
+        it('should report waits longer than a minute instead of retrying', async () => {
+            mockFetch(jsonResponse(429, { error: { message: 'Daily quota exceeded' } }, { 'Retry-After': '3600' }));
+
+            const { yielded, response } = await drain(backend.fetchWithRetry('https://api.example.com/x', {}));
+
+            expect(yielded).toEqual([]);
+            expect(response.status).toBe(429);
+        });
+
+        it('should retry network errors and rethrow the last one', async () => {
+            backend.maxRetries = 1;
+            jest.spyOn(backend, 'getBackoffDelay').mockReturnValue(0);
+            global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const generator = backend.fetchWithRetry('https://api.example.com/x', {});
+            const first = await generator.next();
+
+            expect(first.value.retry).toMatchObject({ attempt: 1, status: null, message: 'Network error' });
+            await expect(generator.next()).rejects.toThrow('Failed to fetch');
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        it('should stop waiting when aborted', async () => {
+            const controller = new AbortController();
+            mockFetch(() => jsonResponse(503, {}, { 'Retry-After': '30' }));
+
+            const generator = backend.fetchWithRetry('https://api.example.com/x', { signal: controller.signal });
+            await generator.next();
+            const waiting = generator.next();
+            controller.abort();
+
+            await expect(waiting).rejects.toMatchObject({ name: 'AbortError' });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('isTransientError', () => {
+        it('should treat rate limits, overload and network failures as transient', () => {
+            const network = Object.assign(new TypeError('Failed to fetch'), { network: true });
+
+            expect(AIBackend.isTransientError(backend.createApiError('Slow down', 429))).toBe(true);
+            expect(AIBackend.isTransientError(backend.createApiError('Overloaded', 529))).toBe(true);
+            expect(AIBackend.isTransientError(network)).toBe(true);
+            expect(AIBackend.isTransientError(backend.createApiError('Bad request', 400))).toBe(false);
+            expect(AIBackend.isTransientError(new DOMException('Aborted', 'AbortError'))).toBe(false);
+            expect(AIBackend.isTransientError(new Error('Unexpected'))).toBe(false);
+        });
+    });
+
+    describe('getBackoffDelay', () => {
+        it('should back off exponentially with jitter up to a cap', () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+            expect(backend.getBackoffDelay(1)).toBe(1500);
+            expect(backend.getBackoffDelay(3)).toBe(4500);
+            expect(backend.getBackoffDelay(10)).toBe(30000);
+        });
+    });
+});
@@ -94,6 +94,131 @@ describe('GeminiBackend', () => {
                 thinkingConfig: { includeThoughts: true }
             });
         });
+
+        it('should send generation parameters in generationConfig', () => {
+            backend = new GeminiBackend({
+                apiUrl: 'https://generativelanguage.googleapis.com/v1beta',
+                apiKey: 'test-api-key',
+                model: 'gemini-2.5-flash',
+                generation: { temperature: 0.4, topK: 40, maxOutputTokens: 1024, stopSequences: ['END'] }
+            });
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { includeThinking: true });
+
+            expect(body.generationConfig).toEqual({
+                temperature: 0.4,
+                topK: 40,
+                maxOutputTokens: 1024,
+                stopSequences: ['END'],
+                thinkingConfig: { includeThoughts: true }
+            });
+        });
+
+        it('should map reasoning effort to a thinking budget or level per model generation', () => {
+            const thinkingConfig = (model, reasoning) => {
+                backend.model = model;
+                backend.reasoning = reasoning;
+                return backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {}).generationConfig.thinkingConfig;
+            };
+
+            expect(thinkingConfig('gemini-2.5-flash', { effort: 'off' })).toEqual({ thinkingBudget: 0 });
+            expect(thinkingConfig('gemini-2.5-pro', { effort: 'off' })).toEqual({ thinkingBudget: 128 });
+            expect(thinkingConfig('gemini-2.5-flash', { effort: 'high' })).toEqual({ thinkingBudget: 24576 });
+            expect(thinkingConfig('gemini-3-pro-preview', { effort: 'medium' })).toEqual({ thinkingLevel: 'high' });
+            expect(thinkingConfig('gemini-3-flash-preview', { effort: 'off' })).toEqual({ thinkingLevel: 'minimal' });
+            expect(thinkingConfig('gemini-3-flash-preview', { budget: 2000 })).toEqual({ thinkingBudget: 2000 });
+        });
+
+        it('should request JSON matching the response schema', () => {
+            const schema = { type: 'object', properties: { name: { type: ['string', 'null'] } }, additionalProperties: false };
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { responseSchema: schema });
+
+            expect(body.generationConfig).toEqual({
+                responseMimeType: 'application/json',
+                responseSchema: { type: 'OBJECT', properties: { name: { type: 'STRING', nullable: true } } }
+            });
+        });
+
+        it('should declare tools as function declarations unless search grounding is on', () => {
+            const tools = [{ name: 'get_time', description: 'Current time', parameters: { type: 'object', properties: { zone: { type: 'string' } } } }];
+
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { tools }).tools).toEqual([{
+                functionDeclarations: [{ name: 'get_time', description: 'Current time', parameters: { type: 'OBJECT', properties: { zone: { type: 'STRING' } } } }]
+            }]);
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { tools, enableSearch: true }).tools)
+                .toEqual([{ googleSearch: {} }]);
+        });
+
+        it('should ask for images when image generation is on', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Draw a cat' }], { imageGeneration: true });
+
+            expect(body.generationConfig.responseModalities).toEqual(['TEXT', 'IMAGE']);
+        });
+
+        it('should combine the built-in tools', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {
+                tools: [{ name: 'get_time', parameters: { type: 'object', properties: {} } }],
+                enableSearch: true,
+                enableCodeExecution: true,
+                enableUrlContext: true
+            });
+
+            expect(body.tools).toEqual([{ googleSearch: {} }, { codeExecution: {} }, { urlContext: {} }]);
+        });
+
+        it('should leave out the parameters of tools without arguments', () => {
+            const tools = [
+                { name: 'list_tabs', description: 'Open tabs', parameters: { type: 'object', properties: {} } },
+                { name: 'get_selection', description: 'Selected text' }
+            ];
+
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { tools }).tools).toEqual([{
+                functionDeclarations: [
+                    { name: 'list_tabs', description: 'Open tabs' },
+                    { name: 'get_selection', description: 'Selected text' }
+                ]
+            }]);
+        });
+
+        it('should send tool calls with their thought signature and group the results', () => {
+            const messages = [
+                { role: 'user', content: 'Time in UTC and Tokyo?' },
+                {
+                    role: 'assistant',
+                    content: '',
+                    toolCalls: [
+                        { id: 'call_0', name: 'get_time', arguments: { zone: 'UTC' }, signature: 'sig' },
+                        { id: 'call_1', name: 'get_time', arguments: { zone: 'Asia/Tokyo' } }
+                    ]
+                },
+                { role: 'tool', toolCallId: 'call_0', name: 'get_time', result: '12:00' },
+                { role: 'tool', toolCallId: 'call_1', name: 'get_time', result: { time: '21:00' } }
+            ];
+
+            const { contents } = backend.buildRequestBody(messages, {});
+
+            expect(contents[1]).toEqual({
+                role: 'model',
+                parts: [
+                    { functionCall: { name: 'get_time', args: { zone: 'UTC' } }, thoughtSignature: 'sig' },
+                    { functionCall: { name: 'get_time', args: { zone: 'Asia/Tokyo' } } }
+                ]
+            });
+            expect(contents[2]).toEqual({
+                role: 'user',
+                parts: [
+                    { functionResponse: { name: 'get_time', response: { result: '12:00' } } },
+                    { functionResponse: { name: 'get_time', response: { time: '21:00' } } }
+                ]
+            });
+        });
+
+        it('should omit generationConfig when nothing is set', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {});
+
+            expect(body.generationConfig).toBeUndefined();
+        });
     });
 
     describe('streamChat', () => {
@@ -116,6 +241,61 @@ describe('GeminiBackend', () => {
             expect(chunks[1].text).toBe('Hello!');
         });
 
+        it('should yield function calls with their arguments and signature', async () => {
+            mockFetch(createMockSSEResponse([{
+                candidates: [{ content: { parts: [
+                    { functionCall: { name: 'get_time', args: { zone: 'UTC' } }, thoughtSignature: 'sig' },
+                    { functionCall: { name: 'get_time', args: {} } }
+                ] } }]
+            }]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Hi' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.map(chunk => chunk.toolCall)).toEqual([
+                { index: 0, id: undefined, name: 'get_time', arguments: '{"zone":"UTC"}', signature: 'sig' },
+                { index: 1, id: undefined, name: 'get_time', arguments: '{}', signature: undefined }
+            ]);
+        });
+
+        it('should yield grounding sources and supports, also from chunks without text', async () => {
+            const groundingChunks = [{ web: { uri: 'https://vertexaisearch.cloud.google.com/a', title: 'example.com' } }];
+            const groundingSupports = [{ segment: { startIndex: 0, endIndex: 5, text: 'Hello' }, groundingChunkIndices: [0] }];
+            mockFetch(createMockSSEResponse([
+                { candidates: [{ content: { parts: [{ text: 'Hello' }] } }] },
+                { candidates: [{ groundingMetadata: { groundingChunks, groundingSupports } }] }
+            ]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Hi' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks[1]).toEqual({ searchResults: null, groundingChunks, groundingSupports });
+        });
+
+        it('should yield normalized usage from usageMetadata', async () => {
+            mockFetch(createMockSSEResponse([
+                { candidates: [{ content: { parts: [{ text: 'Hi' }] } }], usageMetadata: { promptTokenCount: 20 } },
+                {
+                    candidates: [{ content: { parts: [{ text: '!' }] }, finishReason: 'STOP' }],
+                    usageMetadata: { promptTokenCount: 20, candidatesTokenCount: 8, thoughtsTokenCount: 50, cachedContentTokenCount: 16 }
+                }
+            ]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Hi' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.filter(c => c.usage).pop()).toEqual({
+                usage: { inputTokens: 20, outputTokens: 58, thinkingTokens: 50, cachedTokens: 16 },
+                stopReason: 'STOP'
+            });
+        });
+
         it('should call correct API endpoint', async () => {
             mockFetch(createMockSSEResponse([]));
 
@@ -154,6 +334,7 @@ describe('GeminiBackend', () => {
         });
 
         it('should handle network errors', async () => {
+            backend.maxRetries = 0;
             global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
 
             await expect(
@@ -185,5 +366,121 @@ describe('GeminiBackend', () => {
             expect(searchChunk).toBeDefined();
             expect(searchChunk.searchResults).toContain('Search results');
         });
+
+        it('should yield generated images and file references as media', async () => {
+            mockFetch(createMockSSEResponse([{
+                candidates: [{
+                    content: {
+                        parts: [
+                            { inlineData: { mimeType: 'image/png', data: 'DRAFT' }, thought: true },
+                            { text: 'A cat:' },
+                            { inlineData: { mimeType: 'image/png', data: 'AAA' } },
+                            { fileData: { mimeType: 'video/mp4', fileUri: 'https://generativelanguage.googleapis.com/v1beta/files/abc' } }
+                        ]
+                    }
+                }]
+            }]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Draw' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.filter(c => c.media).map(c => c.media)).toEqual([
+                { type: 'image/png', data: 'data:image/png;base64,AAA' },
+                { type: 'video/mp4', uri: 'https://generativelanguage.googleapis.com/v1beta/files/abc' }
+            ]);
+        });
+
+        it('should yield code runs and the URLs read', async () => {
+            mockFetch(createMockSSEResponse([
+                {
+                    candidates: [{
+                        content: {
+                            parts: [
+                                { text: 'Let me count.' },
+                                { executableCode: { language: 'PYTHON', code: 'print(2 + 2)' } },
+                                { codeExecutionResult: { outcome: 'OUTCOME_OK', output: '4\n' } }
+                            ]
+                        }
+                    }]
+                },
+                {
+                    candidates: [{
+                        content: { parts: [{ text: 'It is 4.' }] },
+                        urlContextMetadata: {
+                            urlMetadata: [
+                                { retrievedUrl: 'https://example.com', urlRetrievalStatus: 'URL_RETRIEVAL_STATUS_SUCCESS' },
+                                { retrievedUrl: 'https://paywalled.example', urlRetrievalStatus: 'URL_RETRIEVAL_STATUS_PAYWALL' }
+                            ]
+                        }
+                    }]
+                }
+            ]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Count' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.find(c => c.executableCode).executableCode).toEqual({ language: 'python', code: 'print(2 + 2)' });
+            expect(chunks.find(c => c.codeExecutionResult).codeExecutionResult).toEqual({ outcome: 'ok', output: '4\n' });
+            expect(chunks.find(c => c.urlContext).urlContext).toEqual([
+                { url: 'https://example.com', status: 'success' },
+                { url: 'https://paywalled.example', status: 'paywall' }
+            ]);
+        });
+    });
+
+    describe('retries', () => {
+        it('should retry an overloaded model and report the wait', async () => {
+            let calls = 0;
+            mockFetch(() => (++calls === 1
+                ? new Response(JSON.stringify({ error: { code: 503, message: 'The model is overloaded.' } }), {
+                    status: 503,
+                    headers: { 'Retry-After': '0' }
+                })
+                : createMockSSEResponse([{ candidates: [{ content: { parts: [{ text: 'Hi' }] } }] }])));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Hello' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks[0].retry).toMatchObject({ attempt: 1, status: 503, message: 'The model is overloaded.' });
+            expect(chunks[1]).toMatchObject({ text: 'Hi' });
+        });
+    });
+
+    describe('listModels', () => {
+        it('should list chat models across pages', async () => {
+            let calls = 0;
+            mockFetch(() => new Response(JSON.stringify(++calls === 1
+                ? {
+                    models: [
+                        { name: 'models/gemini-2.5-flash', inputTokenLimit: 1048576, thinking: true, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+                        { name: 'models/text-embedding-004', inputTokenLimit: 2048, supportedGenerationMethods: ['embedContent'] }
+                    ],
+                    nextPageToken: 'next'
+                }
+                : { models: [{ name: 'models/gemini-3-pro-preview', inputTokenLimit: 1048576, supportedGenerationMethods: ['streamGenerateContent'] }] }
+            ), { status: 200 }));
+
+            const models = await backend.listModels();
+
+            expect(fetch.mock.calls[0][0]).toBe('https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000');
+            expect(fetch.mock.calls[1][0]).toContain('pageToken=next');
+            expect(fetch.mock.calls[0][1].headers['x-goog-api-key']).toBe('test-api-key');
+            expect(models).toEqual([
+                { id: 'gemini-2.5-flash', contextLength: 1048576, capabilities: { thinking: true } },
+                { id: 'gemini-3-pro-preview', contextLength: 1048576 }
+            ]);
+        });
+
+        it('should handle API errors', async () => {
+            mockFetch(createMockErrorResponse(400, 'API key not valid'));
+
+            await expect(backend.listModels()).rejects.toThrow('API key not valid');
+        });
     });
 });
@@ -0,0 +1,185 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { OllamaBackend } from '../../../src/backends/ollama.js';
+import { createMockNDJSONResponse, mockFetch } from '../mocks/fetch.mock.js';
+
+async function collect(generator) {
+    const chunks = [];
+    for await (const chunk of generator) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+describe('OllamaBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = new OllamaBackend({
+            apiUrl: 'http://localhost:11434',
+            apiKey: '',
+            model: 'llama3.2'
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildRequestBody', () => {
+        it('should build a native chat request', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { systemPrompt: 'Be brief' });
+
+            expect(body).toEqual({
+                model: 'llama3.2',
+                messages: [
+                    { role: 'system', content: 'Be brief' },
+                    { role: 'user', content: 'Hello' }
+                ],
+                stream: true
+            });
+        });
+
+        it('should attach raw base64 images to the last user message', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'What is this?' }], {
+                images: [{ type: 'image/png', data: 'data:image/png;base64,AAA' }]
+            });
+
+            expect(body.messages[0].images).toEqual(['AAA']);
+        });
+
+        it('should send keep_alive, runtime options and think when set', () => {
+            backend = new OllamaBackend({
+                apiUrl: 'http://localhost:11434',
+                model: 'qwen3',
+                keepAlive: '30m',
+                numCtx: 16384,
+                temperature: 0,
+                seed: 42
+            });
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hi' }], { includeThinking: true });
+
+            expect(body.keep_alive).toBe('30m');
+            expect(body.options).toEqual({ num_ctx: 16384, temperature: 0, seed: 42 });
+            expect(body.think).toBe(true);
+        });
+
+        it('should send generation parameters as runtime options over the profile ones', () => {
+            backend = new OllamaBackend({
+                apiUrl: 'http://localhost:11434',
+                model: 'qwen3',
+                temperature: 0,
+                seed: 42,
+                generation: { temperature: 0.8, topK: 20, maxOutputTokens: 256, stopSequences: ['</s>'] }
+            });
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {});
+
+            expect(body.options).toEqual({ temperature: 0.8, top_k: 20, num_predict: 256, stop: ['</s>'], seed: 42 });
+        });
+
+        it('should send think levels to gpt-oss and on or off to other models', () => {
+            backend.reasoning = { effort: 'high' };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {}).think).toBe(true);
+
+            backend.model = 'gpt-oss:20b';
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hi' }], {}).think).toBe('high');
+
+            backend.reasoning = { effort: 'off' };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hi' }], { includeThinking: true }).think).toBe(false);
+        });
+    });
+
+    describe('streamChat', () => {
+        it('should stream content, thinking and usage from NDJSON', async () => {
+            mockFetch(createMockNDJSONResponse([
+                { message: { role: 'assistant', content: '', thinking: 'Hmm' }, done: false },
+                { message: { role: 'assistant', content: 'Hello' }, done: false },
+                { message: { role: 'assistant', content: ' World!' }, done: false },
+                { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 10, eval_count: 5 }
+            ]));
+
+            const chunks = await collect(backend.streamChat([{ role: 'user', content: 'Hi' }], { includeThinking: true }));
+
+            expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+            expect(chunks.filter(c => c.thought).map(c => c.text)).toEqual(['Hmm']);
+            expect(chunks.filter(c => c.thought === false).map(c => c.text).join('')).toBe('Hello World!');
+            expect(chunks[chunks.length - 1]).toEqual({
+                usage: { inputTokens: 10, outputTokens: 5, thinkingTokens: 0, cachedTokens: 0 },
+                stopReason: 'stop'
+            });
+        });
+
+        it('should retry without think for models that do not support it', async () => {
+            // Ollama returns its errors as plain strings
+            let calls = 0;
+            mockFetch(() => (++calls === 1
+                ? new Response(JSON.stringify({ error: '"llama3.2" does not support thinking' }), { status: 400 })
+                : createMockNDJSONResponse([{ message: { content: 'Hi' }, done: true }])));
+
+            const chunks = await collect(backend.streamChat([{ role: 'user', content: 'Hi' }], { includeThinking: true }));
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(JSON.parse(fetch.mock.calls[1][1].body).think).toBeUndefined();
+            expect(chunks[0].text).toBe('Hi');
+        });
+
+        it('should throw on errors in the stream', async () => {
+            mockFetch(createMockNDJSONResponse([{ error: 'model runner has unexpectedly stopped' }]));
+
+            await expect(collect(backend.streamChat([{ role: 'user', content: 'Hi' }])))
+                .rejects.toThrow('model runner has unexpectedly stopped');
+        });
+
+        it('should handle API errors', async () => {
+            mockFetch(new Response(JSON.stringify({ error: 'model "nope" not found' }), { status: 404 }));
+
+            await expect(backend.streamChat([{ role: 'user', content: 'Hi' }]).next())
+                .rejects.toThrow('model "nope" not found');
+        });
+    });
+
+    describe('getContextWindow', () => {
+        it('should use the loaded context length rather than the model maximum', () => {
+            expect(backend.getContextWindow()).toBe(4096);
+
+            backend.numCtx = 32768;
+            expect(backend.getContextWindow()).toBe(32768);
+        });
+    });
+
+    describe('listModels', () => {
+        it('should return installed model names', async () => {
+            mockFetch(new Response(JSON.stringify({
+                models: [{ name: 'llama3.2:latest' }, { name: 'qwen3:8b' }]
+            }), { status: 200 }));
+
+            const models = await backend.listModels();
+
+            expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/tags');
+            expect(models).toEqual([
+                { id: 'llama3.2:latest', contextLength: null },
+                { id: 'qwen3:8b', contextLength: null }
+            ]);
+        });
+    });
+
+    describe('pullModel', () => {
+        it('should stream pull progress', async () => {
+            mockFetch(createMockNDJSONResponse([
+                { status: 'pulling manifest' },
+                { status: 'pulling abc', digest: 'abc', total: 200, completed: 50 },
+                { status: 'success' }
+            ]));
+
+            const progress = await collect(backend.pullModel('qwen3'));
+
+            expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ model: 'qwen3', stream: true });
+            expect(progress).toEqual([
+                { status: 'pulling manifest' },
+                { status: 'pulling abc', completed: 50, total: 200, percent: 25 },
+                { status: 'success' }
+            ]);
+        });
+    });
+});
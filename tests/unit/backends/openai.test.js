@@ -77,6 +77,81 @@ describe('OpenAIBackend', () => {
             // Web search is Gemini-specific, so tools should not be added for OpenAI
             expect(body.tools).toBeUndefined();
         });
+
+        it('should send generation parameters as top-level fields', () => {
+            backend.generation = { temperature: 0.5, topP: 0.9, maxOutputTokens: 512, stopSequences: ['###'], frequencyPenalty: 0.3 };
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {});
+
+            expect(body).toMatchObject({ temperature: 0.5, top_p: 0.9, max_tokens: 512, stop: ['###'], frequency_penalty: 0.3 });
+            expect(body.seed).toBeUndefined();
+        });
+
+        it('should send the reply limit as max_completion_tokens to OpenAI and its reasoning models', () => {
+            const limit = (apiUrl, model) => {
+                const other = new OpenAIBackend({ apiUrl, model, generation: { maxOutputTokens: 512 } });
+                const body = other.buildRequestBody([{ role: 'user', content: 'Hello' }], {});
+                return Object.keys(body).filter(key => key.startsWith('max_'));
+            };
+
+            expect(limit('https://api.openai.com/v1', 'gpt-4o')).toEqual(['max_completion_tokens']);
+            expect(limit('https://openrouter.ai/api/v1', 'openai/o3-mini')).toEqual(['max_completion_tokens']);
+            expect(limit('https://example.openai.azure.com/openai/v1', 'gpt-5')).toEqual(['max_completion_tokens']);
+            expect(limit('http://localhost:11434/v1', 'llama3.2')).toEqual(['max_tokens']);
+        });
+
+        it('should declare tools as functions', () => {
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {
+                tools: [{ name: 'get_time', description: 'Current time', parameters: { type: 'object', properties: { zone: { type: 'string' } } } }]
+            });
+
+            expect(body.tools).toEqual([{
+                type: 'function',
+                function: { name: 'get_time', description: 'Current time', parameters: { type: 'object', properties: { zone: { type: 'string' } } } }
+            }]);
+        });
+
+        it('should send tool calls and their results as tool messages', () => {
+            const messages = [
+                { role: 'user', content: 'What time is it?' },
+                { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_time', arguments: { zone: 'UTC' } }] },
+                { role: 'tool', toolCallId: 'call_1', name: 'get_time', result: '12:00', content: '12:00' }
+            ];
+
+            const body = backend.buildRequestBody(messages, { images: [{ data: 'data:image/png;base64,AAA' }] });
+
+            expect(body.messages[1]).toEqual({
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_time', arguments: '{"zone":"UTC"}' } }]
+            });
+            expect(body.messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '12:00' });
+            // Images stay on the user message the tool turns follow
+            expect(body.messages[0].content[1].type).toBe('image_url');
+        });
+
+        it('should send the response schema as a json_schema response format', () => {
+            const schema = { title: 'Key points', type: 'object', properties: { points: { type: 'array' } } };
+
+            const body = backend.buildRequestBody([{ role: 'user', content: 'Hello' }], { responseSchema: schema });
+
+            expect(body.response_format).toEqual({
+                type: 'json_schema',
+                json_schema: { name: 'Key_points', schema, strict: false }
+            });
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {}).response_format).toBeUndefined();
+        });
+
+        it('should send reasoning_effort for effort levels only', () => {
+            backend.reasoning = { effort: 'low' };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {}).reasoning_effort).toBe('low');
+
+            backend.reasoning = { effort: 'off' };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {}).reasoning_effort).toBe('none');
+
+            backend.reasoning = { budget: 4096 };
+            expect(backend.buildRequestBody([{ role: 'user', content: 'Hello' }], {}).reasoning_effort).toBeUndefined();
+        });
     });
 
     describe('streamChat', () => {
@@ -95,6 +170,32 @@ describe('OpenAIBackend', () => {
             expect(chunks.map(c => c.text).join('')).toBe('Hello World!');
         });
 
+        it('should request and yield token usage', async () => {
+            mockFetch(createMockSSEResponse([
+                { choices: [{ delta: { content: 'Hello' }, finish_reason: 'stop' }] },
+                {
+                    choices: [],
+                    usage: {
+                        prompt_tokens: 40,
+                        completion_tokens: 25,
+                        prompt_tokens_details: { cached_tokens: 32 },
+                        completion_tokens_details: { reasoning_tokens: 10 }
+                    }
+                }
+            ]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Hi' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(JSON.parse(fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+            expect(chunks[chunks.length - 1]).toEqual({
+                usage: { inputTokens: 40, outputTokens: 25, thinkingTokens: 10, cachedTokens: 32 },
+                stopReason: null
+            });
+        });
+
         it('should call correct API endpoint', async () => {
             mockFetch(createMockSSEResponse([]));
 
@@ -130,6 +231,22 @@ describe('OpenAIBackend', () => {
             expect(headers.Authorization).toBe('Bearer sk-test-key');
         });
 
+        it('should send profile headers, overriding the defaults', async () => {
+            backend = new OpenAIBackend({
+                apiUrl: 'https://gateway.example.com/v1',
+                apiKey: 'sk-test-key',
+                model: 'gpt-4',
+                headers: { 'X-Team': 'research', Authorization: 'Gateway abc' }
+            });
+            mockFetch(createMockSSEResponse([]));
+
+            await backend.streamChat([{ role: 'user', content: 'Hi' }]).next();
+
+            const headers = fetch.mock.calls[0][1].headers;
+            expect(headers['X-Team']).toBe('research');
+            expect(headers.Authorization).toBe('Gateway abc');
+        });
+
         it('should handle API errors', async () => {
             mockFetch(createMockErrorResponse(401, 'Unauthorized'));
 
@@ -162,6 +279,23 @@ describe('OpenAIBackend', () => {
             expect(chunks[0].toolCall.name).toBe('search');
         });
 
+        it('should pass the index of streamed tool call fragments', async () => {
+            mockFetch(createMockSSEResponse([
+                { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'search', arguments: '{"q"' } }] } }] },
+                { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: ':"x"}' } }] } }] }
+            ]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Search' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.map(chunk => chunk.toolCall)).toEqual([
+                { index: 0, id: 'call_1', name: 'search', arguments: '{"q"' },
+                { index: 0, id: undefined, name: undefined, arguments: ':"x"}' }
+            ]);
+        });
+
         it('should handle reasoning content (o1 models)', async () => {
             const mockChunks = [
                 { choices: [{ delta: { reasoning_content: 'Let me think...' } }] },
@@ -179,5 +313,81 @@ describe('OpenAIBackend', () => {
             expect(chunks[1].thought).toBe(false);
             expect(chunks[1].text).toBe('Here is my answer');
         });
+
+        it('should yield images in chat deltas as media', async () => {
+            mockFetch(createMockSSEResponse([
+                { choices: [{ delta: { content: 'Here.', images: [{ type: 'image_url', image_url: { url: 'data:image/webp;base64,AAA' } }] } }] }
+            ]));
+
+            const chunks = [];
+            for await (const chunk of backend.streamChat([{ role: 'user', content: 'Draw' }])) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.find(c => c.media).media).toEqual({ type: 'image/webp', data: 'data:image/webp;base64,AAA' });
+        });
+    });
+
+    describe('image generation', () => {
+        it('should send the last user message to /images/generations', async () => {
+            mockFetch(new Response(JSON.stringify({
+                data: [{ b64_json: 'AAA' }, { url: 'https://images.example/b.png' }],
+                output_format: 'jpeg',
+                usage: { input_tokens: 12, output_tokens: 4160 }
+            }), { status: 200 }));
+            backend.model = 'gpt-image-1';
+
+            const chunks = [];
+            const messages = [{ role: 'user', content: 'A cat' }, { role: 'assistant', content: 'Meow' }, { role: 'user', content: 'A red fox' }];
+            for await (const chunk of backend.streamChat(messages, { imageGeneration: true })) {
+                chunks.push(chunk);
+            }
+
+            expect(fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/images/generations');
+            expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ model: 'gpt-image-1', prompt: 'A red fox', n: 1 });
+            expect(chunks.filter(c => c.media).map(c => c.media)).toEqual([
+                { type: 'image/jpeg', data: 'data:image/jpeg;base64,AAA' },
+                { type: 'image/jpeg', uri: 'https://images.example/b.png' }
+            ]);
+            expect(chunks.find(c => c.usage).usage).toMatchObject({ inputTokens: 12, outputTokens: 4160 });
+        });
+
+        it('should throw API errors', async () => {
+            mockFetch(createMockErrorResponse(400, 'Your request was rejected by the safety system'));
+
+            await expect(backend.streamChat([{ role: 'user', content: 'x' }], { imageGeneration: true }).next())
+                .rejects.toThrow('safety system');
+        });
+    });
+
+    describe('listModels', () => {
+        it('should list models sorted by id with context length where reported', async () => {
+            mockFetch(new Response(JSON.stringify({
+                object: 'list',
+                data: [
+                    { id: 'qwen2.5-coder', object: 'model', max_model_len: 32768 },
+                    { id: 'gpt-4o', object: 'model' },
+                    {
+                        id: 'anthropic/claude-sonnet-4.5',
+                        context_length: 1000000,
+                        architecture: { input_modalities: ['text', 'image'] },
+                        supported_parameters: ['tools', 'reasoning', 'temperature']
+                    }
+                ]
+            }), { status: 200 }));
+
+            const models = await backend.listModels();
+
+            expect(fetch.mock.calls[0][0]).toBe(`${backend.apiUrl}/models`);
+            expect(models).toEqual([
+                {
+                    id: 'anthropic/claude-sonnet-4.5',
+                    contextLength: 1000000,
+                    capabilities: { vision: true, tools: true, thinking: true, jsonMode: false }
+                },
+                { id: 'gpt-4o', contextLength: null },
+                { id: 'qwen2.5-coder', contextLength: 32768 }
+            ]);
+        });
     });
 });
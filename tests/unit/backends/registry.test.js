@@ -0,0 +1,72 @@
+import { describe, it, expect } from '@jest/globals';
+import { BackendRegistry } from '../../../src/backends/registry.js';
+import { AIBackend } from '../../../src/backends/base.js';
+import { GeminiBackend } from '../../../src/backends/gemini.js';
+import { OllamaBackend } from '../../../src/backends/ollama.js';
+
+describe('BackendRegistry', () => {
+    it('should register the built-in backends in order', () => {
+        expect(BackendRegistry.getIds()).toEqual(['gemini', 'openai', 'anthropic', 'ollama']);
+    });
+
+    it('should describe every backend with the required metadata', () => {
+        for (const BackendClass of BackendRegistry.getAll()) {
+            expect(BackendClass.prototype).toBeInstanceOf(AIBackend);
+            expect(BackendClass.displayName).toBeTruthy();
+            expect(BackendClass.defaultModels.length).toBeGreaterThan(0);
+            expect(BackendClass.settingsSchema.map(f => f.key)).toEqual(expect.arrayContaining(['apiUrl', 'apiKey']));
+            expect(typeof BackendClass.capabilities.thinking).toBe('boolean');
+        }
+    });
+
+    it('should create backend instances by id', () => {
+        const backend = BackendRegistry.create('ollama', { apiUrl: 'http://localhost:11434', model: 'qwen3', numCtx: 4096 });
+
+        expect(backend).toBeInstanceOf(OllamaBackend);
+        expect(backend.numCtx).toBe(4096);
+        expect(BackendRegistry.get('gemini')).toBe(GeminiBackend);
+    });
+
+    it('should reject unknown backends', () => {
+        expect(BackendRegistry.get('nope')).toBeNull();
+        expect(() => BackendRegistry.create('nope', {})).toThrow('Unknown backend: nope');
+    });
+
+    it('should build default settings from the schema', () => {
+        const defaults = BackendRegistry.getDefaultSettings(OllamaBackend);
+
+        expect(defaults).toEqual({
+            apiUrl: 'http://localhost:11434',
+            apiKey: '',
+            keepAlive: '5m',
+            numCtx: null,
+            temperature: null,
+            seed: null,
+            headers: {},
+            models: OllamaBackend.defaultModels
+        });
+        expect(defaults.models).not.toBe(OllamaBackend.defaultModels);
+        expect(defaults.headers).not.toBe(BackendRegistry.getDefaultSettings(OllamaBackend).headers);
+    });
+
+    it('should append the common fields to every schema', () => {
+        const keys = BackendRegistry.getSettingsSchema(GeminiBackend).map(f => f.key);
+
+        expect(keys[keys.length - 1]).toBe('headers');
+        expect(GeminiBackend.settingsSchema.map(f => f.key)).not.toContain('headers');
+    });
+
+    it('should let new backends register themselves', () => {
+        class TestBackend extends AIBackend {
+            static id = 'test-registry';
+            static displayName = 'Test';
+            static settingsSchema = [{ key: 'apiUrl', label: 'API URL', type: 'url', default: 'http://x' }];
+            static defaultModels = ['m'];
+        }
+
+        BackendRegistry.register(TestBackend);
+
+        expect(BackendRegistry.getAllDefaultSettings()['test-registry']).toEqual({ apiUrl: 'http://x', headers: {}, models: ['m'] });
+        expect(() => BackendRegistry.register(class extends AIBackend {})).toThrow('static id');
+    });
+});
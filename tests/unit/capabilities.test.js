@@ -0,0 +1,58 @@
+import { describe, it, expect } from '@jest/globals';
+import { getKnownCapabilities, resolveCapabilities } from '../../src/capabilities.js';
+import { GeminiBackend } from '../../src/backends/gemini.js';
+import { OllamaBackend } from '../../src/backends/ollama.js';
+import { OpenAIBackend } from '../../src/backends/openai.js';
+
+describe('capabilities', () => {
+    describe('getKnownCapabilities', () => {
+        it('should match model families by name', () => {
+            expect(getKnownCapabilities('gemini-2.0-flash')).toMatchObject({ vision: true, thinking: false, contextWindow: 1048576 });
+            expect(getKnownCapabilities('claude-3-5-haiku-latest')).toMatchObject({ thinking: false });
+            expect(getKnownCapabilities('claude-sonnet-4-5')).toMatchObject({ thinking: true, contextWindow: 200000 });
+            expect(getKnownCapabilities('llama3.2-vision:11b')).toMatchObject({ vision: true });
+            expect(getKnownCapabilities('llama3.2')).toMatchObject({ vision: false });
+        });
+
+        it('should know nothing about unknown models', () => {
+            expect(getKnownCapabilities('my-finetune')).toEqual({});
+            expect(getKnownCapabilities(undefined)).toEqual({});
+        });
+    });
+
+    describe('resolveCapabilities', () => {
+        it('should assume unknown models support what their backend does', () => {
+            expect(resolveCapabilities(OllamaBackend, 'my-finetune')).toEqual({
+                vision: true,
+                thinking: true,
+                search: false,
+                tools: false,
+                jsonMode: false,
+                codeExecution: false,
+                urlContext: false,
+                imageGeneration: false,
+                contextWindow: null
+            });
+        });
+
+        it('should only assume image generation for known image models', () => {
+            expect(resolveCapabilities(OpenAIBackend, 'my-finetune').imageGeneration).toBe(false);
+            expect(resolveCapabilities(OpenAIBackend, 'gpt-image-1').imageGeneration).toBe(true);
+            expect(resolveCapabilities(GeminiBackend, 'gemini-2.5-flash-image').imageGeneration).toBe(true);
+            expect(resolveCapabilities(OpenAIBackend, 'my-finetune', { imageGeneration: true }).imageGeneration).toBe(true);
+        });
+
+        it('should never enable what the backend lacks', () => {
+            const capabilities = resolveCapabilities(OpenAIBackend, 'gemini-2.5-pro', { search: true });
+
+            expect(capabilities.search).toBe(false);
+            expect(capabilities.vision).toBe(true);
+        });
+
+        it('should let overrides win over known models', () => {
+            const capabilities = resolveCapabilities(GeminiBackend, 'gemini-2.5-flash', { thinking: false, contextWindow: 32768 });
+
+            expect(capabilities).toMatchObject({ thinking: false, search: true, contextWindow: 32768 });
+        });
+    });
+});
@@ -0,0 +1,854 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { ChatManager } from '../../src/chat.js';
+import { AIBackend } from '../../src/backends/base.js';
+import { ConversationStore, MAX_CONVERSATIONS } from '../../src/conversations.js';
+import { SettingsManager } from '../../src/settings.js';
+import { MessageTree } from '../../src/message-tree.js';
+import { UsageStore, getMonthKey } from '../../src/usage.js';
+import { ToolRegistry } from '../../src/tools/registry.js';
+import { exportToJSON } from '../../src/export.js';
+import { createMockSSEResponse, mockFetch } from './mocks/fetch.mock.js';
+
+function geminiChunk(text, thought = false) {
+    return { candidates: [{ content: { parts: [{ text, thought }] } }] };
+}
+
+async function collect(generator) {
+    const chunks = [];
+    for await (const chunk of generator) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+describe('ChatManager', () => {
+    let chat;
+
+    beforeEach(async () => {
+        global.resetChromeMocks();
+        global.setMockStorage({
+            settings: { ...SettingsManager.getDefaults(), gemini: { ...SettingsManager.getDefaults().gemini, apiKey: 'key' } }
+        });
+        chat = new ChatManager();
+        await chat.init();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('getRequestMessages', () => {
+        it('should inline page context into user messages', () => {
+            chat.addMessage('user', 'Summarize', {
+                page: { title: 'Docs', url: 'https://example.com', content: 'Page body' }
+            });
+
+            const [message] = chat.getRequestMessages();
+
+            expect(message.role).toBe('user');
+            expect(message.content).toContain('Title: Docs');
+            expect(message.content).toContain('Page body');
+            expect(message.content).toContain('User Question: Summarize');
+        });
+
+        it('should send plain messages unchanged', () => {
+            chat.addMessage('user', 'Hello');
+            chat.addMessage('assistant', 'Hi');
+
+            expect(chat.getRequestMessages()).toEqual([
+                { role: 'user', content: 'Hello' },
+                { role: 'assistant', content: 'Hi' }
+            ]);
+        });
+    });
+
+    describe('persistence', () => {
+        it('should save the conversation after a response', async () => {
+            mockFetch(createMockSSEResponse([geminiChunk('Thinking', true), geminiChunk('Answer')]));
+
+            await collect(chat.sendMessage('Question'));
+
+            const id = await ConversationStore.getActiveId();
+            const stored = await ConversationStore.load(id);
+            expect(stored.title).toBe('Question');
+            expect(stored.backendType).toBe('gemini');
+            expect(stored.messages).toHaveLength(2);
+            expect(stored.messages[1]).toMatchObject({
+                role: 'assistant',
+                content: 'Answer',
+                thinking: 'Thinking',
+                model: chat.currentBackend.model
+            });
+        });
+
+        it('should keep the user question separate from page context', async () => {
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+
+            await collect(chat.sendMessage('Question', {
+                pageContent: { title: 'Docs', url: 'https://example.com', content: 'Body' }
+            }));
+
+            expect(chat.messages[0].content).toBe('Question');
+            expect(chat.messages[0].page.url).toBe('https://example.com');
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.contents[0].parts[0].text).toContain('User Question: Question');
+        });
+
+        it('should restore the last active conversation', async () => {
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('Question'));
+
+            const restored = new ChatManager();
+            await restored.init();
+            const conversation = await restored.restoreLastConversation();
+
+            expect(conversation.messages).toHaveLength(2);
+            expect(restored.messages.map(m => m.content)).toEqual(['Question', 'Answer']);
+        });
+
+        it('should start a new conversation after clearing', async () => {
+            mockFetch(() => createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('First'));
+            const firstId = chat.conversation.id;
+
+            chat.clearConversation();
+            await collect(chat.sendMessage('Second'));
+
+            expect(chat.conversation.id).not.toBe(firstId);
+            expect(await ConversationStore.list()).toHaveLength(2);
+            expect(await ConversationStore.load(firstId)).not.toBeNull();
+        });
+
+        it('should keep a renamed title when saving again', async () => {
+            mockFetch(() => createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('First'));
+
+            await chat.renameConversation(chat.conversation.id, 'Renamed');
+            await collect(chat.sendMessage('Second'));
+
+            const stored = await ConversationStore.load(chat.conversation.id);
+            expect(stored.title).toBe('Renamed');
+        });
+
+        it('should open a stored conversation', async () => {
+            mockFetch(() => createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('First'));
+            const firstId = chat.conversation.id;
+            chat.clearConversation();
+
+            await chat.openConversation(firstId);
+
+            expect(chat.conversation.id).toBe(firstId);
+            expect(chat.messages.map(m => m.content)).toEqual(['First', 'Answer']);
+            expect(await ConversationStore.getActiveId()).toBe(firstId);
+        });
+
+        it('should start a new conversation when deleting the active one', async () => {
+            mockFetch(() => createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('First'));
+
+            await chat.deleteConversation(chat.conversation.id);
+
+            expect(chat.conversation).toBeNull();
+            expect(chat.messages).toEqual([]);
+            expect(await ConversationStore.list()).toHaveLength(0);
+        });
+
+        it('should keep the partial answer when streaming is stopped', async () => {
+            const abortError = new Error('Aborted');
+            abortError.name = 'AbortError';
+            chat.currentBackend.streamChat = async function* () {
+                yield { text: 'Partial', thought: false };
+                throw abortError;
+            };
+
+            await expect(collect(chat.sendMessage('Question'))).rejects.toThrow('Aborted');
+
+            const stored = await ConversationStore.load(chat.conversation.id);
+            expect(stored.messages.map(m => m.content)).toEqual(['Question', 'Partial']);
+        });
+    });
+
+    describe('editMessage', () => {
+        beforeEach(async () => {
+            mockFetch(() => createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('First'));
+            await collect(chat.sendMessage('Second', {
+                pageContent: { title: 'Docs', url: 'https://example.com', content: 'Body' }
+            }));
+        });
+
+        it('should branch from the edited message', async () => {
+            const original = chat.messages[2];
+
+            await collect(chat.editMessage(original.id, 'Second (edited)'));
+
+            expect(chat.messages.map(m => m.content)).toEqual(['First', 'Answer', 'Second (edited)', 'Answer']);
+            expect(chat.tree.getBranchInfo(chat.messages[2].id)).toEqual({ index: 1, count: 2 });
+        });
+
+        it('should only send history up to the edited message', async () => {
+            const original = chat.messages[2];
+            fetch.mockClear();
+
+            await collect(chat.editMessage(original.id, 'Edited'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.contents).toHaveLength(3);
+            expect(body.contents[2].parts[0].text).toContain('User Question: Edited');
+        });
+
+        it('should keep the page context of the original message', async () => {
+            await collect(chat.editMessage(chat.messages[2].id, 'Edited'));
+
+            expect(chat.messages[2].page.url).toBe('https://example.com');
+        });
+
+        it('should switch back to the original branch', async () => {
+            const original = chat.messages[2];
+            await collect(chat.editMessage(original.id, 'Edited'));
+
+            const switched = await chat.switchBranch(chat.messages[2].id, -1);
+
+            expect(switched).toBe(true);
+            expect(chat.messages[2].id).toBe(original.id);
+            const stored = await ConversationStore.load(chat.conversation.id);
+            expect(MessageTree.fromJSON(stored.messages, stored.activeChildren).getPath()[2].id).toBe(original.id);
+        });
+
+        it('should not switch past the last sibling', async () => {
+            expect(await chat.switchBranch(chat.messages[2].id, 1)).toBe(false);
+        });
+
+        it('should reject editing assistant messages', async () => {
+            await expect(collect(chat.editMessage(chat.messages[1].id, 'x'))).rejects.toThrow('Only user messages');
+        });
+    });
+
+    describe('failed responses', () => {
+        it('should keep the failed turn but leave it out of later requests', async () => {
+            // Network errors are retried first; skip the backoff
+            jest.spyOn(AIBackend.prototype, 'getBackoffDelay').mockReturnValue(0);
+            global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
+            await expect(collect(chat.sendMessage('First'))).rejects.toThrow('Network error');
+
+            expect(chat.messages[1].error).toBe('Network error');
+
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('Second'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.contents.map(c => c.role)).toEqual(['user', 'user']);
+        });
+    });
+
+    describe('search grounding', () => {
+        it('should store the sources and the citations of the complete answer', async () => {
+            const grounding = {
+                groundingChunks: [{ web: { uri: 'https://vertexaisearch.cloud.google.com/a', title: 'example.com' } }],
+                groundingSupports: [{ segment: { startIndex: 7, endIndex: 14, text: 'Second.' }, groundingChunkIndices: [0] }]
+            };
+            mockFetch(createMockSSEResponse([
+                geminiChunk('First. '),
+                { candidates: [{ content: { parts: [{ text: 'Second.' }] }, groundingMetadata: grounding }] }
+            ]));
+
+            await collect(chat.sendMessage('Hi'));
+
+            expect(chat.messages[1].sources).toEqual([
+                { title: 'example.com', uri: 'https://vertexaisearch.cloud.google.com/a', domain: 'example.com' }
+            ]);
+            expect(chat.messages[1].citations).toEqual([{ start: 7, end: 14, text: 'Second.', sources: [0] }]);
+        });
+    });
+
+    describe('image generation', () => {
+        it('should store generated images where they came in the answer', async () => {
+            const settings = SettingsManager.selectModel(chat.settings, 'gemini', 'gemini-2.5-flash-image');
+            await chat.updateSettings({ ...settings, enableImageGeneration: true });
+            mockFetch(createMockSSEResponse([
+                geminiChunk('A cat: '),
+                { candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/jpeg', data: 'AAA' } }] } }] }
+            ]));
+
+            await collect(chat.sendMessage('Draw a cat'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.generationConfig.responseModalities).toEqual(['TEXT', 'IMAGE']);
+            expect(chat.messages[1].media).toEqual([
+                { name: 'generated-1.jpg', type: 'image/jpeg', data: 'data:image/jpeg;base64,AAA', offset: 7 }
+            ]);
+        });
+
+        it('should prompt OpenAI image models with the user text only', async () => {
+            let settings = SettingsManager.updateProfile(chat.settings, 'openai', { models: ['gpt-image-1'] });
+            settings = SettingsManager.selectModel(settings, 'openai', 'gpt-image-1');
+            await chat.updateSettings({ ...settings, enableImageGeneration: true });
+            mockFetch(new Response(JSON.stringify({ data: [{ b64_json: 'AAA' }] }), { status: 200 }));
+
+            await collect(chat.sendMessage('A fox like on this page', {
+                pageContent: { title: 'Docs', url: 'https://example.com', content: 'Body' }
+            }));
+
+            expect(fetch.mock.calls[0][0]).toMatch(/\/images\/generations$/);
+            expect(JSON.parse(fetch.mock.calls[0][1].body).prompt).toBe('A fox like on this page');
+            expect(chat.messages[1].media).toHaveLength(1);
+        });
+
+        it('should not ask models without image output for images', async () => {
+            await chat.updateSettings({ ...chat.settings, enableImageGeneration: true });
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+
+            await collect(chat.sendMessage('Hi'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.generationConfig?.responseModalities).toBeUndefined();
+        });
+    });
+
+    describe('code execution and URL context', () => {
+        it('should store code runs where they happened in the answer and the URLs read', async () => {
+            const urlContextMetadata = { urlMetadata: [{ retrievedUrl: 'https://example.com', urlRetrievalStatus: 'URL_RETRIEVAL_STATUS_SUCCESS' }] };
+            mockFetch(createMockSSEResponse([
+                geminiChunk('Counting. '),
+                { candidates: [{ content: { parts: [{ executableCode: { language: 'PYTHON', code: 'print(4)' } }] } }] },
+                { candidates: [{ content: { parts: [{ codeExecutionResult: { outcome: 'OUTCOME_OK', output: '4' } }] } }] },
+                { candidates: [{ content: { parts: [{ text: 'It is 4.' }] }, urlContextMetadata }] }
+            ]));
+            await chat.updateSettings({ ...chat.settings, enableCodeExecution: true, enableUrlContext: true });
+
+            await collect(chat.sendMessage('Count https://example.com'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.tools).toEqual(expect.arrayContaining([{ codeExecution: {} }, { urlContext: {} }]));
+            expect(chat.messages[1].codeRuns).toEqual([{ language: 'python', code: 'print(4)', outcome: 'ok', output: '4', offset: 10 }]);
+            expect(chat.messages[1].urlContext).toEqual([{ url: 'https://example.com', status: 'success' }]);
+        });
+    });
+
+    describe('model capabilities', () => {
+        it('should only request search and thinking from models that support them', async () => {
+            const settings = SettingsManager.updateModelSettings(chat.settings, 'gemini', chat.settings.currentModel, {
+                capabilities: { search: false, thinking: false }
+            });
+            await chat.updateSettings({ ...settings, enableTools: false });
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+
+            await collect(chat.sendMessage('Hi'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.tools).toBeUndefined();
+            expect(body.generationConfig).toBeUndefined();
+        });
+    });
+
+    describe('thinking', () => {
+        it('should record how long the model thought before answering', async () => {
+            mockFetch(createMockSSEResponse([geminiChunk('Hmm', true), geminiChunk('Answer')]));
+            // Every clock read moves a second on
+            let now = 0;
+            jest.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+
+            await collect(chat.sendMessage('Hi'));
+
+            expect(chat.messages[1]).toMatchObject({ thinking: 'Hmm', content: 'Answer' });
+            expect(chat.messages[1].thinkingTime).toBeGreaterThan(0);
+        });
+
+        it('should not time replies without thinking', async () => {
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+
+            await collect(chat.sendMessage('Hi'));
+
+            expect(chat.messages[1].thinkingTime).toBeUndefined();
+        });
+    });
+
+    describe('tool calls', () => {
+        const functionCall = (name, args) => ({ candidates: [{ content: { parts: [{ functionCall: { name, args } }] } }] });
+
+        beforeEach(async () => {
+            ToolRegistry.register({
+                name: 'add',
+                parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } },
+                execute: ({ a, b }) => ({ sum: a + b })
+            });
+            await chat.updateSettings({ ...chat.settings, enableSearch: false });
+        });
+
+        afterEach(() => {
+            ToolRegistry.unregister('add');
+        });
+
+        it('should run tool calls and ask again until the model answers', async () => {
+            let request = 0;
+            mockFetch(() => createMockSSEResponse(++request === 1
+                ? [geminiChunk('Adding.'), { ...functionCall('add', { a: 2, b: 3 }), usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 } }]
+                : [{ ...geminiChunk('It is 5.'), usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 4 } }]));
+
+            const chunks = await collect(chat.sendMessage('2 + 3?'));
+
+            const assistant = chat.messages[1];
+            expect(assistant.content).toBe('It is 5.');
+            expect(assistant.steps).toEqual([{
+                text: 'Adding.',
+                toolCalls: [{ id: 'call_0', name: 'add', arguments: { a: 2, b: 3 }, result: { sum: 5 } }]
+            }]);
+            expect(assistant.usage).toMatchObject({ inputTokens: 40, outputTokens: 9 });
+            expect(chunks.some(chunk => chunk.toolStep)).toBe(true);
+            expect(chunks.find(chunk => chunk.toolResult).toolResult.result).toEqual({ sum: 5 });
+
+            const body = JSON.parse(fetch.mock.calls[1][1].body);
+            expect(body.contents.map(content => content.role)).toEqual(['user', 'model', 'user']);
+            expect(body.contents[2].parts[0].functionResponse).toEqual({ name: 'add', response: { sum: 5 } });
+        });
+
+        it('should report failing calls to the model', async () => {
+            let request = 0;
+            mockFetch(() => createMockSSEResponse(++request === 1 ? [functionCall('divide', {})] : [geminiChunk('Sorry.')]));
+
+            await collect(chat.sendMessage('1 / 0?'));
+
+            expect(chat.messages[1].steps[0].toolCalls[0].error).toBe('Unknown tool: divide');
+            const body = JSON.parse(fetch.mock.calls[1][1].body);
+            expect(body.contents[2].parts[0].functionResponse.response).toEqual({ error: 'Unknown tool: divide' });
+        });
+
+        it('should replay earlier tool calls in later requests', async () => {
+            let request = 0;
+            mockFetch(() => createMockSSEResponse(++request === 1 ? [functionCall('add', { a: 1, b: 1 })] : [geminiChunk('2')]));
+            await collect(chat.sendMessage('1 + 1?'));
+
+            const messages = chat.getRequestMessages();
+
+            expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'tool', 'assistant']);
+            expect(messages[2]).toMatchObject({ toolCallId: 'call_0', result: { sum: 2 }, content: '{"sum":2}' });
+        });
+
+        it('should stop offering tools after the last round', async () => {
+            mockFetch(() => createMockSSEResponse([functionCall('add', { a: 1, b: 1 })]));
+
+            await collect(chat.sendMessage('Loop'));
+
+            const bodies = fetch.mock.calls.map(call => JSON.parse(call[1].body));
+            expect(bodies).toHaveLength(11);
+            expect(bodies[0].tools).toBeDefined();
+            expect(bodies[10].tools).toBeUndefined();
+        });
+
+        it('should wait for MCP servers so the first reply is offered their tools', async () => {
+            mockFetch((url, init) => {
+                if (url.includes(':streamGenerateContent')) {
+                    return createMockSSEResponse([geminiChunk('Hi')]);
+                }
+                const { id, method } = JSON.parse(init.body);
+                const result = method === 'initialize'
+                    ? { protocolVersion: '2025-06-18', capabilities: { tools: {} } }
+                    : { tools: [{ name: 'search', inputSchema: { type: 'object', properties: {} } }] };
+                return new Response(JSON.stringify({ jsonrpc: '2.0', id, result }), { headers: { 'Content-Type': 'application/json' } });
+            });
+            await chat.updateSettings({
+                ...chat.settings,
+                mcpServers: [{ id: 'mcp-1', name: 'docs', url: 'http://localhost:3000/mcp', enabled: true }]
+            });
+
+            await collect(chat.sendMessage('Hi'));
+
+            const body = JSON.parse(fetch.mock.calls.find(call => call[0].includes(':streamGenerateContent'))[1].body);
+            expect(body.tools[0].functionDeclarations.map(tool => tool.name)).toContain('docs_search');
+            await chat.updateSettings({ ...chat.settings, mcpServers: [] });
+        });
+
+        it('should only resync MCP servers when they change', async () => {
+            const ready = chat.mcpReady;
+
+            await chat.updateSettings({ ...chat.settings, temperature: 0.5 });
+
+            expect(chat.mcpReady).toBe(ready);
+        });
+
+        it('should not offer tools when tool calling is off', async () => {
+            await chat.updateSettings({ ...chat.settings, enableTools: false });
+            mockFetch(createMockSSEResponse([geminiChunk('Hi')]));
+
+            await collect(chat.sendMessage('Hi'));
+
+            expect(JSON.parse(fetch.mock.calls[0][1].body).tools).toBeUndefined();
+        });
+    });
+
+    describe('tool approval', () => {
+        const functionCall = (name, args) => ({ candidates: [{ content: { parts: [{ functionCall: { name, args } }] } }] });
+        const execute = jest.fn(() => ({ text: 'Page text' }));
+
+        async function answer(generator, choice) {
+            const chunks = [];
+            for await (const chunk of generator) {
+                chunks.push(chunk);
+                chunk.toolApproval?.resolve(choice);
+            }
+            return chunks;
+        }
+
+        beforeEach(async () => {
+            execute.mockClear();
+            ToolRegistry.register({
+                name: 'read_page',
+                approval: async () => ({ summary: 'Read Example', site: 'https://example.com' }),
+                execute
+            });
+            await chat.updateSettings({ ...chat.settings, enableSearch: false });
+            let request = 0;
+            mockFetch(() => createMockSSEResponse(++request % 2 === 1 ? [functionCall('read_page', {})] : [geminiChunk('Done.')]));
+        });
+
+        afterEach(() => {
+            ToolRegistry.unregister('read_page');
+        });
+
+        it('should ask before running a call and run it once allowed', async () => {
+            const chunks = await answer(chat.sendMessage('Read it'), 'once');
+
+            const approval = chunks.find(chunk => chunk.toolApproval).toolApproval;
+            expect(approval).toMatchObject({ summary: 'Read Example', site: 'https://example.com' });
+            expect(execute).toHaveBeenCalledTimes(1);
+            expect(execute.mock.calls[0][1].approved).toEqual({ summary: 'Read Example', site: 'https://example.com' });
+            expect(chat.messages[1].steps[0].toolCalls[0]).toMatchObject({ approval: 'once', result: { text: 'Page text' } });
+            expect(chat.settings.approvedSites).toEqual([]);
+        });
+
+        it('should report declined calls to the model', async () => {
+            await answer(chat.sendMessage('Read it'), 'deny');
+
+            expect(execute).not.toHaveBeenCalled();
+            expect(chat.messages[1].steps[0].toolCalls[0].error).toBe('The user declined this tool call');
+        });
+
+        it('should remember approved sites and stop asking for them', async () => {
+            await answer(chat.sendMessage('Read it'), 'site');
+            expect(chat.settings.approvedSites).toEqual(['https://example.com']);
+
+            const chunks = await answer(chat.sendMessage('Again'), 'deny');
+
+            expect(chunks.some(chunk => chunk.toolApproval)).toBe(false);
+            expect(execute).toHaveBeenCalledTimes(2);
+        });
+
+        it('should stop waiting when the reply is stopped', async () => {
+            const generator = chat.sendMessage('Read it');
+            let chunk;
+            do {
+                chunk = (await generator.next()).value;
+            } while (!chunk.toolApproval);
+
+            const pending = generator.next();
+            chat.stopStreaming();
+
+            await expect(pending).rejects.toThrow('aborted');
+            expect(execute).not.toHaveBeenCalled();
+            expect(chat.messages[1].stopped).toBe(true);
+        });
+    });
+
+    describe('structured output', () => {
+        const schema = { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] };
+
+        beforeEach(async () => {
+            await chat.updateSettings({ ...chat.settings, structuredOutput: { enabled: true, schema: JSON.stringify(schema) } });
+        });
+
+        it('should request the schema without search and validate the reply', async () => {
+            mockFetch(createMockSSEResponse([geminiChunk('{"name": 42}')]));
+
+            await collect(chat.sendMessage('Who?'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.generationConfig.responseMimeType).toBe('application/json');
+            expect(body.tools).toBeUndefined();
+            expect(chat.messages[1].structuredOutput).toEqual({ schema, errors: ['$.name: expected string, got integer'] });
+        });
+
+        it('should leave the schema out for models without JSON mode', async () => {
+            const settings = SettingsManager.updateModelSettings(chat.settings, 'gemini', chat.settings.currentModel, {
+                capabilities: { jsonMode: false }
+            });
+            await chat.updateSettings(settings);
+            mockFetch(createMockSSEResponse([geminiChunk('Ada')]));
+
+            await collect(chat.sendMessage('Who?'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.generationConfig?.responseMimeType).toBeUndefined();
+            expect(chat.messages[1].structuredOutput).toBeUndefined();
+        });
+    });
+
+    describe('token usage', () => {
+        const answerWithUsage = () => createMockSSEResponse([{
+            ...geminiChunk('Answer'),
+            usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 400, thoughtsTokenCount: 100 }
+        }]);
+
+        it('should record usage and estimated cost on the message and for the month', async () => {
+            const settings = SettingsManager.updateModelSettings(chat.settings, 'gemini', chat.settings.currentModel, {
+                pricing: { input: 2, output: 10 }
+            });
+            await chat.updateSettings(settings);
+            mockFetch(answerWithUsage());
+
+            await collect(chat.sendMessage('Hi'));
+
+            const assistant = chat.messages[1];
+            expect(assistant.usage).toEqual({ inputTokens: 1000, outputTokens: 500, thinkingTokens: 100, cachedTokens: 0 });
+            expect(assistant.cost).toBeCloseTo(0.007);
+            const month = (await UsageStore.load())[getMonthKey()];
+            expect(month).toMatchObject({ inputTokens: 1000, outputTokens: 500, responses: 1 });
+        });
+
+        it('should sum usage across the conversation and leave cost empty without prices', async () => {
+            mockFetch(answerWithUsage);
+
+            await collect(chat.sendMessage('First'));
+            await collect(chat.sendMessage('Second'));
+
+            expect(chat.messages[1].cost).toBeNull();
+            expect(chat.getConversationUsage()).toEqual({
+                inputTokens: 2000, outputTokens: 1000, thinkingTokens: 200, cachedTokens: 0, cost: null, responses: 2
+            });
+        });
+    });
+
+    describe('context window', () => {
+        const long = text => `${text} ${'x'.repeat(2000)}`;
+
+        async function useContext(changes) {
+            const settings = SettingsManager.updateModelSettings(chat.settings, 'gemini', chat.settings.currentModel, {
+                capabilities: { contextWindow: 2000 },
+                ...changes
+            });
+            await chat.updateSettings(settings);
+            for (let i = 1; i <= 3; i++) {
+                chat.addMessage('user', long(`Question ${i}`));
+                chat.addMessage('assistant', long(`Answer ${i}`));
+            }
+        }
+
+        it('should leave out the oldest turns that no longer fit', async () => {
+            await useContext({});
+            mockFetch(createMockSSEResponse([geminiChunk('Answer')]));
+
+            const chunks = await collect(chat.sendMessage('Next'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.contents[0].parts[0].text).toMatch(/^Question 3/);
+            expect(chunks.find(c => c.context).context).toMatchObject({ strategy: 'pages', droppedMessages: 4, budget: 1500 });
+            expect(chat.messages[7].context.droppedMessages).toBe(4);
+        });
+
+        it('should summarize older turns with the same backend and reuse the summary', async () => {
+            await useContext({ contextStrategy: 'summarize' });
+            mockFetch(() => createMockSSEResponse([geminiChunk(fetch.mock.calls.length === 1 ? 'Earlier notes' : 'Answer')]));
+
+            const chunks = await collect(chat.sendMessage('Next'));
+
+            const [summaryRequest, answerRequest] = fetch.mock.calls.map(call => JSON.parse(call[1].body));
+            expect(summaryRequest.contents[0].parts[0].text).toContain('Answer 3');
+            expect(answerRequest.systemInstruction.parts[0].text).toContain('Earlier notes');
+            expect(answerRequest.contents.map(c => c.parts[0].text)).toEqual(['Next']);
+            expect(chunks.some(c => c.context?.summarizing)).toBe(true);
+            expect(chat.messages[5].summary).toBe('Earlier notes');
+
+            fetch.mockClear();
+            await collect(chat.sendMessage('Short'));
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(fetch.mock.calls[0][1].body).systemInstruction.parts[0].text).toContain('Earlier notes');
+        });
+
+        it('should count the usage of a summary request once', async () => {
+            await useContext({ contextStrategy: 'summarize' });
+            mockFetch(() => createMockSSEResponse(fetch.mock.calls.length === 1
+                ? [
+                    { ...geminiChunk('Earlier '), usageMetadata: { promptTokenCount: 800, candidatesTokenCount: 1 } },
+                    { ...geminiChunk('notes'), usageMetadata: { promptTokenCount: 800, candidatesTokenCount: 2 } }
+                ]
+                : [{ ...geminiChunk('Answer'), usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 10 } }]));
+
+            await collect(chat.sendMessage('Next'));
+
+            const month = (await UsageStore.load())[getMonthKey()];
+            expect(month).toMatchObject({ inputTokens: 900, outputTokens: 12, responses: 2 });
+        });
+
+        it('should estimate how full the next request is', async () => {
+            await useContext({});
+
+            const usage = chat.getContextUsage();
+
+            expect(usage.tokens).toBeGreaterThan(usage.budget);
+            expect(usage).toMatchObject({ contextWindow: 2000, budget: 1500, strategy: 'pages' });
+        });
+    });
+
+    describe('fallback models', () => {
+        const overloaded = () => new Response(
+            JSON.stringify({ error: { code: 503, message: 'The model is overloaded.' } }),
+            { status: 503, headers: { 'Retry-After': '0' } }
+        );
+
+        beforeEach(async () => {
+            let settings = SettingsManager.selectModel(chat.settings, 'gemini', 'gemini-3-pro-preview');
+            settings = SettingsManager.updateProfile(settings, 'openai', { models: ['local-model'] });
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-3-pro-preview', {
+                fallbacks: ['gemini:gemini-2.5-flash', 'openai:local-model']
+            });
+            await chat.updateSettings(settings);
+        });
+
+        it('should walk the chain across backends and label the answer', async () => {
+            mockFetch((url) => (url.includes('generativelanguage')
+                ? overloaded()
+                : createMockSSEResponse([{ choices: [{ delta: { content: 'Local answer' } }] }])));
+
+            const chunks = await collect(chat.sendMessage('Hi'));
+
+            expect(chunks.filter(c => c.fallback).map(c => c.fallback.to)).toEqual(['gemini-2.5-flash', 'local-model']);
+            expect(chunks[0].fallback).toBeUndefined();
+            const assistant = chat.messages[1];
+            expect(assistant).toMatchObject({
+                content: 'Local answer',
+                model: 'local-model',
+                backendType: 'openai',
+                fallbackFrom: 'gemini-3-pro-preview'
+            });
+        });
+
+        it('should give every backend in the chain its own generation parameters', async () => {
+            let settings = { ...chat.settings, generation: { temperature: 0.7 } };
+            settings = SettingsManager.updateModelSettings(settings, 'openai', 'local-model', { generation: { temperature: 0.1 } });
+            await chat.updateSettings(settings);
+
+            const chain = chat.getBackendChain();
+
+            expect(chain.map(backend => backend.generation)).toEqual([
+                { temperature: 0.7 },
+                { temperature: 0.7 },
+                { temperature: 0.1 }
+            ]);
+        });
+
+        it('should not fall back on request errors', async () => {
+            mockFetch(new Response(JSON.stringify({ error: { message: 'API key not valid' } }), { status: 400 }));
+
+            await expect(collect(chat.sendMessage('Hi'))).rejects.toThrow('API key not valid');
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(chat.messages[1].model).toBe('gemini-3-pro-preview');
+        });
+    });
+
+    describe('importConversations', () => {
+        it('should open the imported conversation and continue it with full history', async () => {
+            await chat.importConversations(JSON.stringify({
+                title: 'From elsewhere',
+                messages: [
+                    { role: 'system', content: 'Be brief' },
+                    { role: 'user', content: 'Hi' },
+                    { role: 'assistant', content: 'Hello!' }
+                ]
+            }));
+
+            expect(chat.conversation.title).toBe('From elsewhere');
+            expect(await ConversationStore.getActiveId()).toBe(chat.conversation.id);
+
+            mockFetch(createMockSSEResponse([geminiChunk('Sure')]));
+            await collect(chat.sendMessage('Continue'));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.contents.map(c => c.parts[0].text)).toEqual(['Hi', 'Hello!', 'Continue']);
+            expect((await ConversationStore.load(chat.conversation.id)).messages).toHaveLength(4);
+        });
+
+        it('should only import what fits without deleting older conversations', async () => {
+            for (let i = 0; i < MAX_CONVERSATIONS - 1; i++) {
+                await ConversationStore.save({ id: `old-${i}`, title: `Old ${i}`, messages: [{ id: `m${i}`, role: 'user', content: 'Hi' }] });
+            }
+            // ChatGPT's conversations.json
+            const conversations = ['One', 'Two', 'Three'].map(title => ({
+                title,
+                mapping: { a: { id: 'a', parent: null, children: [], message: { author: { role: 'user' }, content: { content_type: 'text', parts: [title] } } } }
+            }));
+
+            const { saved, skipped } = await chat.importConversations(JSON.stringify(conversations));
+
+            expect(saved.map(conversation => conversation.title)).toEqual(['One']);
+            expect(skipped).toBe(2);
+            expect(await ConversationStore.load('old-0')).not.toBeNull();
+            await expect(chat.importConversations(JSON.stringify(conversations))).rejects.toThrow('History is full');
+        });
+
+        it('should replace the saved copy when an export is imported again', async () => {
+            for (let i = 0; i < MAX_CONVERSATIONS - 1; i++) {
+                await ConversationStore.save({ id: `old-${i}`, title: `Old ${i}`, messages: [{ id: `m${i}`, role: 'user', content: 'Hi' }] });
+            }
+            const text = exportToJSON({ id: 'exported', title: 'Backup', backendType: 'gemini', model: 'm' },
+                [{ id: 'u1', parentId: null, role: 'user', content: 'Hi', timestamp: Date.UTC(2026, 0, 1) }]);
+
+            await chat.importConversations(text);
+            const { saved, skipped } = await chat.importConversations(text);
+
+            expect(saved.map(conversation => conversation.id)).toEqual(['exported']);
+            expect(skipped).toBe(0);
+            expect(await ConversationStore.list()).toHaveLength(MAX_CONVERSATIONS);
+        });
+
+        it('should reject unknown formats without changing the conversation', async () => {
+            chat.addMessage('user', 'Current');
+
+            await expect(chat.importConversations('{"foo": 1}')).rejects.toThrow('Unrecognized conversation format');
+            expect(chat.messages.map(m => m.content)).toEqual(['Current']);
+        });
+    });
+
+    describe('regenerate', () => {
+        beforeEach(async () => {
+            mockFetch(() => createMockSSEResponse([geminiChunk('Answer')]));
+            await collect(chat.sendMessage('Question'));
+        });
+
+        it('should replace the last answer and keep the old attempt', async () => {
+            const first = chat.messages[1];
+            mockFetch(createMockSSEResponse([geminiChunk('Better answer')]));
+
+            await collect(chat.regenerate(first.id));
+
+            expect(chat.messages.map(m => m.content)).toEqual(['Question', 'Better answer']);
+            expect(chat.tree.getBranchInfo(chat.messages[1].id)).toEqual({ index: 1, count: 2 });
+            expect(chat.tree.get(first.id).content).toBe('Answer');
+        });
+
+        it('should not send the old answer to the model', async () => {
+            fetch.mockClear();
+
+            await collect(chat.regenerate(chat.messages[1].id));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.contents).toHaveLength(1);
+            expect(body.contents[0].role).toBe('user');
+        });
+
+        it('should use a different model for that attempt only', async () => {
+            fetch.mockClear();
+
+            await collect(chat.regenerate(chat.messages[1].id, { model: 'gemini-2.5-flash' }));
+
+            expect(fetch.mock.calls[0][0]).toContain('/models/gemini-2.5-flash:');
+            expect(chat.messages[1].model).toBe('gemini-2.5-flash');
+            expect(chat.currentBackend.model).toBe(chat.settings.currentModel);
+        });
+
+        it('should reject regenerating user messages', async () => {
+            await expect(collect(chat.regenerate(chat.messages[0].id))).rejects.toThrow('Only assistant messages');
+        });
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from '@jest/globals';
+import { readGroundingSources, readGroundingSupports, getCitationMarkers } from '../../src/citations.js';
+import { markdownToHtmlWithInserts } from '../../src/utils.js';
+
+describe('citations', () => {
+    const sources = [
+        { title: 'Eiffel Tower', uri: 'https://en.wikipedia.org/wiki/Eiffel_Tower', domain: 'en.wikipedia.org' },
+        { title: 'paris.fr', uri: 'https://vertexaisearch.cloud.google.com/x', domain: 'paris.fr' }
+    ];
+
+    describe('readGroundingSources', () => {
+        it('should keep every chunk and find each domain', () => {
+            expect(readGroundingSources([
+                { web: { uri: 'https://www.en.wikipedia.org/wiki/Eiffel_Tower', title: 'Eiffel Tower' } },
+                { web: { uri: 'https://vertexaisearch.cloud.google.com/x', title: 'paris.fr' } },
+                { web: { uri: 'https://vertexaisearch.cloud.google.com/y', title: 'Guide', domain: 'guide.fr' } },
+                { retrievedContext: { uri: 'gs://bucket/doc.pdf', title: 'doc.pdf' } }
+            ])).toEqual([
+                { title: 'Eiffel Tower', uri: 'https://www.en.wikipedia.org/wiki/Eiffel_Tower', domain: 'en.wikipedia.org' },
+                { title: 'paris.fr', uri: 'https://vertexaisearch.cloud.google.com/x', domain: 'paris.fr' },
+                { title: 'Guide', uri: 'https://vertexaisearch.cloud.google.com/y', domain: 'guide.fr' },
+                { title: 'doc.pdf', uri: 'gs://bucket/doc.pdf', domain: 'doc.pdf' }
+            ]);
+        });
+    });
+
+    describe('readGroundingSupports', () => {
+        it('should turn byte offsets into character offsets', () => {
+            const text = 'Café crème. It is 330 m tall.';
+            const start = new TextEncoder().encode('Café crème. ').length;
+
+            expect(readGroundingSupports(text, [
+                { segment: { startIndex: start, endIndex: start + 17 }, groundingChunkIndices: [0] }
+            ])).toEqual([{ start: 12, end: 29, text: 'It is 330 m tall.', sources: [0] }]);
+        });
+
+        it('should merge supports of the same segment and sort them', () => {
+            const text = 'First. Second.';
+            const supports = [
+                { segment: { startIndex: 7, endIndex: 14, text: 'Second.' }, groundingChunkIndices: [1] },
+                { segment: { endIndex: 6, text: 'First.' }, groundingChunkIndices: [0, 1] },
+                { segment: { startIndex: 7, endIndex: 14, text: 'Second.' }, groundingChunkIndices: [1, 0] },
+                { segment: { startIndex: 0, endIndex: 6 }, groundingChunkIndices: [] }
+            ];
+
+            expect(readGroundingSupports(text, supports)).toEqual([
+                { start: 0, end: 6, text: 'First.', sources: [0, 1] },
+                { start: 7, end: 14, text: 'Second.', sources: [1, 0] }
+            ]);
+        });
+    });
+
+    describe('getCitationMarkers', () => {
+        it('should add numbered markers with previews after the cited segments', () => {
+            const text = 'It is **330 m** tall. It opened in 1889.';
+            const citations = [
+                { start: 0, end: 21, text: 'It is 330 m tall.', sources: [0] },
+                { start: 22, end: 40, text: 'It opened in 1889.', sources: [0, 1] }
+            ];
+
+            const container = document.createElement('div');
+            container.innerHTML = markdownToHtmlWithInserts(text, getCitationMarkers(citations, sources));
+
+            const markers = container.querySelectorAll('.citation');
+            expect(markers).toHaveLength(2);
+            expect(container.querySelector('strong').textContent).toBe('330 m');
+            expect(Array.from(markers[1].querySelectorAll('.citation-marker')).map(link => link.getAttribute('href')))
+                .toEqual([sources[0].uri, sources[1].uri]);
+            expect(markers[1].querySelectorAll('.citation-marker')[1].firstChild.textContent).toBe('2');
+            expect(markers[0].querySelector('.citation-preview-text').textContent).toBe('It is 330 m tall.');
+            expect(markers[0].previousSibling.textContent).toBe(' tall.');
+        });
+
+        it('should escape source titles and skip unknown sources', () => {
+            expect(getCitationMarkers([{ start: 0, end: 3, text: 'Hi.', sources: [5] }], sources)).toEqual([]);
+
+            const unsafe = [{ title: '<img src=x onerror=alert(1)>', uri: 'https://a.dev', domain: 'a.dev' }];
+            const container = document.createElement('div');
+            container.innerHTML = getCitationMarkers([{ start: 0, end: 3, text: 'Hi.', sources: [0] }], unsafe)[0].html;
+            expect(container.querySelector('img')).toBeNull();
+        });
+    });
+
+    describe('markdownToHtmlWithInserts', () => {
+        it('should keep block inserts out of the surrounding paragraphs', () => {
+            const container = document.createElement('div');
+            container.innerHTML = markdownToHtmlWithInserts('Before. After.', [
+                { offset: 7, html: '<div class="block">A</div>', block: true },
+                { offset: 7, html: '<sup>1</sup>' }
+            ]);
+
+            expect(Array.from(container.children).map(child => child.tagName)).toEqual(['P', 'DIV', 'P']);
+            expect(container.children[0].innerHTML).toBe('Before.');
+            expect(container.children[2].innerHTML).toBe('<sup>1</sup> After.');
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import { estimateTokens, estimateRequestTokens, fitMessages, getContextBudget } from '../../src/context.js';
+
+const format = message => (message.page ? message.page.content + message.content : message.content);
+
+function turn(role, length, extra = {}) {
+    return { role, content: 'x'.repeat(length), ...extra };
+}
+
+describe('context', () => {
+    describe('estimateTokens', () => {
+        it('should count about four ASCII characters per token', () => {
+            expect(estimateTokens('')).toBe(0);
+            expect(estimateTokens('abcdefgh')).toBe(2);
+            expect(estimateTokens('abcde')).toBe(2);
+        });
+
+        it('should count other characters one token each', () => {
+            expect(estimateTokens('你好世界')).toBe(4);
+        });
+
+        it('should add message overhead and images', () => {
+            expect(estimateRequestTokens([{ role: 'user', content: 'abcd' }], 'abcd', 1)).toBe(1 + 1 + 4 + 1000);
+        });
+    });
+
+    describe('getContextBudget', () => {
+        it('should keep room for the reply', () => {
+            expect(getContextBudget(128000)).toBe(128000 - 4096);
+            expect(getContextBudget(4096)).toBe(3072);
+            expect(getContextBudget(200000, 64000)).toBe(136000);
+        });
+
+        it('should never reserve more than half the window', () => {
+            expect(getContextBudget(8192, 8192)).toBe(4096);
+        });
+
+        it('should be unknown without a context window', () => {
+            expect(getContextBudget(null)).toBeNull();
+        });
+    });
+
+    describe('fitMessages', () => {
+        // 100 tokens of content plus 4 of overhead each
+        const history = [
+            turn('user', 400, { page: { content: 'p'.repeat(800) } }),
+            turn('assistant', 400),
+            turn('user', 400, { page: { content: 'p'.repeat(800) } }),
+            turn('assistant', 400),
+            turn('user', 400, { page: { content: 'p'.repeat(800) } })
+        ];
+
+        it('should leave everything in when it fits', () => {
+            const result = fitMessages(history, { budget: 10000, strategy: 'window', format });
+
+            expect(result.messages).toHaveLength(5);
+            expect(result.droppedMessages).toBe(0);
+            expect(result.tokens).toBe(5 * 104 + 3 * 200);
+        });
+
+        it('should drop the page context of older messages first', () => {
+            const result = fitMessages(history, { budget: 900, strategy: 'pages', format });
+
+            expect(result.droppedPages).toBe(2);
+            expect(result.droppedMessages).toBe(0);
+            expect(result.messages.map(message => Boolean(message.page))).toEqual([false, false, false, false, true]);
+            // The stored messages are left untouched
+            expect(history[0].page).toBeDefined();
+        });
+
+        it('should drop the oldest turns and start with a user turn', () => {
+            const result = fitMessages(history, { budget: 750, strategy: 'window', format });
+
+            expect(result.droppedMessages).toBe(2);
+            expect(result.messages[0]).toBe(history[2]);
+            expect(result.tokens).toBeLessThanOrEqual(750);
+        });
+
+        it('should count reserved tokens and always keep the last message', () => {
+            const result = fitMessages(history, { budget: 100, reservedTokens: 50, strategy: 'pages', format });
+
+            expect(result.messages).toEqual([history[4]]);
+            expect(result.tokens).toBe(50 + 304);
+        });
+
+        it('should send everything with the none strategy or an unknown budget', () => {
+            expect(fitMessages(history, { budget: 100, strategy: 'none', format }).messages).toHaveLength(5);
+            expect(fitMessages(history, { budget: null, strategy: 'window', format }).messages).toHaveLength(5);
+        });
+    });
+});
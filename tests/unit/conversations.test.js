@@ -0,0 +1,266 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { ConversationStore, MAX_CONVERSATIONS, groupConversationsByDate } from '../../src/conversations.js';
+
+function createConversation(id, overrides = {}) {
+    return {
+        id,
+        title: '',
+        backendType: 'gemini',
+        model: 'gemini-2.5-flash',
+        createdAt: 1000,
+        updatedAt: 1000,
+        messages: [
+            { id: `${id}-1`, role: 'user', content: `Question ${id}`, timestamp: 1000 },
+            { id: `${id}-2`, role: 'assistant', content: `Answer ${id}`, timestamp: 1001 }
+        ],
+        ...overrides
+    };
+}
+
+describe('ConversationStore', () => {
+    beforeEach(() => {
+        global.resetChromeMocks();
+    });
+
+    describe('deriveTitle', () => {
+        it('should use the first user message', () => {
+            const title = ConversationStore.deriveTitle([
+                { role: 'user', content: 'How do I fix\nthe build?' },
+                { role: 'assistant', content: 'Try this' }
+            ]);
+
+            expect(title).toBe('How do I fix the build?');
+        });
+
+        it('should truncate long messages', () => {
+            const title = ConversationStore.deriveTitle([{ role: 'user', content: 'a'.repeat(200) }]);
+
+            expect(title.length).toBe(60);
+            expect(title.endsWith('…')).toBe(true);
+        });
+
+        it('should fall back when there is no user message', () => {
+            expect(ConversationStore.deriveTitle([])).toBe('New chat');
+        });
+    });
+
+    describe('save and load', () => {
+        it('should round-trip a conversation', async () => {
+            await ConversationStore.save(createConversation('a'));
+
+            const loaded = await ConversationStore.load('a');
+
+            expect(loaded.messages).toHaveLength(2);
+            expect(loaded.title).toBe('Question a');
+        });
+
+        it('should keep an explicit title', async () => {
+            await ConversationStore.save(createConversation('a', { title: 'Build errors' }));
+
+            const loaded = await ConversationStore.load('a');
+
+            expect(loaded.title).toBe('Build errors');
+        });
+
+        it('should return null for unknown ids', async () => {
+            expect(await ConversationStore.load('missing')).toBeNull();
+            expect(await ConversationStore.load(null)).toBeNull();
+        });
+
+        it('should list conversations newest first without messages', async () => {
+            await ConversationStore.save(createConversation('old', { updatedAt: 1000 }));
+            await ConversationStore.save(createConversation('new', { updatedAt: 2000 }));
+
+            const list = await ConversationStore.list();
+
+            expect(list.map(c => c.id)).toEqual(['new', 'old']);
+            expect(list[0].messages).toBeUndefined();
+            expect(list[0].messageCount).toBe(2);
+        });
+
+        it('should update an existing index entry instead of duplicating it', async () => {
+            await ConversationStore.save(createConversation('a', { updatedAt: 1000 }));
+            await ConversationStore.save(createConversation('a', { updatedAt: 2000 }));
+
+            const list = await ConversationStore.list();
+
+            expect(list).toHaveLength(1);
+            expect(list[0].updatedAt).toBe(2000);
+        });
+    });
+
+    describe('pruning', () => {
+        it('should drop the oldest conversations beyond the limit', async () => {
+            const index = Array.from({ length: MAX_CONVERSATIONS }, (_, i) => ({
+                id: `c${i}`,
+                updatedAt: i + 1
+            }));
+            global.setMockStorage({ conversationIndex: index, 'conversation:c0': createConversation('c0') });
+
+            await ConversationStore.save(createConversation('latest', { updatedAt: 5000 }));
+
+            const list = await ConversationStore.list();
+            expect(list).toHaveLength(MAX_CONVERSATIONS);
+            expect(list.find(c => c.id === 'c0')).toBeUndefined();
+            expect(await ConversationStore.load('c0')).toBeNull();
+        });
+
+        it('should remove old conversations when the quota is exceeded', async () => {
+            await ConversationStore.save(createConversation('old', { updatedAt: 1000 }));
+
+            const originalSet = chrome.storage.local.set.getMockImplementation();
+            let failures = 1;
+            chrome.storage.local.set.mockImplementation((items, callback) => {
+                if (failures > 0) {
+                    failures--;
+                    chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+                    callback();
+                    chrome.runtime.lastError = null;
+                    return;
+                }
+                originalSet(items, callback);
+            });
+
+            await ConversationStore.save(createConversation('new', { updatedAt: 2000 }));
+            chrome.storage.local.set.mockImplementation(originalSet);
+
+            const list = await ConversationStore.list();
+            expect(list.map(c => c.id)).toEqual(['new']);
+            expect(await ConversationStore.load('old')).toBeNull();
+        });
+
+        it('should strip image data from messages', () => {
+            const conversation = createConversation('a');
+            conversation.messages[0].images = [{ name: 'a.png', type: 'image/png', data: 'data:image/png;base64,AAA' }];
+
+            const stripped = ConversationStore.stripImages(conversation);
+
+            expect(stripped.messages[0].images).toEqual([{ name: 'a.png', type: 'image/png' }]);
+            expect(conversation.messages[0].images[0].data).toBeDefined();
+        });
+
+        it('should strip the data of generated media', () => {
+            const conversation = createConversation('a');
+            conversation.messages[0].media = [{ name: 'generated-1.png', type: 'image/png', data: 'data:image/png;base64,AAA', offset: 4 }];
+
+            expect(ConversationStore.stripImages(conversation).messages[0].media)
+                .toEqual([{ name: 'generated-1.png', type: 'image/png', offset: 4 }]);
+        });
+    });
+
+    describe('search', () => {
+        beforeEach(async () => {
+            await ConversationStore.save(createConversation('build', {
+                updatedAt: 2000,
+                messages: [
+                    { id: 'b1', role: 'user', content: 'Why does the build fail?' },
+                    { id: 'b2', role: 'assistant', content: 'The webpack config is missing a loader for SVG files.' }
+                ]
+            }));
+            await ConversationStore.save(createConversation('recipe', {
+                updatedAt: 1000,
+                messages: [{ id: 'r1', role: 'user', content: 'Give me a pasta recipe' }]
+            }));
+        });
+
+        it('should match message content case-insensitively', async () => {
+            const results = await ConversationStore.search('WEBPACK');
+
+            expect(results.map(r => r.id)).toEqual(['build']);
+            expect(results[0].snippet).toContain('webpack config');
+        });
+
+        it('should require every term to match', async () => {
+            expect(await ConversationStore.search('build loader')).toHaveLength(1);
+            expect(await ConversationStore.search('build pasta')).toHaveLength(0);
+        });
+
+        it('should match titles', async () => {
+            await ConversationStore.rename('recipe', 'Dinner ideas');
+
+            const results = await ConversationStore.search('dinner');
+
+            expect(results.map(r => r.id)).toEqual(['recipe']);
+        });
+
+        it('should return all conversations for an empty query', async () => {
+            expect(await ConversationStore.search('  ')).toHaveLength(2);
+        });
+    });
+
+    describe('rename', () => {
+        it('should update the title without changing the order', async () => {
+            await ConversationStore.save(createConversation('a', { updatedAt: 1000 }));
+            await ConversationStore.save(createConversation('b', { updatedAt: 2000 }));
+
+            await ConversationStore.rename('a', 'Renamed');
+
+            const list = await ConversationStore.list();
+            expect(list.map(c => c.id)).toEqual(['b', 'a']);
+            expect(list[1].title).toBe('Renamed');
+        });
+
+        it('should fall back to the derived title when blank', async () => {
+            await ConversationStore.save(createConversation('a', { title: 'Custom' }));
+
+            const renamed = await ConversationStore.rename('a', '   ');
+
+            expect(renamed.title).toBe('Question a');
+        });
+    });
+
+    describe('remove', () => {
+        it('should delete the conversation and its index entry', async () => {
+            await ConversationStore.save(createConversation('a'));
+            await ConversationStore.save(createConversation('b'));
+
+            await ConversationStore.remove('a');
+
+            expect(await ConversationStore.load('a')).toBeNull();
+            expect((await ConversationStore.list()).map(c => c.id)).toEqual(['b']);
+        });
+
+        it('should clear the active id when removing the active conversation', async () => {
+            await ConversationStore.save(createConversation('a'));
+            await ConversationStore.setActiveId('a');
+
+            await ConversationStore.remove('a');
+
+            expect(await ConversationStore.getActiveId()).toBeNull();
+        });
+    });
+
+    describe('groupConversationsByDate', () => {
+        it('should bucket conversations by age', () => {
+            const now = new Date(2026, 9, 15, 12, 0, 0).getTime();
+            const day = 24 * 60 * 60 * 1000;
+            const entries = [
+                { id: 'today', updatedAt: now - 60 * 1000 },
+                { id: 'yesterday', updatedAt: now - day },
+                { id: 'week', updatedAt: now - 4 * day },
+                { id: 'month', updatedAt: now - 20 * day },
+                { id: 'older', updatedAt: new Date(2026, 2, 3).getTime() }
+            ];
+
+            const groups = groupConversationsByDate(entries, now);
+
+            expect(groups.map(g => g.conversations.map(c => c.id))).toEqual([
+                ['today'], ['yesterday'], ['week'], ['month'], ['older']
+            ]);
+            expect(groups.slice(0, 4).map(g => g.label)).toEqual([
+                'Today', 'Yesterday', 'Previous 7 days', 'Previous 30 days'
+            ]);
+        });
+    });
+
+    describe('active conversation', () => {
+        it('should remember the active conversation id', async () => {
+            expect(await ConversationStore.getActiveId()).toBeNull();
+
+            await ConversationStore.setActiveId('abc');
+
+            expect(await ConversationStore.getActiveId()).toBe('abc');
+            expect(chrome.storage.local.set).toHaveBeenCalled();
+        });
+    });
+});
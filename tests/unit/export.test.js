@@ -0,0 +1,267 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    exportToJSON,
+    exportToMarkdown,
+    exportToHTML,
+    getExportFilename,
+    EXPORT_FORMAT,
+    EXPORT_VERSION
+} from '../../src/export.js';
+
+const conversation = {
+    id: 'conv1',
+    title: 'Build errors',
+    backendType: 'gemini',
+    model: 'gemini-2.5-flash',
+    createdAt: Date.UTC(2026, 9, 15, 10, 0, 0),
+    updatedAt: Date.UTC(2026, 9, 15, 10, 5, 0)
+};
+
+const messages = [
+    {
+        id: 'u1',
+        parentId: null,
+        role: 'user',
+        content: 'Why does the build fail?',
+        timestamp: Date.UTC(2026, 9, 15, 10, 0, 0),
+        page: { title: 'CI log', url: 'https://ci.example.com/1', content: 'error: missing loader' }
+    },
+    {
+        id: 'a1',
+        parentId: 'u1',
+        role: 'assistant',
+        content: 'Add an **SVG loader** to the config.',
+        timestamp: Date.UTC(2026, 9, 15, 10, 1, 0),
+        thinking: 'The log mentions SVG files.',
+        model: 'gemini-2.5-flash',
+        searchResults: '<style>.chip { color: blue; }</style><a class="chip" href="https://www.google.com/search?q=webpack+svg">webpack svg</a>',
+        sources: [{ title: 'Webpack docs', uri: 'https://webpack.js.org/loaders/' }]
+    }
+];
+
+const toolMessage = {
+    id: 'a2',
+    parentId: 'u1',
+    role: 'assistant',
+    content: 'It has no SVG rule.',
+    timestamp: Date.UTC(2026, 9, 15, 10, 2, 0),
+    steps: [{
+        text: 'Let me check the config.',
+        toolCalls: [
+            { id: 'call_0', name: 'read_tab', arguments: { tabId: 3 }, result: 'module: { rules: [] } ```' },
+            { id: 'call_1', name: 'open_url', arguments: { url: 'https://webpack.js.org' }, error: 'The user declined this tool call' }
+        ]
+    }]
+};
+
+const citedMessage = {
+    id: 'a3',
+    parentId: 'u1',
+    role: 'assistant',
+    content: 'Webpack 5 ships asset modules. They replace file-loader.',
+    timestamp: Date.UTC(2026, 9, 15, 10, 3, 0),
+    sources: [
+        { title: 'Asset Modules', uri: 'https://webpack.js.org/guides/asset-modules/', domain: 'webpack.js.org' },
+        { title: 'github.com', uri: 'https://github.com/webpack/webpack', domain: 'github.com' }
+    ],
+    citations: [
+        { start: 0, end: 30, text: 'Webpack 5 ships asset modules.', sources: [0, 1] },
+        { start: 31, end: 56, text: 'They replace file-loader.', sources: [0] }
+    ]
+};
+
+const codeMessage = {
+    id: 'a4',
+    parentId: 'u1',
+    role: 'assistant',
+    content: 'Counting the rules:The config has 0 rules.',
+    timestamp: Date.UTC(2026, 9, 15, 10, 4, 0),
+    codeRuns: [{ language: 'PYTHON', code: 'print(len([]))', outcome: 'ok', output: '0\n', offset: 19 }],
+    urlContext: [
+        { url: 'https://webpack.js.org/configuration/', status: 'success' },
+        { url: 'https://example.com/private', status: 'url_retrieval_status_error' }
+    ]
+};
+
+const mediaMessage = {
+    id: 'a5',
+    parentId: 'u1',
+    role: 'assistant',
+    content: 'Here is the diagram:',
+    timestamp: Date.UTC(2026, 9, 15, 10, 5, 0),
+    media: [
+        { name: 'generated-1.png', type: 'image/png', data: 'data:image/png;base64,AAA', offset: 20 },
+        { name: 'generated-2.mp4', type: 'video/mp4', uri: 'https://cdn.example.com/clip.mp4', offset: 20 },
+        { name: 'generated-3.png', type: 'image/png', offset: 20 }
+    ]
+};
+
+describe('export', () => {
+    describe('exportToJSON', () => {
+        it('should include format metadata and the full tree', () => {
+            const alternative = { id: 'a1b', parentId: 'u1', role: 'assistant', content: 'Other', timestamp: 1 };
+            const data = JSON.parse(exportToJSON(conversation, [...messages, alternative], { root: 'u1', u1: 'a1' }));
+
+            expect(data.format).toBe(EXPORT_FORMAT);
+            expect(data.version).toBe(EXPORT_VERSION);
+            expect(data.conversation.title).toBe('Build errors');
+            expect(data.conversation.activeChildren).toEqual({ root: 'u1', u1: 'a1' });
+            expect(data.messages.map(m => m.id)).toEqual(['u1', 'a1', 'a1b']);
+        });
+
+        it('should write ISO timestamps and keep page context', () => {
+            const data = JSON.parse(exportToJSON(conversation, messages));
+
+            expect(data.conversation.createdAt).toBe('2026-10-15T10:00:00.000Z');
+            expect(data.messages[0].timestamp).toBe('2026-10-15T10:00:00.000Z');
+            expect(data.messages[0].page.content).toBe('error: missing loader');
+            expect(data.messages[1].thinking).toBe('The log mentions SVG files.');
+        });
+    });
+
+    describe('exportToMarkdown', () => {
+        it('should render roles, page context, thinking and sources', () => {
+            const markdown = exportToMarkdown(conversation, messages);
+
+            expect(markdown.startsWith('# Build errors\n')).toBe(true);
+            expect(markdown).toContain('## 🧑 User');
+            expect(markdown).toContain('> 📄 [CI log](https://ci.example.com/1)');
+            expect(markdown).toContain('<summary>Thinking</summary>');
+            expect(markdown).toContain('Add an **SVG loader** to the config.');
+            expect(markdown).toContain('1. [Webpack docs](https://webpack.js.org/loaders/)');
+        });
+
+        it('should list the search suggestions', () => {
+            const markdown = exportToMarkdown(conversation, messages);
+
+            expect(markdown).toContain('- [webpack svg](https://www.google.com/search?q=webpack+svg)');
+            expect(markdown).not.toContain('<style>');
+        });
+
+        it('should include tool calls with their arguments and results', () => {
+            const markdown = exportToMarkdown(conversation, [messages[0], toolMessage]);
+
+            expect(markdown).toContain('Let me check the config.');
+            expect(markdown).toContain('<summary>🔧 read_tab</summary>');
+            expect(markdown).toContain('```json\n{\n  "tabId": 3\n}\n```');
+            expect(markdown).toContain('````\nmodule: { rules: [] } ```\n````');
+            expect(markdown).toContain('<summary>🔧 open_url · ⚠ Failed</summary>');
+            expect(markdown).toContain('The user declined this tool call');
+        });
+
+        it('should link citations to their sources', () => {
+            const markdown = exportToMarkdown(conversation, [messages[0], citedMessage]);
+
+            expect(markdown).toContain('Webpack 5 ships asset modules.'
+                + '[[1]](https://webpack.js.org/guides/asset-modules/)[[2]](https://github.com/webpack/webpack) '
+                + 'They replace file-loader.[[1]](https://webpack.js.org/guides/asset-modules/)');
+            expect(markdown).toContain('1. [Asset Modules](https://webpack.js.org/guides/asset-modules/) · webpack.js.org');
+            expect(markdown).toContain('2. [github.com](https://github.com/webpack/webpack)\n');
+        });
+
+        it('should include code runs where they ran and the pages read', () => {
+            const markdown = exportToMarkdown(conversation, [messages[0], codeMessage]);
+
+            expect(markdown).toContain('Counting the rules:\n\n**▶ Ran PYTHON**\n\n```python\nprint(len([]))\n```'
+                + '\n\n**✓ Output**\n\n```\n0\n```\n\nThe config has 0 rules.');
+            expect(markdown).toContain('- ✓ https://webpack.js.org/configuration/');
+            expect(markdown).toContain('- ⚠ https://example.com/private (not read: url retrieval status error)');
+        });
+
+        it('should include generated media where it came in', () => {
+            const markdown = exportToMarkdown(conversation, [messages[0], mediaMessage]);
+
+            expect(markdown).toContain('Here is the diagram:\n\n![generated-1.png](data:image/png;base64,AAA)\n\n'
+                + '\n\n[📎 generated-2.mp4](https://cdn.example.com/clip.mp4)\n\n'
+                + '\n\n_🖼️ generated-3.png is no longer stored_');
+        });
+
+        it('should show failed responses as errors', () => {
+            const markdown = exportToMarkdown(conversation, [
+                messages[0],
+                { id: 'a1', role: 'assistant', content: '', error: 'API Error: 500' }
+            ]);
+
+            expect(markdown).toContain('> ⚠️ Error: API Error: 500');
+        });
+    });
+
+    describe('exportToHTML', () => {
+        it('should produce a standalone document with inlined styles', () => {
+            const html = exportToHTML(conversation, messages, { styles: '.message { color: red; }', theme: 'dark' });
+
+            expect(html).toContain('<!DOCTYPE html>');
+            expect(html).toContain('data-theme="dark"');
+            expect(html).toContain('.message { color: red; }');
+            expect(html).toContain('<title>Build errors</title>');
+            expect(html).toContain('<strong>SVG loader</strong>');
+            expect(html).toContain('href="https://webpack.js.org/loaders/"');
+        });
+
+        it('should not let message HTML run scripts', () => {
+            const html = exportToHTML(conversation, messages);
+
+            expect(html).toMatch(/<head>\s*<meta charset="UTF-8">\s*<meta http-equiv="Content-Security-Policy" content="script-src 'none'; object-src 'none'">/);
+        });
+
+        it('should include tool calls as expandable steps', () => {
+            const container = document.createElement('div');
+            container.innerHTML = exportToHTML(conversation, [messages[0], toolMessage]).match(/<main[^>]*>([\s\S]*)<\/main>/)[1];
+
+            const calls = container.querySelectorAll('.tool-steps .tool-call');
+            expect(Array.from(calls).map(call => call.querySelector('.tool-call-name').textContent)).toEqual(['🔧 read_tab', '🔧 open_url']);
+            expect(calls[0].querySelector('.tool-call-result').textContent).toBe('module: { rules: [] } ```');
+            expect(calls[1].classList.contains('failed')).toBe(true);
+            expect(container.querySelector('.tool-step-text').textContent).toContain('Let me check the config.');
+        });
+
+        it('should mark citations and list their sources', () => {
+            const container = document.createElement('div');
+            container.innerHTML = exportToHTML(conversation, [messages[0], citedMessage]).match(/<main[^>]*>([\s\S]*)<\/main>/)[1];
+
+            const markers = container.querySelectorAll('.response-content .citation-marker');
+            expect(Array.from(markers).map(marker => marker.firstChild.textContent)).toEqual(['1', '2', '1']);
+            expect(markers[1].getAttribute('href')).toBe('https://github.com/webpack/webpack');
+            expect(container.querySelector('.citation-sources li').textContent).toBe('Asset Modules webpack.js.org');
+        });
+
+        it('should include code runs and the pages read', () => {
+            const container = document.createElement('div');
+            container.innerHTML = exportToHTML(conversation, [messages[0], codeMessage]).match(/<main[^>]*>([\s\S]*)<\/main>/)[1];
+
+            const run = container.querySelector('.response-content .code-run');
+            expect(run.previousElementSibling.textContent).toBe('Counting the rules:');
+            expect(run.querySelector('code').textContent).toBe('print(len([]))');
+            expect(run.querySelector('.code-run-output').textContent).toBe('0\n');
+            const pages = container.querySelectorAll('.url-context li');
+            expect(Array.from(pages).map(page => page.classList.contains('failed'))).toEqual([false, true]);
+            expect(pages[1].title).toBe('Not read: url retrieval status error');
+        });
+
+        it('should include generated media with download links', () => {
+            const container = document.createElement('div');
+            container.innerHTML = exportToHTML(conversation, [messages[0], mediaMessage]).match(/<main[^>]*>([\s\S]*)<\/main>/)[1];
+
+            const items = container.querySelectorAll('.response-content .media-item');
+            expect(items).toHaveLength(3);
+            expect(items[0].querySelector('img').getAttribute('src')).toBe('data:image/png;base64,AAA');
+            expect(items[1].querySelector('video').getAttribute('src')).toBe('https://cdn.example.com/clip.mp4');
+            expect(items[1].querySelector('.media-action').getAttribute('download')).toBe('generated-2.mp4');
+            expect(items[2].querySelector('.media-missing')).not.toBeNull();
+            expect(items[2].querySelector('.media-action')).toBeNull();
+        });
+
+        it('should escape user-controlled text', () => {
+            const html = exportToHTML({ ...conversation, title: '<script>alert(1)</script>' }, []);
+
+            expect(html).not.toContain('<script>alert(1)</script>');
+            expect(html).toContain('&lt;script&gt;');
+        });
+    });
+
+    describe('getExportFilename', () => {
+        it('should build a safe file name from the title and date', () => {
+            expect(getExportFilename({ ...conversation, title: 'a/b: c?' }, 'md')).toBe('ab-c-2026-10-15.md');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseImport, detectImportFormat } from '../../src/import.js';
+import { exportToJSON } from '../../src/export.js';
+import { MessageTree } from '../../src/message-tree.js';
+
+function chatGPTNode(id, parent, children, role, text, extra = {}) {
+    return {
+        id,
+        parent,
+        children,
+        message: role ? {
+            id,
+            author: { role },
+            create_time: 1760520000,
+            content: { content_type: 'text', parts: [text] },
+            metadata: {},
+            ...extra
+        } : null
+    };
+}
+
+describe('import', () => {
+    describe('detectImportFormat', () => {
+        it('should recognize supported formats', () => {
+            expect(detectImportFormat({ format: 'chrome-gemini-conversation', version: 1 })).toBe('extension');
+            expect(detectImportFormat([{ role: 'user', content: 'Hi' }])).toBe('openai');
+            expect(detectImportFormat({ messages: [{ role: 'user', content: 'Hi' }] })).toBe('openai');
+            expect(detectImportFormat([{ title: 'A', mapping: {} }])).toBe('chatgpt');
+        });
+
+        it('should reject unknown data', () => {
+            expect(() => detectImportFormat({ foo: 1 })).toThrow('Unrecognized conversation format');
+            expect(() => detectImportFormat([])).toThrow('Unrecognized conversation format');
+        });
+    });
+
+    describe('parseImport', () => {
+        it('should reject invalid JSON', () => {
+            expect(() => parseImport('not json')).toThrow('not valid JSON');
+        });
+
+        it('should round-trip the extension export with all branches', () => {
+            const tree = new MessageTree();
+            tree.add({ id: 'u1', role: 'user', content: 'Q', timestamp: Date.UTC(2026, 0, 1) }, null);
+            tree.add({ id: 'a1', role: 'assistant', content: 'A', timestamp: Date.UTC(2026, 0, 1, 0, 1) }, 'u1');
+            tree.add({ id: 'a2', role: 'assistant', content: 'B', timestamp: Date.UTC(2026, 0, 1, 0, 2) }, 'u1');
+            tree.select('a1');
+            const { messages, activeChildren } = tree.toJSON();
+            const text = exportToJSON({ id: 'old', title: 'Saved', backendType: 'gemini', model: 'm', createdAt: 1, updatedAt: 2 },
+                messages, activeChildren);
+
+            const { format, conversations: [conversation] } = parseImport(text);
+            const restored = MessageTree.fromJSON(conversation.messages, conversation.activeChildren);
+
+            expect(format).toBe('extension');
+            expect(conversation.id).toBe('old');
+            expect(conversation.title).toBe('Saved');
+            expect(conversation.messages[0].timestamp).toBe(Date.UTC(2026, 0, 1));
+            expect(restored.getPath().map(m => m.content)).toEqual(['Q', 'A']);
+            expect(restored.getBranchInfo('a2').count).toBe(2);
+        });
+
+        it('should reject newer export versions', () => {
+            const text = JSON.stringify({ format: 'chrome-gemini-conversation', version: 99, messages: [] });
+
+            expect(() => parseImport(text)).toThrow('Unsupported export version');
+        });
+
+        it('should import OpenAI messages and drop system turns', () => {
+            const { conversations: [conversation] } = parseImport(JSON.stringify([
+                { role: 'system', content: 'You are helpful' },
+                { role: 'user', content: [
+                    { type: 'text', text: 'What is this?' },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAA' } }
+                ] },
+                { role: 'assistant', content: 'A cat.' },
+                { role: 'tool', content: '{}' }
+            ]));
+
+            expect(conversation.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+            expect(conversation.messages[0].content).toBe('What is this?');
+            expect(conversation.messages[0].images).toEqual([
+                { name: 'image-1', type: 'image/png', data: 'data:image/png;base64,AAA' }
+            ]);
+            expect(conversation.messages[1].parentId).toBe(conversation.messages[0].id);
+        });
+
+        it('should import every conversation from ChatGPT conversations.json', () => {
+            const data = [
+                {
+                    title: 'Trip planning',
+                    create_time: 1760520000,
+                    update_time: 1760523600.5,
+                    current_node: 'a1b',
+                    mapping: {
+                        root: chatGPTNode('root', null, ['sys'], null),
+                        sys: chatGPTNode('sys', 'root', ['u1'], 'system', '', {
+                            metadata: { is_visually_hidden_from_conversation: true }
+                        }),
+                        u1: chatGPTNode('u1', 'sys', ['a1', 'a1b'], 'user', 'Plan a trip'),
+                        a1: chatGPTNode('a1', 'u1', [], 'assistant', 'Go to Rome'),
+                        a1b: chatGPTNode('a1b', 'u1', ['t1'], 'assistant', 'Go to Paris', {
+                            metadata: { model_slug: 'gpt-4o' }
+                        }),
+                        t1: chatGPTNode('t1', 'a1b', ['a2'], 'tool', 'search results'),
+                        a2: chatGPTNode('a2', 't1', [], 'assistant', 'It is sunny there.')
+                    }
+                },
+                {
+                    title: 'Second',
+                    mapping: { x: chatGPTNode('x', null, [], 'user', 'Hello') }
+                }
+            ];
+
+            const { format, conversations } = parseImport(JSON.stringify(data));
+            const [trip] = conversations;
+            const tree = MessageTree.fromJSON(trip.messages, trip.activeChildren);
+
+            expect(format).toBe('chatgpt');
+            expect(conversations).toHaveLength(2);
+            expect(trip.title).toBe('Trip planning');
+            expect(trip.updatedAt).toBe(1760523600500);
+            expect(tree.getPath().map(m => m.content)).toEqual(['Plan a trip', 'Go to Paris\n\nIt is sunny there.']);
+            expect(tree.getPath()[1].model).toBe('gpt-4o');
+            expect(tree.getBranchInfo(tree.getPath()[1].id)).toEqual({ index: 1, count: 2 });
+        });
+
+        it('should fail when nothing can be imported', () => {
+            expect(() => parseImport(JSON.stringify([{ role: 'system', content: 'Only a prompt' }])))
+                .toThrow('No messages found to import');
+        });
+    });
+});
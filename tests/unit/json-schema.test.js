@@ -0,0 +1,120 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    SCHEMA_PRESETS,
+    parseSchema,
+    getSchemaName,
+    validateJson,
+    parseJsonResponse,
+    checkJsonResponse,
+    toGeminiSchema
+} from '../../src/json-schema.js';
+
+describe('json-schema', () => {
+    describe('parseSchema', () => {
+        it('should parse schema objects', () => {
+            expect(parseSchema('{"type": "string"}')).toEqual({ type: 'string' });
+        });
+
+        it('should explain what is wrong with other input', () => {
+            expect(() => parseSchema('{type: string}')).toThrow(/^Schema is not valid JSON/);
+            expect(() => parseSchema('"string"')).toThrow('Schema must be a JSON object');
+            expect(() => parseSchema('{"title": "x"}')).toThrow('Schema needs a type or properties');
+        });
+
+        it('should reject patterns that do not compile', () => {
+            const schema = { type: 'object', properties: { code: { type: 'string', pattern: '[a-z' } } };
+
+            expect(() => parseSchema(JSON.stringify(schema))).toThrow(/^Schema has an invalid pattern: /);
+            expect(parseSchema('{"type": "object", "properties": {"pattern": {"type": "string"}}}')).toBeDefined();
+        });
+
+        it('should accept every preset', () => {
+            for (const preset of SCHEMA_PRESETS) {
+                expect(parseSchema(JSON.stringify(preset.schema))).toEqual(preset.schema);
+            }
+        });
+    });
+
+    describe('getSchemaName', () => {
+        it('should turn the title into a provider-safe name', () => {
+            expect(getSchemaName({ title: 'Product list (v2)' })).toBe('Product_list_v2_');
+            expect(getSchemaName({ type: 'object' })).toBe('response');
+        });
+    });
+
+    describe('validateJson', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                age: { type: 'integer', minimum: 0 },
+                score: { type: 'number', maximum: 1 },
+                tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] }, maxItems: 2 },
+                note: { type: ['string', 'null'] }
+            },
+            required: ['name', 'age'],
+            additionalProperties: false
+        };
+
+        it('should accept matching values', () => {
+            expect(validateJson({ name: 'Ada', age: 36, score: 1, tags: ['a'], note: null }, schema)).toEqual([]);
+        });
+
+        it('should report every problem with its path', () => {
+            const errors = validateJson({ name: '', age: 1.5, score: 2, tags: ['a', 'c', 'b'], extra: true }, schema);
+
+            expect(errors).toEqual([
+                '$.name: must be at least 1 characters',
+                '$.age: expected integer, got number',
+                '$.score: must be at most 1',
+                '$.tags: must have at most 2 items',
+                '$.tags[1]: must be one of "a", "b"',
+                '$: unexpected "extra"'
+            ]);
+            expect(validateJson({}, schema)).toEqual(['$: missing "name"', '$: missing "age"']);
+        });
+
+        it('should match any of the alternatives', () => {
+            const alternatives = { anyOf: [{ type: 'string' }, { type: 'number' }] };
+
+            expect(validateJson(3, alternatives)).toEqual([]);
+            expect(validateJson(true, alternatives)).toEqual(['$: does not match any allowed schema']);
+        });
+    });
+
+    describe('parseJsonResponse', () => {
+        it('should parse replies with or without a code fence', () => {
+            expect(parseJsonResponse('{"a": 1}')).toEqual({ a: 1 });
+            expect(parseJsonResponse('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        });
+    });
+
+    describe('checkJsonResponse', () => {
+        it('should report replies that are not JSON', () => {
+            expect(checkJsonResponse('Sure! Here it is', { type: 'object' })[0]).toMatch(/^Not valid JSON/);
+            expect(checkJsonResponse('{}', { type: 'object' })).toEqual([]);
+        });
+    });
+
+    describe('toGeminiSchema', () => {
+        it('should keep supported keywords and upper-case types', () => {
+            const schema = {
+                $schema: 'http://json-schema.org/draft-07/schema#',
+                type: 'object',
+                properties: {
+                    items: { type: 'array', items: { type: 'integer' }, uniqueItems: true },
+                    choice: { oneOf: [{ type: 'string', pattern: '^x' }, { type: 'null' }] }
+                },
+                additionalProperties: false
+            };
+
+            expect(toGeminiSchema(schema)).toEqual({
+                type: 'OBJECT',
+                properties: {
+                    items: { type: 'ARRAY', items: { type: 'INTEGER' } },
+                    choice: { anyOf: [{ type: 'STRING' }, { type: 'NULL' }] }
+                }
+            });
+        });
+    });
+});
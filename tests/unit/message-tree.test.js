@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { MessageTree } from '../../src/message-tree.js';
+
+describe('MessageTree', () => {
+    let tree;
+
+    beforeEach(() => {
+        tree = new MessageTree();
+        tree.add({ id: 'u1', role: 'user', content: 'Hello' }, null);
+        tree.add({ id: 'a1', role: 'assistant', content: 'Hi' }, 'u1');
+        tree.add({ id: 'u2', role: 'user', content: 'Question' }, 'a1');
+        tree.add({ id: 'a2', role: 'assistant', content: 'Answer' }, 'u2');
+    });
+
+    describe('getPath', () => {
+        it('should follow the active branch', () => {
+            expect(tree.getPath().map(m => m.id)).toEqual(['u1', 'a1', 'u2', 'a2']);
+            expect(tree.getLeaf().id).toBe('a2');
+        });
+
+        it('should switch to a newly added sibling', () => {
+            tree.add({ id: 'u2b', role: 'user', content: 'Edited question' }, 'a1');
+
+            expect(tree.getPath().map(m => m.id)).toEqual(['u1', 'a1', 'u2b']);
+        });
+
+        it('should be empty for a new tree', () => {
+            expect(new MessageTree().getPath()).toEqual([]);
+            expect(new MessageTree().getLeaf()).toBeNull();
+        });
+    });
+
+    describe('branches', () => {
+        beforeEach(() => {
+            tree.add({ id: 'u2b', role: 'user', content: 'Edited question' }, 'a1');
+            tree.add({ id: 'a2b', role: 'assistant', content: 'New answer' }, 'u2b');
+        });
+
+        it('should report sibling position', () => {
+            expect(tree.getBranchInfo('u2')).toEqual({ index: 0, count: 2 });
+            expect(tree.getBranchInfo('u2b')).toEqual({ index: 1, count: 2 });
+            expect(tree.getBranchInfo('a2')).toEqual({ index: 0, count: 1 });
+        });
+
+        it('should restore the old continuation when selecting a sibling', () => {
+            tree.select('u2');
+
+            expect(tree.getPath().map(m => m.id)).toEqual(['u1', 'a1', 'u2', 'a2']);
+        });
+
+        it('should select every ancestor of a deep message', () => {
+            tree.select('a2');
+
+            expect(tree.getLeaf().id).toBe('a2');
+        });
+
+        it('should remove a message with its descendants', () => {
+            tree.remove('u2b');
+
+            expect(tree.get('a2b')).toBeNull();
+            expect(tree.getPath().map(m => m.id)).toEqual(['u1', 'a1', 'u2', 'a2']);
+        });
+    });
+
+    describe('serialization', () => {
+        it('should round-trip through JSON', () => {
+            tree.add({ id: 'u2b', role: 'user', content: 'Edited' }, 'a1');
+            tree.select('u2');
+
+            const { messages, activeChildren } = JSON.parse(JSON.stringify(tree.toJSON()));
+            const restored = MessageTree.fromJSON(messages, activeChildren);
+
+            expect(restored.size).toBe(5);
+            expect(restored.getPath().map(m => m.id)).toEqual(['u1', 'a1', 'u2', 'a2']);
+            expect(restored.getBranchInfo('u2').count).toBe(2);
+        });
+
+        it('should chain flat message lists without parent ids', () => {
+            const restored = MessageTree.fromJSON([
+                { id: 'x', role: 'user', content: 'Hello' },
+                { id: 'y', role: 'assistant', content: 'Hi' }
+            ]);
+
+            expect(restored.getPath().map(m => m.id)).toEqual(['x', 'y']);
+            expect(restored.get('y').parentId).toBe('x');
+        });
+    });
+});
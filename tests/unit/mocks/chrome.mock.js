@@ -37,6 +37,16 @@ global.chrome = {
                 }
                 return Promise.resolve();
             }),
+            remove: jest.fn((keys, callback) => {
+                const keyArray = Array.isArray(keys) ? keys : [keys];
+                for (const key of keyArray) {
+                    delete mockStorage[key];
+                }
+                if (callback) {
+                    callback();
+                }
+                return Promise.resolve();
+            }),
             clear: jest.fn((callback) => {
                 Object.keys(mockStorage).forEach(key => delete mockStorage[key]);
                 if (callback) {
@@ -47,7 +57,9 @@ global.chrome = {
         }
     },
     tabs: {
-        query: jest.fn().mockResolvedValue([{ id: 1, url: 'https://example.com' }])
+        query: jest.fn().mockResolvedValue([{ id: 1, url: 'https://example.com' }]),
+        get: jest.fn().mockResolvedValue({ id: 1, title: 'Example', url: 'https://example.com' }),
+        create: jest.fn().mockResolvedValue({ id: 2, url: 'https://example.com' })
     },
     scripting: {
         executeScript: jest.fn().mockResolvedValue([{
@@ -32,6 +32,32 @@ export function createMockSSEResponse(chunks) {
     });
 }
 
+/**
+ * Create a mock newline-delimited JSON Response (Ollama native API)
+ * @param {Array} chunks - Array of objects to send, one per line
+ * @returns {Response} Mock Response with NDJSON stream
+ */
+export function createMockNDJSONResponse(chunks) {
+    const encoder = new TextEncoder();
+    let chunkIndex = 0;
+
+    const stream = new ReadableStream({
+        pull(controller) {
+            if (chunkIndex < chunks.length) {
+                controller.enqueue(encoder.encode(`${JSON.stringify(chunks[chunkIndex])}\n`));
+                chunkIndex++;
+            } else {
+                controller.close();
+            }
+        }
+    });
+
+    return new Response(stream, {
+        status: 200,
+        headers: { 'Content-Type': 'application/x-ndjson' }
+    });
+}
+
 /**
  * Create a mock error Response
  * @param {number} status - HTTP status code
@@ -105,6 +105,19 @@ describe('SettingsManager', () => {
             expect(config.model).toBe('llama3');
         });
 
+        it('should pass backend-specific fields through', () => {
+            const settings = {
+                ...defaultSettings,
+                backendType: 'anthropic',
+                currentModel: 'claude-sonnet-4-5'
+            };
+
+            const config = SettingsManager.getBackendConfig(settings);
+
+            expect(config.type).toBe('anthropic');
+            expect(config.thinkingBudget).toBe(defaultSettings.anthropic.thinkingBudget);
+        });
+
         it('should fallback to first model if currentModel not set', () => {
             const settings = {
                 ...defaultSettings,
@@ -258,6 +271,87 @@ describe('SettingsManager', () => {
             expect(result.valid).toBe(true);
         });
 
+        it('should require API key for anthropic', () => {
+            const settings = {
+                backendType: 'anthropic',
+                anthropic: {
+                    apiUrl: 'https://api.anthropic.com/v1',
+                    apiKey: ''
+                }
+            };
+
+            const result = SettingsManager.validate(settings);
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('Anthropic API Key is required');
+        });
+
+        it('should check number fields against the backend schema', () => {
+            const settings = {
+                backendType: 'anthropic',
+                anthropic: {
+                    apiUrl: 'https://api.anthropic.com/v1',
+                    apiKey: 'key',
+                    thinkingBudget: 100
+                }
+            };
+
+            const result = SettingsManager.validate(settings);
+
+            expect(result.errors).toEqual(['Anthropic Thinking Budget (tokens) must be at least 1024']);
+        });
+
+        it('should reject unknown backends', () => {
+            const result = SettingsManager.validate({ backendType: 'nope' });
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual(['Unknown backend: nope']);
+        });
+
+        it('should validate the active named profile under its own name', () => {
+            const settings = {
+                ...defaultSettings,
+                profiles: [{ ...SettingsManager.createProfile('openai', 'Gateway'), id: 'profile-gw', apiUrl: 'nope' }],
+                currentProfile: 'profile-gw'
+            };
+
+            const result = SettingsManager.validate(settings);
+
+            expect(result.errors).toEqual(['Gateway API URL: Invalid URL format']);
+        });
+
+        it('should validate inactive profiles that are in use', () => {
+            const settings = {
+                ...defaultSettings,
+                gemini: { ...defaultSettings.gemini, apiKey: 'key' },
+                openai: { ...defaultSettings.openai, apiUrl: 'nope' },
+                profiles: [{ ...SettingsManager.createProfile('anthropic', 'Work'), id: 'profile-work' }]
+            };
+
+            const result = SettingsManager.validate(settings);
+
+            expect(result.errors).toEqual([
+                'OpenAI API URL: Invalid URL format',
+                'Work API Key is required'
+            ]);
+        });
+
+        it('should require profile names and valid header names', () => {
+            const settings = {
+                ...defaultSettings,
+                backendType: 'openai',
+                openai: { ...defaultSettings.openai, headers: { 'Bad Header': 'x' } },
+                profiles: [{ ...SettingsManager.createProfile('openai', ' '), id: 'profile-a' }]
+            };
+
+            const result = SettingsManager.validate(settings);
+
+            expect(result.errors).toEqual([
+                'Profile name is required',
+                'OpenAI Extra Headers: invalid header name "Bad Header"'
+            ]);
+        });
+
         it('should validate API URL format', () => {
             const settings = {
                 backendType: 'gemini',
@@ -346,6 +440,300 @@ describe('SettingsManager', () => {
         });
     });
 
+    describe('profiles', () => {
+        const lmStudio = {
+            ...SettingsManager.createProfile('openai', 'LM Studio'),
+            id: 'profile-lm',
+            apiUrl: 'http://workstation:1234/v1',
+            models: ['qwen2.5-coder']
+        };
+
+        it('should list built-in profiles before named ones', () => {
+            const profiles = SettingsManager.getProfiles({ ...defaultSettings, profiles: [lmStudio] });
+
+            expect(profiles.map(p => p.id)).toEqual(['gemini', 'openai', 'anthropic', 'ollama', 'profile-lm']);
+            expect(profiles[0]).toMatchObject({ name: 'Gemini API', type: 'gemini', builtIn: true });
+        });
+
+        it('should create named profiles with backend defaults', () => {
+            const profile = SettingsManager.createProfile('ollama', 'Workstation');
+
+            expect(profile.id).toMatch(/^profile-/);
+            expect(profile).toMatchObject({ name: 'Workstation', type: 'ollama', apiUrl: 'http://localhost:11434', headers: {} });
+            expect(() => SettingsManager.createProfile('nope', 'x')).toThrow('Unknown backend: nope');
+        });
+
+        it('should resolve the backend config from the current profile', () => {
+            const settings = SettingsManager.selectModel(
+                { ...defaultSettings, profiles: [{ ...lmStudio, headers: { 'X-Team': 'a' } }] },
+                'profile-lm',
+                'qwen2.5-coder'
+            );
+
+            const config = SettingsManager.getBackendConfig(settings);
+
+            expect(settings.backendType).toBe('openai');
+            expect(config).toMatchObject({
+                type: 'openai',
+                profileId: 'profile-lm',
+                profileName: 'LM Studio',
+                apiUrl: 'http://workstation:1234/v1',
+                headers: { 'X-Team': 'a' },
+                model: 'qwen2.5-coder'
+            });
+        });
+
+        it('should fall back to the built-in profile when the current one is missing', () => {
+            const settings = { ...defaultSettings, backendType: 'ollama', currentProfile: 'profile-gone' };
+
+            expect(SettingsManager.getProfile(settings).id).toBe('ollama');
+        });
+
+        it('should add models to the current named profile', () => {
+            const settings = { ...defaultSettings, profiles: [lmStudio], currentProfile: 'profile-lm' };
+
+            const updated = SettingsManager.addModel(settings, 'llama3');
+
+            expect(updated.profiles[0].models).toEqual(['qwen2.5-coder', 'llama3']);
+            expect(updated.openai).toBe(settings.openai);
+        });
+
+        it('should switch to the built-in profile when deleting the active one', () => {
+            const settings = SettingsManager.selectModel({ ...defaultSettings, profiles: [lmStudio] }, 'profile-lm', 'qwen2.5-coder');
+
+            const updated = SettingsManager.removeProfile(settings, 'profile-lm');
+
+            expect(updated.profiles).toEqual([]);
+            expect(updated.currentProfile).toBe('openai');
+            expect(updated.currentModel).toBe(defaultSettings.openai.models[0]);
+        });
+
+        it('should only offer built-in profiles that are active or set up', () => {
+            const settings = {
+                ...defaultSettings,
+                anthropic: { ...defaultSettings.anthropic, apiKey: 'key' },
+                profiles: [lmStudio]
+            };
+
+            const inUse = SettingsManager.getProfiles(settings)
+                .filter(profile => SettingsManager.isProfileInUse(settings, profile))
+                .map(profile => profile.id);
+
+            expect(inUse).toEqual(['gemini', 'anthropic', 'profile-lm']);
+        });
+
+        it('should key models by profile, allowing colons in model names', () => {
+            const key = SettingsManager.getModelKey('ollama', 'llama3.2:latest');
+
+            expect(key).toBe('ollama:llama3.2:latest');
+            expect(SettingsManager.parseModelKey(key)).toEqual({ profileId: 'ollama', model: 'llama3.2:latest' });
+        });
+
+        it('should drop per-model entries left empty', () => {
+            let settings = SettingsManager.updateModelSettings(defaultSettings, 'gemini', 'gemini-2.5-pro', {
+                fallbacks: ['gemini:gemini-2.5-flash']
+            });
+            expect(settings.modelSettings['gemini:gemini-2.5-pro']).toEqual({ fallbacks: ['gemini:gemini-2.5-flash'] });
+
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.5-pro', { fallbacks: [] });
+            expect(settings.modelSettings).toEqual({});
+            expect(defaultSettings.modelSettings).toEqual({});
+        });
+
+        it('should resolve fallback chains, skipping removed profiles and models', () => {
+            const settings = SettingsManager.updateModelSettings(
+                { ...defaultSettings, profiles: [lmStudio] },
+                'gemini',
+                'gemini-3-pro-preview',
+                {
+                    fallbacks: [
+                        'gemini:gemini-3-pro-preview',
+                        'profile-lm:qwen2.5-coder',
+                        'profile-gone:model',
+                        'gemini:retired-model',
+                        'ollama:llama3.2'
+                    ]
+                }
+            );
+
+            expect(SettingsManager.getFallbackChain(settings, 'gemini', 'gemini-3-pro-preview')).toEqual([
+                { profileId: 'profile-lm', model: 'qwen2.5-coder' },
+                { profileId: 'ollama', model: 'llama3.2' }
+            ]);
+            expect(SettingsManager.getFallbackChain(settings, 'gemini', 'gemini-2.5-flash')).toEqual([]);
+        });
+
+        it('should parse and format extra headers', () => {
+            const headers = SettingsManager.parseHeaders('X-Team: research\n\nX-Trace: a:b  ');
+
+            expect(headers).toEqual({ 'X-Team': 'research', 'X-Trace': 'a:b' });
+            expect(SettingsManager.formatHeaders(headers)).toBe('X-Team: research\nX-Trace: a:b');
+            expect(() => SettingsManager.parseHeaders('no separator')).toThrow('Invalid header line');
+        });
+    });
+
+    describe('generation parameters', () => {
+        it('should let per-model overrides win over the global values', () => {
+            const settings = SettingsManager.updateModelSettings(
+                { ...defaultSettings, generation: { temperature: 0.7, maxOutputTokens: 2048, stopSequences: [] } },
+                'gemini',
+                'gemini-2.5-pro',
+                { generation: { temperature: 0.2, seed: 42 } }
+            );
+
+            expect(SettingsManager.getGenerationParams(settings, 'gemini', 'gemini-2.5-pro'))
+                .toEqual({ temperature: 0.2, maxOutputTokens: 2048, seed: 42 });
+            expect(SettingsManager.getGenerationParams(settings, 'gemini', 'gemini-2.5-flash'))
+                .toEqual({ temperature: 0.7, maxOutputTokens: 2048 });
+        });
+
+        it('should resolve the parameters of the selected model into the backend config', () => {
+            const settings = SettingsManager.selectModel(
+                SettingsManager.updateModelSettings(defaultSettings, 'ollama', 'qwen3', { generation: { topK: 20 } }),
+                'ollama',
+                'qwen3'
+            );
+
+            expect(SettingsManager.getBackendConfig(settings).generation).toEqual({ topK: 20 });
+            expect(SettingsManager.getBackendConfig(defaultSettings).generation).toEqual({});
+        });
+
+        it('should drop model entries whose overrides are cleared', () => {
+            let settings = SettingsManager.updateModelSettings(defaultSettings, 'gemini', 'gemini-2.5-pro', {
+                generation: { temperature: 1 }
+            });
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.5-pro', { generation: {} });
+
+            expect(settings.modelSettings).toEqual({});
+        });
+
+        it('should validate ranges and whole numbers', () => {
+            const settings = {
+                ...defaultSettings,
+                gemini: { ...defaultSettings.gemini, apiKey: 'key' },
+                generation: { temperature: 3, topK: 2.5, presencePenalty: -1 }
+            };
+
+            expect(SettingsManager.validate(settings).errors).toEqual([
+                'Generation Temperature must be at most 2',
+                'Generation Top K must be a whole number'
+            ]);
+        });
+
+        it('should validate per-model overrides the same way', () => {
+            let settings = { ...defaultSettings, gemini: { ...defaultSettings.gemini, apiKey: 'key' } };
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.5-pro', {
+                generation: { temperature: 3, maxOutputTokens: 0 }
+            });
+
+            expect(SettingsManager.validate(settings).errors).toEqual([
+                'gemini-2.5-pro Temperature must be at most 2',
+                'gemini-2.5-pro Max Output Tokens must be at least 1'
+            ]);
+        });
+    });
+
+    describe('reasoning', () => {
+        it('should resolve the reasoning setting into the backend config of thinking models', () => {
+            let settings = SettingsManager.selectModel(defaultSettings, 'gemini', 'gemini-2.5-flash');
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.5-flash', { reasoning: { effort: 'low' } });
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.0-flash', { reasoning: { effort: 'low' } });
+
+            expect(SettingsManager.getBackendConfig(settings).reasoning).toEqual({ effort: 'low' });
+            expect(SettingsManager.getReasoning(settings, 'gemini', 'gemini-2.0-flash')).toBeNull();
+            expect(SettingsManager.getReasoning(settings, 'gemini', 'gemini-2.5-pro')).toBeNull();
+        });
+
+        it('should validate thinking budgets', () => {
+            let settings = { ...defaultSettings, gemini: { ...defaultSettings.gemini, apiKey: 'key' } };
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.5-pro', { reasoning: { budget: 1.5 } });
+
+            expect(SettingsManager.validate(settings).errors).toEqual(['gemini-2.5-pro Thinking Budget must be a whole number']);
+        });
+    });
+
+    describe('structured output', () => {
+        const schema = '{"type": "object", "properties": {"name": {"type": "string"}}}';
+
+        it('should parse the response schema only while enabled', () => {
+            expect(SettingsManager.getResponseSchema(defaultSettings)).toBeNull();
+            expect(SettingsManager.getResponseSchema({ ...defaultSettings, structuredOutput: { enabled: false, schema } })).toBeNull();
+            expect(SettingsManager.getResponseSchema({ ...defaultSettings, structuredOutput: { enabled: true, schema } }))
+                .toEqual({ type: 'object', properties: { name: { type: 'string' } } });
+        });
+
+        it('should reject an enabled schema that does not parse', () => {
+            const settings = {
+                ...defaultSettings,
+                gemini: { ...defaultSettings.gemini, apiKey: 'key' },
+                structuredOutput: { enabled: true, schema: '[1, 2]' }
+            };
+
+            expect(SettingsManager.validate(settings).errors).toEqual(['Response Schema: Schema must be a JSON object']);
+        });
+    });
+
+    describe('MCP servers', () => {
+        it('should require a name and an http(s) URL', () => {
+            const settings = {
+                ...defaultSettings,
+                gemini: { ...defaultSettings.gemini, apiKey: 'key' },
+                mcpServers: [
+                    { id: 'mcp-1', name: 'docs', url: 'http://localhost:3000/mcp' },
+                    { id: 'mcp-2', name: ' ', url: 'http://localhost:3001/mcp' },
+                    { id: 'mcp-3', name: 'db', url: 'ws://localhost:3002' }
+                ]
+            };
+
+            expect(SettingsManager.validate(settings).errors).toEqual([
+                'MCP server name is required',
+                'MCP server db URL: URL must use http or https protocol'
+            ]);
+        });
+    });
+
+    describe('model pricing', () => {
+        it('should reject negative prices', () => {
+            let settings = { ...defaultSettings, gemini: { ...defaultSettings.gemini, apiKey: 'key' } };
+            settings = SettingsManager.updateModelSettings(settings, 'gemini', 'gemini-2.5-pro', {
+                pricing: { input: 1.25, output: -10 }
+            });
+
+            expect(SettingsManager.validate(settings).errors).toEqual(['gemini-2.5-pro Price: Output must be at least 0']);
+        });
+    });
+
+    describe('model capabilities', () => {
+        it('should combine known models, the backend and stored overrides', () => {
+            const settings = SettingsManager.updateModelSettings(
+                { ...defaultSettings, backendType: 'openai' },
+                'openai',
+                'gemini-3-flash',
+                { capabilities: { vision: false, contextWindow: 65536 } }
+            );
+
+            expect(SettingsManager.getModelCapabilities(settings, 'openai', 'gemini-3-flash')).toEqual({
+                vision: false,
+                thinking: true,
+                // The OpenAI backend has no search grounding
+                search: false,
+                tools: true,
+                jsonMode: true,
+                // Built-in tools of the Gemini API only
+                codeExecution: false,
+                urlContext: false,
+                imageGeneration: false,
+                contextWindow: 65536
+            });
+        });
+
+        it('should pass the selected model capabilities to the backend config', () => {
+            const settings = SettingsManager.selectModel(defaultSettings, 'ollama', 'llama3.2');
+
+            expect(SettingsManager.getBackendConfig(settings).capabilities).toMatchObject({ vision: false, thinking: false });
+        });
+    });
+
     describe('integration scenarios', () => {
         it('should handle full settings lifecycle', async () => {
             // 1. Load defaults
@@ -23,6 +23,10 @@ if (typeof Response === 'undefined') {
             };
         }
 
+        clone() {
+            return new Response(this.body, { status: this.status, headers: this._headers });
+        }
+
         async json() {
             if (typeof this.body === 'string') {
                 return JSON.parse(this.body);
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { BROWSER_TOOLS, getSite } from '../../../src/tools/browser.js';
+import { ToolRegistry } from '../../../src/tools/registry.js';
+
+const tool = name => BROWSER_TOOLS.find(entry => entry.name === name);
+// Context of a call approved for the mocked tab
+const approved = { approved: { tabId: 1, site: 'https://example.com' } };
+
+describe('browser tools', () => {
+    beforeEach(() => {
+        resetChromeMocks();
+    });
+
+    it('should be registered with approval prompts', () => {
+        for (const { name } of BROWSER_TOOLS) {
+            expect(ToolRegistry.get(name)?.approval).toEqual(expect.any(Function));
+        }
+    });
+
+    it('should key approvals by origin', () => {
+        expect(getSite('https://example.com/a/b?c=1')).toBe('https://example.com');
+        expect(getSite('about:blank')).toBeNull();
+        expect(getSite('not a url')).toBeNull();
+    });
+
+    it('should list tabs', async () => {
+        chrome.tabs.query.mockResolvedValueOnce([{ id: 3, title: 'Docs', url: 'https://docs.dev/', active: true }]);
+
+        await expect(tool('list_tabs').execute({})).resolves.toEqual([
+            { id: 3, title: 'Docs', url: 'https://docs.dev/', active: true }
+        ]);
+    });
+
+    it('should read a tab and describe the call for approval', async () => {
+        chrome.scripting.executeScript.mockResolvedValueOnce([{ result: { title: 'Example', text: 'Hello' } }]);
+
+        await expect(tool('read_tab').approval({ tabId: 1 })).resolves.toEqual({ summary: 'Read Example', site: 'https://example.com', tabId: 1 });
+        await expect(tool('read_tab').execute({ tabId: 1 }, approved)).resolves.toEqual({ title: 'Example', text: 'Hello' });
+        expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({ target: { tabId: 1 } }));
+    });
+
+    it('should refuse pages extensions cannot access', async () => {
+        chrome.tabs.get.mockResolvedValueOnce({ id: 4, url: 'chrome://settings' });
+
+        await expect(tool('read_tab').execute({ tabId: 4 }, { approved: { tabId: 4, site: null } })).rejects.toThrow('Cannot access chrome://settings');
+        expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    it('should query the active page with the selector and limit', async () => {
+        chrome.scripting.executeScript.mockResolvedValueOnce([{ result: { count: 0, elements: [] } }]);
+
+        await tool('query_page').execute({ selector: 'h2', limit: 5 }, approved);
+
+        expect(chrome.scripting.executeScript.mock.calls[0][0].args).toEqual(['h2', 5, 500]);
+    });
+
+    it('should run on the approved tab, not the one active now', async () => {
+        chrome.tabs.query.mockResolvedValueOnce([{ id: 1, title: 'Example', url: 'https://example.com/a' }]);
+        const approval = await tool('get_selection').approval({});
+        chrome.scripting.executeScript.mockResolvedValueOnce([{ result: 'Hello' }]);
+
+        await expect(tool('get_selection').execute({}, { approved: approval })).resolves.toEqual({ text: 'Hello' });
+        expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({ target: { tabId: 1 } }));
+    });
+
+    it('should refuse when the approved tab moved to another site', async () => {
+        chrome.tabs.get.mockResolvedValueOnce({ id: 1, url: 'https://bank.dev/account' });
+
+        await expect(tool('read_tab').execute({ tabId: 1 }, approved)).rejects.toThrow('moved to another site');
+        expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    it('should open URLs in a background tab', async () => {
+        await expect(tool('open_url').approval({ url: 'https://news.dev/today' })).resolves.toEqual({
+            summary: 'Open https://news.dev/today',
+            site: 'https://news.dev'
+        });
+        await expect(tool('open_url').execute({ url: 'https://news.dev/today' })).resolves.toEqual({ tabId: 2 });
+        expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://news.dev/today', active: false });
+    });
+
+    it('should report selectors that match nothing', async () => {
+        chrome.scripting.executeScript.mockResolvedValueOnce([{ result: false }]);
+
+        await expect(tool('highlight_element').execute({ selector: '#missing' }, approved)).rejects.toThrow('No element matches "#missing" at index 0');
+    });
+});
@@ -0,0 +1,314 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { McpClient, McpServers, getToolName } from '../../../src/tools/mcp.js';
+import { ToolRegistry } from '../../../src/tools/registry.js';
+import { createMockSSEResponse, mockFetch } from '../mocks/fetch.mock.js';
+
+const SERVER = { id: 'mcp-1', name: 'docs', url: 'http://localhost:3000/mcp', headers: { Authorization: 'Bearer t' }, enabled: true };
+
+const TOOLS = [
+    { name: 'search', description: 'Search the docs', inputSchema: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] } },
+    { name: 'get page', inputSchema: { type: 'object', properties: {} } }
+];
+
+/**
+ * Fake MCP server answering JSON-RPC requests with the given handlers
+ * Requests are recorded as { method, params, headers }.
+ */
+function mockServer(handlers = {}, { sse = false } = {}) {
+    const requests = [];
+    const all = {
+        initialize: () => ({
+            protocolVersion: '2025-06-18',
+            serverInfo: { name: 'Docs Server', version: '1.0.0' },
+            capabilities: { tools: {}, resources: {}, prompts: {} }
+        }),
+        'tools/list': () => ({ tools: TOOLS }),
+        'resources/list': () => ({ resources: [{ uri: 'docs://index', name: 'Index' }] }),
+        'prompts/list': () => ({ prompts: [{ name: 'summarize' }] }),
+        ...handlers
+    };
+
+    mockFetch((url, init) => {
+        const message = JSON.parse(init.body);
+        requests.push({ method: message.method, params: message.params, headers: init.headers });
+        if (message.id === undefined) {
+            return new Response('', { status: 202 });
+        }
+
+        const result = all[message.method](message.params, requests.length);
+        if (result instanceof Response) return result;
+        const reply = { jsonrpc: '2.0', id: message.id, ...(result.error ? { error: result.error } : { result }) };
+        if (sse) {
+            return createMockSSEResponse([{ jsonrpc: '2.0', method: 'notifications/progress', params: {} }, reply]);
+        }
+        return new Response(JSON.stringify(reply), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' }
+        });
+    });
+    return requests;
+}
+
+/**
+ * Fake MCP server with only the HTTP+SSE transport: a GET opens the
+ * stream, POSTs to its endpoint are answered on it
+ * @returns {Object} { requests, end } where end() closes the stream
+ */
+function mockLegacyServer() {
+    const encoder = new TextEncoder();
+    const requests = [];
+    let events, waiting, ended;
+    const send = text => {
+        if (waiting) {
+            waiting.enqueue(encoder.encode(text));
+            waiting = null;
+        } else {
+            events.push(text);
+        }
+    };
+    const end = () => {
+        ended = true;
+        waiting?.close();
+        waiting = null;
+    };
+
+    mockFetch((url, init = {}) => {
+        if (!init.method) {
+            events = ['event: endpoint\ndata: /messages?sessionId=s1\n\n'];
+            waiting = null;
+            ended = false;
+            return new Response(new ReadableStream({
+                pull(controller) {
+                    if (events.length > 0) controller.enqueue(encoder.encode(events.shift()));
+                    else if (ended) controller.close();
+                    else waiting = controller;
+                }
+            }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        }
+        if (!url.endsWith('/messages?sessionId=s1')) {
+            return new Response('', { status: 405 });
+        }
+
+        const message = JSON.parse(init.body);
+        requests.push({ method: message.method, headers: init.headers });
+        if (message.id !== undefined) {
+            const result = message.method === 'initialize'
+                ? { protocolVersion: '2024-11-05', capabilities: { tools: {} } }
+                : { tools: TOOLS };
+            send(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result })}\n\n`);
+        }
+        return new Response('', { status: 202 });
+    });
+    return { requests, end };
+}
+
+describe('McpClient', () => {
+    it('should open a session and send its id with later messages', async () => {
+        const requests = mockServer();
+        const client = new McpClient(SERVER);
+
+        const result = await client.connect();
+
+        expect(result.serverInfo.name).toBe('Docs Server');
+        expect(requests.map(request => request.method)).toEqual(['initialize', 'notifications/initialized']);
+        expect(requests[0].params).toMatchObject({ protocolVersion: '2025-06-18', capabilities: {} });
+        expect(requests[0].headers).toMatchObject({
+            Accept: 'application/json, text/event-stream',
+            Authorization: 'Bearer t'
+        });
+        expect(requests[1].headers).toMatchObject({ 'Mcp-Session-Id': 'session-1', 'MCP-Protocol-Version': '2025-06-18' });
+    });
+
+    it('should follow list cursors', async () => {
+        mockServer({
+            'tools/list': (params) => (params?.cursor ? { tools: [TOOLS[1]] } : { tools: [TOOLS[0]], nextCursor: 'page-2' })
+        });
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        await expect(client.listTools()).resolves.toEqual(TOOLS);
+    });
+
+    it('should only list what the server offers', async () => {
+        const requests = mockServer({ initialize: () => ({ protocolVersion: '2025-06-18', capabilities: { tools: {} } }) });
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        await expect(client.listResources()).resolves.toEqual([]);
+        await expect(client.listPrompts()).resolves.toEqual([]);
+        expect(requests).toHaveLength(2);
+    });
+
+    it('should read responses from SSE streams', async () => {
+        mockServer({}, { sse: true });
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        await expect(client.listTools()).resolves.toEqual(TOOLS);
+    });
+
+    it('should return tool results as text or structured content', async () => {
+        mockServer({
+            'tools/call': ({ name }) => (name === 'search'
+                ? { content: [{ type: 'text', text: 'First' }, { type: 'resource_link', uri: 'docs://a', name: 'A' }] }
+                : { content: [{ type: 'text', text: '{"n":1}' }], structuredContent: { n: 1 } })
+        });
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        await expect(client.callTool('search', { query: 'x' })).resolves.toBe('First\n[A](docs://a)');
+        await expect(client.callTool('count', {})).resolves.toEqual({ n: 1 });
+    });
+
+    it('should throw tool and protocol errors', async () => {
+        mockServer({
+            'tools/call': () => ({ content: [{ type: 'text', text: 'Index offline' }], isError: true }),
+            'prompts/list': () => ({ error: { code: -32601, message: 'Method not found' } })
+        });
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        await expect(client.callTool('search', {})).rejects.toThrow('Index offline');
+        await expect(client.listPrompts()).rejects.toThrow('prompts/list: Method not found');
+    });
+
+    it('should open a new session when the server ended the old one', async () => {
+        let expired = true;
+        const requests = mockServer({
+            'tools/list': () => {
+                if (!expired) return { tools: TOOLS };
+                expired = false;
+                return new Response('', { status: 404 });
+            }
+        });
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        await expect(client.listTools()).resolves.toEqual(TOOLS);
+        expect(requests.map(request => request.method)).toEqual([
+            'initialize', 'notifications/initialized', 'tools/list', 'initialize', 'notifications/initialized', 'tools/list'
+        ]);
+    });
+});
+
+describe('McpClient over HTTP+SSE', () => {
+    it('should fall back to the stream when the server turns the POST down', async () => {
+        const { requests } = mockLegacyServer();
+        const client = new McpClient(SERVER);
+
+        const result = await client.connect();
+        const tools = await client.listTools();
+        client.close();
+
+        expect(result.protocolVersion).toBe('2024-11-05');
+        expect(tools.map(tool => tool.name)).toEqual(['search', 'get page']);
+        expect(requests.map(request => request.method)).toEqual(['initialize', 'notifications/initialized', 'tools/list']);
+        expect(requests[0].headers.Authorization).toBe('Bearer t');
+    });
+
+    it('should not leave abort listeners on the signal', async () => {
+        mockLegacyServer();
+        const client = new McpClient(SERVER);
+        const signal = new AbortController().signal;
+        const added = jest.spyOn(signal, 'addEventListener');
+        const removed = jest.spyOn(signal, 'removeEventListener');
+
+        await client.connect(signal);
+        await client.listTools(signal);
+        client.close();
+
+        const listeners = call => call[0] === 'abort' ? call[1] : null;
+        expect(removed.mock.calls.map(listeners)).toEqual(expect.arrayContaining(added.mock.calls.map(listeners)));
+    });
+
+    it('should reconnect when the server closes the stream', async () => {
+        const server = mockLegacyServer();
+        const client = new McpClient(SERVER);
+        await client.connect();
+
+        server.end();
+        const tools = await client.listTools();
+        client.close();
+
+        expect(tools).toHaveLength(2);
+        expect(server.requests.filter(request => request.method === 'initialize')).toHaveLength(2);
+    });
+});
+
+describe('McpServers', () => {
+    afterEach(async () => {
+        await McpServers.sync([]);
+    });
+
+    it('should name tools after their server', () => {
+        expect(getToolName({ name: 'Team Docs' }, { name: 'search' })).toBe('Team_Docs_search');
+        expect(getToolName({ name: '1st' }, { name: 'a.b' })).toBe('_1st_a_b');
+        expect(getToolName({ name: 'x'.repeat(60) }, { name: 'search' })).toHaveLength(64);
+    });
+
+    it('should give tools whose names clash a suffix', () => {
+        const taken = new Set(['docs_search']);
+        const long = { name: 'x'.repeat(60) };
+
+        expect(getToolName({ name: 'docs' }, { name: 'search' }, taken)).toBe('docs_search_2');
+        expect(getToolName({ name: 'docs' }, { name: 'search' }, taken)).toBe('docs_search_3');
+        expect(getToolName(long, { name: 'search_a' }, taken)).toBe(`${'x'.repeat(60)}_sea`);
+        expect(getToolName(long, { name: 'search_b' }, taken)).toBe(`${'x'.repeat(60)}_s_2`);
+    });
+
+    it('should register clashing tools of two servers under different names', async () => {
+        mockServer();
+
+        await McpServers.sync([SERVER, { ...SERVER, id: 'mcp-2' }]);
+
+        const names = ToolRegistry.getAll().filter(tool => tool.mcpServer).map(tool => tool.name);
+        expect(names).toEqual(['docs_search', 'docs_get_page', 'docs_search_2', 'docs_get_page_2']);
+    });
+
+    it('should let the latest of overlapping syncs update the tools', async () => {
+        mockServer();
+
+        await Promise.all([
+            McpServers.sync([SERVER]),
+            McpServers.sync([])
+        ]);
+
+        expect(ToolRegistry.getAll().some(tool => tool.mcpServer)).toBe(false);
+        expect(McpServers.getStatus('mcp-1')).toBeNull();
+    });
+
+    it('should register the tools of enabled servers except the ones turned off', async () => {
+        const requests = mockServer({ 'tools/call': ({ name, arguments: args }) => ({ content: [{ type: 'text', text: `${name}: ${args.query}` }] }) });
+
+        await McpServers.sync([{ ...SERVER, disabledTools: ['get page'] }]);
+
+        expect(ToolRegistry.getDeclarations().filter(tool => tool.name.startsWith('docs_'))).toEqual([
+            { name: 'docs_search', description: 'Search the docs', parameters: TOOLS[0].inputSchema }
+        ]);
+        await expect(ToolRegistry.execute('docs_search', { query: 'setup' })).resolves.toBe('search: setup');
+        expect(requests[requests.length - 1].params).toEqual({ name: 'search', arguments: { query: 'setup' } });
+        expect(McpServers.getStatus('mcp-1')).toMatchObject({ error: null, resources: [{ uri: 'docs://index', name: 'Index' }], prompts: [{ name: 'summarize' }] });
+    });
+
+    it('should reuse connections and drop the tools of disabled servers', async () => {
+        const requests = mockServer();
+        await McpServers.sync([SERVER]);
+        await McpServers.sync([SERVER]);
+
+        expect(requests.filter(request => request.method === 'initialize')).toHaveLength(1);
+
+        await McpServers.sync([{ ...SERVER, enabled: false }]);
+
+        expect(ToolRegistry.get('docs_search')).toBeNull();
+        expect(McpServers.getStatus('mcp-1')).toBeNull();
+    });
+
+    it('should keep connection errors for the settings instead of throwing', async () => {
+        mockFetch(() => new Response('', { status: 401 }));
+
+        await McpServers.sync([SERVER]);
+
+        expect(McpServers.getStatus('mcp-1')).toMatchObject({ error: 'MCP server error: 401', tools: [] });
+        expect(ToolRegistry.getAll().some(tool => tool.mcpServer)).toBe(false);
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { ToolRegistry } from '../../../src/tools/registry.js';
+
+describe('ToolRegistry', () => {
+    const add = {
+        name: 'add',
+        description: 'Add two numbers',
+        parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] },
+        execute: ({ a, b }) => a + b
+    };
+
+    // Start without the built-in tools
+    beforeEach(() => {
+        ToolRegistry.getAll().forEach(tool => ToolRegistry.unregister(tool.name));
+    });
+
+    it('should register tools and list their declarations', () => {
+        ToolRegistry.register(add);
+        ToolRegistry.register({ name: 'now', execute: () => Date.now() });
+
+        expect(ToolRegistry.get('add')).toBe(add);
+        expect(ToolRegistry.getDeclarations()).toEqual([
+            { name: 'add', description: 'Add two numbers', parameters: add.parameters },
+            { name: 'now', description: '', parameters: { type: 'object', properties: {} } }
+        ]);
+    });
+
+    it('should reject tools providers cannot call', () => {
+        expect(() => ToolRegistry.register({ name: 'two words', execute: () => null })).toThrow('Invalid tool name: two words');
+        expect(() => ToolRegistry.register({ name: 'noop' })).toThrow('Tool noop must have an execute function');
+    });
+
+    it('should execute tools with valid arguments', async () => {
+        ToolRegistry.register(add);
+
+        await expect(ToolRegistry.execute('add', { a: 2, b: 3 })).resolves.toBe(5);
+        await expect(ToolRegistry.execute('add', { a: 2 })).rejects.toThrow('Invalid arguments: $: missing "b"');
+        await expect(ToolRegistry.execute('subtract', {})).rejects.toThrow('Unknown tool: subtract');
+    });
+});
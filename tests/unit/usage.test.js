@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { UsageStore, addUsage, createUsageTotals, estimateCost, formatCost, getMonthKey } from '../../src/usage.js';
+
+const usage = { inputTokens: 1000, outputTokens: 500, thinkingTokens: 100, cachedTokens: 400 };
+
+describe('usage', () => {
+    describe('estimateCost', () => {
+        it('should price cached prompt tokens at the cached rate', () => {
+            // 600 * $2 + 400 * $0.5 + 500 * $10 per million tokens
+            expect(estimateCost(usage, { input: 2, cachedInput: 0.5, output: 10 })).toBeCloseTo(0.0064);
+        });
+
+        it('should fall back to the input price for cached tokens', () => {
+            expect(estimateCost(usage, { input: 2, output: 10 })).toBeCloseTo(0.007);
+        });
+
+        it('should return null without prices', () => {
+            expect(estimateCost(usage, undefined)).toBeNull();
+            expect(estimateCost(usage, { cachedInput: 1 })).toBeNull();
+        });
+    });
+
+    describe('addUsage', () => {
+        it('should sum counts and keep cost null until a priced response is added', () => {
+            let totals = addUsage(createUsageTotals(), usage);
+            expect(totals.cost).toBeNull();
+
+            totals = addUsage(totals, { inputTokens: 10, outputTokens: 5 }, 0.25);
+
+            expect(totals).toEqual({
+                inputTokens: 1010, outputTokens: 505, thinkingTokens: 100, cachedTokens: 400, cost: 0.25, responses: 2
+            });
+        });
+    });
+
+    describe('formatting', () => {
+        it('should format costs and month keys', () => {
+            expect(formatCost(1.5)).toBe('$1.50');
+            expect(formatCost(0.00123)).toBe('$0.0012');
+            expect(formatCost(0)).toBe('$0.00');
+            expect(getMonthKey(new Date(2026, 0, 15))).toBe('2026-01');
+        });
+    });
+
+    describe('UsageStore', () => {
+        beforeEach(() => {
+            global.resetChromeMocks();
+        });
+
+        it('should keep separate totals per month', async () => {
+            await UsageStore.record(usage, 0.01, new Date(2026, 8, 30));
+            await UsageStore.record(usage, null, new Date(2026, 9, 1));
+            await UsageStore.record(usage, 0.02, new Date(2026, 9, 2));
+
+            const totals = await UsageStore.load();
+
+            expect(Object.keys(totals)).toEqual(['2026-09', '2026-10']);
+            expect(totals['2026-10']).toMatchObject({ inputTokens: 2000, responses: 2, cost: 0.02 });
+
+            await UsageStore.clear();
+            expect(await UsageStore.load()).toEqual({});
+        });
+    });
+});